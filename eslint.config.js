@@ -30,4 +30,11 @@ export default [
       ],
     },
   },
+  {
+    // Build tool configs run in Node
+    files: ['*.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -4,6 +4,7 @@ import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools';
 import { AuthProvider } from '@contexts/AuthContext';
 import { ToastProvider } from '@contexts/ToastContext';
+import { SeatHoldProvider } from '@contexts/SeatHoldContext';
 
 import MainLayout from '@layouts/MainLayout';
 import AdminLayout from '@layouts/AdminLayout';
@@ -22,13 +23,18 @@ import ForgotPasswordPage from '@pages/auth/ForgotPassword';
 import ResetPasswordPage from '@pages/auth/ResetPassword';
 import AboutPage from '@pages/public/About';
 import ContactPage from '@pages/public/Contact';
+import FindBookingPage from '@pages/public/FindBooking';
+import GiftCardsPage from '@pages/public/GiftCards';
 import NotFoundPage from '@pages/public/NotFound';
 
 // User Pages
 import ProfilePage from '@pages/user/Profile';
 import BookingsPage from '@pages/user/Bookings';
 import BookingDetailsPage from '@pages/user/BookingDetails';
+import ExchangeBookingPage from '@pages/user/ExchangeBooking';
+import WaitlistOfferPage from '@pages/user/WaitlistOffer';
 import SeatSelectionPage from '@pages/user/SeatSelection';
+import AddOnsPage from '@pages/user/AddOns';
 import CheckoutPage from '@pages/user/Checkout';
 
 // Admin Pages
@@ -59,6 +65,38 @@ import AdminScreeningsViewPage from '@pages/admin/Screenings/View';
 
 // Admin Bookings Pages
 import AdminBookingsPage from '@pages/admin/Bookings';
+import AdminBookingsViewPage from '@pages/admin/Bookings/View';
+import AdminCheckInPage from '@pages/admin/CheckIn';
+import AdminWaitlistPage from '@pages/admin/Waitlist';
+
+// Admin Loyalty Page
+import AdminLoyaltyPage from '@pages/admin/Loyalty';
+
+// Admin Gift Card Pages
+import {
+  GiftCardList as AdminGiftCardListPage,
+  ViewGiftCard as AdminGiftCardViewPage
+} from '@pages/admin/GiftCards';
+
+// Admin Promotions Pages
+import {
+  PromotionList as AdminPromotionsPage,
+  CreatePromotion as AdminPromotionsCreatePage,
+  EditPromotion as AdminPromotionsEditPage
+} from '@pages/admin/Promotions/index';
+
+// Admin Group Booking Pages
+import {
+  GroupBookingList as AdminGroupBookingsPage,
+  ViewGroupBooking as AdminGroupBookingViewPage
+} from '@pages/admin/GroupBookings/index';
+
+// Admin Concessions Pages
+import {
+  ConcessionList as AdminConcessionsPage,
+  CreateConcession as AdminConcessionsCreatePage,
+  EditConcession as AdminConcessionsEditPage
+} from '@pages/admin/Concessions/index';
 
 // Admin Users Pages
 import { 
@@ -99,6 +137,8 @@ const router = createBrowserRouter([
       { path: 'reset-password', element: <ResetPasswordPage /> },
       { path: 'about', element: <AboutPage /> },
       { path: 'contact', element: <ContactPage /> },
+      { path: 'find-booking', element: <FindBookingPage /> },
+      { path: 'gift-cards', element: <GiftCardsPage /> },
       
       // Protected user routes
       { 
@@ -126,21 +166,25 @@ const router = createBrowserRouter([
         )
       },
       { 
-        path: 'screening/:id/seats', 
+        path: 'bookings/:id/exchange', 
         element: (
           <ProtectedRoute>
-            <SeatSelectionPage />
+            <ExchangeBookingPage />
           </ProtectedRoute>
         )
       },
       { 
-        path: 'checkout/:screeningId', 
+        path: 'waitlist/offers/:token', 
         element: (
           <ProtectedRoute>
-            <CheckoutPage />
+            <WaitlistOfferPage />
           </ProtectedRoute>
         )
-      }
+      },
+      // Booking flow is open to guests, who give their contact details at checkout
+      { path: 'screening/:id/seats', element: <SeatSelectionPage /> },
+      { path: 'screening/:id/add-ons', element: <AddOnsPage /> },
+      { path: 'checkout/:screeningId', element: <CheckoutPage /> }
     ]
   },
   // Admin routes
@@ -177,6 +221,23 @@ const router = createBrowserRouter([
       
       // Booking management routes
       { path: 'bookings', element: <AdminBookingsPage /> },
+      { path: 'bookings/:id', element: <AdminBookingsViewPage /> },
+      { path: 'check-in', element: <AdminCheckInPage /> },
+      { path: 'waitlist', element: <AdminWaitlistPage /> },
+      
+      // Promotion management routes
+      { path: 'promotions', element: <AdminPromotionsPage /> },
+      { path: 'promotions/create', element: <AdminPromotionsCreatePage /> },
+      { path: 'promotions/:id/edit', element: <AdminPromotionsEditPage /> },
+      
+      // Group booking request routes
+      { path: 'group-bookings', element: <AdminGroupBookingsPage /> },
+      { path: 'group-bookings/:id', element: <AdminGroupBookingViewPage /> },
+      
+      // Concession catalog routes
+      { path: 'concessions', element: <AdminConcessionsPage /> },
+      { path: 'concessions/create', element: <AdminConcessionsCreatePage /> },
+      { path: 'concessions/:id/edit', element: <AdminConcessionsEditPage /> },
       
       // User management routes
       { 
@@ -210,6 +271,34 @@ const router = createBrowserRouter([
             <AdminUsersEditPage />
           </RoleBasedRoute>
         )
+      },
+      
+      // Loyalty program routes
+      { 
+        path: 'loyalty', 
+        element: (
+          <RoleBasedRoute roles={['ROLE_ADMIN']}>
+            <AdminLoyaltyPage />
+          </RoleBasedRoute>
+        )
+      },
+      
+      // Gift card routes
+      { 
+        path: 'gift-cards', 
+        element: (
+          <RoleBasedRoute roles={['ROLE_ADMIN']}>
+            <AdminGiftCardListPage />
+          </RoleBasedRoute>
+        )
+      },
+      { 
+        path: 'gift-cards/:id', 
+        element: (
+          <RoleBasedRoute roles={['ROLE_ADMIN']}>
+            <AdminGiftCardViewPage />
+          </RoleBasedRoute>
+        )
       }
     ]
   },
@@ -225,7 +314,9 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
         <ToastProvider>
-          <RouterProvider router={router} />
+          <SeatHoldProvider>
+            <RouterProvider router={router} />
+          </SeatHoldProvider>
         </ToastProvider>
       </AuthProvider>
       {/* Only show React Query Devtools in development */}
@@ -1,23 +1,85 @@
 // src/api/auth.js - Fixed version with better error handling
 import apiClient from './client';
 
+// Used when the server doesn't say how long a code lasts or how often it can be resent
+const DEFAULT_CODE_LIFETIME_SECONDS = 300;
+const DEFAULT_RESEND_COOLDOWN_SECONDS = 30;
+
+const TWO_FACTOR_ERROR_MESSAGES = {
+  INVALID_OTP: 'That code is not right. Please check it and try again.',
+  BACKUP_CODE_USED: 'That backup code has already been used.',
+  OTP_EXPIRED: 'This code has expired. Send yourself a new one.',
+  CHALLENGE_EXPIRED: 'Your sign-in attempt has expired. Please sign in again.',
+  TOO_MANY_ATTEMPTS: 'Too many incorrect codes. Please sign in again.',
+  RESEND_TOO_SOON: 'Please wait a moment before asking for another code.'
+};
+
+/**
+ * Turn a 2FA initiate or resend response into challenge state.
+ * Lifetimes may come as timestamps or as seconds from now.
+ */
+const toTwoFactorChallenge = (data, now = Date.now()) => {
+  const expiresAt = data.expiresAt
+    ? new Date(data.expiresAt).getTime()
+    : now + (data.expiresIn ?? DEFAULT_CODE_LIFETIME_SECONDS) * 1000;
+  const resendAvailableAt = data.resendAvailableAt
+    ? new Date(data.resendAvailableAt).getTime()
+    : now + (data.resendCooldown ?? DEFAULT_RESEND_COOLDOWN_SECONDS) * 1000;
+
+  return {
+    challengeToken: data.challengeToken,
+    expiresAt,
+    resendAvailableAt,
+    attemptsRemaining: data.attemptsRemaining ?? data.maxAttempts ?? null
+  };
+};
+
+const toTwoFactorError = (error, fallbackMessage) => {
+  const errorData = error.response?.data || {};
+  const errorCode = errorData.code || errorData.errorCode;
+  return {
+    ...error,
+    twoFactorErrorCode: errorCode || null,
+    attemptsRemaining: errorData.attemptsRemaining ?? null,
+    message: TWO_FACTOR_ERROR_MESSAGES[errorCode] || errorData.message || fallbackMessage
+  };
+};
+
 /**
  * Authentication API service
  * Handles user registration, login, and related operations
  */
 const authApi = {
   /**
-   * Initiate login with 2FA
+   * Initiate login with 2FA.
+   * When a code is needed the response carries a short-lived challenge token,
+   * so the password never has to be sent again.
    * @param {Object} credentials - User credentials
    * @param {string} credentials.username - Username
    * @param {string} credentials.password - Password
-   * @returns {Promise<Object>} Login response with 2FA status
+   * @param {string} credentials.deviceId - This browser's device ID
+   * @param {string} credentials.deviceName - Browser description, e.g. "Chrome on macOS"
+   * @param {string} [credentials.deviceToken] - Trusted device token; a valid one skips 2FA
+   * @returns {Promise<Object>} Login response with 2FA status, plus { challengeToken, email, methods,
+   *   preferredMethod, expiresAt, resendAvailableAt, attemptsRemaining } when 2FA is required
    */
   initiateLogin: async (credentials) => {
     try {
-      const response = await apiClient.post('/auth/2fa/initiate', credentials);
+      const response = await apiClient.post('/auth/2fa/initiate', credentials, { skipAuthRefresh: true });
       console.log('API initiate login response:', response); // Debug log
-      return response.data;
+      const data = response.data || {};
+      if (!data.requires2FA) {
+        return data;
+      }
+
+      // Older servers only know emailed codes
+      const methods = Array.isArray(data.methods) && data.methods.length > 0 ? data.methods : ['EMAIL'];
+      return {
+        ...data,
+        ...toTwoFactorChallenge(data),
+        methods,
+        preferredMethod: methods.includes(data.preferredMethod) ? data.preferredMethod : methods[0]
+      };
     } catch (error) {
       console.error('API initiate login error:', error); // Debug log
       throw error;
@@ -27,19 +89,40 @@ const authApi = {
   /**
    * Verify OTP for 2FA login
    * @param {Object} data - Verification data
-   * @param {string} data.username - Username
-   * @param {string} data.password - Password
-   * @param {string} data.otp - OTP code
-   * @returns {Promise<Object>} Login response with token and user info
+   * @param {string} data.challengeToken - Challenge token from initiateLogin
+   * @param {string} data.otp - OTP, authenticator or backup code
+   * @param {string} data.method - Factor the code is for: EMAIL, TOTP or BACKUP_CODE
+   * @param {boolean} [data.trustDevice] - Skip 2FA on this device for the next 30 days
+   * @param {string} [data.deviceId] - This browser's device ID
+   * @param {string} [data.deviceName] - Browser description
+   * @returns {Promise<Object>} Login response with token and user info, plus deviceToken when trusted
    */
   verifyOtp: async (data) => {
     try {
-      const response = await apiClient.post('/auth/2fa/verify', data);
+      const response = await apiClient.post('/auth/2fa/verify', data, { skipAuthRefresh: true });
       console.log('API verify OTP response:', response); // Debug log
       return response.data;
     } catch (error) {
       console.error('API verify OTP error:', error); // Debug log
-      throw error;
+      throw toTwoFactorError(error, 'OTP verification failed');
+    }
+  },
+
+  /**
+   * Send a new OTP for a pending 2FA challenge
+   * @param {string} challengeToken - Challenge token from initiateLogin
+   * @returns {Promise<Object>} Updated challenge { challengeToken, expiresAt, resendAvailableAt, attemptsRemaining }
+   */
+  resendOtp: async (challengeToken) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/resend', { challengeToken }, { skipAuthRefresh: true });
+      const data = response.data || {};
+      const challenge = toTwoFactorChallenge(data);
+      // The server may keep the same token for the new code
+      return { ...challenge, challengeToken: challenge.challengeToken || challengeToken };
+    } catch (error) {
+      console.error('API resend OTP error:', error); // Debug log
+      throw toTwoFactorError(error, 'Could not send a new code');
     }
   },
 
@@ -52,7 +135,7 @@ const authApi = {
    */
   login: async (credentials) => {
     try {
-      const response = await apiClient.post('/auth/login', credentials);
+      const response = await apiClient.post('/auth/login', credentials, { skipAuthRefresh: true });
       console.log('API login response:', response); // Debug log
       return response.data;
     } catch (error) {
@@ -61,6 +144,20 @@ const authApi = {
     }
   },
 
+  /**
+   * Revoke a refresh token when the user signs out
+   * @param {string} refreshToken - Refresh token to revoke
+   * @returns {Promise<void>}
+   */
+  logout: async (refreshToken) => {
+    try {
+      await apiClient.post('/auth/logout', { refreshToken }, { skipAuthRefresh: true });
+    } catch (error) {
+      console.error('API logout error:', error); // Debug log
+      throw error;
+    }
+  },
+
   /**
    * Register a new user
    * @param {Object} userData - User data for registration
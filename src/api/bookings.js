@@ -1,6 +1,40 @@
 // src/api/bookings.js
 import apiClient from './client';
 
+const CANCELLATION_ERROR_MESSAGES = {
+  CANCELLATION_CUTOFF_PASSED: 'It is too close to the screening to release seats.',
+  SEAT_NOT_IN_BOOKING: 'One of the selected seats is not part of this booking.',
+  SEAT_ALREADY_USED: 'One of the selected seats has already been checked in.',
+  REFUND_AMOUNT_CHANGED: 'The refund amount has changed. Please review it and confirm again.'
+};
+
+const EXCHANGE_ERROR_MESSAGES = {
+  SEATS_UNAVAILABLE: 'Some of the new seats were just taken. Please choose different seats.',
+  PRICE_CHANGED: 'The price difference has changed. Please review it and confirm again.',
+  EXCHANGE_NOT_ALLOWED: 'This booking can no longer be exchanged.',
+  PAYMENT_DECLINED: 'The card on this booking was declined for the price difference.'
+};
+
+const GUEST_BOOKING_ERROR_MESSAGES = {
+  BOOKING_NOT_FOUND: 'We could not find a booking with those details. Check the booking number and the email you booked with.',
+  INVALID_LOOKUP_CODE: 'That lookup code does not match the booking.',
+  ALREADY_CLAIMED: 'This booking has already been added to an account.',
+  TOO_MANY_ATTEMPTS: 'Too many attempts. Please wait a few minutes and try again.'
+};
+
+// Attach a customer-facing message to guest lookup and claim errors
+const toGuestBookingError = (error, fallbackMessage) => {
+  let errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+  if (!errorCode && error.isNotFoundError) errorCode = 'BOOKING_NOT_FOUND';
+  if (!errorCode && error.status === 429) errorCode = 'TOO_MANY_ATTEMPTS';
+
+  return {
+    ...error,
+    guestBookingErrorCode: errorCode || null,
+    message: GUEST_BOOKING_ERROR_MESSAGES[errorCode] || error.message || fallbackMessage
+  };
+};
+
 /**
  * Booking API service with robust error handling
  * Handles all booking-related operations
@@ -73,49 +107,108 @@ const bookingApi = {
     }
   },
 
+  /**
+   * Get the signed e-tickets for a booking
+   * @param {number|string} id - Booking ID
+   * @returns {Promise<Array>} Tickets as [{ ticketId, seat, code }], one per seat
+   */
+  getBookingTickets: async (id) => {
+    try {
+      const response = await apiClient.get(`/bookings/${id}/tickets`);
+      const responseData = response.data || {};
+      const tickets = responseData.tickets || responseData.data || responseData;
+      return Array.isArray(tickets) ? tickets : [];
+    } catch (error) {
+      console.error(`Error fetching tickets for booking ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the user's personal calendar feed.
+   * The feed is served by the API from the same bookings as getUserBookings,
+   * behind a secret token so calendar apps can subscribe without logging in.
+   * @returns {Promise<Object>} { url } - HTTPS address of the .ics feed
+   */
+  getCalendarFeed: async () => {
+    try {
+      const response = await apiClient.get('/bookings/calendar-feed');
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error fetching calendar feed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the calendar feed token, so previously shared feed URLs stop working
+   * @returns {Promise<Object>} { url } - New feed address
+   */
+  resetCalendarFeed: async () => {
+    try {
+      const response = await apiClient.post('/bookings/calendar-feed/reset');
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error resetting calendar feed:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get booked seats for a screening
    * @param {number|string} screeningId - Screening ID
-   * @returns {Promise<Array>} List of booked seats
+   * @returns {Promise<Array>} List of booked seats, empty if the request fails
    */
   getBookedSeatsByScreeningId: async (screeningId) => {
     try {
-      // Try different possible endpoints
-      let response;
-      try {
-        // Try primary endpoint
-        response = await apiClient.get(`/bookings/screening/${screeningId}/seats`);
-      } catch (primaryError) {
-        console.warn('Primary endpoint failed, trying alternative:', primaryError);
-        // Try alternative endpoint
-        response = await apiClient.get(`/screenings/${screeningId}/booked-seats`);
-      }
-      
-      // Normalize response data
-      const responseData = response.data || {};
-      
-      // Check for different response formats
-      const seatsData = responseData.data || responseData;
-      
-      // Different APIs might return different formats
-      if (Array.isArray(seatsData)) {
-        return seatsData;
-      } else if (seatsData.seats && Array.isArray(seatsData.seats)) {
-        return seatsData.seats;
-      } else if (seatsData.bookedSeats && Array.isArray(seatsData.bookedSeats)) {
-        return seatsData.bookedSeats;
-      } else if (typeof seatsData === 'object') {
-        // Try to extract from object keys if it's a map of seat IDs
-        return Object.keys(seatsData).filter(key => key.match(/^[A-Z][0-9]+$/));
-      }
-      
-      return [];
+      return await bookingApi.fetchBookedSeats(screeningId);
     } catch (error) {
       console.error(`Error fetching booked seats for screening ${screeningId}:`, error);
       return [];
     }
   },
 
+  /**
+   * Fetch booked seats for a screening, throwing when the request fails
+   * so callers can tell an error apart from a screening with no bookings
+   * @param {number|string} screeningId - Screening ID
+   * @returns {Promise<Array>} List of booked seats
+   */
+  fetchBookedSeats: async (screeningId) => {
+    // Try different possible endpoints
+    let response;
+    try {
+      // Try primary endpoint
+      response = await apiClient.get(`/bookings/screening/${screeningId}/seats`);
+    } catch (primaryError) {
+      console.warn('Primary endpoint failed, trying alternative:', primaryError);
+      // Try alternative endpoint
+      response = await apiClient.get(`/screenings/${screeningId}/booked-seats`);
+    }
+    
+    // Normalize response data
+    const responseData = response.data || {};
+    
+    // Check for different response formats
+    const seatsData = responseData.data || responseData;
+    
+    // Different APIs might return different formats
+    if (Array.isArray(seatsData)) {
+      return seatsData;
+    } else if (seatsData.seats && Array.isArray(seatsData.seats)) {
+      return seatsData.seats;
+    } else if (seatsData.bookedSeats && Array.isArray(seatsData.bookedSeats)) {
+      return seatsData.bookedSeats;
+    } else if (typeof seatsData === 'object') {
+      // Try to extract from object keys if it's a map of seat IDs
+      return Object.keys(seatsData).filter(key => key.match(/^[A-Z][0-9]+$/));
+    }
+    
+    return [];
+  },
+
   /**
    * Get seating layout for a screening
    * @param {number|string} screeningId - Screening ID
@@ -179,7 +272,12 @@ const bookingApi = {
           name,
           seatsCount: rowData.seats.length,
           priceMultiplier: rowData.priceMultiplier,
-          seatType: rowData.seatType
+          seatType: rowData.seatType,
+          // Keep per-seat types (e.g. wheelchair spaces) for seat picking
+          seats: rowData.seats.map((seat, index) => ({
+            number: seat.seatNumber || index + 1,
+            seatType: seat.seatType || rowData.seatType
+          }))
         }));
         
         return {
@@ -237,13 +335,17 @@ const bookingApi = {
    * Calculate total price for selected seats
    * @param {number|string} screeningId - Screening ID
    * @param {Array<string>} selectedSeats - Selected seats
-   * @returns {Promise<Object>} Price calculation
+   * @param {Object} [seatCategories] - Ticket category by seat ID (ADULT, CHILD, SENIOR, STUDENT)
+   * @param {Array<Object>} [addOns] - Concessions to add ([{ concessionId, size, quantity }])
+   * @returns {Promise<Object>} Price calculation, with addOnLines and addOnsTotal when add-ons are included
    */
-  calculatePrice: async (screeningId, selectedSeats) => {
+  calculatePrice: async (screeningId, selectedSeats, seatCategories = {}, addOns = []) => {
     try {
       const response = await apiClient.post(`/bookings/calculate`, {
         screeningId,
-        selectedSeats
+        selectedSeats,
+        seatCategories,
+        addOns
       });
       
       // Normalize response data
@@ -284,9 +386,19 @@ const bookingApi = {
    * @param {number|string} screeningId - Screening ID
    * @param {Array<string>} selectedSeats - Selected seats
    * @param {string} paymentMethod - Payment method
+   * @param {Object} [extras] - Additional booking fields
+   * @param {string} [extras.holdId] - Seat hold to convert into the booking
+   * @param {Object} [extras.seatCategories] - Ticket category by seat ID
+   * @param {string} [extras.promoCode] - Promo code to redeem
+   * @param {number} [extras.loyaltyPoints] - Loyalty points to put towards the total
+   * @param {Array<Object>} [extras.giftCards] - Gift cards to charge first ([{ code, amount }])
+   * @param {Array<Object>} [extras.addOns] - Concessions to add ([{ concessionId, size, quantity }])
+   * @param {Object} [extras.guest] - Contact details when booking without an account ({ name, email, phone })
+   * @param {Object} [extras.payment] - Authorized card payment ({ provider, paymentId })
+   * @param {string} [extras.idempotencyKey] - Key identifying this checkout attempt, so a retry never books twice
    * @returns {Promise<Object>} Created booking
    */
-  createBooking: async (screeningId, selectedSeats, paymentMethod) => {
+  createBooking: async (screeningId, selectedSeats, paymentMethod, extras = {}) => {
     try {
       // Check for required fields
       if (!screeningId) {
@@ -308,7 +420,53 @@ const bookingApi = {
         paymentMethod
       };
       
-      const response = await apiClient.post('/bookings', bookingData);
+      // Only send the hold when the seats were actually held
+      if (extras.holdId) {
+        bookingData.holdId = extras.holdId;
+      }
+      
+      if (extras.seatCategories) {
+        bookingData.seatCategories = extras.seatCategories;
+      }
+      
+      // The API re-validates the code and applies the discount itself
+      if (extras.promoCode) {
+        bookingData.promoCode = extras.promoCode;
+      }
+      
+      // Points are deducted from the member's balance when the booking succeeds
+      if (extras.loyaltyPoints > 0) {
+        bookingData.loyaltyPoints = extras.loyaltyPoints;
+      }
+      
+      // Gift cards are charged before the card payment, which only covers the rest
+      if (extras.giftCards?.length > 0) {
+        bookingData.giftCards = extras.giftCards;
+      }
+      
+      // Guest bookings get a lookup code emailed to the guest instead of an account link
+      if (extras.guest) {
+        bookingData.guest = extras.guest;
+      }
+      
+      // Add-ons are priced again on the server against the current catalog
+      if (extras.addOns?.length > 0) {
+        bookingData.addOns = extras.addOns;
+      }
+      
+      // Card payments are authorized before the booking; the server captures them
+      // once the seats are booked, so closing the tab cannot leave them uncaptured
+      if (extras.payment) {
+        bookingData.paymentProvider = extras.payment.provider;
+        bookingData.paymentId = extras.payment.paymentId;
+        bookingData.capturePayment = true;
+      }
+      
+      const response = await apiClient.post('/bookings', bookingData, {
+        headers: extras.idempotencyKey ? { 'Idempotency-Key': extras.idempotencyKey } : undefined,
+        // Payment and seat allocation can take longer than ordinary requests
+        timeout: 30000
+      });
       
       // Normalize response data
       const responseData = response.data || {};
@@ -321,6 +479,26 @@ const bookingApi = {
     }
   },
 
+  /**
+   * Look up the outcome of a booking attempt by its idempotency key
+   * @param {string} idempotencyKey - Key sent with createBooking
+   * @returns {Promise<Object>} { status: 'PENDING' | 'COMPLETED' | 'FAILED' | 'NOT_FOUND', booking, message }
+   */
+  getBookingAttempt: async (idempotencyKey) => {
+    try {
+      const response = await apiClient.get(`/bookings/attempts/${idempotencyKey}`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      // The server never received the attempt, so it is safe to send again
+      if (error.isNotFoundError) {
+        return { status: 'NOT_FOUND' };
+      }
+      console.error(`Error looking up booking attempt ${idempotencyKey}:`, error);
+      throw error;
+    }
+  },
+
   /**
    * Cancel a booking
    * @param {number|string} id - Booking ID
@@ -341,6 +519,129 @@ const bookingApi = {
     }
   },
   
+  /**
+   * Release some of a booking's seats and refund them under the cancellation policy.
+   * Releasing every seat cancels the booking.
+   * @param {number|string} id - Booking ID
+   * @param {Object} cancellation - { seats, expectedRefund }; the API rejects the
+   *   request if its refund differs from the amount the user was shown
+   * @returns {Promise<Object>} { booking, refund } - Updated booking and the refund issued
+   */
+  cancelSeats: async (id, { seats, expectedRefund }) => {
+    try {
+      const response = await apiClient.post(`/bookings/${id}/cancellations`, {
+        seats,
+        expectedRefund
+      });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error releasing seats for booking ${id}:`, error);
+
+      const errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+      throw {
+        ...error,
+        cancellationErrorCode: errorCode || null,
+        refundAmount: error.response?.data?.refundAmount,
+        message: CANCELLATION_ERROR_MESSAGES[errorCode] || error.message || 'Could not release the seats.'
+      };
+    }
+  },
+
+  /**
+   * Move a booking to another screening of the same movie in one operation.
+   * The API secures the new seats before releasing the old ones, then charges
+   * the difference to, or refunds it on, the booking's original payment.
+   * @param {number|string} id - Booking ID
+   * @param {Object} exchange - { screeningId, seats, expectedPriceDifference, idempotencyKey }
+   * @returns {Promise<Object>} { booking, priceDifference } - The exchanged booking and the amount charged (positive) or credited (negative)
+   */
+  exchangeBooking: async (id, { screeningId, seats, expectedPriceDifference, idempotencyKey }) => {
+    try {
+      const response = await apiClient.post(`/bookings/${id}/exchange`, {
+        screeningId,
+        bookedSeats: seats,
+        expectedPriceDifference
+      }, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+        // Seat allocation and the payment adjustment can take longer than ordinary requests
+        timeout: 30000
+      });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error exchanging booking ${id}:`, error);
+
+      const errorData = error.response?.data || {};
+      const errorCode = errorData.code || errorData.errorCode;
+      throw {
+        ...error,
+        isConflictError: error.status === 409 && errorCode !== 'PRICE_CHANGED',
+        isPriceChangedError: errorCode === 'PRICE_CHANGED',
+        // The server quotes the current difference with PRICE_CHANGED so it can be confirmed
+        priceDifference: typeof errorData.priceDifference === 'number' ? errorData.priceDifference : null,
+        unavailableSeats: errorData.unavailableSeats || [],
+        message: EXCHANGE_ERROR_MESSAGES[errorCode] || error.message || 'Could not exchange the booking.'
+      };
+    }
+  },
+
+  /**
+   * Find a guest booking by the email it was made with and its booking number
+   * @param {Object} lookup - { email, bookingNumber }
+   * @returns {Promise<Object>} Booking, including its tickets
+   */
+  lookupGuestBooking: async ({ email, bookingNumber }) => {
+    try {
+      const response = await apiClient.post('/bookings/lookup', {
+        email: email.trim().toLowerCase(),
+        bookingNumber: bookingNumber.trim().toUpperCase()
+      });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error looking up booking ${bookingNumber}:`, error);
+      throw toGuestBookingError(error, 'Could not look up the booking.');
+    }
+  },
+
+  /**
+   * Add guest bookings to the signed-in user's account
+   * @param {Array<Object>} claims - [{ bookingNumber, lookupCode }]
+   * @returns {Promise<Object>} { claimed, failed } - Booking numbers claimed, and those that could not be
+   */
+  claimGuestBookings: async (claims) => {
+    try {
+      const response = await apiClient.post('/bookings/claim', { bookings: claims });
+      const responseData = response.data || {};
+      const result = responseData.data || responseData;
+      return {
+        claimed: result.claimed || [],
+        failed: result.failed || []
+      };
+    } catch (error) {
+      console.error('Error claiming guest bookings:', error);
+      throw toGuestBookingError(error, 'Could not add the booking to your account.');
+    }
+  },
+
+  /**
+   * Get the refunds issued for a booking
+   * @param {number|string} id - Booking ID
+   * @returns {Promise<Array>} Refunds as [{ id, seats, amount, fee, reason, status, createdAt, createdBy }]
+   */
+  getBookingRefunds: async (id) => {
+    try {
+      const response = await apiClient.get(`/bookings/${id}/refunds`);
+      const responseData = response.data || {};
+      const refunds = responseData.refunds || responseData.data || responseData;
+      return Array.isArray(refunds) ? refunds : [];
+    } catch (error) {
+      console.error(`Error fetching refunds for booking ${id}:`, error);
+      throw error;
+    }
+  },
+  
   /**
    * Get booking statistics by status
    * @returns {Promise<Object>} Booking statistics
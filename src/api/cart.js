@@ -0,0 +1,75 @@
+// src/api/cart.js
+import apiClient from './client';
+
+/**
+ * Booking cart API service
+ * Keeps a signed-in customer's in-progress booking on the server so it
+ * can be picked up again after logging in on another device
+ */
+const cartApi = {
+  /**
+   * Get the saved booking cart
+   * @returns {Promise<Object|null>} Cart { screeningId, seats, addOns, updatedAt }, or null when empty
+   */
+  getCart: async () => {
+    try {
+      const response = await apiClient.get('/bookings/cart');
+      const responseData = response.data || {};
+      const cartData = responseData.data || responseData;
+
+      if (!cartData?.screeningId) return null;
+
+      return {
+        screeningId: String(cartData.screeningId),
+        seats: Array.isArray(cartData.seats) ? cartData.seats : [],
+        addOns: Array.isArray(cartData.addOns) ? cartData.addOns : [],
+        screeningTime: cartData.screeningTime || null,
+        movieTitle: cartData.movieTitle || null,
+        updatedAt: cartData.updatedAt ? new Date(cartData.updatedAt).getTime() : null
+      };
+    } catch (error) {
+      // No saved cart
+      if (error.isNotFoundError) {
+        return null;
+      }
+      console.error('Error fetching booking cart:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save the booking cart, replacing the previous one
+   * @param {Object} cart - Cart { screeningId, seats, addOns, screeningTime, movieTitle, updatedAt }
+   * @returns {Promise<Object>} Saved cart
+   */
+  saveCart: async (cart) => {
+    try {
+      const response = await apiClient.put('/bookings/cart', {
+        ...cart,
+        updatedAt: cart.updatedAt ? new Date(cart.updatedAt).toISOString() : undefined
+      });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error saving booking cart:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove the saved booking cart
+   * @returns {Promise<Object|null>} Response
+   */
+  clearCart: async () => {
+    try {
+      const response = await apiClient.delete('/bookings/cart');
+      return response.data;
+    } catch (error) {
+      // Nothing saved on the server, which is fine
+      console.warn('Error clearing booking cart:', error);
+      return null;
+    }
+  }
+};
+
+export default cartApi;
@@ -0,0 +1,54 @@
+// src/api/checkIn.js
+import apiClient from './client';
+
+/**
+ * Check-in API service
+ * Validates ticket codes at the door and records admissions
+ */
+const checkInApi = {
+  /**
+   * Validate a scanned ticket and record the admission if it is valid
+   * @param {string} code - Signed ticket code read from the QR
+   * @param {Object} [context] - Door context
+   * @param {number|string} [context.screeningId] - Screening being admitted
+   * @returns {Promise<Object>} { result: 'ADMITTED' | 'REJECTED', reason, booking, seats, checkedInAt }
+   */
+  checkInTicket: async (code, { screeningId } = {}) => {
+    try {
+      const response = await apiClient.post('/admin/check-in', {
+        code: code.trim(),
+        screeningId: screeningId || undefined
+      });
+
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      // Rejections come back as 409/422 with the same body as an admission
+      const rejection = error.response?.data;
+      if (rejection?.result === 'REJECTED') {
+        return rejection;
+      }
+
+      console.error('Error checking in ticket:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get admission counts for a screening
+   * @param {number|string} screeningId - Screening ID
+   * @returns {Promise<Object>} { admitted, expected }
+   */
+  getCheckInSummary: async (screeningId) => {
+    try {
+      const response = await apiClient.get(`/admin/check-in/screenings/${screeningId}`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error fetching check-in summary for screening ${screeningId}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default checkInApi;
@@ -1,4 +1,13 @@
 import axios from 'axios';
+import {
+  getAccessToken,
+  getRefreshToken,
+  storeTokens,
+  clearSession,
+  isTokenExpiring,
+  notifySession,
+  SessionEvents
+} from './session';
 
 /**
  * Axios instance configured for the Theatre Management System API
@@ -12,12 +21,76 @@ const apiClient = axios.create({
   timeout: 10000, // 10 seconds timeout
 });
 
+// The refresh in flight, shared by every request that needs a new token
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for a new access token.
+ * Concurrent callers share one request, so a burst of 401s only refreshes once.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshSession = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return Promise.reject(new Error('No refresh token available'));
+  }
+
+  refreshPromise = apiClient
+    .post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+    .then((response) => {
+      const tokenData = response.data || {};
+      const token = tokenData.accessToken || tokenData.token;
+
+      if (!token) {
+        throw new Error('Invalid refresh response from server');
+      }
+
+      storeTokens({ token, refreshToken: tokenData.refreshToken });
+      notifySession({ type: SessionEvents.REFRESHED, token });
+      return token;
+    })
+    .catch((error) => {
+      // Another tab may have rotated the refresh token while this request was out
+      if (getRefreshToken() !== refreshToken && getAccessToken()) {
+        return getAccessToken();
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+/**
+ * End the session after a refresh has failed
+ */
+const expireSession = () => {
+  clearSession();
+  notifySession({ type: SessionEvents.EXPIRED });
+};
+
 /**
- * Request interceptor to add authentication token
+ * Request interceptor to add authentication token.
+ * Tokens about to expire are renewed first so the request doesn't bounce off a 401.
  */
 apiClient.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('auth_token');
+  async (config) => {
+    if (!config.skipAuthRefresh && getRefreshToken() && isTokenExpiring(getAccessToken())) {
+      try {
+        await refreshSession();
+      } catch (error) {
+        // Send the request anyway; a 401 will end the session in the response interceptor
+        console.warn('Proactive token refresh failed:', error.message);
+      }
+    }
+
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -54,18 +127,30 @@ apiClient.interceptors.response.use(
     
     return response;
   },
-  (error) => {
+  async (error) => {
     // Handle specific error codes
-    const { response } = error;
+    const { response, config } = error;
     
     if (response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem('auth_token');
-      localStorage.removeItem('user');
+      // Renew the token once and replay the request. Login and refresh calls
+      // opt out, since a 401 there means bad credentials, not an old token.
+      if (config && !config.skipAuthRefresh && !config._retried && getRefreshToken()) {
+        config._retried = true;
+
+        try {
+          const token = await refreshSession();
+          config.headers.Authorization = `Bearer ${token}`;
+          return apiClient(config);
+        } catch (refreshError) {
+          console.error('Token refresh failed:', refreshError);
+        }
+      }
       
       // We don't redirect here to avoid coupling with the router
-      // Instead, we'll let the auth context handle this
-      // window.location.href = '/login';
+      // Instead, the auth context hears the expired event and signs the user out
+      if (!config?.skipAuthRefresh && getAccessToken()) {
+        expireSession();
+      }
       
       // Custom error object
       return Promise.reject({
@@ -0,0 +1,126 @@
+// src/api/concessions.js
+import apiClient from './client';
+
+// Catalog endpoints return either a bare list or a wrapped one
+const toConcessionList = (responseData = {}) => {
+  const concessions = responseData.concessions || responseData.data || responseData;
+  return Array.isArray(concessions) ? concessions : [];
+};
+
+/**
+ * Concession API service
+ * Handles the per-theatre snack and drink catalog offered as booking add-ons
+ */
+const concessionApi = {
+  /**
+   * Get the concessions a theatre currently sells
+   * @param {number|string} theatreId - Theatre ID
+   * @returns {Promise<Array>} Active concessions with their sizes and stock flags
+   */
+  getTheatreConcessions: async (theatreId) => {
+    try {
+      const response = await apiClient.get(`/theatres/${theatreId}/concessions`);
+      return toConcessionList(response.data);
+    } catch (error) {
+      console.error(`Error fetching concessions for theatre ${theatreId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a theatre's full concession catalog, including inactive items (Admin only)
+   * @param {Object} [params] - Query parameters (theatreId, search, category)
+   * @returns {Promise<Array>} Concessions
+   */
+  getConcessions: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/admin/concessions', { params });
+      return toConcessionList(response.data);
+    } catch (error) {
+      console.error('Error fetching concessions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a concession by ID (Admin only)
+   * @param {number|string} id - Concession ID
+   * @returns {Promise<Object>} Concession details
+   */
+  getConcessionById: async (id) => {
+    try {
+      const response = await apiClient.get(`/admin/concessions/${id}`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error fetching concession ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a concession (Admin only)
+   * @param {Object} concessionData - Concession data, including theatreId and sizes
+   * @returns {Promise<Object>} Created concession
+   */
+  createConcession: async (concessionData) => {
+    try {
+      const response = await apiClient.post('/admin/concessions', concessionData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating concession:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a concession (Admin only)
+   * @param {number|string} id - Concession ID
+   * @param {Object} concessionData - Updated concession data
+   * @returns {Promise<Object>} Updated concession
+   */
+  updateConcession: async (id, concessionData) => {
+    try {
+      const response = await apiClient.put(`/admin/concessions/${id}`, concessionData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating concession ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a concession, or one of its sizes, in or out of stock (Admin only)
+   * @param {number|string} id - Concession ID
+   * @param {Object} stock - Stock change
+   * @param {boolean} stock.inStock - Whether it can be ordered
+   * @param {string} [stock.size] - Size to change; the whole item when omitted
+   * @returns {Promise<Object>} Updated concession
+   */
+  updateConcessionStock: async (id, { inStock, size }) => {
+    try {
+      const response = await apiClient.patch(`/admin/concessions/${id}/stock`, { inStock, size });
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating stock for concession ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a concession (Admin only)
+   * @param {number|string} id - Concession ID
+   * @returns {Promise<Object>} Response data
+   */
+  deleteConcession: async (id) => {
+    try {
+      const response = await apiClient.delete(`/admin/concessions/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting concession ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default concessionApi;
@@ -0,0 +1,166 @@
+// src/api/giftCards.js
+import apiClient from './client';
+
+const GIFT_CARD_ERROR_MESSAGES = {
+  GIFT_CARD_NOT_FOUND: 'We could not find a gift card with that code.',
+  GIFT_CARD_VOIDED: 'This gift card has been cancelled.',
+  GIFT_CARD_EXPIRED: 'This gift card has expired.',
+  GIFT_CARD_EMPTY: 'This gift card has no balance left.',
+  GIFT_CARD_NOT_DELIVERED: 'This gift card cannot be used until it has been delivered.',
+  INSUFFICIENT_GIFT_CARD_BALANCE: 'The gift card balance changed. Please check it and try again.',
+  INVALID_AMOUNT: 'Choose an amount within the allowed range.',
+  INVALID_DELIVERY_DATE: 'Pick a delivery date from today up to a year ahead.',
+  GIFT_CARD_ALREADY_VOIDED: 'This gift card has already been voided.'
+};
+
+// Attach a readable message for the gift card error codes the API returns
+const toGiftCardError = (error, fallbackMessage) => {
+  const errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+  return {
+    ...error,
+    giftCardErrorCode: errorCode || null,
+    message: GIFT_CARD_ERROR_MESSAGES[errorCode] || error.message || fallbackMessage
+  };
+};
+
+/**
+ * Gift card API service
+ * Customers buy digital gift cards for someone else and spend them at checkout;
+ * staff can issue and void cards, with every change kept on the card's history
+ */
+const giftCardApi = {
+  /**
+   * Buy a gift card, paid with an authorized card payment
+   * @param {Object} order - { amount, recipientName, recipientEmail, senderName, message, deliverAt,
+   *   payment: { provider, paymentId } }
+   * @returns {Promise<Object>} Gift card { id, maskedCode, amount, deliverAt, status }
+   */
+  purchase: async (order) => {
+    try {
+      const { payment, ...giftCard } = order;
+      const response = await apiClient.post('/gift-cards', {
+        ...giftCard,
+        paymentProvider: payment?.provider,
+        paymentId: payment?.paymentId
+      });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error purchasing gift card:', error);
+      throw toGiftCardError(error, 'Could not complete your gift card purchase.');
+    }
+  },
+
+  /**
+   * Check a gift card's balance
+   * @param {string} code - Gift card code
+   * @returns {Promise<Object>} { code, maskedCode, balance, expiresAt, status }
+   */
+  checkBalance: async (code) => {
+    try {
+      const response = await apiClient.post('/gift-cards/balance', { code });
+      const responseData = response.data || {};
+      const giftCard = responseData.data || responseData;
+      return { ...giftCard, code };
+    } catch (error) {
+      // Unknown codes come back as a plain 404
+      if (error.isNotFoundError) {
+        throw {
+          ...error,
+          giftCardErrorCode: 'GIFT_CARD_NOT_FOUND',
+          message: GIFT_CARD_ERROR_MESSAGES.GIFT_CARD_NOT_FOUND
+        };
+      }
+      console.error('Error checking gift card balance:', error);
+      throw toGiftCardError(error, 'Could not check that gift card.');
+    }
+  },
+
+  /**
+   * Get the gift cards the signed-in user has bought
+   * @returns {Promise<Array>} Gift cards, newest first
+   */
+  getMyGiftCards: async () => {
+    try {
+      const response = await apiClient.get('/gift-cards/mine');
+      const responseData = response.data || {};
+      const giftCards = responseData.data || responseData;
+      return Array.isArray(giftCards) ? giftCards : [];
+    } catch (error) {
+      console.error('Error fetching your gift cards:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get gift cards (Admin only)
+   * @param {Object} [params] - { status, search }
+   * @returns {Promise<Array>} Gift cards
+   */
+  getGiftCards: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/admin/gift-cards', { params });
+      const responseData = response.data || {};
+      const giftCards = responseData.data || responseData;
+      return Array.isArray(giftCards) ? giftCards : [];
+    } catch (error) {
+      console.error('Error fetching gift cards:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a gift card with its transaction history (Admin only)
+   * @param {number|string} id - Gift card ID
+   * @returns {Promise<Object>} Gift card with transactions
+   */
+  getGiftCardById: async (id) => {
+    try {
+      const response = await apiClient.get(`/admin/gift-cards/${id}`);
+      const responseData = response.data || {};
+      const giftCard = responseData.data || responseData;
+      return {
+        ...giftCard,
+        transactions: Array.isArray(giftCard.transactions) ? giftCard.transactions : []
+      };
+    } catch (error) {
+      console.error(`Error fetching gift card ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Issue a gift card without payment, e.g. as a goodwill gesture (Admin only)
+   * @param {Object} giftCard - { amount, recipientName, recipientEmail, message, deliverAt, reason }
+   * @returns {Promise<Object>} Issued gift card
+   */
+  issueGiftCard: async (giftCard) => {
+    try {
+      const response = await apiClient.post('/admin/gift-cards', giftCard);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error issuing gift card:', error);
+      throw toGiftCardError(error, 'Could not issue the gift card.');
+    }
+  },
+
+  /**
+   * Void a gift card so its balance can no longer be spent (Admin only)
+   * @param {number|string} id - Gift card ID
+   * @param {string} reason - Reason kept on the card's history
+   * @returns {Promise<Object>} Updated gift card
+   */
+  voidGiftCard: async (id, reason) => {
+    try {
+      const response = await apiClient.post(`/admin/gift-cards/${id}/void`, { reason });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error voiding gift card ${id}:`, error);
+      throw toGiftCardError(error, 'Could not void the gift card.');
+    }
+  }
+};
+
+export default giftCardApi;
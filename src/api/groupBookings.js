@@ -0,0 +1,173 @@
+// src/api/groupBookings.js
+import apiClient from './client';
+
+const GROUP_BOOKING_ERROR_MESSAGES = {
+  PARTY_TOO_SMALL: 'Group requests are for parties of 20 or more. Smaller parties can book online.',
+  SEATS_UNAVAILABLE: 'Some of those seats are no longer free. Pick another block.',
+  SEAT_COUNT_MISMATCH: 'Block exactly one seat per person in the party.',
+  REQUEST_NOT_PENDING: 'This request has already been handled.',
+  INVALID_DEADLINE: 'The payment deadline must be in the future and before the screening.'
+};
+
+// Attach a readable message for the group booking error codes the API returns
+const toGroupBookingError = (error, fallbackMessage) => {
+  const errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+  return {
+    ...error,
+    groupBookingErrorCode: errorCode || null,
+    message: GROUP_BOOKING_ERROR_MESSAGES[errorCode] || error.message || fallbackMessage
+  };
+};
+
+/**
+ * Group booking API service
+ * Schools and companies request seats for large parties, which staff approve,
+ * block in the auditorium and invoice
+ */
+const groupBookingApi = {
+  /**
+   * Send a group booking request
+   * @param {Object} requestData - { movieId, partySize, preferredScreeningIds, preferredTimes,
+   *   contactName, email, phone, organization, billingAddress, purchaseOrder, notes }
+   * @returns {Promise<Object>} Request { id, reference, status }
+   */
+  createRequest: async (requestData) => {
+    try {
+      const response = await apiClient.post('/group-bookings', requestData);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error sending group booking request:', error);
+      throw toGroupBookingError(error, 'Could not send your request.');
+    }
+  },
+
+  /**
+   * Get seats reserved for approved groups at a screening
+   * @param {number|string} screeningId - Screening ID
+   * @returns {Promise<Array<string>>} Reserved seat IDs
+   */
+  getReservedSeats: async (screeningId) => {
+    try {
+      const response = await apiClient.get(`/screenings/${screeningId}/group-reservations`);
+      const responseData = response.data || {};
+      const reservations = responseData.data || responseData;
+
+      // Either a flat list of seats or one entry per group
+      if (!Array.isArray(reservations)) return [];
+      return reservations.flatMap(reservation => (
+        typeof reservation === 'string' ? [reservation] : (reservation.seats || [])
+      ));
+    } catch (error) {
+      // Backend without group bookings - nothing is reserved
+      if (error.isNotFoundError) {
+        return [];
+      }
+      console.error(`Error fetching group reservations for screening ${screeningId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get group booking requests (Admin only)
+   * @param {Object} [params] - { status, search }
+   * @returns {Promise<Array>} Requests
+   */
+  getRequests: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/admin/group-bookings', { params });
+      const responseData = response.data || {};
+      const requests = responseData.data || responseData;
+      return Array.isArray(requests) ? requests : (requests.content || []);
+    } catch (error) {
+      console.error('Error fetching group booking requests:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a group booking request (Admin only)
+   * @param {number|string} id - Request ID
+   * @returns {Promise<Object>} Request with contact, billing, preferred screenings and any
+   *   reservation ({ screeningId, seats }) and invoice ({ invoiceNumber, amount, dueDate, status })
+   */
+  getRequestById: async (id) => {
+    try {
+      const response = await apiClient.get(`/admin/group-bookings/${id}`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error fetching group booking request ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Approve a request and block its seats (Admin only)
+   * @param {number|string} id - Request ID
+   * @param {Object} reservation - { screeningId, seats }
+   * @returns {Promise<Object>} Updated request
+   */
+  approveRequest: async (id, { screeningId, seats }) => {
+    try {
+      const response = await apiClient.post(`/admin/group-bookings/${id}/approve`, { screeningId, seats });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error approving group booking request ${id}:`, error);
+      throw toGroupBookingError(error, 'Could not approve the request.');
+    }
+  },
+
+  /**
+   * Issue an invoice for an approved request (Admin only)
+   * @param {number|string} id - Request ID
+   * @param {Object} invoice - { amount, dueDate, notes }
+   * @returns {Promise<Object>} Updated request with its invoice
+   */
+  issueInvoice: async (id, invoice) => {
+    try {
+      const response = await apiClient.post(`/admin/group-bookings/${id}/invoice`, invoice);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error issuing invoice for group booking request ${id}:`, error);
+      throw toGroupBookingError(error, 'Could not issue the invoice.');
+    }
+  },
+
+  /**
+   * Record payment of a group invoice (Admin only)
+   * @param {number|string} id - Request ID
+   * @returns {Promise<Object>} Updated request
+   */
+  markPaid: async (id) => {
+    try {
+      const response = await apiClient.post(`/admin/group-bookings/${id}/paid`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error marking group booking request ${id} as paid:`, error);
+      throw toGroupBookingError(error, 'Could not record the payment.');
+    }
+  },
+
+  /**
+   * Decline a request, releasing any blocked seats (Admin only)
+   * @param {number|string} id - Request ID
+   * @param {string} [reason] - Reason passed on to the customer
+   * @returns {Promise<Object>} Updated request
+   */
+  declineRequest: async (id, reason) => {
+    try {
+      const response = await apiClient.post(`/admin/group-bookings/${id}/decline`, { reason });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error declining group booking request ${id}:`, error);
+      throw toGroupBookingError(error, 'Could not decline the request.');
+    }
+  }
+};
+
+export default groupBookingApi;
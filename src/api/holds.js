@@ -0,0 +1,84 @@
+// src/api/holds.js
+import apiClient from './client';
+
+/**
+ * Seat hold API service
+ * Temporarily reserves seats for a customer between seat selection and checkout
+ */
+const holdApi = {
+  /**
+   * Place a hold on seats for a screening
+   * @param {number|string} screeningId - Screening ID
+   * @param {Array<string>} seats - Seats to hold
+   * @returns {Promise<Object>} Hold with holdId, seats and expiresAt
+   */
+  createHold: async (screeningId, seats) => {
+    try {
+      const response = await apiClient.post('/bookings/holds', {
+        screeningId,
+        seats
+      });
+
+      // Normalize response data
+      const responseData = response.data || {};
+      const holdData = responseData.data || responseData;
+
+      return {
+        holdId: holdData.holdId || holdData.id,
+        screeningId: holdData.screeningId || screeningId,
+        seats: Array.isArray(holdData.seats) ? holdData.seats : seats,
+        expiresAt: holdData.expiresAt,
+        renewalsLeft: holdData.renewalsLeft ?? null
+      };
+    } catch (error) {
+      console.error(`Error holding seats for screening ${screeningId}:`, error);
+
+      // Surface the seats that were taken by someone else, if the API tells us
+      const unavailableSeats = error.response?.data?.unavailableSeats
+        || error.response?.data?.data?.unavailableSeats
+        || [];
+
+      throw {
+        ...error,
+        isConflictError: error.status === 409,
+        unavailableSeats
+      };
+    }
+  },
+
+  /**
+   * Extend an active hold
+   * @param {string} holdId - Hold ID
+   * @returns {Promise<Object>} Hold with the new expiresAt
+   */
+  renewHold: async (holdId) => {
+    try {
+      const response = await apiClient.put(`/bookings/holds/${holdId}/renew`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error renewing hold ${holdId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Release a hold so the seats become available again
+   * @param {string} holdId - Hold ID
+   * @param {string} [authToken] - Token to use when the session was already cleared (e.g. on logout)
+   * @returns {Promise<Object>} Response
+   */
+  releaseHold: async (holdId, authToken) => {
+    try {
+      const config = authToken ? { headers: { Authorization: `Bearer ${authToken}` } } : {};
+      const response = await apiClient.delete(`/bookings/holds/${holdId}`, config);
+      return response.data;
+    } catch (error) {
+      // The hold may already have expired on the server, which is fine
+      console.warn(`Error releasing hold ${holdId}:`, error);
+      return null;
+    }
+  }
+};
+
+export default holdApi;
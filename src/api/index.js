@@ -8,26 +8,46 @@
 import apiClient from './client';
 import authApi from './auth';
 import bookingApi from './bookings';
+import cartApi from './cart';
+import checkInApi from './checkIn';
+import concessionApi from './concessions';
 import contactApi from './contact';
 import dashboardApi from './dashboard';
+import giftCardApi from './giftCards';
+import groupBookingApi from './groupBookings';
+import loyaltyApi from './loyalty';
 import movieApi from './movies';
 import screeningApi from './screenings';
 import seatApi from './seats';
 import theatreApi from './theatres';
+import twoFactorApi from './twoFactor';
 import userApi from './users';
 import searchApi from './search'; // New search API
+import holdApi from './holds';
+import promotionApi from './promotions';
+import waitlistApi from './waitlist';
 
 export {
   apiClient,
   authApi,
   bookingApi,
+  cartApi,
+  checkInApi,
+  concessionApi,
   contactApi,
   dashboardApi,
+  giftCardApi,
+  groupBookingApi,
+  holdApi,
+  loyaltyApi,
   movieApi,
+  promotionApi,
   screeningApi,
   seatApi,
   theatreApi,
+  twoFactorApi,
   userApi,
+  waitlistApi,
   searchApi // Export search API
 };
 
@@ -35,12 +55,22 @@ export {
 export default {
   auth: authApi,
   bookings: bookingApi,
+  cart: cartApi,
+  checkIn: checkInApi,
+  concessions: concessionApi,
   contact: contactApi,
   dashboard: dashboardApi,
+  giftCards: giftCardApi,
+  groupBookings: groupBookingApi,
+  holds: holdApi,
+  loyalty: loyaltyApi,
   movies: movieApi,
+  promotions: promotionApi,
   screenings: screeningApi,
   seats: seatApi,
   theatres: theatreApi,
+  twoFactor: twoFactorApi,
   users: userApi,
+  waitlist: waitlistApi,
   search: searchApi // Add search API
 };
\ No newline at end of file
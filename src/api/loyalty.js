@@ -0,0 +1,158 @@
+// src/api/loyalty.js
+import apiClient from './client';
+
+const LOYALTY_ERROR_MESSAGES = {
+  INSUFFICIENT_POINTS: 'You do not have enough points for that.',
+  BELOW_MINIMUM_REDEMPTION: 'That is below the minimum number of points you can redeem.',
+  REDEMPTION_EXCEEDS_TOTAL: 'You cannot redeem more points than the booking costs.',
+  ADJUSTMENT_REASON_REQUIRED: 'Give a reason for the adjustment.',
+  NEGATIVE_BALANCE: 'This adjustment would take the balance below zero.'
+};
+
+// Attach a readable message for the loyalty error codes the API returns
+const toLoyaltyError = (error, fallbackMessage) => {
+  const errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+  return {
+    ...error,
+    loyaltyErrorCode: errorCode || null,
+    message: LOYALTY_ERROR_MESSAGES[errorCode] || error.message || fallbackMessage
+  };
+};
+
+// Normalize a points summary from the API
+const normalizeSummary = (summary = {}) => ({
+  balance: summary.balance ?? summary.points ?? 0,
+  lifetimePoints: summary.lifetimePoints ?? summary.qualifyingPoints ?? 0,
+  tier: summary.tier?.id || summary.tier || null,
+  tierExpiresAt: summary.tierExpiresAt || null
+});
+
+/**
+ * Loyalty API service
+ * Members earn points on bookings, redeem them at checkout and move up tiers
+ * as their lifetime points grow
+ */
+const loyaltyApi = {
+  /**
+   * Get the program rules (points per dollar, point value, tiers)
+   * @returns {Promise<Object|null>} Rules, or null when the backend has none configured
+   */
+  getRules: async () => {
+    try {
+      const response = await apiClient.get('/loyalty/rules');
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      // Backend without a loyalty program configured - the defaults apply
+      if (error.isNotFoundError) {
+        return null;
+      }
+      console.error('Error fetching loyalty rules:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the signed-in member's points balance and tier
+   * @returns {Promise<Object>} Summary { balance, lifetimePoints, tier, tierExpiresAt }
+   */
+  getMySummary: async () => {
+    try {
+      const response = await apiClient.get('/loyalty');
+      const responseData = response.data || {};
+      return normalizeSummary(responseData.data || responseData);
+    } catch (error) {
+      console.error('Error fetching loyalty summary:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the signed-in member's points history
+   * @returns {Promise<Array>} Transactions, newest first
+   */
+  getMyHistory: async () => {
+    try {
+      const response = await apiClient.get('/loyalty/history');
+      const responseData = response.data || {};
+      const transactions = responseData.data || responseData;
+      return Array.isArray(transactions) ? transactions : [];
+    } catch (error) {
+      console.error('Error fetching loyalty history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update the program rules (Admin only)
+   * @param {Object} rules - { pointsPerDollar, pointValue, minRedeemPoints, tiers }
+   * @returns {Promise<Object>} Saved rules
+   */
+  updateRules: async (rules) => {
+    try {
+      const response = await apiClient.put('/admin/loyalty/rules', rules);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error updating loyalty rules:', error);
+      throw toLoyaltyError(error, 'Could not save the loyalty rules.');
+    }
+  },
+
+  /**
+   * Get a member's points balance and history (Admin only)
+   * @param {number|string} userId - User ID
+   * @returns {Promise<Object>} { summary, history }
+   */
+  getMemberLoyalty: async (userId) => {
+    try {
+      const response = await apiClient.get(`/admin/users/${userId}/loyalty`);
+      const responseData = response.data || {};
+      const loyalty = responseData.data || responseData;
+      return {
+        summary: normalizeSummary(loyalty.summary || loyalty),
+        history: Array.isArray(loyalty.history) ? loyalty.history : []
+      };
+    } catch (error) {
+      console.error(`Error fetching loyalty for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add or remove points from a member's balance (Admin only)
+   * The reason is kept on the audit trail with the admin who made the change
+   * @param {number|string} userId - User ID
+   * @param {Object} adjustment - { points (negative to deduct), reason }
+   * @returns {Promise<Object>} Recorded adjustment
+   */
+  adjustPoints: async (userId, adjustment) => {
+    try {
+      const response = await apiClient.post(`/admin/users/${userId}/loyalty/adjustments`, adjustment);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error adjusting points for user ${userId}:`, error);
+      throw toLoyaltyError(error, 'Could not adjust the points balance.');
+    }
+  },
+
+  /**
+   * Get the audit trail of manual balance adjustments (Admin only)
+   * @param {Object} [params] - { search, fromDate, toDate }
+   * @returns {Promise<Array>} Adjustments, newest first
+   */
+  getAdjustments: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/admin/loyalty/adjustments', { params });
+      const responseData = response.data || {};
+      const adjustments = responseData.data || responseData;
+      return Array.isArray(adjustments) ? adjustments : [];
+    } catch (error) {
+      console.error('Error fetching loyalty adjustments:', error);
+      throw error;
+    }
+  }
+};
+
+export default loyaltyApi;
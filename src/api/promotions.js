@@ -0,0 +1,163 @@
+// src/api/promotions.js
+import apiClient from './client';
+import { formatCurrency } from '@utils/formatUtils';
+
+/**
+ * Customer-facing messages for promo code rejections
+ */
+const PROMO_ERROR_MESSAGES = {
+  PROMO_NOT_FOUND: 'That promo code does not exist.',
+  PROMO_INACTIVE: 'That promo code is no longer active.',
+  PROMO_NOT_STARTED: 'That promo code cannot be used yet.',
+  PROMO_EXPIRED: 'That promo code has expired.',
+  PROMO_EXHAUSTED: 'That promo code has reached its usage limit.',
+  PROMO_USER_LIMIT: 'You have already used this promo code the maximum number of times.',
+  PROMO_MIN_SPEND: 'Your order does not reach the minimum spend for this promo code.',
+  PROMO_WRONG_MOVIE: 'That promo code is not valid for this movie.'
+};
+
+/**
+ * Promotion API service
+ * Handles promo code validation at checkout and promo code management
+ */
+const promotionApi = {
+  /**
+   * Validate a promo code for a checkout
+   * @param {string} code - Promo code entered by the customer
+   * @param {Object} context - Checkout context
+   * @param {number|string} context.screeningId - Screening ID
+   * @param {number|string} [context.movieId] - Movie ID
+   * @param {number} context.subtotal - Order subtotal before the promo
+   * @returns {Promise<Object>} Promotion with discountType, discountValue and discountAmount
+   */
+  validatePromoCode: async (code, { screeningId, movieId, subtotal }) => {
+    const normalizedCode = code.trim().toUpperCase();
+
+    try {
+      const response = await apiClient.post('/promotions/validate', {
+        code: normalizedCode,
+        screeningId,
+        movieId,
+        subtotal
+      });
+
+      const responseData = response.data || {};
+      return { code: normalizedCode, ...(responseData.data || responseData) };
+    } catch (error) {
+      console.error(`Error validating promo code ${code}:`, error);
+
+      const errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+      let message = PROMO_ERROR_MESSAGES[errorCode] || error.message || 'Could not apply the promo code.';
+
+      // Include the minimum spend when the API tells us what it is
+      const minSpend = error.response?.data?.minSpend;
+      if (errorCode === 'PROMO_MIN_SPEND' && minSpend) {
+        message = `This promo code requires a minimum spend of ${formatCurrency(Number(minSpend))}.`;
+      }
+
+      if (error.isNotFoundError && !errorCode) {
+        message = PROMO_ERROR_MESSAGES.PROMO_NOT_FOUND;
+      }
+
+      throw {
+        ...error,
+        promoErrorCode: errorCode || null,
+        message
+      };
+    }
+  },
+
+  /**
+   * Get all promotions (Admin only)
+   * @param {Object} [params] - Query parameters (search, status)
+   * @returns {Promise<Array>} List of promotions with usage statistics
+   */
+  getPromotions: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/admin/promotions', { params });
+      const responseData = response.data || {};
+      const promotions = responseData.promotions || responseData.data || responseData;
+      return Array.isArray(promotions) ? promotions : [];
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a promotion by ID (Admin only)
+   * @param {number|string} id - Promotion ID
+   * @returns {Promise<Object>} Promotion details
+   */
+  getPromotionById: async (id) => {
+    try {
+      const response = await apiClient.get(`/admin/promotions/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching promotion ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get usage statistics for all promotions (Admin only)
+   * @returns {Promise<Object>} { totalRedemptions, totalDiscountGiven, activePromotions }
+   */
+  getPromotionStats: async () => {
+    try {
+      const response = await apiClient.get('/admin/promotions/stats');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching promotion stats:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a promotion (Admin only)
+   * @param {Object} promotionData - Promotion data
+   * @returns {Promise<Object>} Created promotion
+   */
+  createPromotion: async (promotionData) => {
+    try {
+      const response = await apiClient.post('/admin/promotions', promotionData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating promotion:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a promotion (Admin only)
+   * @param {number|string} id - Promotion ID
+   * @param {Object} promotionData - Updated promotion data
+   * @returns {Promise<Object>} Updated promotion
+   */
+  updatePromotion: async (id, promotionData) => {
+    try {
+      const response = await apiClient.put(`/admin/promotions/${id}`, promotionData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating promotion ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deactivate a promotion so it can no longer be redeemed (Admin only)
+   * @param {number|string} id - Promotion ID
+   * @returns {Promise<Object>} Updated promotion
+   */
+  deactivatePromotion: async (id) => {
+    try {
+      const response = await apiClient.put(`/admin/promotions/${id}/deactivate`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deactivating promotion ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default promotionApi;
@@ -0,0 +1,158 @@
+// src/api/session.js - Token storage and session events
+import { jwtDecode } from 'jwt-decode';
+
+// Storage keys. The access token keeps its old key so existing sessions survive the upgrade.
+const ACCESS_TOKEN_KEY = 'auth_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const USER_KEY = 'user';
+
+// Device keys outlive sign-out: a trusted device stays trusted until it expires or is revoked
+const DEVICE_ID_KEY = 'device_id';
+const DEVICE_TOKEN_KEY = 'trusted_device_token';
+
+// Renew the access token this long before it expires
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Session event types
+ */
+export const SessionEvents = {
+  REFRESHED: 'REFRESHED',
+  EXPIRED: 'EXPIRED'
+};
+
+const listeners = new Set();
+
+/**
+ * Get the stored access token
+ * @returns {string|null} Access token
+ */
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+/**
+ * Get the stored refresh token
+ * @returns {string|null} Refresh token
+ */
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+/**
+ * Store the tokens from a login or refresh response.
+ * Servers that rotate refresh tokens send a new one each time; otherwise the old one is kept.
+ * @param {Object} tokens - Tokens
+ * @param {string} tokens.token - Access token
+ * @param {string} [tokens.refreshToken] - Refresh token
+ */
+export const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+};
+
+/**
+ * Remove the tokens and the stored user
+ */
+export const clearSession = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Get this browser's device ID, creating one the first time
+ * @returns {string} Device ID
+ */
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+
+  if (!deviceId) {
+    deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+
+  return deviceId;
+};
+
+/**
+ * Get the token that lets this device skip 2FA
+ * @returns {string|null} Trusted device token
+ */
+export const getDeviceToken = () => localStorage.getItem(DEVICE_TOKEN_KEY);
+
+/**
+ * Remember that this device is trusted
+ * @param {string} deviceToken - Token from the 2FA verify response
+ */
+export const storeDeviceToken = (deviceToken) => {
+  localStorage.setItem(DEVICE_TOKEN_KEY, deviceToken);
+};
+
+/**
+ * Forget this device's trust, e.g. after it was revoked or rejected
+ */
+export const clearDeviceToken = () => {
+  localStorage.removeItem(DEVICE_TOKEN_KEY);
+};
+
+/**
+ * Read when a token expires
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in milliseconds since epoch, or null if the token has none
+ */
+export const getTokenExpiry = (token) => {
+  if (!token) return null;
+
+  try {
+    const { exp } = jwtDecode(token);
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read which server session a token belongs to
+ * @param {string} token - JWT
+ * @returns {string|null} Session ID from the sid claim, or null if the token has none
+ */
+export const getTokenSessionId = (token) => {
+  if (!token) return null;
+
+  try {
+    const { sid, sessionId } = jwtDecode(token);
+    return sid ?? sessionId ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check whether a token expires within the refresh margin
+ * @param {string} token - JWT
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True when the token should be renewed
+ */
+export const isTokenExpiring = (token, now = Date.now()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - now <= REFRESH_MARGIN_MS;
+};
+
+/**
+ * Listen for session events
+ * @param {Function} listener - Called with { type, token }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Tell listeners about a session event
+ * @param {Object} event - Event with a type from SessionEvents
+ */
+export const notifySession = (event) => {
+  listeners.forEach(listener => listener(event));
+};
@@ -0,0 +1,198 @@
+// src/api/twoFactor.js
+import apiClient from './client';
+import { getDeviceId } from './session';
+
+const TWO_FACTOR_SETTINGS_ERROR_MESSAGES = {
+  INVALID_PASSWORD: 'That password is not right.',
+  REAUTH_REQUIRED: 'Please confirm your password again to continue.',
+  INVALID_TOTP: 'That code does not match. Check the time on your phone and try again.',
+  ENROLLMENT_EXPIRED: 'This setup has expired. Start again to get a new QR code.',
+  TOTP_ALREADY_ENABLED: 'An authenticator app is already set up on your account.'
+};
+
+// Attach a readable message for the 2FA settings error codes the API returns
+const toTwoFactorSettingsError = (error, fallbackMessage) => {
+  const errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+  return {
+    ...error,
+    twoFactorErrorCode: errorCode || null,
+    message: TWO_FACTOR_SETTINGS_ERROR_MESSAGES[errorCode] || error.message || fallbackMessage
+  };
+};
+
+// Normalize the 2FA status from the API
+const normalizeStatus = (status = {}) => ({
+  methods: Array.isArray(status.methods) && status.methods.length > 0 ? status.methods : ['EMAIL'],
+  preferredMethod: status.preferredMethod || 'EMAIL',
+  totpEnabled: !!(status.totpEnabled ?? status.methods?.includes('TOTP')),
+  backupCodesRemaining: status.backupCodesRemaining ?? 0
+});
+
+/**
+ * Two-factor settings API service
+ * Users can add an authenticator app next to the emailed code, keep backup codes
+ * for when they have neither, pick which factor to use first when signing in,
+ * and manage the devices trusted to skip the second factor
+ */
+const twoFactorApi = {
+  /**
+   * Get the signed-in user's second factors
+   * @returns {Promise<Object>} Status { methods, preferredMethod, totpEnabled, backupCodesRemaining }
+   */
+  getStatus: async () => {
+    try {
+      const response = await apiClient.get('/auth/2fa/status');
+      const responseData = response.data || {};
+      return normalizeStatus(responseData.data || responseData);
+    } catch (error) {
+      // Backend without authenticator support - emailed codes only
+      if (error.isNotFoundError) {
+        return normalizeStatus();
+      }
+      console.error('Error fetching 2FA status:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm the user's password before a sensitive change
+   * @param {string} password - Current password
+   * @returns {Promise<Object>} { reauthToken, expiresAt }
+   */
+  reauthenticate: async (password) => {
+    try {
+      const response = await apiClient.post('/auth/reauthenticate', { password }, { skipAuthRefresh: true });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error re-authenticating:', error);
+      throw toTwoFactorSettingsError(error, 'Could not confirm your password');
+    }
+  },
+
+  /**
+   * Start setting up an authenticator app
+   * @returns {Promise<Object>} { secret, provisioningUri } for the QR code
+   */
+  startTotpEnrollment: async () => {
+    try {
+      const response = await apiClient.post('/auth/2fa/totp/enroll');
+      const responseData = response.data || {};
+      const enrollment = responseData.data || responseData;
+      return {
+        secret: enrollment.secret,
+        provisioningUri: enrollment.provisioningUri || enrollment.otpauthUrl
+      };
+    } catch (error) {
+      console.error('Error starting authenticator setup:', error);
+      throw toTwoFactorSettingsError(error, 'Could not start authenticator setup');
+    }
+  },
+
+  /**
+   * Finish setting up an authenticator app with a code from it
+   * @param {string} code - 6-digit code from the app
+   * @returns {Promise<Object>} { backupCodes } issued with the new factor
+   */
+  confirmTotpEnrollment: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/totp/confirm', { code });
+      const responseData = response.data || {};
+      const result = responseData.data || responseData;
+      return { backupCodes: Array.isArray(result.backupCodes) ? result.backupCodes : [] };
+    } catch (error) {
+      console.error('Error confirming authenticator setup:', error);
+      throw toTwoFactorSettingsError(error, 'Could not confirm the code');
+    }
+  },
+
+  /**
+   * Replace the user's backup codes. The old codes stop working.
+   * @param {string} reauthToken - Token from reauthenticate
+   * @returns {Promise<Array<string>>} New backup codes
+   */
+  regenerateBackupCodes: async (reauthToken) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/backup-codes', { reauthToken });
+      const responseData = response.data || {};
+      const result = responseData.data || responseData;
+      return Array.isArray(result.backupCodes) ? result.backupCodes : [];
+    } catch (error) {
+      console.error('Error generating backup codes:', error);
+      throw toTwoFactorSettingsError(error, 'Could not generate backup codes');
+    }
+  },
+
+  /**
+   * Remove the authenticator app and backup codes, leaving emailed codes
+   * @param {string} reauthToken - Token from reauthenticate
+   * @returns {Promise<void>}
+   */
+  disableTotp: async (reauthToken) => {
+    try {
+      await apiClient.delete('/auth/2fa/totp', { data: { reauthToken } });
+    } catch (error) {
+      console.error('Error disabling authenticator:', error);
+      throw toTwoFactorSettingsError(error, 'Could not turn off the authenticator app');
+    }
+  },
+
+  /**
+   * Get the devices allowed to skip 2FA
+   * @returns {Promise<Array>} Devices { id, deviceId, deviceName, userAgent, location, lastUsedAt,
+   *   expiresAt, isCurrent }
+   */
+  getTrustedDevices: async () => {
+    try {
+      const response = await apiClient.get('/auth/trusted-devices');
+      const responseData = response.data || {};
+      const devices = responseData.data || responseData;
+      if (!Array.isArray(devices)) return [];
+
+      const deviceId = getDeviceId();
+      return devices.map(device => ({
+        ...device,
+        isCurrent: device.current ?? device.deviceId === deviceId
+      }));
+    } catch (error) {
+      // Backend without trusted devices - nothing to list
+      if (error.isNotFoundError) {
+        return [];
+      }
+      console.error('Error fetching trusted devices:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop trusting a device; it will be asked for a code at its next sign-in
+   * @param {number|string} id - Trusted device ID
+   * @returns {Promise<void>}
+   */
+  revokeTrustedDevice: async (id) => {
+    try {
+      await apiClient.delete(`/auth/trusted-devices/${id}`);
+    } catch (error) {
+      console.error(`Error revoking trusted device ${id}:`, error);
+      throw toTwoFactorSettingsError(error, 'Could not remove the device');
+    }
+  },
+
+  /**
+   * Choose which second factor to ask for first at sign-in
+   * @param {string} method - EMAIL or TOTP
+   * @returns {Promise<Object>} Updated status
+   */
+  setPreferredMethod: async (method) => {
+    try {
+      const response = await apiClient.put('/auth/2fa/preferred-method', { method });
+      const responseData = response.data || {};
+      return normalizeStatus(responseData.data || responseData);
+    } catch (error) {
+      console.error('Error updating preferred 2FA method:', error);
+      throw toTwoFactorSettingsError(error, 'Could not update your preferred method');
+    }
+  }
+};
+
+export default twoFactorApi;
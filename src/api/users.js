@@ -1,4 +1,16 @@
 import apiClient from './client';
+import { getAccessToken, getTokenSessionId } from './session';
+
+// Flag the session this browser is using so it can't be signed out by mistake
+const markCurrentSession = (sessions) => {
+  if (!Array.isArray(sessions)) return [];
+
+  const currentSessionId = getTokenSessionId(getAccessToken());
+  return sessions.map(session => ({
+    ...session,
+    isCurrent: session.current ?? (currentSessionId !== null && String(session.id) === String(currentSessionId))
+  }));
+};
 
 /**
  * API service for user-related operations
@@ -36,6 +48,35 @@ const userApi = {
     return response.data;
   },
 
+  /**
+   * Get the current user's signed-in sessions
+   * @returns {Promise<Array>} Sessions { id, deviceName, userAgent, ipAddress, location, createdAt,
+   *   lastActiveAt, isCurrent }
+   */
+  getMySessions: async () => {
+    const response = await apiClient.get('/user/sessions');
+    return markCurrentSession(response.data);
+  },
+
+  /**
+   * Sign out one of the current user's sessions
+   * @param {number|string} sessionId - Session ID
+   * @returns {Promise<Object>} Response
+   */
+  revokeMySession: async (sessionId) => {
+    const response = await apiClient.delete(`/user/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  /**
+   * Sign out every session except the one making the request
+   * @returns {Promise<Object>} Response with the number of sessions ended
+   */
+  revokeOtherSessions: async () => {
+    const response = await apiClient.post('/user/sessions/revoke-others');
+    return response.data;
+  },
+
   /**
    * Get all users (Admin only)
    * @param {Object} params - Query parameters
@@ -140,6 +181,26 @@ const userApi = {
     return response.data;
   },
 
+  /**
+   * Get a user's signed-in sessions (Admin only)
+   * @param {number|string} id - User ID
+   * @returns {Promise<Array>} Sessions
+   */
+  getUserSessions: async (id) => {
+    const response = await apiClient.get(`/admin/users/${id}/sessions`);
+    return Array.isArray(response.data) ? response.data : [];
+  },
+
+  /**
+   * Sign a user out of every session, e.g. after a role change (Admin only)
+   * @param {number|string} id - User ID
+   * @returns {Promise<Object>} Response with the number of sessions ended
+   */
+  revokeUserSessions: async (id) => {
+    const response = await apiClient.delete(`/admin/users/${id}/sessions`);
+    return response.data;
+  },
+
   // Additional utility methods for form validation
 
   /**
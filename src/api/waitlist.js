@@ -0,0 +1,128 @@
+// src/api/waitlist.js
+import apiClient from './client';
+
+const WAITLIST_ERROR_MESSAGES = {
+  ALREADY_ON_WAITLIST: 'You are already on the waitlist for this screening.',
+  SCREENING_NOT_SOLD_OUT: 'Seats are available for this screening, so you can book them now.',
+  PARTY_TOO_LARGE: 'That party is larger than the waitlist allows.',
+  OFFER_EXPIRED: 'This offer has expired and the seats have been offered to the next person.',
+  OFFER_CLAIMED: 'This offer has already been claimed.'
+};
+
+// Attach a readable message for the waitlist error codes the API returns
+const toWaitlistError = (error, fallbackMessage) => {
+  const errorCode = error.response?.data?.code || error.response?.data?.errorCode;
+  return {
+    ...error,
+    waitlistErrorCode: errorCode || null,
+    message: WAITLIST_ERROR_MESSAGES[errorCode] || error.message || fallbackMessage
+  };
+};
+
+/**
+ * Waitlist API service
+ * Customers queue for sold-out screenings and are offered seats that free up
+ */
+const waitlistApi = {
+  /**
+   * Join the waitlist for a screening
+   * @param {number|string} screeningId - Screening ID
+   * @param {number} partySize - Number of seats wanted
+   * @returns {Promise<Object>} Waitlist entry { id, screeningId, partySize, position, status }
+   */
+  joinWaitlist: async (screeningId, partySize) => {
+    try {
+      const response = await apiClient.post(`/screenings/${screeningId}/waitlist`, { partySize });
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error joining waitlist for screening ${screeningId}:`, error);
+      throw toWaitlistError(error, 'Could not join the waitlist.');
+    }
+  },
+
+  /**
+   * Get the current user's waitlist entries
+   * @returns {Promise<Array>} Entries with screening details, position and any open offer
+   *   ({ seats, expiresAt, token }) once seats have been set aside for them
+   */
+  getMyWaitlistEntries: async () => {
+    try {
+      const response = await apiClient.get('/waitlist');
+      const responseData = response.data || {};
+      const entries = responseData.data || responseData;
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error('Error fetching waitlist entries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Leave a waitlist
+   * @param {number|string} entryId - Waitlist entry ID
+   * @returns {Promise<Object>} Response
+   */
+  leaveWaitlist: async (entryId) => {
+    try {
+      const response = await apiClient.delete(`/waitlist/${entryId}`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error(`Error leaving waitlist entry ${entryId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a seat offer from its claim link
+   * @param {string} token - Offer token from the claim link
+   * @returns {Promise<Object>} Offer { token, status, screeningId, movieTitle, theatreName, screeningTime, seats, expiresAt }
+   */
+  getOffer: async (token) => {
+    try {
+      const response = await apiClient.get(`/waitlist/offers/${token}`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error fetching waitlist offer:', error);
+      throw toWaitlistError(error, 'Could not load this offer.');
+    }
+  },
+
+  /**
+   * Claim an offer. The offered seats become a seat hold for checkout.
+   * @param {string} token - Offer token
+   * @returns {Promise<Object>} Seat hold { holdId, screeningId, seats, expiresAt }
+   */
+  claimOffer: async (token) => {
+    try {
+      const response = await apiClient.post(`/waitlist/offers/${token}/claim`);
+      const responseData = response.data || {};
+      return responseData.data || responseData;
+    } catch (error) {
+      console.error('Error claiming waitlist offer:', error);
+      throw toWaitlistError(error, 'Could not claim this offer.');
+    }
+  },
+
+  /**
+   * Get waitlist demand per screening (Admin only)
+   * @param {Object} [params] - { fromDate, toDate }
+   * @returns {Promise<Array>} [{ screeningId, movieTitle, theatreName, screenNumber, startTime,
+   *   waitingEntries, waitingSeats, openOffers, claimedOffers, expiredOffers }]
+   */
+  getWaitlistDemand: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/admin/waitlist', { params });
+      const responseData = response.data || {};
+      const demand = responseData.data || responseData;
+      return Array.isArray(demand) ? demand : [];
+    } catch (error) {
+      console.error('Error fetching waitlist demand:', error);
+      throw error;
+    }
+  }
+};
+
+export default waitlistApi;
@@ -0,0 +1,50 @@
+import PropTypes from 'prop-types';
+import { TicketCategories } from '@utils/ticketCategories';
+
+/**
+ * Ticket category discount inputs for the screening forms
+ * Registers `categoryDiscounts.<CATEGORY>` fields on a react-hook-form form
+ */
+const CategoryDiscountFields = ({ register, errors = {} }) => {
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-medium text-gray-900 mb-1">Ticket Category Discounts</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Percentage taken off the seat price for each ticket category.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+        {Object.entries(TicketCategories).map(([category, { label, defaultDiscount }]) => (
+          <div key={category}>
+            <label htmlFor={`discount-${category}`} className="block text-sm font-medium text-gray-700 mb-1">
+              {label} (%)
+            </label>
+            <input
+              type="number"
+              id={`discount-${category}`}
+              min="0"
+              max="100"
+              step="1"
+              placeholder={String(defaultDiscount)}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              {...register(`categoryDiscounts.${category}`, {
+                min: { value: 0, message: 'Discount cannot be negative' },
+                max: { value: 100, message: 'Discount cannot exceed 100%' }
+              })}
+            />
+            {errors[category] && (
+              <p className="mt-1 text-sm text-red-600">{errors[category].message}</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+CategoryDiscountFields.propTypes = {
+  register: PropTypes.func.isRequired,
+  errors: PropTypes.object
+};
+
+export default CategoryDiscountFields;
@@ -0,0 +1,304 @@
+import PropTypes from 'prop-types';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { useGetTheatres } from '@hooks/useTheatres';
+import { ConcessionCategories } from '@utils/concessionUtils';
+import Button from '@components/common/Button';
+import { PlusIcon, TrashIcon, ShoppingBagIcon } from '@heroicons/react/24/outline';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+const emptySize = { label: '', price: '', inStock: true };
+
+/**
+ * Convert a concession from the API into form values
+ * @param {Object} [concession] - Concession
+ * @returns {Object} Form values
+ */
+const toConcessionFormValues = (concession = {}) => ({
+  theatreId: concession.theatreId ? String(concession.theatreId) : '',
+  name: concession.name || '',
+  description: concession.description || '',
+  category: concession.category || 'SNACK',
+  imageUrl: concession.imageUrl || '',
+  sizes: concession.sizes?.length > 0
+    ? concession.sizes.map(size => ({ label: size.label, price: size.price, inStock: size.inStock !== false }))
+    : [{ ...emptySize, label: 'Regular' }],
+  inStock: concession.inStock ?? true,
+  active: concession.active ?? true
+});
+
+/**
+ * Shared create/edit form for concession catalog items
+ */
+const ConcessionForm = ({ defaultValues, onSubmit, onCancel, isSubmitting = false, submitLabel = 'Save Item' }) => {
+  const { data: theatresData = [] } = useGetTheatres();
+  const theatres = Array.isArray(theatresData) ? theatresData : [];
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: toConcessionFormValues(defaultValues)
+  });
+  const { fields, append, remove } = useFieldArray({ control, name: 'sizes' });
+
+  const imageUrl = watch('imageUrl');
+
+  // Convert form values into the API payload
+  const submitForm = (data) => {
+    onSubmit({
+      // The theatre select is disabled when editing, so its value is not submitted
+      theatreId: Number(data.theatreId || defaultValues?.theatreId),
+      name: data.name.trim(),
+      description: data.description,
+      category: data.category,
+      imageUrl: data.imageUrl || null,
+      sizes: data.sizes.map(size => ({
+        label: size.label.trim(),
+        price: Number(size.price),
+        inStock: size.inStock
+      })),
+      inStock: data.inStock,
+      active: data.active
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit(submitForm)} className="bg-white rounded-lg shadow">
+      <div className="p-6 space-y-6">
+        {/* Theatre and category */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="theatreId" className="block text-sm font-medium text-gray-700 mb-1">
+              Theatre *
+            </label>
+            <select
+              id="theatreId"
+              className={inputClassName(errors.theatreId)}
+              disabled={!!defaultValues?.id}
+              {...register('theatreId', { required: 'Theatre is required' })}
+            >
+              <option value="">Select a theatre</option>
+              {theatres.map(theatre => (
+                <option key={theatre.id} value={theatre.id}>{theatre.name}</option>
+              ))}
+            </select>
+            {errors.theatreId && (
+              <p className="mt-1 text-sm text-red-600">{errors.theatreId.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-1">
+              Category *
+            </label>
+            <select
+              id="category"
+              className={inputClassName(errors.category)}
+              {...register('category', { required: true })}
+            >
+              {Object.entries(ConcessionCategories).map(([category, { label }]) => (
+                <option key={category} value={category}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Name and description */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+              Name *
+            </label>
+            <input
+              type="text"
+              id="name"
+              placeholder="Salted Popcorn"
+              className={inputClassName(errors.name)}
+              {...register('name', {
+                required: 'Name is required',
+                maxLength: { value: 80, message: 'Name must be 80 characters or fewer' }
+              })}
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+              Description
+            </label>
+            <input
+              type="text"
+              id="description"
+              className={inputClassName(errors.description)}
+              {...register('description')}
+            />
+          </div>
+        </div>
+
+        {/* Image */}
+        <div className="flex items-start gap-4">
+          <div className="h-20 w-20 flex-shrink-0 rounded bg-gray-100 overflow-hidden flex items-center justify-center">
+            {imageUrl ? (
+              <img src={imageUrl} alt="Preview" className="h-full w-full object-cover" />
+            ) : (
+              <ShoppingBagIcon className="h-8 w-8 text-gray-400" />
+            )}
+          </div>
+          <div className="flex-1">
+            <label htmlFor="imageUrl" className="block text-sm font-medium text-gray-700 mb-1">
+              Image URL
+            </label>
+            <input
+              type="url"
+              id="imageUrl"
+              placeholder="https://example.com/popcorn.jpg"
+              className={inputClassName(errors.imageUrl)}
+              {...register('imageUrl', {
+                pattern: {
+                  value: /^https?:\/\/.+/i,
+                  message: 'Enter a full http(s) URL'
+                }
+              })}
+            />
+            {errors.imageUrl && (
+              <p className="mt-1 text-sm text-red-600">{errors.imageUrl.message}</p>
+            )}
+          </div>
+        </div>
+
+        {/* Sizes and prices */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-700">Sizes &amp; Prices *</h3>
+            <Button
+              variant="outline"
+              size="sm"
+              icon={<PlusIcon className="h-4 w-4 mr-1" />}
+              onClick={() => append(emptySize)}
+            >
+              Add Size
+            </Button>
+          </div>
+          <div className="space-y-3">
+            {fields.map((field, index) => (
+              <div key={field.id} className="grid grid-cols-12 gap-3 items-start">
+                <div className="col-span-5">
+                  <label htmlFor={`sizes.${index}.label`} className="sr-only">Size</label>
+                  <input
+                    type="text"
+                    id={`sizes.${index}.label`}
+                    placeholder="Size, e.g. Large"
+                    className={inputClassName(errors.sizes?.[index]?.label)}
+                    {...register(`sizes.${index}.label`, {
+                      required: 'Size is required',
+                      validate: (value, values) => values.sizes
+                        .filter(size => size.label.trim().toLowerCase() === value.trim().toLowerCase()).length === 1
+                        || 'Sizes must be unique'
+                    })}
+                  />
+                  {errors.sizes?.[index]?.label && (
+                    <p className="mt-1 text-sm text-red-600">{errors.sizes[index].label.message}</p>
+                  )}
+                </div>
+                <div className="col-span-3">
+                  <label htmlFor={`sizes.${index}.price`} className="sr-only">Price</label>
+                  <input
+                    type="number"
+                    id={`sizes.${index}.price`}
+                    step="0.01"
+                    placeholder="Price ($)"
+                    className={inputClassName(errors.sizes?.[index]?.price)}
+                    {...register(`sizes.${index}.price`, {
+                      required: 'Price is required',
+                      min: { value: 0, message: 'Cannot be negative' }
+                    })}
+                  />
+                  {errors.sizes?.[index]?.price && (
+                    <p className="mt-1 text-sm text-red-600">{errors.sizes[index].price.message}</p>
+                  )}
+                </div>
+                <div className="col-span-3 flex items-center h-9">
+                  <input
+                    type="checkbox"
+                    id={`sizes.${index}.inStock`}
+                    className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    {...register(`sizes.${index}.inStock`)}
+                  />
+                  <label htmlFor={`sizes.${index}.inStock`} className="ml-2 text-sm text-gray-700">
+                    In stock
+                  </label>
+                </div>
+                <div className="col-span-1 flex justify-end">
+                  <button
+                    type="button"
+                    className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-40"
+                    aria-label="Remove size"
+                    disabled={fields.length === 1}
+                    onClick={() => remove(index)}
+                  >
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Stock and active flags */}
+        <div className="space-y-3">
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="inStock"
+              className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              {...register('inStock')}
+            />
+            <label htmlFor="inStock" className="ml-2 block text-sm text-gray-700">
+              In stock (uncheck to show the item as sold out)
+            </label>
+          </div>
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="active"
+              className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              {...register('active')}
+            />
+            <label htmlFor="active" className="ml-2 block text-sm text-gray-700">
+              Active (offered to customers at checkout)
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div className="px-6 py-4 bg-gray-50 flex justify-end space-x-3 rounded-b-lg">
+        <Button variant="outline" onClick={onCancel} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" loading={isSubmitting}>
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+ConcessionForm.propTypes = {
+  defaultValues: PropTypes.object,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool,
+  submitLabel: PropTypes.string
+};
+
+export default ConcessionForm;
@@ -0,0 +1,172 @@
+import PropTypes from 'prop-types';
+import { useForm } from 'react-hook-form';
+import { formatCurrency } from '@utils/formatUtils';
+import { MAX_GIFT_CARD_AMOUNT, getMaxDeliveryDate } from '@utils/giftCardUtils';
+import Button from '@components/common/Button';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+/**
+ * Form for staff to issue a gift card without payment, e.g. as compensation.
+ * The reason is required because it goes on the card's audit trail.
+ */
+const GiftCardIssueForm = ({ onSubmit, onCancel, isSubmitting = false }) => {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      amount: '',
+      recipientName: '',
+      recipientEmail: '',
+      message: '',
+      deliverDate: '',
+      reason: ''
+    }
+  });
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  const submitForm = (data) => {
+    onSubmit({
+      amount: Number(data.amount),
+      recipientName: data.recipientName.trim(),
+      recipientEmail: data.recipientEmail.trim(),
+      message: data.message.trim() || undefined,
+      deliverAt: data.deliverDate ? `${data.deliverDate}T09:00:00` : null,
+      reason: data.reason.trim()
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit(submitForm)} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="issueAmount" className="block text-sm font-medium text-gray-700 mb-1">
+            Amount ($) *
+          </label>
+          <input
+            type="number"
+            id="issueAmount"
+            step="0.01"
+            className={inputClassName(errors.amount)}
+            {...register('amount', {
+              required: 'Amount is required',
+              min: { value: 1, message: 'At least $1' },
+              max: { value: MAX_GIFT_CARD_AMOUNT, message: `At most ${formatCurrency(MAX_GIFT_CARD_AMOUNT)}` }
+            })}
+          />
+          {errors.amount && (
+            <p className="mt-1 text-sm text-red-600">{errors.amount.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="issueRecipientName" className="block text-sm font-medium text-gray-700 mb-1">
+            Recipient name *
+          </label>
+          <input
+            type="text"
+            id="issueRecipientName"
+            className={inputClassName(errors.recipientName)}
+            {...register('recipientName', { required: 'Recipient name is required' })}
+          />
+          {errors.recipientName && (
+            <p className="mt-1 text-sm text-red-600">{errors.recipientName.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="issueRecipientEmail" className="block text-sm font-medium text-gray-700 mb-1">
+            Recipient email *
+          </label>
+          <input
+            type="email"
+            id="issueRecipientEmail"
+            className={inputClassName(errors.recipientEmail)}
+            {...register('recipientEmail', {
+              required: 'Recipient email is required',
+              pattern: {
+                value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                message: 'Invalid email address'
+              }
+            })}
+          />
+          {errors.recipientEmail && (
+            <p className="mt-1 text-sm text-red-600">{errors.recipientEmail.message}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2">
+          <label htmlFor="issueMessage" className="block text-sm font-medium text-gray-700 mb-1">
+            Message to the recipient
+          </label>
+          <input
+            type="text"
+            id="issueMessage"
+            className={inputClassName(errors.message)}
+            {...register('message')}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="issueDeliverDate" className="block text-sm font-medium text-gray-700 mb-1">
+            Delivery date
+          </label>
+          <input
+            type="date"
+            id="issueDeliverDate"
+            min={today}
+            max={getMaxDeliveryDate()}
+            className={inputClassName(errors.deliverDate)}
+            {...register('deliverDate')}
+          />
+          <p className="mt-1 text-sm text-gray-500">Leave empty to send now.</p>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="issueReason" className="block text-sm font-medium text-gray-700 mb-1">
+          Reason *
+        </label>
+        <input
+          type="text"
+          id="issueReason"
+          placeholder="e.g. Compensation for cancelled screening, booking BK-1234"
+          className={inputClassName(errors.reason)}
+          {...register('reason', {
+            required: 'A reason is required for the audit trail',
+            validate: (value) => value.trim().length >= 5 || 'Give a little more detail'
+          })}
+        />
+        {errors.reason && (
+          <p className="mt-1 text-sm text-red-600">{errors.reason.message}</p>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <Button variant="outline" onClick={onCancel} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" loading={isSubmitting}>
+          Issue Gift Card
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+GiftCardIssueForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool
+};
+
+export default GiftCardIssueForm;
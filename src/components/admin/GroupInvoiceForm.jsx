@@ -0,0 +1,127 @@
+import PropTypes from 'prop-types';
+import { useForm } from 'react-hook-form';
+import { useBookings } from '@hooks/useBookings';
+import { formatCurrency } from '@utils/formatUtils';
+import { suggestPaymentDeadline } from '@utils/groupBookingUtils';
+import Button from '@components/common/Button';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+/**
+ * Invoice form for a group whose seats have been blocked.
+ * The standard ticket price is shown as a guide for the group rate.
+ */
+const GroupInvoiceForm = ({ reservation, onSubmit, isSubmitting = false }) => {
+  const { useCalculatePrice } = useBookings();
+  const { data: standardPrice } = useCalculatePrice(reservation.screeningId, reservation.seats);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      amount: '',
+      dueDate: suggestPaymentDeadline(reservation.screeningTime),
+      notes: ''
+    }
+  });
+
+  const submitForm = (data) => {
+    onSubmit({
+      amount: Number(data.amount),
+      dueDate: data.dueDate,
+      notes: data.notes.trim() || undefined
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit(submitForm)} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="invoiceAmount" className="block text-sm font-medium text-gray-700 mb-1">
+            Invoice total ($) *
+          </label>
+          <input
+            type="number"
+            id="invoiceAmount"
+            step="0.01"
+            className={inputClassName(errors.amount)}
+            {...register('amount', {
+              required: 'Amount is required',
+              min: { value: 0.01, message: 'Amount must be more than zero' }
+            })}
+          />
+          {errors.amount ? (
+            <p className="mt-1 text-sm text-red-600">{errors.amount.message}</p>
+          ) : standardPrice?.totalPrice > 0 && (
+            <p className="mt-1 text-sm text-gray-500">
+              Standard price for {reservation.seats.length} seats: {formatCurrency(standardPrice.totalPrice)}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="invoiceDueDate" className="block text-sm font-medium text-gray-700 mb-1">
+            Payment deadline *
+          </label>
+          <input
+            type="date"
+            id="invoiceDueDate"
+            className={inputClassName(errors.dueDate)}
+            {...register('dueDate', {
+              required: 'Deadline is required',
+              validate: (value) => {
+                const due = new Date(`${value}T23:59:59`);
+                if (due < new Date()) return 'Deadline must be in the future';
+                if (reservation.screeningTime && due >= new Date(reservation.screeningTime)) {
+                  return 'Deadline must be before the screening';
+                }
+                return true;
+              }
+            })}
+          />
+          {errors.dueDate ? (
+            <p className="mt-1 text-sm text-red-600">{errors.dueDate.message}</p>
+          ) : (
+            <p className="mt-1 text-sm text-gray-500">Unpaid seats are released after this date.</p>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="invoiceNotes" className="block text-sm font-medium text-gray-700 mb-1">
+          Note on the invoice
+        </label>
+        <textarea
+          id="invoiceNotes"
+          rows={2}
+          className={inputClassName(errors.notes)}
+          {...register('notes')}
+        />
+      </div>
+
+      <div className="flex justify-end">
+        <Button type="submit" variant="primary" loading={isSubmitting}>
+          Issue Invoice
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+GroupInvoiceForm.propTypes = {
+  reservation: PropTypes.shape({
+    screeningId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    seats: PropTypes.arrayOf(PropTypes.string).isRequired,
+    screeningTime: PropTypes.string
+  }).isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool
+};
+
+export default GroupInvoiceForm;
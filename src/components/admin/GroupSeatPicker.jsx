@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { SparklesIcon } from '@heroicons/react/24/outline';
+import { useBookings } from '@hooks/useBookings';
+import { useGetGroupReservedSeats } from '@hooks/useGroupBookings';
+import { normalizeSeatingLayout, normalizeBookedSeats } from '@utils/seatLayout';
+import { findBestSeats } from '@utils/seatScoring';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import SeatGrid from '@components/features/booking/SeatGrid';
+
+/**
+ * Seat map for blocking one seat per member of a group.
+ * Staff can take the suggested block and adjust it seat by seat.
+ */
+const GroupSeatPicker = ({ screeningId, partySize, selectedSeats, onChange }) => {
+  const [suggestionMessage, setSuggestionMessage] = useState('');
+
+  const { useGetSeatingLayout, useGetBookedSeats } = useBookings();
+  const { data: rawLayout, isLoading: isLoadingLayout } = useGetSeatingLayout(screeningId);
+  const { data: rawBookedSeats = [], isLoading: isLoadingBooked } = useGetBookedSeats(screeningId);
+  const { data: reservedSeats = [] } = useGetGroupReservedSeats(screeningId);
+
+  if (isLoadingLayout || isLoadingBooked) {
+    return <LoadingSpinner />;
+  }
+
+  const { layout } = normalizeSeatingLayout(rawLayout);
+  const unavailableSeats = [...normalizeBookedSeats(rawBookedSeats), ...reservedSeats];
+
+  // Keep the party together where possible, otherwise spread it across neighbouring rows
+  const handleSuggest = () => {
+    const found = findBestSeats(layout, unavailableSeats, partySize);
+    const suggestion = found.best || found.alternatives[0];
+
+    if (!suggestion) {
+      setSuggestionMessage(`There are not ${partySize} free seats left at this screening.`);
+      return;
+    }
+
+    setSuggestionMessage(found.contiguous ? '' : 'No single row fits the whole group, so it is split across rows.');
+    onChange(suggestion.seats);
+  };
+
+  const handleToggle = (seatId) => {
+    if (selectedSeats.includes(seatId)) {
+      onChange(selectedSeats.filter(seat => seat !== seatId));
+    } else if (selectedSeats.length < partySize) {
+      onChange([...selectedSeats, seatId]);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <p className={`text-sm ${selectedSeats.length === partySize ? 'text-green-700' : 'text-gray-600'}`}>
+          {selectedSeats.length} of {partySize} seats selected
+        </p>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={() => onChange([])} disabled={selectedSeats.length === 0}>
+            Clear
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            icon={<SparklesIcon className="h-4 w-4 mr-1" />}
+            onClick={handleSuggest}
+          >
+            Suggest Seats
+          </Button>
+        </div>
+      </div>
+
+      {suggestionMessage && (
+        <p className="text-sm text-yellow-700 mb-4">{suggestionMessage}</p>
+      )}
+
+      <SeatGrid
+        layout={layout}
+        unavailableSeats={unavailableSeats}
+        selectedSeats={selectedSeats}
+        reservedSeats={reservedSeats}
+        onToggle={handleToggle}
+      />
+    </div>
+  );
+};
+
+GroupSeatPicker.propTypes = {
+  screeningId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  partySize: PropTypes.number.isRequired,
+  selectedSeats: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default GroupSeatPicker;
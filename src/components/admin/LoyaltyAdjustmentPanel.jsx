@@ -0,0 +1,168 @@
+import PropTypes from 'prop-types';
+import { useForm } from 'react-hook-form';
+import { useToast } from '@contexts/ToastContext';
+import { useGetLoyaltyRules, useGetMemberLoyalty, useAdjustPoints } from '@hooks/useLoyalty';
+import { getMemberTier } from '@utils/loyaltyUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import TierBadge from '@components/features/loyalty/TierBadge';
+import PointsHistoryTable from '@components/features/loyalty/PointsHistoryTable';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+/**
+ * A member's points balance with a form for manual adjustments.
+ * Every adjustment needs a reason, which goes on the audit trail.
+ */
+const LoyaltyAdjustmentPanel = ({ userId, username }) => {
+  const { showSuccess, showError } = useToast();
+  const { data: rules } = useGetLoyaltyRules();
+  const { data: loyalty, isLoading, error } = useGetMemberLoyalty(userId);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors }
+  } = useForm({
+    defaultValues: { direction: 'add', points: '', reason: '' }
+  });
+
+  const { mutate: adjustPoints, isPending } = useAdjustPoints({
+    onSuccess: () => {
+      showSuccess('Points balance updated');
+      reset();
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to adjust points');
+    }
+  });
+
+  const onSubmit = (data) => {
+    const points = Number(data.points) * (data.direction === 'deduct' ? -1 : 1);
+
+    if (!window.confirm(`${points > 0 ? 'Add' : 'Deduct'} ${Math.abs(points).toLocaleString()} points ${points > 0 ? 'to' : 'from'} ${username}?`)) {
+      return;
+    }
+
+    adjustPoints({ userId, points, reason: data.reason.trim() });
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <p className="text-sm text-red-600">{error.message || 'Could not load this member\'s points.'}</p>
+    );
+  }
+
+  const { summary, history } = loyalty;
+  const tier = rules ? getMemberTier(rules, summary) : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="text-center p-3 bg-gray-50 rounded-lg">
+          <div className="text-2xl font-bold text-gray-900">{summary.balance.toLocaleString()}</div>
+          <div className="text-sm text-gray-500">Points Balance</div>
+        </div>
+        <div className="text-center p-3 bg-gray-50 rounded-lg">
+          <div className="text-2xl font-bold text-gray-900">{summary.lifetimePoints.toLocaleString()}</div>
+          <div className="text-sm text-gray-500">Lifetime Points</div>
+        </div>
+        <div className="text-center p-3 bg-gray-50 rounded-lg flex flex-col items-center justify-center">
+          {tier && <TierBadge tier={tier} />}
+          <div className="text-sm text-gray-500 mt-1">Tier</div>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="adjustDirection" className="block text-sm font-medium text-gray-700 mb-1">
+              Adjustment
+            </label>
+            <select
+              id="adjustDirection"
+              className={inputClassName(false)}
+              {...register('direction')}
+            >
+              <option value="add">Add points</option>
+              <option value="deduct">Deduct points</option>
+            </select>
+          </div>
+
+          <div className="sm:col-span-2">
+            <label htmlFor="adjustPoints" className="block text-sm font-medium text-gray-700 mb-1">
+              Points *
+            </label>
+            <input
+              type="number"
+              id="adjustPoints"
+              min="1"
+              step="1"
+              className={inputClassName(errors.points)}
+              {...register('points', {
+                required: 'Points are required',
+                validate: (value, values) => {
+                  const points = Number(value);
+                  if (!Number.isInteger(points) || points <= 0) return 'Enter a whole number of points';
+                  if (values.direction === 'deduct' && points > summary.balance) {
+                    return `The member only has ${summary.balance.toLocaleString()} points`;
+                  }
+                  return true;
+                }
+              })}
+            />
+            {errors.points && (
+              <p className="mt-1 text-sm text-red-600">{errors.points.message}</p>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="adjustReason" className="block text-sm font-medium text-gray-700 mb-1">
+            Reason *
+          </label>
+          <input
+            type="text"
+            id="adjustReason"
+            placeholder="e.g. Goodwill for cancelled screening"
+            className={inputClassName(errors.reason)}
+            {...register('reason', {
+              required: 'A reason is required for the audit trail',
+              validate: (value) => value.trim().length >= 5 || 'Give a little more detail'
+            })}
+          />
+          {errors.reason && (
+            <p className="mt-1 text-sm text-red-600">{errors.reason.message}</p>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button type="submit" variant="primary" size="sm" loading={isPending}>
+            Apply Adjustment
+          </Button>
+        </div>
+      </form>
+
+      <div className="pt-6 border-t border-gray-200">
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Points history</h4>
+        <PointsHistoryTable transactions={history} showAdjustedBy />
+      </div>
+    </div>
+  );
+};
+
+LoyaltyAdjustmentPanel.propTypes = {
+  userId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  username: PropTypes.string
+};
+
+export default LoyaltyAdjustmentPanel;
@@ -0,0 +1,316 @@
+import PropTypes from 'prop-types';
+import { useForm } from 'react-hook-form';
+import { useMovies } from '@hooks/useMovies';
+import { DiscountTypes } from '@utils/promotionUtils';
+import Button from '@components/common/Button';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+// Optional numeric fields are sent as null when left empty
+const toOptionalNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * Convert a promotion from the API into form values
+ * @param {Object} [promotion] - Promotion
+ * @returns {Object} Form values
+ */
+const toPromotionFormValues = (promotion = {}) => ({
+  code: promotion.code || '',
+  description: promotion.description || '',
+  discountType: promotion.discountType || DiscountTypes.PERCENTAGE,
+  discountValue: promotion.discountValue ?? '',
+  minSpend: promotion.minSpend ?? '',
+  maxDiscount: promotion.maxDiscount ?? '',
+  maxUses: promotion.maxUses ?? '',
+  maxUsesPerUser: promotion.maxUsesPerUser ?? '',
+  startDate: promotion.startsAt ? promotion.startsAt.slice(0, 10) : '',
+  endDate: promotion.endsAt ? promotion.endsAt.slice(0, 10) : '',
+  movieId: promotion.movieId ? String(promotion.movieId) : '',
+  active: promotion.active ?? true
+});
+
+/**
+ * Shared create/edit form for promotions
+ */
+const PromotionForm = ({ defaultValues, onSubmit, onCancel, isSubmitting = false, submitLabel = 'Save Promotion' }) => {
+  const { useGetMovies } = useMovies();
+  const { data: moviesData = [] } = useGetMovies();
+  const movies = Array.isArray(moviesData) ? moviesData : [];
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: toPromotionFormValues(defaultValues)
+  });
+
+  const discountType = watch('discountType');
+  const startDate = watch('startDate');
+
+  // Convert form values into the API payload
+  const submitForm = (data) => {
+    onSubmit({
+      code: data.code.trim().toUpperCase(),
+      description: data.description,
+      discountType: data.discountType,
+      discountValue: Number(data.discountValue),
+      minSpend: toOptionalNumber(data.minSpend),
+      maxDiscount: data.discountType === DiscountTypes.PERCENTAGE ? toOptionalNumber(data.maxDiscount) : null,
+      maxUses: toOptionalNumber(data.maxUses),
+      maxUsesPerUser: toOptionalNumber(data.maxUsesPerUser),
+      startsAt: data.startDate ? `${data.startDate}T00:00:00` : null,
+      endsAt: data.endDate ? `${data.endDate}T23:59:59` : null,
+      movieId: data.movieId ? Number(data.movieId) : null,
+      active: data.active
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit(submitForm)} className="bg-white rounded-lg shadow">
+      <div className="p-6 space-y-6">
+        {/* Code and description */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">
+              Code *
+            </label>
+            <input
+              type="text"
+              id="code"
+              placeholder="SUMMER20"
+              className={`${inputClassName(errors.code)} uppercase`}
+              {...register('code', {
+                required: 'Code is required',
+                pattern: {
+                  value: /^[A-Za-z0-9_-]{3,30}$/,
+                  message: 'Use 3-30 letters, numbers, dashes or underscores'
+                }
+              })}
+            />
+            {errors.code && (
+              <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+              Description
+            </label>
+            <input
+              type="text"
+              id="description"
+              className={inputClassName(errors.description)}
+              {...register('description')}
+            />
+          </div>
+        </div>
+
+        {/* Discount */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <label htmlFor="discountType" className="block text-sm font-medium text-gray-700 mb-1">
+              Discount Type *
+            </label>
+            <select
+              id="discountType"
+              className={inputClassName(errors.discountType)}
+              {...register('discountType', { required: true })}
+            >
+              <option value={DiscountTypes.PERCENTAGE}>Percentage off</option>
+              <option value={DiscountTypes.FIXED_AMOUNT}>Fixed amount off</option>
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="discountValue" className="block text-sm font-medium text-gray-700 mb-1">
+              {discountType === DiscountTypes.PERCENTAGE ? 'Discount (%) *' : 'Discount ($) *'}
+            </label>
+            <input
+              type="number"
+              id="discountValue"
+              step="0.01"
+              className={inputClassName(errors.discountValue)}
+              {...register('discountValue', {
+                required: 'Discount is required',
+                min: { value: 0.01, message: 'Discount must be greater than 0' },
+                validate: (value) => discountType !== DiscountTypes.PERCENTAGE
+                  || Number(value) <= 100
+                  || 'Percentage cannot exceed 100%'
+              })}
+            />
+            {errors.discountValue && (
+              <p className="mt-1 text-sm text-red-600">{errors.discountValue.message}</p>
+            )}
+          </div>
+
+          {discountType === DiscountTypes.PERCENTAGE && (
+            <div>
+              <label htmlFor="maxDiscount" className="block text-sm font-medium text-gray-700 mb-1">
+                Maximum Discount ($)
+              </label>
+              <input
+                type="number"
+                id="maxDiscount"
+                step="0.01"
+                placeholder="No limit"
+                className={inputClassName(errors.maxDiscount)}
+                {...register('maxDiscount', {
+                  min: { value: 0, message: 'Cannot be negative' }
+                })}
+              />
+              {errors.maxDiscount && (
+                <p className="mt-1 text-sm text-red-600">{errors.maxDiscount.message}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Limits */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <label htmlFor="minSpend" className="block text-sm font-medium text-gray-700 mb-1">
+              Minimum Spend ($)
+            </label>
+            <input
+              type="number"
+              id="minSpend"
+              step="0.01"
+              placeholder="None"
+              className={inputClassName(errors.minSpend)}
+              {...register('minSpend', {
+                min: { value: 0, message: 'Cannot be negative' }
+              })}
+            />
+            {errors.minSpend && (
+              <p className="mt-1 text-sm text-red-600">{errors.minSpend.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="maxUses" className="block text-sm font-medium text-gray-700 mb-1">
+              Total Redemption Cap
+            </label>
+            <input
+              type="number"
+              id="maxUses"
+              step="1"
+              placeholder="Unlimited"
+              className={inputClassName(errors.maxUses)}
+              {...register('maxUses', {
+                min: { value: 1, message: 'Must be at least 1' }
+              })}
+            />
+            {errors.maxUses && (
+              <p className="mt-1 text-sm text-red-600">{errors.maxUses.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="maxUsesPerUser" className="block text-sm font-medium text-gray-700 mb-1">
+              Uses per Customer
+            </label>
+            <input
+              type="number"
+              id="maxUsesPerUser"
+              step="1"
+              placeholder="Unlimited"
+              className={inputClassName(errors.maxUsesPerUser)}
+              {...register('maxUsesPerUser', {
+                min: { value: 1, message: 'Must be at least 1' }
+              })}
+            />
+            {errors.maxUsesPerUser && (
+              <p className="mt-1 text-sm text-red-600">{errors.maxUsesPerUser.message}</p>
+            )}
+          </div>
+        </div>
+
+        {/* Schedule */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <label htmlFor="startDate" className="block text-sm font-medium text-gray-700 mb-1">
+              Starts On
+            </label>
+            <input
+              type="date"
+              id="startDate"
+              className={inputClassName(errors.startDate)}
+              {...register('startDate')}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="endDate" className="block text-sm font-medium text-gray-700 mb-1">
+              Ends On
+            </label>
+            <input
+              type="date"
+              id="endDate"
+              className={inputClassName(errors.endDate)}
+              {...register('endDate', {
+                validate: (value) => !value || !startDate || value >= startDate || 'End date must be after the start date'
+              })}
+            />
+            {errors.endDate && (
+              <p className="mt-1 text-sm text-red-600">{errors.endDate.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="movieId" className="block text-sm font-medium text-gray-700 mb-1">
+              Restrict to Movie
+            </label>
+            <select
+              id="movieId"
+              className={inputClassName(errors.movieId)}
+              {...register('movieId')}
+            >
+              <option value="">All movies</option>
+              {movies.map(movie => (
+                <option key={movie.id} value={movie.id}>{movie.title}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Active flag */}
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="active"
+            className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            {...register('active')}
+          />
+          <label htmlFor="active" className="ml-2 block text-sm text-gray-700">
+            Active (customers can redeem this code during its schedule)
+          </label>
+        </div>
+      </div>
+
+      <div className="px-6 py-4 bg-gray-50 flex justify-end space-x-3 rounded-b-lg">
+        <Button variant="outline" onClick={onCancel} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" loading={isSubmitting}>
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+PromotionForm.propTypes = {
+  defaultValues: PropTypes.object,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool,
+  submitLabel: PropTypes.string
+};
+
+export default PromotionForm;
@@ -0,0 +1,98 @@
+import PropTypes from 'prop-types';
+import { useToast } from '@contexts/ToastContext';
+import { useGetUserSessions, useRevokeUserSessions } from '@hooks/useUsers';
+import { formatDate } from '@utils/formatUtils';
+import { describeUserAgent, describeLocation } from '@utils/deviceUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+
+/**
+ * A user's signed-in sessions with a force sign-out.
+ * Signing out ends every session, so the user signs in again and picks up any role change.
+ */
+const UserSessionsPanel = ({ userId, username }) => {
+  const { showSuccess, showError } = useToast();
+  const { data: sessions = [], isLoading, error, refetch } = useGetUserSessions(userId);
+
+  const { mutate: revokeSessions, isPending } = useRevokeUserSessions({
+    onSuccess: () => {
+      showSuccess(`${username} has been signed out everywhere`);
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to sign the user out');
+    }
+  });
+
+  const handleRevokeAll = () => {
+    if (window.confirm(`Sign ${username} out of all ${sessions.length} session${sessions.length !== 1 ? 's' : ''}?`)) {
+      revokeSessions(userId);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-4">
+        <p className="text-gray-600 mb-4">{error.message || 'Failed to load sessions'}</p>
+        <Button variant="outline" size="sm" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500">{username} is not signed in anywhere.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Device</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Signed In</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Active</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {sessions.map(session => (
+              <tr key={session.id}>
+                <td className="px-4 py-2 text-sm text-gray-900">
+                  {session.deviceName || describeUserAgent(session.userAgent)}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-500">
+                  {describeLocation(session) || session.ipAddress || '—'}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-500">
+                  {session.createdAt ? formatDate(session.createdAt) : '—'}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-500">
+                  {session.lastActiveAt ? formatDate(session.lastActiveAt) : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end">
+        <Button variant="danger" size="sm" onClick={handleRevokeAll} loading={isPending}>
+          Sign out everywhere
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+UserSessionsPanel.propTypes = {
+  userId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  username: PropTypes.string.isRequired
+};
+
+export default UserSessionsPanel;
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { SparklesIcon } from '@heroicons/react/24/outline';
+import { findBestSeats } from '@utils/seatScoring';
+import { formatEnumValue } from '@utils/formatUtils';
+import Button from '@components/common/Button';
+
+const MAX_PARTY_SIZE = 10;
+
+const selectClassName = 'block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+/**
+ * "Best available" picker - finds the best group of seats for a party size
+ * and lets the customer choose between the suggestion and alternatives
+ */
+const BestAvailablePicker = ({ layout, unavailableSeats, onSelect }) => {
+  const [partySize, setPartySize] = useState(2);
+  const [rowPreference, setRowPreference] = useState('ANY');
+  const [seatType, setSeatType] = useState('ANY');
+  const [wheelchairUsers, setWheelchairUsers] = useState(0);
+  const [result, setResult] = useState(null);
+
+  // Seat types actually present in this auditorium
+  const seatTypes = [...new Set(layout.rows.map(row => row.seatType || 'STANDARD'))];
+
+  // Handle best seat search
+  const handleFind = () => {
+    const found = findBestSeats(layout, unavailableSeats, partySize, {
+      rowPreference,
+      seatType,
+      wheelchairUsers: Math.min(wheelchairUsers, partySize)
+    });
+
+    setResult(found);
+
+    if (found.best) {
+      onSelect(found.best.seats);
+    }
+  };
+
+  // Describe an alternative for the customer
+  const describeOption = (option) => {
+    if (option.rows.length === 1) {
+      return `Row ${option.rows[0]}: ${option.seats.join(', ')}`;
+    }
+    return `Split across rows ${option.rows.join(' & ')}: ${option.seats.join(', ')}`;
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h3 className="font-medium mb-3 flex items-center">
+        <SparklesIcon className="h-5 w-5 mr-2 text-primary-500" />
+        Best Available Seats
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <div>
+          <label htmlFor="partySize" className="block text-sm font-medium text-gray-700 mb-1">
+            Party size
+          </label>
+          <select
+            id="partySize"
+            className={selectClassName}
+            value={partySize}
+            onChange={(e) => setPartySize(parseInt(e.target.value))}
+          >
+            {Array.from({ length: MAX_PARTY_SIZE }, (_, i) => i + 1).map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="rowPreference" className="block text-sm font-medium text-gray-700 mb-1">
+            Rows
+          </label>
+          <select
+            id="rowPreference"
+            className={selectClassName}
+            value={rowPreference}
+            onChange={(e) => setRowPreference(e.target.value)}
+          >
+            <option value="ANY">No preference</option>
+            <option value="FRONT">Near the front</option>
+            <option value="MIDDLE">Middle</option>
+            <option value="BACK">Near the back</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="seatTypePreference" className="block text-sm font-medium text-gray-700 mb-1">
+            Seat type
+          </label>
+          <select
+            id="seatTypePreference"
+            className={selectClassName}
+            value={seatType}
+            onChange={(e) => setSeatType(e.target.value)}
+          >
+            <option value="ANY">Any</option>
+            {seatTypes.filter(type => type !== 'WHEELCHAIR').map(type => (
+              <option key={type} value={type}>{formatEnumValue(type.toLowerCase())}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="wheelchairUsers" className="block text-sm font-medium text-gray-700 mb-1">
+            Wheelchair spaces
+          </label>
+          <select
+            id="wheelchairUsers"
+            className={selectClassName}
+            value={wheelchairUsers}
+            onChange={(e) => setWheelchairUsers(parseInt(e.target.value))}
+          >
+            {Array.from({ length: Math.min(partySize, 2) + 1 }, (_, i) => i).map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <Button variant="secondary" size="sm" onClick={handleFind}>
+        Find best seats
+      </Button>
+
+      {result && !result.best && result.alternatives.length === 0 && (
+        <p className="mt-3 text-sm text-gray-600">
+          Sorry, there are not enough free seats for a party of {partySize}.
+        </p>
+      )}
+
+      {result && !result.best && result.alternatives.length > 0 && (
+        <p className="mt-3 text-sm text-gray-600">
+          There is no block of {partySize} seats together. Here are the closest options:
+        </p>
+      )}
+
+      {result && result.best && result.alternatives.length > 0 && (
+        <p className="mt-3 text-sm text-gray-600">
+          We picked {result.best.seats.join(', ')}. Other good options:
+        </p>
+      )}
+
+      {result && result.alternatives.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {result.alternatives.map(option => (
+            <li key={option.seats.join('-')}>
+              <button
+                type="button"
+                className="text-sm text-primary-600 hover:text-primary-700 hover:underline text-left"
+                onClick={() => onSelect(option.seats)}
+              >
+                {describeOption(option)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+BestAvailablePicker.propTypes = {
+  layout: PropTypes.shape({
+    rows: PropTypes.arrayOf(PropTypes.object).isRequired
+  }).isRequired,
+  unavailableSeats: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelect: PropTypes.func.isRequired
+};
+
+export default BestAvailablePicker;
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  CalendarDaysIcon,
+  ClipboardDocumentIcon,
+  ArrowDownTrayIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import { useBookings } from '@hooks/useBookings';
+import { useToast } from '@contexts/ToastContext';
+import { buildCalendar, createBookingEvent, downloadCalendarFile } from '@utils/calendarUtils';
+import Button from '@components/common/Button';
+
+/**
+ * Calendar options for the bookings list
+ * Offers the personal feed URL to subscribe to and a one-off .ics of upcoming bookings
+ */
+const CalendarFeedPanel = ({ upcomingBookings }) => {
+  const { showSuccess, showError } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { useGetCalendarFeed, useResetCalendarFeed } = useBookings();
+  const { data: feed, isLoading } = useGetCalendarFeed({ enabled: isOpen });
+  const { mutate: resetFeed, isPending: isResetting } = useResetCalendarFeed({
+    onSuccess: () => {
+      showSuccess('Your calendar feed address has been replaced');
+    }
+  });
+
+  // Calendar apps open webcal:// links as subscriptions rather than one-off imports
+  const subscribeUrl = feed?.url?.replace(/^https?:/, 'webcal:');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      showSuccess('Feed address copied');
+    } catch {
+      showError('Could not copy the address. Select it and copy it manually.');
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Calendars subscribed to the current address will stop updating. Continue?')) {
+      resetFeed();
+    }
+  };
+
+  const handleDownload = () => {
+    const activeBookings = upcomingBookings.filter(booking => booking.paymentStatus !== 'CANCELLED');
+    downloadCalendarFile(
+      buildCalendar(activeBookings.map(createBookingEvent), { name: 'My movie bookings' }),
+      'my-bookings'
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center">
+          <CalendarDaysIcon className="h-6 w-6 text-primary-600 mr-2" />
+          <div>
+            <h2 className="text-sm font-semibold text-gray-900">Calendar</h2>
+            <p className="text-xs text-gray-500">Keep your showtimes in your calendar app.</p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            icon={<ArrowDownTrayIcon className="h-4 w-4" />}
+            disabled={upcomingBookings.length === 0}
+            onClick={handleDownload}
+          >
+            Download .ics
+          </Button>
+          <Button
+            variant={isOpen ? 'secondary' : 'outline'}
+            size="sm"
+            onClick={() => setIsOpen(open => !open)}
+          >
+            Subscribe
+          </Button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 pt-4 border-t border-gray-200">
+          <p className="text-sm text-gray-600 mb-2">
+            Subscribe to this private address and new bookings will appear in your calendar automatically.
+            Anyone with the address can see your bookings.
+          </p>
+          {isLoading ? (
+            <p className="text-sm text-gray-500">Loading your feed...</p>
+          ) : feed?.url ? (
+            <>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  aria-label="Calendar feed address"
+                  className="block w-full rounded-md border-gray-300 bg-gray-50 shadow-sm sm:text-sm font-mono"
+                  value={feed.url}
+                  onFocus={(e) => e.target.select()}
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  icon={<ClipboardDocumentIcon className="h-4 w-4" />}
+                  onClick={handleCopy}
+                >
+                  Copy
+                </Button>
+              </div>
+              <div className="mt-3 flex flex-wrap items-center gap-3">
+                <a href={subscribeUrl} className="text-sm font-medium text-primary-600 hover:text-primary-700">
+                  Open in calendar app
+                </a>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  icon={<ArrowPathIcon className="h-4 w-4" />}
+                  loading={isResetting}
+                  onClick={handleReset}
+                >
+                  Reset address
+                </Button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-red-600">Your calendar feed is not available right now.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+CalendarFeedPanel.propTypes = {
+  upcomingBookings: PropTypes.arrayOf(PropTypes.object).isRequired
+};
+
+export default CalendarFeedPanel;
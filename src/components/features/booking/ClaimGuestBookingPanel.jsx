@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { TicketIcon } from '@heroicons/react/24/outline';
+import { useBookings } from '@hooks/useBookings';
+import { useToast } from '@contexts/ToastContext';
+import { forgetGuestBookings } from '@utils/guestBookings';
+import Button from '@components/common/Button';
+import Input from '@components/common/Input';
+
+/**
+ * Adds a booking made as a guest to the signed-in account,
+ * using the booking number and lookup code from the confirmation email
+ */
+const ClaimGuestBookingPanel = () => {
+  const { showSuccess } = useToast();
+  const [isOpen, setIsOpen] = useState(false);
+  const [mismatchMessage, setMismatchMessage] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors }
+  } = useForm({ defaultValues: { bookingNumber: '', lookupCode: '' } });
+
+  const { useClaimGuestBookings } = useBookings();
+  const { mutate: claimBookings, isPending, error, reset: resetClaim } = useClaimGuestBookings({
+    onSuccess: ({ claimed, failed }) => {
+      if (failed.length > 0) {
+        setMismatchMessage('That booking number and lookup code do not match.');
+        return;
+      }
+      forgetGuestBookings(claimed);
+      showSuccess(`Booking ${claimed.join(', ')} added to your account`);
+      reset();
+      setIsOpen(false);
+    }
+  });
+
+  const onSubmit = ({ bookingNumber, lookupCode }) => {
+    setMismatchMessage('');
+    claimBookings([{
+      bookingNumber: bookingNumber.trim().toUpperCase(),
+      lookupCode: lookupCode.trim().toUpperCase()
+    }]);
+  };
+
+  if (!isOpen) {
+    return (
+      <p className="text-sm text-gray-600 mb-6">
+        Booked as a guest?{' '}
+        <button
+          type="button"
+          className="font-medium text-primary-600 hover:text-primary-500"
+          onClick={() => setIsOpen(true)}
+        >
+          Add a guest booking to your account
+        </button>
+      </p>
+    );
+  }
+
+  return (
+    <form className="bg-white rounded-lg shadow p-4 mb-6 text-left" onSubmit={handleSubmit(onSubmit)}>
+      <div className="flex items-center mb-3">
+        <TicketIcon className="h-6 w-6 text-primary-600 mr-2" />
+        <h2 className="text-sm font-semibold text-gray-900">Add a guest booking</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Enter the booking number and lookup code from your guest confirmation email.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Input
+          id="claimBookingNumber"
+          label="Booking number"
+          placeholder="BK-12345"
+          error={errors.bookingNumber?.message}
+          {...register('bookingNumber', { required: 'Booking number is required' })}
+        />
+        <Input
+          id="claimLookupCode"
+          label="Lookup code"
+          autoComplete="off"
+          error={errors.lookupCode?.message}
+          {...register('lookupCode', { required: 'Lookup code is required' })}
+        />
+      </div>
+
+      {(error || mismatchMessage) && (
+        <p className="mt-2 text-sm text-red-600">{error?.message || mismatchMessage}</p>
+      )}
+
+      <div className="mt-4 flex justify-end gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            resetClaim();
+            setMismatchMessage('');
+            setIsOpen(false);
+          }}
+        >
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="sm" loading={isPending}>
+          Add Booking
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ClaimGuestBookingPanel;
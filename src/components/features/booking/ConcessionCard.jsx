@@ -0,0 +1,105 @@
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { MinusIcon, PlusIcon, ShoppingBagIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@utils/formatUtils';
+import { isConcessionAvailable, MAX_ADD_ON_QUANTITY } from '@utils/concessionUtils';
+
+/**
+ * A concession on the add-ons step, with a quantity stepper per size
+ */
+const ConcessionCard = ({ concession, quantities = {}, onChange }) => {
+  const isAvailable = isConcessionAvailable(concession);
+
+  return (
+    <div className={classNames(
+      'bg-white border rounded-lg overflow-hidden flex',
+      isAvailable ? 'border-gray-200' : 'border-gray-100 opacity-60'
+    )}>
+      <div className="w-24 sm:w-32 flex-shrink-0 bg-gray-100 flex items-center justify-center">
+        {concession.imageUrl ? (
+          <img
+            src={concession.imageUrl}
+            alt={concession.name}
+            className="h-full w-full object-cover"
+            loading="lazy"
+          />
+        ) : (
+          <ShoppingBagIcon className="h-10 w-10 text-gray-400" />
+        )}
+      </div>
+
+      <div className="flex-1 p-4">
+        <div className="flex items-start justify-between gap-2">
+          <h3 className="font-medium text-gray-900">{concession.name}</h3>
+          {!isAvailable && (
+            <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-800">
+              Sold out
+            </span>
+          )}
+        </div>
+        {concession.description && (
+          <p className="text-sm text-gray-500 mb-2">{concession.description}</p>
+        )}
+
+        <ul className="space-y-2 mt-2">
+          {(concession.sizes || []).map(size => {
+            const quantity = quantities[size.label] || 0;
+            const isSizeAvailable = isConcessionAvailable(concession, size.label);
+
+            return (
+              <li key={size.label} className="flex items-center justify-between text-sm">
+                <span className={isSizeAvailable ? 'text-gray-700' : 'text-gray-400 line-through'}>
+                  {size.label} · {formatCurrency(size.price)}
+                </span>
+                {isSizeAvailable ? (
+                  <div className="flex items-center">
+                    <button
+                      type="button"
+                      className="p-1 rounded-full border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+                      aria-label={`Remove one ${size.label} ${concession.name}`}
+                      disabled={quantity === 0}
+                      onClick={() => onChange(size.label, quantity - 1)}
+                    >
+                      <MinusIcon className="h-4 w-4" />
+                    </button>
+                    <span className="w-8 text-center font-medium" aria-live="polite">{quantity}</span>
+                    <button
+                      type="button"
+                      className="p-1 rounded-full border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+                      aria-label={`Add one ${size.label} ${concession.name}`}
+                      disabled={quantity >= MAX_ADD_ON_QUANTITY}
+                      onClick={() => onChange(size.label, quantity + 1)}
+                    >
+                      <PlusIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <span className="text-xs text-gray-400">Out of stock</span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+ConcessionCard.propTypes = {
+  concession: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    imageUrl: PropTypes.string,
+    inStock: PropTypes.bool,
+    sizes: PropTypes.arrayOf(PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      inStock: PropTypes.bool
+    }))
+  }).isRequired,
+  quantities: PropTypes.objectOf(PropTypes.number),
+  onChange: PropTypes.func.isRequired
+};
+
+export default ConcessionCard;
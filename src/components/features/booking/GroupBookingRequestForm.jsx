@@ -0,0 +1,310 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useForm } from 'react-hook-form';
+import { UserGroupIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@contexts/AuthContext';
+import { useCreateGroupRequest } from '@hooks/useGroupBookings';
+import { formatDate } from '@utils/formatUtils';
+import { MIN_GROUP_SIZE, MAX_GROUP_SIZE } from '@utils/groupBookingUtils';
+import Button from '@components/common/Button';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+/**
+ * Request form for schools, companies and other large parties.
+ * Staff pick the seats and send an invoice, so no seats are chosen here.
+ */
+const GroupBookingRequestForm = ({ movie, screenings = [] }) => {
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [sentRequest, setSentRequest] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      partySize: MIN_GROUP_SIZE,
+      preferredScreeningIds: [],
+      preferredTimes: '',
+      organization: '',
+      contactName: [user?.firstName, user?.lastName].filter(Boolean).join(' '),
+      email: user?.email || '',
+      phone: '',
+      billingAddress: '',
+      purchaseOrder: '',
+      notes: ''
+    }
+  });
+
+  const { mutate: createRequest, isPending, error } = useCreateGroupRequest({
+    onSuccess: (request) => {
+      setSentRequest(request);
+      reset();
+    }
+  });
+
+  const onSubmit = (data) => {
+    createRequest({
+      movieId: movie.id,
+      partySize: Number(data.partySize),
+      preferredScreeningIds: data.preferredScreeningIds.map(Number),
+      preferredTimes: data.preferredTimes.trim(),
+      organization: data.organization.trim(),
+      contactName: data.contactName.trim(),
+      email: data.email.trim(),
+      phone: data.phone.trim(),
+      billingAddress: data.billingAddress.trim(),
+      purchaseOrder: data.purchaseOrder.trim() || undefined,
+      notes: data.notes.trim() || undefined
+    });
+  };
+
+  const upcomingScreenings = [...screenings].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  if (sentRequest) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-md text-center">
+        <CheckCircleIcon className="h-12 w-12 text-green-500 mx-auto mb-2" />
+        <h3 className="text-lg font-bold text-gray-900 mb-1">Request received</h3>
+        <p className="text-gray-600">
+          {sentRequest.reference && <>Your reference is <span className="font-medium">{sentRequest.reference}</span>. </>}
+          Our group sales team will confirm seats and send an invoice by email, usually within two business days.
+        </p>
+      </div>
+    );
+  }
+
+  if (!isOpen) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-md flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-start">
+          <UserGroupIcon className="h-8 w-8 text-primary-600 mr-3 flex-shrink-0" />
+          <div>
+            <h3 className="text-lg font-bold text-gray-900">Booking for {MIN_GROUP_SIZE} or more?</h3>
+            <p className="text-gray-600">
+              Schools, companies and parties can request seats together and pay by invoice.
+            </p>
+          </div>
+        </div>
+        <Button variant="outline" onClick={() => setIsOpen(true)}>
+          Request a Group Booking
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-lg shadow-md">
+      <div className="p-6 space-y-6">
+        <div className="flex items-center">
+          <UserGroupIcon className="h-6 w-6 text-primary-600 mr-2" />
+          <h3 className="text-lg font-bold text-gray-900">Group Booking Request · {movie.title}</h3>
+        </div>
+
+        {/* Party and preferred times */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <label htmlFor="groupPartySize" className="block text-sm font-medium text-gray-700 mb-1">
+              Party size *
+            </label>
+            <input
+              type="number"
+              id="groupPartySize"
+              className={inputClassName(errors.partySize)}
+              {...register('partySize', {
+                required: 'Party size is required',
+                min: { value: MIN_GROUP_SIZE, message: `Groups start at ${MIN_GROUP_SIZE} people` },
+                max: { value: MAX_GROUP_SIZE, message: `Contact us directly for more than ${MAX_GROUP_SIZE} people` }
+              })}
+            />
+            {errors.partySize && (
+              <p className="mt-1 text-sm text-red-600">{errors.partySize.message}</p>
+            )}
+          </div>
+
+          <div className="md:col-span-2">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Preferred showtimes</span>
+            {upcomingScreenings.length > 0 ? (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-40 overflow-y-auto">
+                {upcomingScreenings.map(screening => (
+                  <label key={screening.id} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      value={screening.id}
+                      className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 mr-2"
+                      {...register('preferredScreeningIds')}
+                    />
+                    {formatDate(screening.startTime)}{screening.theatreName && ` · ${screening.theatreName}`}
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No showtimes are scheduled yet. Tell us what suits you below.</p>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="groupPreferredTimes" className="block text-sm font-medium text-gray-700 mb-1">
+            Other dates or times that work
+          </label>
+          <input
+            type="text"
+            id="groupPreferredTimes"
+            placeholder="e.g. weekday mornings in the week of June 9"
+            className={inputClassName(errors.preferredTimes)}
+            {...register('preferredTimes', {
+              validate: (value, values) => value.trim() !== '' || values.preferredScreeningIds.length > 0
+                || 'Pick a showtime or tell us when suits you'
+            })}
+          />
+          {errors.preferredTimes && (
+            <p className="mt-1 text-sm text-red-600">{errors.preferredTimes.message}</p>
+          )}
+        </div>
+
+        {/* Contact details */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="groupOrganization" className="block text-sm font-medium text-gray-700 mb-1">
+              School or organization *
+            </label>
+            <input
+              type="text"
+              id="groupOrganization"
+              className={inputClassName(errors.organization)}
+              {...register('organization', { required: 'Organization is required' })}
+            />
+            {errors.organization && (
+              <p className="mt-1 text-sm text-red-600">{errors.organization.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="groupContactName" className="block text-sm font-medium text-gray-700 mb-1">
+              Contact name *
+            </label>
+            <input
+              type="text"
+              id="groupContactName"
+              className={inputClassName(errors.contactName)}
+              {...register('contactName', { required: 'Contact name is required' })}
+            />
+            {errors.contactName && (
+              <p className="mt-1 text-sm text-red-600">{errors.contactName.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="groupEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              Email *
+            </label>
+            <input
+              type="email"
+              id="groupEmail"
+              className={inputClassName(errors.email)}
+              {...register('email', {
+                required: 'Email is required',
+                pattern: {
+                  value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                  message: 'Invalid email address'
+                }
+              })}
+            />
+            {errors.email && (
+              <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="groupPhone" className="block text-sm font-medium text-gray-700 mb-1">
+              Phone *
+            </label>
+            <input
+              type="tel"
+              id="groupPhone"
+              className={inputClassName(errors.phone)}
+              {...register('phone', { required: 'Phone is required' })}
+            />
+            {errors.phone && (
+              <p className="mt-1 text-sm text-red-600">{errors.phone.message}</p>
+            )}
+          </div>
+        </div>
+
+        {/* Billing details */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="md:col-span-2">
+            <label htmlFor="groupBillingAddress" className="block text-sm font-medium text-gray-700 mb-1">
+              Billing address for the invoice *
+            </label>
+            <textarea
+              id="groupBillingAddress"
+              rows={3}
+              className={inputClassName(errors.billingAddress)}
+              {...register('billingAddress', { required: 'Billing address is required' })}
+            />
+            {errors.billingAddress && (
+              <p className="mt-1 text-sm text-red-600">{errors.billingAddress.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="groupPurchaseOrder" className="block text-sm font-medium text-gray-700 mb-1">
+              Purchase order number
+            </label>
+            <input
+              type="text"
+              id="groupPurchaseOrder"
+              className={inputClassName(errors.purchaseOrder)}
+              {...register('purchaseOrder')}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="groupNotes" className="block text-sm font-medium text-gray-700 mb-1">
+            Anything else we should know?
+          </label>
+          <textarea
+            id="groupNotes"
+            rows={2}
+            placeholder="Accessibility needs, number of adults supervising, seating together..."
+            className={inputClassName(errors.notes)}
+            {...register('notes')}
+          />
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600">{error.message}</p>
+        )}
+      </div>
+
+      <div className="px-6 py-4 bg-gray-50 flex justify-end space-x-3 rounded-b-lg">
+        <Button variant="outline" onClick={() => setIsOpen(false)} disabled={isPending}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" loading={isPending}>
+          Send Request
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+GroupBookingRequestForm.propTypes = {
+  movie: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    title: PropTypes.string
+  }).isRequired,
+  screenings: PropTypes.arrayOf(PropTypes.object)
+};
+
+export default GroupBookingRequestForm;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { TagIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useValidatePromoCode } from '@hooks/usePromotions';
+import { formatCurrency } from '@utils/formatUtils';
+import { formatPromoValue } from '@utils/promotionUtils';
+import Button from '@components/common/Button';
+
+/**
+ * Promo code entry for the checkout summary
+ * Validates the code against the API and reports the applied promotion
+ */
+const PromoCodeField = ({ screeningId, movieId, subtotal, appliedPromo, onApply, onRemove }) => {
+  const [code, setCode] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const { mutate: validatePromoCode, isPending } = useValidatePromoCode({
+    onSuccess: (promotion) => {
+      setErrorMessage('');
+      setCode('');
+      onApply(promotion);
+    },
+    onError: (error) => {
+      setErrorMessage(error.message);
+    }
+  });
+
+  // Handle applying the code
+  const handleApply = () => {
+    if (!code.trim()) {
+      setErrorMessage('Please enter a promo code.');
+      return;
+    }
+
+    validatePromoCode({ code, screeningId, movieId, subtotal });
+  };
+
+  // Apply on Enter without submitting the checkout form
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleApply();
+    }
+  };
+
+  if (appliedPromo) {
+    const isBelowMinSpend = appliedPromo.minSpend && subtotal < appliedPromo.minSpend;
+
+    return (
+      <div className="pt-3 mt-3 border-t border-gray-200">
+        <div className="flex items-center justify-between text-sm">
+          <span className="flex items-center text-green-700 font-medium">
+            <TagIcon className="h-4 w-4 mr-1" />
+            {appliedPromo.code} ({formatPromoValue(appliedPromo)})
+          </span>
+          <button
+            type="button"
+            className="text-gray-400 hover:text-gray-600"
+            onClick={onRemove}
+            aria-label="Remove promo code"
+          >
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </div>
+        {isBelowMinSpend && (
+          <p className="mt-1 text-xs text-yellow-700">
+            Spend at least {formatCurrency(appliedPromo.minSpend)} to use this code.
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="pt-3 mt-3 border-t border-gray-200">
+      <label htmlFor="promoCode" className="block text-sm font-medium text-gray-700 mb-1">
+        Promo code
+      </label>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          id="promoCode"
+          className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm uppercase"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={handleKeyDown}
+          disabled={isPending}
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleApply}
+          loading={isPending}
+        >
+          Apply
+        </Button>
+      </div>
+      {errorMessage && (
+        <p className="mt-1 text-sm text-red-600">{errorMessage}</p>
+      )}
+    </div>
+  );
+};
+
+PromoCodeField.propTypes = {
+  screeningId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  movieId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  subtotal: PropTypes.number.isRequired,
+  appliedPromo: PropTypes.object,
+  onApply: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+export default PromoCodeField;
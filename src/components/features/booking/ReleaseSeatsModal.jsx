@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { ReceiptRefundIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@utils/formatUtils';
+import {
+  CANCELLATION_POLICY,
+  formatPolicyTier,
+  getSeatPrices,
+  previewSeatRefund
+} from '@utils/cancellationPolicy';
+import Button from '@components/common/Button';
+
+/**
+ * Lets the customer pick seats to give up and shows the refund
+ * they will get under the cancellation policy before confirming
+ */
+const ReleaseSeatsModal = ({ booking, errorMessage, isSubmitting = false, onConfirm, onCancel }) => {
+  const [selectedSeats, setSelectedSeats] = useState([]);
+
+  const seats = Array.from(booking.bookedSeats || []).sort();
+  const checkedInSeats = booking.checkedInSeats || [];
+  const prices = getSeatPrices(booking);
+  const preview = previewSeatRefund(booking, selectedSeats);
+  const isReleasingAll = selectedSeats.length === seats.length;
+
+  const toggleSeat = (seat) => {
+    setSelectedSeats(prev => (
+      prev.includes(seat) ? prev.filter(s => s !== seat) : [...prev, seat]
+    ));
+  };
+
+  const handleConfirm = () => {
+    onConfirm({ seats: selectedSeats, expectedRefund: preview.refundAmount });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="fixed inset-0 bg-gray-600 bg-opacity-75" aria-hidden="true" onClick={onCancel} />
+
+      <div
+        className="relative bg-white rounded-lg shadow-xl max-w-lg w-full p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="release-seats-title"
+      >
+        <div className="flex items-center mb-4">
+          <div className="rounded-full bg-red-100 p-2 mr-3">
+            <ReceiptRefundIcon className="h-6 w-6 text-red-600" />
+          </div>
+          <h2 id="release-seats-title" className="text-lg font-semibold text-gray-900">
+            Release seats
+          </h2>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-3">
+          Choose the seats you no longer need. The rest of your booking stays as it is.
+        </p>
+
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-4">
+          {seats.map(seat => {
+            const isCheckedIn = checkedInSeats.includes(seat);
+            return (
+              <label
+                key={seat}
+                className={classNames(
+                  'flex items-center justify-between border rounded-md px-3 py-2 text-sm',
+                  selectedSeats.includes(seat) ? 'border-red-400 bg-red-50' : 'border-gray-300',
+                  isCheckedIn ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
+                )}
+              >
+                <span className="flex items-center">
+                  <input
+                    type="checkbox"
+                    className="rounded border-gray-300 text-red-600 focus:ring-red-500 mr-2"
+                    checked={selectedSeats.includes(seat)}
+                    disabled={isCheckedIn || isSubmitting}
+                    onChange={() => toggleSeat(seat)}
+                  />
+                  {seat}
+                </span>
+                <span className="text-gray-500">{formatCurrency(prices[seat])}</span>
+              </label>
+            );
+          })}
+        </div>
+
+        {/* Policy */}
+        <div className="bg-gray-50 rounded-md p-3 mb-4">
+          <h3 className="text-xs font-semibold text-gray-700 uppercase tracking-wide mb-2">Cancellation policy</h3>
+          <ul className="space-y-1 text-sm">
+            {CANCELLATION_POLICY.map(tier => (
+              <li
+                key={tier.minHoursBefore}
+                className={classNames(
+                  'flex justify-between',
+                  preview.tier === tier ? 'font-medium text-gray-900' : 'text-gray-500'
+                )}
+              >
+                <span>{tier.label}</span>
+                <span>{formatPolicyTier(tier)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Refund preview */}
+        {preview.tier && selectedSeats.length > 0 && (
+          <div className="space-y-1 text-sm mb-4">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Paid for {selectedSeats.length} seat{selectedSeats.length === 1 ? '' : 's'}</span>
+              <span>{formatCurrency(preview.seatsAmount)}</span>
+            </div>
+            {preview.tier.refundPercent < 100 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Refundable ({preview.tier.refundPercent}%)</span>
+                <span>{formatCurrency(preview.seatsAmount * preview.tier.refundPercent / 100)}</span>
+              </div>
+            )}
+            {preview.fee > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Cancellation fee</span>
+                <span className="text-red-600">-{formatCurrency(preview.fee)}</span>
+              </div>
+            )}
+            <div className="flex justify-between font-semibold pt-1 border-t border-gray-200">
+              <span>Refund to {booking.paymentMethod || 'your payment method'}</span>
+              <span>{formatCurrency(preview.refundAmount)}</span>
+            </div>
+          </div>
+        )}
+
+        {!preview.allowed && preview.reason && (
+          <p className="text-sm text-gray-600 mb-4">{preview.reason}</p>
+        )}
+
+        {isReleasingAll && (
+          <p className="text-sm text-amber-700 mb-4">Releasing every seat cancels the whole booking.</p>
+        )}
+
+        {errorMessage && (
+          <p className="text-sm text-red-600 mb-4">{errorMessage}</p>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <Button variant="outline" onClick={onCancel} disabled={isSubmitting}>
+            Keep Seats
+          </Button>
+          <Button
+            variant="danger"
+            loading={isSubmitting}
+            disabled={!preview.allowed}
+            onClick={handleConfirm}
+          >
+            {selectedSeats.length > 0
+              ? `Release ${selectedSeats.length} Seat${selectedSeats.length === 1 ? '' : 's'}`
+              : 'Release Seats'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ReleaseSeatsModal.propTypes = {
+  booking: PropTypes.shape({
+    bookedSeats: PropTypes.arrayOf(PropTypes.string),
+    checkedInSeats: PropTypes.arrayOf(PropTypes.string),
+    paymentMethod: PropTypes.string,
+    screeningTime: PropTypes.string,
+    totalAmount: PropTypes.number
+  }).isRequired,
+  errorMessage: PropTypes.string,
+  isSubmitting: PropTypes.bool,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ReleaseSeatsModal;
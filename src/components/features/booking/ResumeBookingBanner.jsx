@@ -0,0 +1,78 @@
+import { useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useShallow } from 'zustand/react/shallow';
+import { TicketIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useBookings } from '@hooks/useBookings';
+import { useToast } from '@contexts/ToastContext';
+import { useBookingCartStore, getCartSnapshot } from '@stores/bookingCartStore';
+import { formatDate } from '@utils/formatUtils';
+import { normalizeBookedSeats } from '@utils/seatLayout';
+
+/**
+ * Reminds the customer of seats saved in their booking cart while they browse,
+ * dropping any seats that were booked by someone else in the meantime
+ */
+const ResumeBookingBanner = () => {
+  const location = useLocation();
+  const { showWarning } = useToast();
+  const cart = useBookingCartStore(useShallow(getCartSnapshot));
+  const removeSeats = useBookingCartStore(state => state.removeSeats);
+  const clearCart = useBookingCartStore(state => state.clearCart);
+
+  // Seat selection and checkout show the cart themselves
+  const isInBookingFlow = !!cart.screeningId && (
+    location.pathname.startsWith(`/screening/${cart.screeningId}/`) ||
+    location.pathname === `/checkout/${cart.screeningId}` ||
+    location.pathname.startsWith('/waitlist/offers/')
+  );
+  const isVisible = cart.seats.length > 0 && !isInBookingFlow;
+
+  const { useGetBookedSeats } = useBookings();
+  const { data: bookedSeats } = useGetBookedSeats(cart.screeningId, { enabled: isVisible });
+
+  useEffect(() => {
+    if (!bookedSeats || !isVisible) return;
+
+    const lostSeats = removeSeats(cart.screeningId, normalizeBookedSeats(bookedSeats));
+    if (lostSeats.length > 0) {
+      showWarning(`Seats ${lostSeats.join(', ')} you saved were booked by someone else.`);
+    }
+  }, [bookedSeats, isVisible, cart.screeningId, removeSeats, showWarning]);
+
+  if (!isVisible) {
+    return null;
+  }
+
+  return (
+    <div className="bg-primary-50 border-b border-primary-100">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center justify-between gap-2">
+        <p className="flex items-center text-sm text-primary-900">
+          <TicketIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+          <span>
+            You have {cart.seats.length} seat{cart.seats.length === 1 ? '' : 's'} saved
+            {cart.movieTitle && <> for <span className="font-medium">{cart.movieTitle}</span></>}
+            {cart.screeningTime && ` · ${formatDate(cart.screeningTime)}`}
+          </span>
+        </p>
+        <div className="flex items-center gap-3">
+          <Link
+            to={`/screening/${cart.screeningId}/seats`}
+            className="text-sm font-medium text-primary-700 hover:text-primary-800"
+          >
+            Continue booking
+          </Link>
+          <button
+            type="button"
+            className="p-1 text-primary-400 hover:text-primary-600"
+            aria-label="Discard saved seats"
+            onClick={clearCart}
+          >
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResumeBookingBanner;
@@ -0,0 +1,119 @@
+import PropTypes from 'prop-types';
+import { formatCurrency } from '@utils/formatUtils';
+
+/**
+ * Auditorium seat map with the screen, seat buttons and legend
+ * Shared by seat selection, ticket exchange and group reservations
+ */
+const SeatGrid = ({
+  layout,
+  unavailableSeats,
+  selectedSeats,
+  reservedSeats = [],
+  recentlyTakenSeats = [],
+  onToggle
+}) => {
+  // Get seat price
+  const getSeatPrice = (rowName) => {
+    const row = layout.rows.find(r => r.name === rowName);
+    return row ? row.priceMultiplier * layout.basePrice : layout.basePrice;
+  };
+
+  return (
+    <div>
+      {/* Screen representation */}
+      <div className="mb-8">
+        <div className="h-8 bg-gray-300 rounded-t-lg flex items-center justify-center text-sm text-gray-600">
+          SCREEN
+        </div>
+        <div className="h-1 w-full bg-gray-400"></div>
+      </div>
+
+      {/* Seating layout */}
+      <div className="mb-8 overflow-x-auto">
+        <div className="inline-block min-w-full">
+          {layout.rows.map((row) => (
+            <div key={row.name} className="flex justify-center mb-2">
+              {/* Row label */}
+              <div className="w-8 flex items-center justify-center font-medium">
+                {row.name}
+              </div>
+
+              {/* Seats */}
+              <div className="flex gap-1">
+                {Array.from({ length: row.seatsCount }, (_, i) => i + 1).map((seatNum) => {
+                  const seatId = `${row.name}${seatNum}`;
+                  const isReserved = reservedSeats.includes(seatId);
+                  const isBooked = isReserved || unavailableSeats.includes(seatId);
+                  const isSelected = selectedSeats.includes(seatId);
+                  const isJustTaken = recentlyTakenSeats.includes(seatId);
+
+                  return (
+                    <button
+                      key={seatId}
+                      type="button"
+                      className={`
+                        w-8 h-8 rounded-t-lg text-xs font-medium
+                        ${isReserved ? 'bg-amber-300 cursor-not-allowed' :
+                          isBooked ? 'bg-gray-400 cursor-not-allowed' :
+                          isSelected ? 'bg-primary-500 text-white' : 'bg-gray-200 hover:bg-gray-300'}
+                        ${isJustTaken ? 'animate-seat-taken' : ''}
+                      `}
+                      onClick={() => onToggle(seatId)}
+                      disabled={isBooked}
+                      aria-label={`Seat ${seatId} ${isReserved ? '(reserved for a group)' : isBooked ? '(booked)' : isSelected ? '(selected)' : '(available)'}`}
+                      title={`${formatCurrency(getSeatPrice(row.name))} - ${row.seatType || 'Standard'}`}
+                    >
+                      {seatNum}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Seat legend */}
+      <div className="flex justify-center gap-4 mb-6 flex-wrap">
+        <div className="flex items-center">
+          <div className="w-4 h-4 bg-gray-200 mr-2"></div>
+          <span className="text-sm">Available</span>
+        </div>
+        <div className="flex items-center">
+          <div className="w-4 h-4 bg-primary-500 mr-2"></div>
+          <span className="text-sm">Selected</span>
+        </div>
+        <div className="flex items-center">
+          <div className="w-4 h-4 bg-gray-400 mr-2"></div>
+          <span className="text-sm">Booked</span>
+        </div>
+        {reservedSeats.length > 0 && (
+          <div className="flex items-center">
+            <div className="w-4 h-4 bg-amber-300 mr-2"></div>
+            <span className="text-sm">Group reserved</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+SeatGrid.propTypes = {
+  layout: PropTypes.shape({
+    rows: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      seatsCount: PropTypes.number.isRequired,
+      priceMultiplier: PropTypes.number,
+      seatType: PropTypes.string
+    })).isRequired,
+    basePrice: PropTypes.number
+  }).isRequired,
+  unavailableSeats: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selectedSeats: PropTypes.arrayOf(PropTypes.string).isRequired,
+  reservedSeats: PropTypes.arrayOf(PropTypes.string),
+  recentlyTakenSeats: PropTypes.arrayOf(PropTypes.string),
+  onToggle: PropTypes.func.isRequired
+};
+
+export default SeatGrid;
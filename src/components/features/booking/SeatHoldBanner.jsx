@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import classNames from 'classnames';
+import { ClockIcon } from '@heroicons/react/24/outline';
+import { useSeatHold } from '@hooks/useSeatHold';
+import { useToast } from '@contexts/ToastContext';
+import useCountdown from '@hooks/useCountdown';
+import Button from '@components/common/Button';
+
+// Show the renew option and warning colours below this many seconds
+const WARNING_THRESHOLD = 120;
+
+/**
+ * Countdown banner for the seats currently held for a screening.
+ * When the hold expires the user is sent back to seat selection with
+ * their previous choices so they can be re-selected where still free.
+ */
+const SeatHoldBanner = ({ screeningId, returnToSeatsOnExpiry = false }) => {
+  const navigate = useNavigate();
+  const { showWarning, showError } = useToast();
+  const { getHoldForScreening, renewHold, expireHold } = useSeatHold();
+  const [isRenewing, setIsRenewing] = useState(false);
+
+  const hold = getHoldForScreening(screeningId);
+  const { secondsLeft, isExpired, formatted } = useCountdown(hold?.expiresAt);
+
+  // Handle hold expiry
+  useEffect(() => {
+    if (!hold || !isExpired) return;
+
+    const expired = expireHold();
+    showWarning('Your seat hold has expired. Please confirm your seats again.');
+
+    if (returnToSeatsOnExpiry) {
+      navigate(`/screening/${screeningId}/seats`, {
+        replace: true,
+        state: { restoreSeats: expired?.seats || [], holdExpired: true }
+      });
+    }
+  }, [hold, isExpired, expireHold, showWarning, returnToSeatsOnExpiry, navigate, screeningId]);
+
+  // Handle hold renewal
+  const handleRenew = async () => {
+    setIsRenewing(true);
+    try {
+      await renewHold();
+    } catch (error) {
+      showError(error.message || 'Could not extend your seat hold.');
+    } finally {
+      setIsRenewing(false);
+    }
+  };
+
+  if (!hold || secondsLeft === null) {
+    return null;
+  }
+
+  const isWarning = secondsLeft <= WARNING_THRESHOLD;
+  const canRenew = isWarning && hold.renewalsLeft !== 0;
+
+  return (
+    <div
+      className={classNames(
+        'mb-6 px-4 py-3 rounded-lg border flex items-center justify-between',
+        isWarning
+          ? 'bg-yellow-50 border-yellow-200 text-yellow-800'
+          : 'bg-primary-50 border-primary-100 text-primary-800'
+      )}
+      role="timer"
+      aria-live={isWarning ? 'assertive' : 'off'}
+    >
+      <div className="flex items-center">
+        <ClockIcon className="h-5 w-5 mr-2" />
+        <span>
+          Seats {hold.seats.join(', ')} are held for you for{' '}
+          <span className="font-bold tabular-nums">{formatted}</span>
+        </span>
+      </div>
+      {canRenew && (
+        <Button
+          variant="outline"
+          size="sm"
+          loading={isRenewing}
+          onClick={handleRenew}
+        >
+          Need more time?
+        </Button>
+      )}
+    </div>
+  );
+};
+
+SeatHoldBanner.propTypes = {
+  screeningId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  returnToSeatsOnExpiry: PropTypes.bool
+};
+
+export default SeatHoldBanner;
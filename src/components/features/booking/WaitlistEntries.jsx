@@ -0,0 +1,98 @@
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { QueueListIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { useGetMyWaitlistEntries, useLeaveWaitlist } from '@hooks/useWaitlist';
+import { useToast } from '@contexts/ToastContext';
+import useCountdown from '@hooks/useCountdown';
+import { formatDate } from '@utils/formatUtils';
+import Button from '@components/common/Button';
+
+/**
+ * The user's active waitlist places, with their position in line
+ * and any seat offer waiting to be claimed
+ */
+const WaitlistEntries = () => {
+  const { showSuccess, showError } = useToast();
+  const { data: entries = [] } = useGetMyWaitlistEntries();
+  const { mutate: leaveWaitlist, isPending: isLeaving } = useLeaveWaitlist({
+    onSuccess: () => showSuccess('You have left the waitlist'),
+    onError: (error) => showError(error.message || 'Failed to leave the waitlist')
+  });
+
+  const activeEntries = entries.filter(entry => ['WAITING', 'OFFERED'].includes(entry.status));
+  if (activeEntries.length === 0) return null;
+
+  const handleLeave = (entryId) => {
+    if (window.confirm('Leave the waitlist? You will lose your place in line.')) {
+      leaveWaitlist(entryId);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 text-left">
+      <div className="px-4 py-3 border-b border-gray-200 flex items-center">
+        <QueueListIcon className="h-5 w-5 text-primary-600 mr-2" />
+        <h2 className="text-sm font-semibold text-gray-900">Waitlists</h2>
+      </div>
+      <ul className="divide-y divide-gray-200">
+        {activeEntries.map(entry => (
+          <li key={entry.id} className="px-4 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <p className="font-medium text-gray-900">{entry.movieTitle}</p>
+              <p className="text-sm text-gray-600">
+                {entry.theatreName} · {formatDate(entry.screeningTime)}
+              </p>
+              <p className="text-sm text-gray-500">
+                {entry.partySize} seat{entry.partySize === 1 ? '' : 's'}
+                {entry.status === 'WAITING' && entry.position && (
+                  <> · <span className="font-medium text-gray-700">Number {entry.position} in line</span></>
+                )}
+              </p>
+              {entry.status === 'OFFERED' && entry.offer && (
+                <OfferNotice offer={entry.offer} />
+              )}
+            </div>
+            <div className="flex gap-2">
+              {entry.status === 'OFFERED' && entry.offer && (
+                <Link to={`/waitlist/offers/${entry.offer.token}`}>
+                  <Button variant="primary" size="sm">Claim Seats</Button>
+                </Link>
+              )}
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={isLeaving}
+                onClick={() => handleLeave(entry.id)}
+              >
+                Leave
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const OfferNotice = ({ offer }) => {
+  const { isExpired, formatted } = useCountdown(offer.expiresAt);
+
+  return (
+    <p className={`mt-1 text-sm inline-flex items-center ${isExpired ? 'text-gray-500' : 'text-green-700 font-medium'}`}>
+      <ClockIcon className="h-4 w-4 mr-1" />
+      {isExpired
+        ? 'This offer has expired'
+        : `Seats ${offer.seats?.join(', ')} are held for you for ${formatted}`}
+    </p>
+  );
+};
+
+OfferNotice.propTypes = {
+  offer: PropTypes.shape({
+    token: PropTypes.string,
+    seats: PropTypes.arrayOf(PropTypes.string),
+    expiresAt: PropTypes.string
+  }).isRequired
+};
+
+export default WaitlistEntries;
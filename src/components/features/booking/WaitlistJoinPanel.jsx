@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { QueueListIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { useGetMyWaitlistEntries, useJoinWaitlist } from '@hooks/useWaitlist';
+import { useAuth } from '@contexts/AuthContext';
+import Button from '@components/common/Button';
+
+const MAX_PARTY_SIZE = 10;
+
+/**
+ * Waitlist sign-up shown when a screening is sold out
+ * Seats freed by cancellations are offered to the queue in order
+ */
+const WaitlistJoinPanel = ({ screeningId }) => {
+  const [partySize, setPartySize] = useState(2);
+  const [errorMessage, setErrorMessage] = useState('');
+  const { isAuthenticated } = useAuth();
+
+  // Waitlist places belong to an account, so guests are asked to sign in first
+  const { data: entries = [] } = useGetMyWaitlistEntries({ refetchInterval: false, enabled: isAuthenticated });
+  const existingEntry = entries.find(entry =>
+    String(entry.screeningId) === String(screeningId) && ['WAITING', 'OFFERED'].includes(entry.status)
+  );
+
+  const { mutate: joinWaitlist, isPending } = useJoinWaitlist({
+    onSuccess: () => setErrorMessage(''),
+    onError: (error) => setErrorMessage(error.message)
+  });
+
+  if (existingEntry) {
+    return (
+      <div className="border border-green-200 bg-green-50 rounded-lg p-4 mb-6 flex items-start">
+        <CheckCircleIcon className="h-6 w-6 text-green-600 mr-3 flex-shrink-0" />
+        <div className="text-sm text-green-800">
+          <p className="font-medium">
+            You&apos;re on the waitlist for {existingEntry.partySize} seat{existingEntry.partySize === 1 ? '' : 's'}
+            {existingEntry.position && <> (number {existingEntry.position} in line)</>}.
+          </p>
+          <p className="mt-1">
+            We&apos;ll email you a link to claim seats if they free up. You can also follow your place in{' '}
+            <Link to="/bookings" className="font-medium underline">My Bookings</Link>.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border border-gray-200 bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="flex items-start mb-3">
+        <QueueListIcon className="h-6 w-6 text-primary-600 mr-3 flex-shrink-0" />
+        <div>
+          <h3 className="font-medium text-gray-900">This screening is sold out</h3>
+          <p className="text-sm text-gray-600">
+            Join the waitlist and we&apos;ll offer you seats if any are cancelled. Offers are held for a short time, so keep an eye on your email.
+          </p>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-end gap-3 sm:ml-9">
+        <div>
+          <label htmlFor="waitlistPartySize" className="block text-sm font-medium text-gray-700 mb-1">
+            Seats needed
+          </label>
+          <select
+            id="waitlistPartySize"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+            value={partySize}
+            onChange={(e) => setPartySize(Number(e.target.value))}
+          >
+            {Array.from({ length: MAX_PARTY_SIZE }, (_, i) => i + 1).map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </div>
+        {isAuthenticated ? (
+          <Button
+            variant="primary"
+            loading={isPending}
+            onClick={() => joinWaitlist({ screeningId, partySize })}
+          >
+            Join Waitlist
+          </Button>
+        ) : (
+          <Link to="/login" state={{ from: `/screening/${screeningId}/seats` }}>
+            <Button variant="primary">Sign in to Join</Button>
+          </Link>
+        )}
+      </div>
+
+      {errorMessage && (
+        <p className="mt-2 text-sm text-red-600 sm:ml-9">{errorMessage}</p>
+      )}
+    </div>
+  );
+};
+
+WaitlistJoinPanel.propTypes = {
+  screeningId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired
+};
+
+export default WaitlistJoinPanel;
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { useCheckGiftCardBalance } from '@hooks/useGiftCards';
+import { formatCurrency, formatDate } from '@utils/formatUtils';
+import { GiftCardStatuses, normalizeGiftCardCode } from '@utils/giftCardUtils';
+import Button from '@components/common/Button';
+
+/**
+ * Look up the balance left on a gift card
+ */
+const GiftCardBalanceChecker = () => {
+  const [code, setCode] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const { mutate: checkBalance, data: giftCard, reset, isPending } = useCheckGiftCardBalance({
+    onError: (error) => setErrorMessage(error.message)
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    reset();
+
+    const normalized = normalizeGiftCardCode(code);
+    if (!normalized) {
+      setErrorMessage('Enter the code from your gift card.');
+      return;
+    }
+
+    setErrorMessage('');
+    checkBalance(normalized);
+  };
+
+  const statusInfo = giftCard && (GiftCardStatuses[giftCard.status] || GiftCardStatuses.ACTIVE);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-lg font-bold text-gray-900 mb-1">Check a balance</h2>
+      <p className="text-sm text-gray-600 mb-4">Enter the code from the gift card email.</p>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <label htmlFor="balanceCode" className="sr-only">Gift card code</label>
+        <input
+          type="text"
+          id="balanceCode"
+          placeholder="XXXX-XXXX-XXXX-XXXX"
+          autoComplete="off"
+          className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm uppercase"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        />
+        <Button type="submit" variant="outline" loading={isPending}>
+          Check
+        </Button>
+      </form>
+
+      {errorMessage && (
+        <p className="mt-2 text-sm text-red-600">{errorMessage}</p>
+      )}
+
+      {giftCard && (
+        <div className="mt-4 p-4 rounded-md bg-gray-50 flex items-center justify-between">
+          <div>
+            <p className="text-sm text-gray-500">{giftCard.maskedCode}</p>
+            <p className="text-2xl font-bold text-gray-900">{formatCurrency(giftCard.balance)}</p>
+            {giftCard.expiresAt && (
+              <p className="text-xs text-gray-500">
+                Expires {formatDate(giftCard.expiresAt, { dateStyle: 'medium', timeStyle: undefined })}
+              </p>
+            )}
+          </div>
+          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusInfo.className}`}>
+            {statusInfo.label}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftCardBalanceChecker;
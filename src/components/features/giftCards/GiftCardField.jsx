@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { GiftIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useCheckGiftCardBalance } from '@hooks/useGiftCards';
+import { formatCurrency } from '@utils/formatUtils';
+import { normalizeGiftCardCode } from '@utils/giftCardUtils';
+import Button from '@components/common/Button';
+
+/**
+ * Gift card entry for the checkout summary
+ * Several cards can be used together; whatever they don't cover is paid another way
+ */
+const GiftCardField = ({ appliedCards, canApplyMore, onApply, onRemove }) => {
+  const [code, setCode] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const { mutate: checkBalance, isPending } = useCheckGiftCardBalance({
+    onSuccess: (giftCard) => {
+      if (giftCard.status && giftCard.status !== 'ACTIVE') {
+        setErrorMessage('This gift card cannot be used.');
+        return;
+      }
+
+      if (!(giftCard.balance > 0)) {
+        setErrorMessage('This gift card has no balance left.');
+        return;
+      }
+
+      setErrorMessage('');
+      setCode('');
+      onApply(giftCard);
+    },
+    onError: (error) => {
+      setErrorMessage(error.message);
+    }
+  });
+
+  // Handle applying the code
+  const handleApply = () => {
+    const normalized = normalizeGiftCardCode(code);
+
+    if (!normalized) {
+      setErrorMessage('Please enter a gift card code.');
+      return;
+    }
+
+    if (appliedCards.some(giftCard => giftCard.code === normalized)) {
+      setErrorMessage('That gift card is already applied.');
+      return;
+    }
+
+    checkBalance(normalized);
+  };
+
+  // Apply on Enter without submitting the checkout form
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleApply();
+    }
+  };
+
+  return (
+    <div className="pt-3 mt-3 border-t border-gray-200">
+      {appliedCards.map(giftCard => (
+        <div key={giftCard.code} className="flex items-center justify-between text-sm mb-2">
+          <span className="flex items-center text-green-700 font-medium">
+            <GiftIcon className="h-4 w-4 mr-1" />
+            {giftCard.maskedCode} ({formatCurrency(giftCard.balance)} balance)
+          </span>
+          <button
+            type="button"
+            className="text-gray-400 hover:text-gray-600"
+            onClick={() => onRemove(giftCard.code)}
+            aria-label={`Remove gift card ${giftCard.maskedCode}`}
+          >
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+
+      {canApplyMore && (
+        <>
+          <label htmlFor="giftCardCode" className="block text-sm font-medium text-gray-700 mb-1">
+            {appliedCards.length > 0 ? 'Add another gift card' : 'Gift card'}
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              id="giftCardCode"
+              autoComplete="off"
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm uppercase"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              onKeyDown={handleKeyDown}
+              disabled={isPending}
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleApply}
+              loading={isPending}
+            >
+              Apply
+            </Button>
+          </div>
+        </>
+      )}
+      {errorMessage && (
+        <p className="mt-1 text-sm text-red-600">{errorMessage}</p>
+      )}
+    </div>
+  );
+};
+
+GiftCardField.propTypes = {
+  appliedCards: PropTypes.arrayOf(PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    maskedCode: PropTypes.string,
+    balance: PropTypes.number.isRequired
+  })).isRequired,
+  canApplyMore: PropTypes.bool,
+  onApply: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+export default GiftCardField;
@@ -0,0 +1,444 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { CheckCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@contexts/AuthContext';
+import { useToast } from '@contexts/ToastContext';
+import { usePurchaseGiftCard } from '@hooks/useGiftCards';
+import usePayment from '@hooks/usePayment';
+import { formatCurrency, formatDate } from '@utils/formatUtils';
+import {
+  GIFT_CARD_AMOUNTS,
+  MIN_GIFT_CARD_AMOUNT,
+  MAX_GIFT_CARD_AMOUNT,
+  getMaxDeliveryDate
+} from '@utils/giftCardUtils';
+import { formatCardNumber, formatExpiry, validateCardDetails } from '@utils/paymentUtils';
+import Button from '@components/common/Button';
+import Input from '@components/common/Input';
+import PaymentChallengeModal from '@components/features/payment/PaymentChallengeModal';
+import TestCardsNotice from '@components/features/payment/TestCardsNotice';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+const MESSAGE_MAX_LENGTH = 250;
+
+/**
+ * Buy a digital gift card for someone, delivered by email now or on a chosen date.
+ * The card payment is authorized first and captured once the gift card exists.
+ */
+const GiftCardPurchaseForm = () => {
+  const { user } = useAuth();
+  const { showError, showWarning } = useToast();
+  const [card, setCard] = useState({ number: '', expiry: '', cvc: '', name: '' });
+  const [cardErrors, setCardErrors] = useState({});
+  const [pendingOrder, setPendingOrder] = useState(null);
+  const [challengeError, setChallengeError] = useState('');
+  const [purchasedCard, setPurchasedCard] = useState(null);
+
+  const {
+    provider: paymentProvider,
+    payment,
+    requiresChallenge,
+    isProcessing: isProcessingPayment,
+    authorize,
+    confirmChallenge,
+    capture,
+    voidAuthorization
+  } = usePayment();
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      amountChoice: String(GIFT_CARD_AMOUNTS[1]),
+      customAmount: '',
+      recipientName: '',
+      recipientEmail: '',
+      senderName: [user?.firstName, user?.lastName].filter(Boolean).join(' '),
+      message: '',
+      deliveryOption: 'now',
+      deliverDate: ''
+    }
+  });
+
+  const amountChoice = watch('amountChoice');
+  const deliveryOption = watch('deliveryOption');
+  const message = watch('message');
+
+  const { mutate: purchaseGiftCard, isPending } = usePurchaseGiftCard({
+    onSuccess: (giftCard, variables) => {
+      setPurchasedCard(giftCard);
+      setPendingOrder(null);
+      reset();
+      setCard({ number: '', expiry: '', cvc: '', name: '' });
+
+      capture(variables.payment.paymentId).catch((error) => {
+        console.error('Error capturing payment:', error);
+        showWarning('Your gift card is on its way, but we could not finalize the payment. Our team will follow up.');
+      });
+    },
+    onError: (error, variables) => {
+      setPendingOrder(null);
+      showError(error.message);
+      voidAuthorization(variables.payment.paymentId);
+    }
+  });
+
+  // Create the gift card once the card payment is authorized
+  const submitPurchase = (order, authorizedPayment) => {
+    purchaseGiftCard({
+      ...order,
+      payment: { provider: paymentProvider.id, paymentId: authorizedPayment.paymentId }
+    });
+  };
+
+  const onSubmit = async (data) => {
+    const errors = validateCardDetails(card);
+    setCardErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    const order = {
+      amount: Number(data.amountChoice === 'custom' ? data.customAmount : data.amountChoice),
+      recipientName: data.recipientName.trim(),
+      recipientEmail: data.recipientEmail.trim(),
+      senderName: data.senderName.trim(),
+      message: data.message.trim() || undefined,
+      deliverAt: data.deliveryOption === 'scheduled' ? `${data.deliverDate}T09:00:00` : null
+    };
+
+    try {
+      const result = await authorize({
+        amount: order.amount,
+        currency: 'USD',
+        card,
+        metadata: { product: 'gift-card' }
+      });
+
+      // Wait for the verification step before creating the card
+      if (result.challenge) {
+        setChallengeError('');
+        setPendingOrder(order);
+        return;
+      }
+
+      submitPurchase(order, result);
+    } catch (error) {
+      showError(error.message || 'Payment failed. Please try again.');
+    }
+  };
+
+  // Handle the verification code from the payment challenge
+  const handleChallengeSubmit = async (code) => {
+    try {
+      const result = await confirmChallenge(code);
+      submitPurchase(pendingOrder, result);
+    } catch (error) {
+      if (error.attemptsLeft) {
+        setChallengeError(error.message);
+      } else {
+        setPendingOrder(null);
+        showError(error.message || 'We could not verify your card. Please try again.');
+      }
+    }
+  };
+
+  const handleChallengeCancel = () => {
+    voidAuthorization();
+    setPendingOrder(null);
+    showWarning('Payment cancelled. Your card has not been charged.');
+  };
+
+  // Update a card field, formatting number and expiry as they are typed
+  const handleCardChange = (field) => (e) => {
+    const formatters = { number: formatCardNumber, expiry: formatExpiry };
+    const value = formatters[field] ? formatters[field](e.target.value) : e.target.value;
+    setCard(prev => ({ ...prev, [field]: value }));
+    setCardErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  if (purchasedCard) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-md text-center">
+        <CheckCircleIcon className="h-12 w-12 text-green-500 mx-auto mb-2" />
+        <h2 className="text-lg font-bold text-gray-900 mb-1">Gift card sent</h2>
+        <p className="text-gray-600 mb-4">
+          {formatCurrency(purchasedCard.amount)} for {purchasedCard.recipientName}
+          {purchasedCard.deliverAt
+            ? ` will be emailed on ${formatDate(purchasedCard.deliverAt, { dateStyle: 'long', timeStyle: undefined })}.`
+            : ' is on its way by email.'}
+        </p>
+        <Button variant="outline" onClick={() => setPurchasedCard(null)}>
+          Send Another
+        </Button>
+      </div>
+    );
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-lg shadow-md">
+      {requiresChallenge && (
+        <PaymentChallengeModal
+          amount={payment.amount}
+          last4={payment.last4}
+          errorMessage={challengeError}
+          isVerifying={isProcessingPayment}
+          hint={paymentProvider.challengeHint}
+          onSubmit={handleChallengeSubmit}
+          onCancel={handleChallengeCancel}
+        />
+      )}
+
+      <div className="p-6 space-y-6">
+        {/* Amount */}
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-2">Amount</span>
+          <div className="flex flex-wrap gap-2">
+            {[...GIFT_CARD_AMOUNTS.map(String), 'custom'].map(value => (
+              <label
+                key={value}
+                className={`cursor-pointer px-4 py-2 rounded-md border text-sm font-medium ${
+                  amountChoice === value
+                    ? 'border-primary-600 bg-primary-50 text-primary-700'
+                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <input type="radio" value={value} className="sr-only" {...register('amountChoice')} />
+                {value === 'custom' ? 'Other amount' : formatCurrency(Number(value))}
+              </label>
+            ))}
+          </div>
+          {amountChoice === 'custom' && (
+            <div className="mt-3 max-w-xs">
+              <label htmlFor="customAmount" className="block text-sm font-medium text-gray-700 mb-1">
+                Amount ($) *
+              </label>
+              <input
+                type="number"
+                id="customAmount"
+                step="1"
+                className={inputClassName(errors.customAmount)}
+                {...register('customAmount', {
+                  required: 'Enter an amount',
+                  min: { value: MIN_GIFT_CARD_AMOUNT, message: `Gift cards start at ${formatCurrency(MIN_GIFT_CARD_AMOUNT)}` },
+                  max: { value: MAX_GIFT_CARD_AMOUNT, message: `Gift cards go up to ${formatCurrency(MAX_GIFT_CARD_AMOUNT)}` },
+                  validate: (value) => Number.isInteger(Number(value)) || 'Use a whole dollar amount'
+                })}
+              />
+              {errors.customAmount && (
+                <p className="mt-1 text-sm text-red-600">{errors.customAmount.message}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Recipient */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="recipientName" className="block text-sm font-medium text-gray-700 mb-1">
+              Recipient name *
+            </label>
+            <input
+              type="text"
+              id="recipientName"
+              className={inputClassName(errors.recipientName)}
+              {...register('recipientName', { required: 'Recipient name is required' })}
+            />
+            {errors.recipientName && (
+              <p className="mt-1 text-sm text-red-600">{errors.recipientName.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="recipientEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              Recipient email *
+            </label>
+            <input
+              type="email"
+              id="recipientEmail"
+              className={inputClassName(errors.recipientEmail)}
+              {...register('recipientEmail', {
+                required: 'Recipient email is required',
+                pattern: {
+                  value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                  message: 'Invalid email address'
+                }
+              })}
+            />
+            {errors.recipientEmail && (
+              <p className="mt-1 text-sm text-red-600">{errors.recipientEmail.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="senderName" className="block text-sm font-medium text-gray-700 mb-1">
+              From *
+            </label>
+            <input
+              type="text"
+              id="senderName"
+              className={inputClassName(errors.senderName)}
+              {...register('senderName', { required: 'Tell them who it is from' })}
+            />
+            {errors.senderName && (
+              <p className="mt-1 text-sm text-red-600">{errors.senderName.message}</p>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="giftMessage" className="block text-sm font-medium text-gray-700 mb-1">
+            Message
+          </label>
+          <textarea
+            id="giftMessage"
+            rows={3}
+            maxLength={MESSAGE_MAX_LENGTH}
+            className={inputClassName(errors.message)}
+            {...register('message')}
+          />
+          <p className="mt-1 text-xs text-gray-500 text-right">
+            {message.length}/{MESSAGE_MAX_LENGTH}
+          </p>
+        </div>
+
+        {/* Delivery */}
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-2">Delivery</span>
+          <div className="space-y-2">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                value="now"
+                className="h-4 w-4 border-gray-300 text-primary-600 focus:ring-primary-500 mr-2"
+                {...register('deliveryOption')}
+              />
+              Send now
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                value="scheduled"
+                className="h-4 w-4 border-gray-300 text-primary-600 focus:ring-primary-500 mr-2"
+                {...register('deliveryOption')}
+              />
+              Send on a date
+            </label>
+          </div>
+          {deliveryOption === 'scheduled' && (
+            <div className="mt-3 max-w-xs">
+              <label htmlFor="deliverDate" className="block text-sm font-medium text-gray-700 mb-1">
+                Delivery date *
+              </label>
+              <input
+                type="date"
+                id="deliverDate"
+                min={today}
+                max={getMaxDeliveryDate()}
+                className={inputClassName(errors.deliverDate)}
+                {...register('deliverDate', {
+                  required: 'Pick a delivery date',
+                  validate: (value) => (value >= today && value <= getMaxDeliveryDate())
+                    || 'Pick a date from today up to a year ahead'
+                })}
+              />
+              {errors.deliverDate ? (
+                <p className="mt-1 text-sm text-red-600">{errors.deliverDate.message}</p>
+              ) : (
+                <p className="mt-1 text-sm text-gray-500">We send scheduled gift cards at 9am.</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Card payment */}
+        <div className="pt-6 border-t border-gray-200">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">Payment</h3>
+          {paymentProvider.isTestMode && (
+            <TestCardsNotice
+              cards={paymentProvider.testCards}
+              onSelect={(number) => {
+                setCard(prev => ({ ...prev, number: formatCardNumber(number) }));
+                setCardErrors(prev => ({ ...prev, number: undefined }));
+              }}
+            />
+          )}
+          <div className="space-y-4">
+            <Input
+              id="giftCardNumber"
+              label="Card Number"
+              placeholder="1234 5678 9012 3456"
+              inputMode="numeric"
+              autoComplete="cc-number"
+              value={card.number}
+              onChange={handleCardChange('number')}
+              error={cardErrors.number}
+              touched={!!cardErrors.number}
+              required
+            />
+            <div className="grid grid-cols-2 gap-4">
+              <Input
+                id="giftCardExpiry"
+                label="Expiry Date"
+                placeholder="MM/YY"
+                inputMode="numeric"
+                autoComplete="cc-exp"
+                value={card.expiry}
+                onChange={handleCardChange('expiry')}
+                error={cardErrors.expiry}
+                touched={!!cardErrors.expiry}
+                required
+              />
+              <Input
+                id="giftCardCvc"
+                label="CVC"
+                placeholder="123"
+                inputMode="numeric"
+                autoComplete="cc-csc"
+                maxLength={4}
+                value={card.cvc}
+                onChange={handleCardChange('cvc')}
+                error={cardErrors.cvc}
+                touched={!!cardErrors.cvc}
+                required
+              />
+            </div>
+            <Input
+              id="giftCardName"
+              label="Name on Card"
+              autoComplete="cc-name"
+              value={card.name}
+              onChange={handleCardChange('name')}
+              error={cardErrors.name}
+              touched={!!cardErrors.name}
+              required
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="px-6 py-4 bg-gray-50 flex justify-end rounded-b-lg">
+        <Button
+          type="submit"
+          variant="primary"
+          loading={isPending || isProcessingPayment || !!pendingOrder}
+        >
+          Buy Gift Card
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default GiftCardPurchaseForm;
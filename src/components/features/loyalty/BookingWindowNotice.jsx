@@ -0,0 +1,71 @@
+import PropTypes from 'prop-types';
+import { Link, useLocation } from 'react-router-dom';
+import { ClockIcon, StarIcon } from '@heroicons/react/24/outline';
+import { formatDate } from '@utils/formatUtils';
+
+/**
+ * Explains when booking opens for a screening that is not on general sale yet,
+ * and which member tiers can book before everyone else
+ */
+const BookingWindowNotice = ({ bookingWindow, tier, tiers, isAuthenticated }) => {
+  const location = useLocation();
+
+  if (!bookingWindow.generalOpensAt) return null;
+
+  if (bookingWindow.isEarlyAccess) {
+    return (
+      <div className="mb-6 p-4 rounded-md bg-yellow-50 text-yellow-800 flex items-start text-sm">
+        <StarIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+        <span>
+          {tier.name} early access: you can book now, before general sale opens on{' '}
+          {formatDate(bookingWindow.generalOpensAt)}.
+        </span>
+      </div>
+    );
+  }
+
+  if (bookingWindow.isOpen) return null;
+
+  // Tiers that would get in earlier than this member
+  const earlierTiers = tiers.filter(candidate => candidate.earlyBookingHours > (tier?.earlyBookingHours || 0));
+
+  return (
+    <div className="mb-6 p-4 rounded-md bg-blue-50 text-blue-800 flex items-start text-sm">
+      <ClockIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+      <div>
+        <p className="font-medium">
+          Booking opens {isAuthenticated && tier?.earlyBookingHours > 0 ? `for ${tier.name} members ` : ''}
+          on {formatDate(bookingWindow.memberOpensAt)}.
+        </p>
+        {earlierTiers.length > 0 && (
+          <p className="mt-1">
+            {earlierTiers.map(candidate => `${candidate.name} members can book ${candidate.earlyBookingHours} hours early`).join('; ')}.
+            {!isAuthenticated && (
+              <>
+                {' '}
+                <Link to="/login" state={{ from: location.pathname }} className="font-medium underline">Sign in</Link> to use your member perks.
+              </>
+            )}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+BookingWindowNotice.propTypes = {
+  bookingWindow: PropTypes.shape({
+    generalOpensAt: PropTypes.instanceOf(Date),
+    memberOpensAt: PropTypes.instanceOf(Date),
+    isOpen: PropTypes.bool.isRequired,
+    isEarlyAccess: PropTypes.bool.isRequired
+  }).isRequired,
+  tier: PropTypes.shape({
+    name: PropTypes.string,
+    earlyBookingHours: PropTypes.number
+  }),
+  tiers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  isAuthenticated: PropTypes.bool
+};
+
+export default BookingWindowNotice;
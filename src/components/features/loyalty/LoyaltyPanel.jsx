@@ -0,0 +1,102 @@
+import { useGetLoyaltyRules, useGetMyLoyalty, useGetMyLoyaltyHistory } from '@hooks/useLoyalty';
+import { formatCurrency } from '@utils/formatUtils';
+import { getMemberTier, getNextTier, pointsToAmount } from '@utils/loyaltyUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import TierBadge from '@components/features/loyalty/TierBadge';
+import PointsHistoryTable from '@components/features/loyalty/PointsHistoryTable';
+import { CheckCircleIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Rewards overview for the profile page: balance, tier perks,
+ * progress to the next tier and the points history
+ */
+const LoyaltyPanel = () => {
+  const { data: rules, isLoading: isLoadingRules } = useGetLoyaltyRules();
+  const {
+    data: summary,
+    isLoading: isLoadingSummary,
+    error,
+    refetch
+  } = useGetMyLoyalty();
+  const { data: history = [], isLoading: isLoadingHistory } = useGetMyLoyaltyHistory();
+
+  if (isLoadingRules || isLoadingSummary) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-6">
+        <p className="text-gray-600 mb-4">{error.message || 'We could not load your points.'}</p>
+        <Button variant="outline" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  const tier = getMemberTier(rules, summary);
+  const nextTier = getNextTier(rules, tier);
+  const pointsToNextTier = nextTier ? Math.max(nextTier.minPoints - summary.lifetimePoints, 0) : 0;
+  const progress = nextTier
+    ? Math.min(((summary.lifetimePoints - tier.minPoints) / (nextTier.minPoints - tier.minPoints)) * 100, 100)
+    : 100;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+        <div className="rounded-lg border border-gray-200 p-4">
+          <h3 className="text-sm font-medium text-gray-500">Points balance</h3>
+          <p className="text-3xl font-bold text-gray-900">{summary.balance.toLocaleString()}</p>
+          <p className="text-sm text-gray-500">
+            Worth {formatCurrency(pointsToAmount(summary.balance, rules))} off a booking
+            {rules.minRedeemPoints > 0 && ` (from ${rules.minRedeemPoints.toLocaleString()} points)`}
+          </p>
+        </div>
+
+        <div className="rounded-lg border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-medium text-gray-500">Member tier</h3>
+            <TierBadge tier={tier} />
+          </div>
+          <ul className="mt-2 space-y-1">
+            {tier.perks.map(perk => (
+              <li key={perk} className="flex items-center text-sm text-gray-700">
+                <CheckCircleIcon className="h-4 w-4 text-green-500 mr-2 flex-shrink-0" />
+                {perk}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {/* Progress to the next tier */}
+      <div>
+        <div className="flex justify-between text-sm mb-1">
+          <span className="text-gray-700">{summary.lifetimePoints.toLocaleString()} lifetime points</span>
+          <span className="text-gray-500">
+            {nextTier
+              ? `${pointsToNextTier.toLocaleString()} to ${nextTier.name}`
+              : 'Top tier reached'}
+          </span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div className="bg-primary-600 h-2 rounded-full" style={{ width: `${progress}%` }} />
+        </div>
+        {nextTier && (
+          <p className="mt-2 text-xs text-gray-500">
+            {nextTier.name} members get: {nextTier.perks.join(', ')}.
+          </p>
+        )}
+      </div>
+
+      <div className="pt-6 border-t border-gray-200">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Points history</h3>
+        {isLoadingHistory ? <LoadingSpinner /> : <PointsHistoryTable transactions={history} />}
+      </div>
+    </div>
+  );
+};
+
+export default LoyaltyPanel;
@@ -0,0 +1,81 @@
+import PropTypes from 'prop-types';
+import { formatDate } from '@utils/formatUtils';
+import { LoyaltyTransactionTypes } from '@utils/loyaltyUtils';
+
+/**
+ * Table of points earned, redeemed and adjusted, newest first
+ */
+const PointsHistoryTable = ({ transactions, showAdjustedBy = false }) => {
+  if (transactions.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-6">No points activity yet.</p>
+    );
+  }
+
+  const sorted = [...transactions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+            <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Activity</th>
+            <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+            <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {sorted.map(transaction => {
+            const typeInfo = LoyaltyTransactionTypes[transaction.type]
+              || { label: transaction.type, className: 'bg-gray-100 text-gray-800' };
+
+            return (
+              <tr key={transaction.id}>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                  {formatDate(transaction.createdAt, { dateStyle: 'medium', timeStyle: undefined })}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-900">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full mr-2 ${typeInfo.className}`}>
+                    {typeInfo.label}
+                  </span>
+                  {transaction.description || (transaction.bookingNumber && `Booking ${transaction.bookingNumber}`)}
+                  {showAdjustedBy && transaction.adjustedBy && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      By {transaction.adjustedBy}{transaction.reason && ` · ${transaction.reason}`}
+                    </div>
+                  )}
+                </td>
+                <td className={`px-4 py-3 whitespace-nowrap text-sm text-right font-medium ${
+                  transaction.points >= 0 ? 'text-green-600' : 'text-red-600'
+                }`}>
+                  {transaction.points > 0 ? '+' : ''}{transaction.points.toLocaleString()}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">
+                  {transaction.balanceAfter?.toLocaleString() ?? '—'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+PointsHistoryTable.propTypes = {
+  transactions: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    type: PropTypes.string,
+    points: PropTypes.number.isRequired,
+    description: PropTypes.string,
+    bookingNumber: PropTypes.string,
+    balanceAfter: PropTypes.number,
+    adjustedBy: PropTypes.string,
+    reason: PropTypes.string,
+    createdAt: PropTypes.string
+  })).isRequired,
+  showAdjustedBy: PropTypes.bool
+};
+
+export default PointsHistoryTable;
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { SparklesIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@utils/formatUtils';
+import { pointsToAmount } from '@utils/loyaltyUtils';
+import Button from '@components/common/Button';
+
+/**
+ * Loyalty points entry for the checkout summary
+ * Points can cover part of the booking or, with enough of them, all of it
+ */
+const PointsRedemptionField = ({ balance, maxPoints, rules, redeemedPoints, onApply, onRemove }) => {
+  const [points, setPoints] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  // Handle applying the points
+  const handleApply = (value) => {
+    const requested = Number(value);
+
+    if (!Number.isInteger(requested) || requested <= 0) {
+      setErrorMessage('Enter a whole number of points.');
+      return;
+    }
+
+    if (requested < rules.minRedeemPoints) {
+      setErrorMessage(`Redeem at least ${rules.minRedeemPoints.toLocaleString()} points.`);
+      return;
+    }
+
+    if (requested > maxPoints) {
+      setErrorMessage(`You can use up to ${maxPoints.toLocaleString()} points on this booking.`);
+      return;
+    }
+
+    setErrorMessage('');
+    setPoints('');
+    onApply(requested);
+  };
+
+  // Apply on Enter without submitting the checkout form
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleApply(points);
+    }
+  };
+
+  if (redeemedPoints > 0) {
+    return (
+      <div className="pt-3 mt-3 border-t border-gray-200">
+        <div className="flex items-center justify-between text-sm">
+          <span className="flex items-center text-green-700 font-medium">
+            <SparklesIcon className="h-4 w-4 mr-1" />
+            {redeemedPoints.toLocaleString()} points ({formatCurrency(pointsToAmount(redeemedPoints, rules))} off)
+          </span>
+          <button
+            type="button"
+            className="text-gray-400 hover:text-gray-600"
+            onClick={onRemove}
+            aria-label="Stop using points"
+          >
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="pt-3 mt-3 border-t border-gray-200">
+      <label htmlFor="redeemPoints" className="block text-sm font-medium text-gray-700 mb-1">
+        Use points
+      </label>
+      <p className="text-xs text-gray-500 mb-2">
+        You have {balance.toLocaleString()} points ({formatCurrency(pointsToAmount(balance, rules))}).
+      </p>
+      {maxPoints > 0 ? (
+        <>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              id="redeemPoints"
+              min={rules.minRedeemPoints}
+              max={maxPoints}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              value={points}
+              onChange={(e) => setPoints(e.target.value)}
+              onKeyDown={handleKeyDown}
+            />
+            <Button variant="outline" size="sm" onClick={() => handleApply(points)}>
+              Apply
+            </Button>
+          </div>
+          <button
+            type="button"
+            className="mt-1 text-xs text-primary-600 hover:text-primary-700"
+            onClick={() => handleApply(maxPoints)}
+          >
+            Use {maxPoints.toLocaleString()} points
+          </button>
+        </>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Points can be used from {rules.minRedeemPoints.toLocaleString()} at a time.
+        </p>
+      )}
+      {errorMessage && (
+        <p className="mt-1 text-sm text-red-600">{errorMessage}</p>
+      )}
+    </div>
+  );
+};
+
+PointsRedemptionField.propTypes = {
+  balance: PropTypes.number.isRequired,
+  maxPoints: PropTypes.number.isRequired,
+  rules: PropTypes.shape({
+    pointValue: PropTypes.number.isRequired,
+    minRedeemPoints: PropTypes.number.isRequired
+  }).isRequired,
+  redeemedPoints: PropTypes.number.isRequired,
+  onApply: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+export default PointsRedemptionField;
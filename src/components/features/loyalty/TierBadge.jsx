@@ -0,0 +1,25 @@
+import PropTypes from 'prop-types';
+import { StarIcon } from '@heroicons/react/24/solid';
+import { TierBadgeClasses } from '@utils/loyaltyUtils';
+
+/**
+ * Pill showing a member's loyalty tier
+ */
+const TierBadge = ({ tier, className = '' }) => (
+  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+    TierBadgeClasses[tier.id] || TierBadgeClasses.MEMBER
+  } ${className}`}>
+    <StarIcon className="h-3 w-3 mr-1" />
+    {tier.name}
+  </span>
+);
+
+TierBadge.propTypes = {
+  tier: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  className: PropTypes.string
+};
+
+export default TierBadge;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@utils/formatUtils';
+import Button from '@components/common/Button';
+
+/**
+ * 3-D Secure style verification step shown when the card issuer asks
+ * the customer to confirm the payment with a one-time code
+ */
+const PaymentChallengeModal = ({ amount, last4, errorMessage, isVerifying = false, hint, onSubmit, onCancel }) => {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) {
+      onSubmit(code.trim());
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="fixed inset-0 bg-gray-600 bg-opacity-75" aria-hidden="true" />
+
+      <div
+        className="relative bg-white rounded-lg shadow-xl max-w-md w-full p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="payment-challenge-title"
+      >
+        <div className="flex items-center mb-4">
+          <div className="rounded-full bg-primary-100 p-2 mr-3">
+            <ShieldCheckIcon className="h-6 w-6 text-primary-600" />
+          </div>
+          <h2 id="payment-challenge-title" className="text-lg font-semibold text-gray-900">
+            Verify your payment
+          </h2>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Your bank needs to confirm the payment of <strong>{formatCurrency(amount)}</strong>
+          {last4 && <> on the card ending in <strong>{last4}</strong></>}.
+          Enter the verification code sent to you.
+        </p>
+
+        <form onSubmit={handleSubmit}>
+          <label htmlFor="challengeCode" className="block text-sm font-medium text-gray-700 mb-1">
+            Verification code
+          </label>
+          <input
+            type="text"
+            id="challengeCode"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            autoFocus
+            maxLength={8}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm tracking-widest"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            disabled={isVerifying}
+          />
+          {errorMessage && (
+            <p className="mt-1 text-sm text-red-600">{errorMessage}</p>
+          )}
+          {hint && (
+            <p className="mt-2 text-xs text-gray-500">{hint}</p>
+          )}
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <Button variant="outline" onClick={onCancel} disabled={isVerifying}>
+              Cancel Payment
+            </Button>
+            <Button type="submit" variant="primary" loading={isVerifying} disabled={!code.trim()}>
+              Verify
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+PaymentChallengeModal.propTypes = {
+  amount: PropTypes.number.isRequired,
+  last4: PropTypes.string,
+  errorMessage: PropTypes.string,
+  isVerifying: PropTypes.bool,
+  hint: PropTypes.string,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default PaymentChallengeModal;
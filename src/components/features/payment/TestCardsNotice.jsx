@@ -0,0 +1,41 @@
+import PropTypes from 'prop-types';
+import { BeakerIcon } from '@heroicons/react/24/outline';
+import { formatCardNumber } from '@utils/paymentUtils';
+
+/**
+ * Lists the mock provider's test cards so the checkout can be tried offline
+ */
+const TestCardsNotice = ({ cards, onSelect }) => {
+  return (
+    <div className="mb-4 p-3 rounded-md bg-yellow-50 text-sm text-yellow-800">
+      <div className="flex items-center font-medium mb-2">
+        <BeakerIcon className="h-5 w-5 mr-2" />
+        Test mode: no real payment is taken. Use any future expiry and CVC.
+      </div>
+      <ul className="space-y-1">
+        {cards.map(card => (
+          <li key={card.number} className="flex items-center justify-between">
+            <button
+              type="button"
+              className="font-mono text-yellow-900 hover:underline"
+              onClick={() => onSelect(card.number)}
+            >
+              {formatCardNumber(card.number)}
+            </button>
+            <span className="text-xs">{card.description}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+TestCardsNotice.propTypes = {
+  cards: PropTypes.arrayOf(PropTypes.shape({
+    number: PropTypes.string.isRequired,
+    description: PropTypes.string.isRequired
+  })).isRequired,
+  onSelect: PropTypes.func.isRequired
+};
+
+export default TestCardsNotice;
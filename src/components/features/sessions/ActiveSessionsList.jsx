@@ -0,0 +1,139 @@
+import { useToast } from '@contexts/ToastContext';
+import { useGetMySessions, useRevokeMySession, useRevokeOtherSessions } from '@hooks/useUsers';
+import { formatDate } from '@utils/formatUtils';
+import { describeUserAgent, describeLocation } from '@utils/deviceUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Where the user is signed in, with sign-out for single sessions or all but this one
+ */
+const ActiveSessionsList = () => {
+  const { showSuccess, showError } = useToast();
+  const { data: sessions = [], isLoading, error, refetch } = useGetMySessions();
+
+  const { mutate: revokeSession, isPending: isRevoking, variables: revokingSessionId } = useRevokeMySession({
+    onSuccess: () => {
+      showSuccess('Session signed out');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to sign out the session');
+    }
+  });
+
+  const { mutate: revokeOtherSessions, isPending: isRevokingOthers } = useRevokeOtherSessions({
+    onSuccess: (result) => {
+      const count = result?.revoked ?? result?.count;
+      showSuccess(typeof count === 'number'
+        ? `Signed out of ${count} other session${count !== 1 ? 's' : ''}`
+        : 'Signed out everywhere else');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to sign out the other sessions');
+    }
+  });
+
+  // Without knowing which session is this browser, signing one out could end our own
+  const canRevoke = sessions.some(session => session.isCurrent);
+  const otherSessions = sessions.filter(session => !session.isCurrent);
+
+  const handleRevoke = (session) => {
+    const name = session.deviceName || describeUserAgent(session.userAgent);
+    if (window.confirm(`Sign out ${name}?`)) {
+      revokeSession(session.id);
+    }
+  };
+
+  const handleRevokeOthers = () => {
+    if (window.confirm('Sign out of every other browser and device? You will stay signed in here.')) {
+      revokeOtherSessions();
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner size="sm" />;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-4">
+        <p className="text-gray-600 mb-4">{error.message || 'We could not load your sessions.'}</p>
+        <Button variant="outline" size="sm" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500">No active sessions found.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <ul className="divide-y divide-gray-200 rounded-lg border border-gray-200">
+        {sessions.map(session => {
+          const name = session.deviceName || describeUserAgent(session.userAgent);
+          const location = describeLocation(session);
+          const isMobile = /iOS|Android/.test(name);
+          const DeviceIcon = isMobile ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+
+          return (
+            <li key={session.id} className="flex items-center justify-between p-4">
+              <div className="flex items-start">
+                <DeviceIcon className="h-6 w-6 text-gray-400 mr-3 flex-shrink-0" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900 flex items-center">
+                    {name}
+                    {session.isCurrent && (
+                      <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-primary-100 text-primary-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {session.isCurrent
+                      ? 'Active now'
+                      : `Last active ${session.lastActiveAt ? formatDate(session.lastActiveAt) : 'unknown'}`}
+                    {location && ` · ${location}`}
+                  </p>
+                  {session.createdAt && (
+                    <p className="text-xs text-gray-400">Signed in {formatDate(session.createdAt)}</p>
+                  )}
+                </div>
+              </div>
+              {canRevoke && !session.isCurrent && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRevoke(session)}
+                  loading={isRevoking && revokingSessionId === session.id}
+                  disabled={isRevokingOthers}
+                >
+                  Sign out
+                </Button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {!canRevoke && (
+        <p className="text-sm text-gray-500">
+          We could not tell which of these sessions is this browser, so sessions can't be signed out from here.
+        </p>
+      )}
+
+      {canRevoke && otherSessions.length > 0 && (
+        <div className="flex justify-end">
+          <Button variant="danger" size="sm" onClick={handleRevokeOthers} loading={isRevokingOthers}>
+            Sign out everywhere else
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessionsList;
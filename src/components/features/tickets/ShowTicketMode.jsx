@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  XMarkIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  SunIcon,
+  SignalSlashIcon
+} from '@heroicons/react/24/outline';
+import { formatDate } from '@utils/formatUtils';
+import TicketQRCode from './TicketQRCode';
+
+/**
+ * Full-screen ticket view for scanning at the door.
+ * Keeps the screen awake where supported and pages through one QR per seat.
+ */
+const ShowTicketMode = ({ booking, tickets, isOffline = false, onClose }) => {
+  const [index, setIndex] = useState(0);
+  const ticket = tickets[index];
+
+  // Keep the screen on and close with Escape while the ticket is shown
+  useEffect(() => {
+    let wakeLock = null;
+
+    navigator.wakeLock?.request('screen')
+      .then((lock) => {
+        wakeLock = lock;
+      })
+      .catch(() => {
+        // Not critical: the customer can still tap the screen to keep it on
+      });
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowRight') setIndex(i => Math.min(i + 1, tickets.length - 1));
+      if (e.key === 'ArrowLeft') setIndex(i => Math.max(i - 1, 0));
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      wakeLock?.release().catch(() => {});
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose, tickets.length]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-white flex flex-col"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Ticket"
+    >
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <div>
+          <div className="font-semibold text-gray-900">{booking.movieTitle}</div>
+          <div className="text-sm text-gray-500">
+            {formatDate(booking.screeningTime)} · {booking.theatreName}
+          </div>
+        </div>
+        <button
+          type="button"
+          className="p-2 text-gray-500 hover:text-gray-700"
+          onClick={onClose}
+          aria-label="Close ticket"
+        >
+          <XMarkIcon className="h-6 w-6" />
+        </button>
+      </div>
+
+      <div className="flex-1 flex flex-col items-center justify-center px-4">
+        <div className="flex items-center text-sm text-yellow-800 bg-yellow-50 rounded-full px-4 py-2 mb-6">
+          <SunIcon className="h-5 w-5 mr-2" />
+          Turn your screen brightness up for scanning
+        </div>
+
+        {ticket && (
+          <>
+            <TicketQRCode value={ticket.code} size={280} />
+            <div className="mt-4 text-center">
+              <div className="text-3xl font-bold text-gray-900">
+                {ticket.seat ? `Seat ${ticket.seat}` : `${booking.bookedSeats?.length || ''} Seats`}
+              </div>
+              <div className="text-sm text-gray-500 font-mono mt-1">{booking.bookingNumber}</div>
+            </div>
+          </>
+        )}
+
+        {isOffline && (
+          <div className="flex items-center text-xs text-gray-500 mt-4">
+            <SignalSlashIcon className="h-4 w-4 mr-1" />
+            Showing the ticket saved on this device
+          </div>
+        )}
+      </div>
+
+      {tickets.length > 1 && (
+        <div className="flex items-center justify-between px-4 py-4 border-t border-gray-200">
+          <button
+            type="button"
+            className="p-3 rounded-full text-gray-700 hover:bg-gray-100 disabled:opacity-30"
+            onClick={() => setIndex(i => i - 1)}
+            disabled={index === 0}
+            aria-label="Previous ticket"
+          >
+            <ChevronLeftIcon className="h-6 w-6" />
+          </button>
+          <span className="text-sm text-gray-600">
+            Ticket {index + 1} of {tickets.length}
+          </span>
+          <button
+            type="button"
+            className="p-3 rounded-full text-gray-700 hover:bg-gray-100 disabled:opacity-30"
+            onClick={() => setIndex(i => i + 1)}
+            disabled={index === tickets.length - 1}
+            aria-label="Next ticket"
+          >
+            <ChevronRightIcon className="h-6 w-6" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ShowTicketMode.propTypes = {
+  booking: PropTypes.shape({
+    bookingNumber: PropTypes.string,
+    movieTitle: PropTypes.string,
+    theatreName: PropTypes.string,
+    screeningTime: PropTypes.string,
+    bookedSeats: PropTypes.array
+  }).isRequired,
+  tickets: PropTypes.arrayOf(PropTypes.shape({
+    ticketId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    seat: PropTypes.string,
+    code: PropTypes.string.isRequired
+  })).isRequired,
+  isOffline: PropTypes.bool,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ShowTicketMode;
@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import QRCode from 'qrcode';
+
+/**
+ * Renders a signed ticket code as a QR image.
+ * The QR is generated on the device, so it works without a connection.
+ */
+const TicketQRCode = ({ value, size = 240, className = '' }) => {
+  const [dataUrl, setDataUrl] = useState('');
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    QRCode.toDataURL(value, { errorCorrectionLevel: 'M', margin: 2, width: size })
+      .then((url) => {
+        if (!isCancelled) setDataUrl(url);
+      })
+      .catch((error) => {
+        console.error('Error generating ticket QR code:', error);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [value, size]);
+
+  if (!dataUrl) {
+    return <div className={`bg-gray-100 animate-pulse ${className}`} style={{ width: size, height: size }} />;
+  }
+
+  return (
+    <img
+      src={dataUrl}
+      alt="Ticket QR code"
+      width={size}
+      height={size}
+      className={className}
+    />
+  );
+};
+
+TicketQRCode.propTypes = {
+  value: PropTypes.string.isRequired,
+  size: PropTypes.number,
+  className: PropTypes.string
+};
+
+export default TicketQRCode;
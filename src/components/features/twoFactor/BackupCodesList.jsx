@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { downloadBackupCodes } from '@utils/twoFactorUtils';
+import Button from '@components/common/Button';
+import { ArrowDownTrayIcon, ClipboardDocumentIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Freshly issued backup codes. They are only shown once, so the user
+ * has to save them before moving on.
+ */
+const BackupCodesList = ({ codes, username, onDone }) => {
+  const [hasSaved, setHasSaved] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const handleDownload = () => {
+    downloadBackupCodes(codes, username);
+    setHasSaved(true);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+      setHasSaved(true);
+    } catch (error) {
+      console.error('Error copying backup codes:', error);
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-200 p-4 space-y-4">
+      <div className="flex items-start rounded-md bg-yellow-50 border border-yellow-200 p-3">
+        <ExclamationTriangleIcon className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0" />
+        <p className="text-sm text-yellow-800">
+          Save these backup codes now. Each one signs you in once if you lose your phone,
+          and you won&apos;t be able to see them again.
+        </p>
+      </div>
+
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+        {codes.map(code => (
+          <li key={code} className="rounded bg-gray-50 px-3 py-2 text-center tracking-wider">
+            {code}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex space-x-3">
+          <Button
+            variant="outline"
+            size="sm"
+            icon={<ArrowDownTrayIcon className="h-4 w-4 mr-1" />}
+            onClick={handleDownload}
+          >
+            Download
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            icon={<ClipboardDocumentIcon className="h-4 w-4 mr-1" />}
+            onClick={handleCopy}
+          >
+            {copied ? 'Copied' : 'Copy'}
+          </Button>
+        </div>
+        <Button variant="primary" size="sm" onClick={onDone} disabled={!hasSaved}>
+          I&apos;ve saved my codes
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+BackupCodesList.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  username: PropTypes.string,
+  onDone: PropTypes.func.isRequired
+};
+
+export default BackupCodesList;
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useReauthenticate } from '@hooks/useTwoFactor';
+import Button from '@components/common/Button';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Asks for the current password before a sensitive change
+ * and hands back a short-lived re-authentication token
+ */
+const ReauthenticateForm = ({ message, confirmLabel = 'Continue', onConfirmed, onCancel }) => {
+  const [password, setPassword] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const { mutate: reauthenticate, isPending } = useReauthenticate({
+    onSuccess: (result) => {
+      setPassword('');
+      onConfirmed(result.reauthToken);
+    },
+    onError: (error) => {
+      setErrorMessage(error.message);
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!password) {
+      setErrorMessage('Please enter your password.');
+      return;
+    }
+
+    setErrorMessage('');
+    reauthenticate(password);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="rounded-lg border border-gray-200 p-4 space-y-3">
+      <div className="flex items-start">
+        <LockClosedIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-2 flex-shrink-0" />
+        <p className="text-sm text-gray-700">{message}</p>
+      </div>
+      <div>
+        <label htmlFor="reauthPassword" className="block text-sm font-medium text-gray-700 mb-1">
+          Current password
+        </label>
+        <input
+          type="password"
+          id="reauthPassword"
+          autoComplete="current-password"
+          className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={isPending}
+        />
+        {errorMessage && (
+          <p className="mt-1 text-sm text-red-600">{errorMessage}</p>
+        )}
+      </div>
+      <div className="flex justify-end space-x-3">
+        <Button variant="outline" size="sm" onClick={onCancel} disabled={isPending}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="sm" loading={isPending}>
+          {confirmLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+ReauthenticateForm.propTypes = {
+  message: PropTypes.string.isRequired,
+  confirmLabel: PropTypes.string,
+  onConfirmed: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ReauthenticateForm;
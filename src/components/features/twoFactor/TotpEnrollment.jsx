@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import QRCode from 'qrcode';
+import { useConfirmTotpEnrollment } from '@hooks/useTwoFactor';
+import { isValidCodeFormat, parseProvisioningUri } from '@utils/twoFactorUtils';
+import Button from '@components/common/Button';
+
+/**
+ * Authenticator app setup: scan the QR code (or type the key),
+ * then prove it works with a code from the app
+ */
+const TotpEnrollment = ({ enrollment, onConfirmed, onCancel }) => {
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [code, setCode] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const { issuer, account } = parseProvisioningUri(enrollment.provisioningUri);
+
+  // The QR is drawn on the device so the secret never goes to a third party
+  useEffect(() => {
+    let isCancelled = false;
+
+    QRCode.toDataURL(enrollment.provisioningUri, { errorCorrectionLevel: 'M', margin: 2, width: 200 })
+      .then((url) => {
+        if (!isCancelled) setQrDataUrl(url);
+      })
+      .catch((error) => {
+        console.error('Error generating authenticator QR code:', error);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [enrollment.provisioningUri]);
+
+  const { mutate: confirmEnrollment, isPending } = useConfirmTotpEnrollment({
+    onSuccess: (result) => {
+      onConfirmed(result.backupCodes);
+    },
+    onError: (error) => {
+      setCode('');
+      setErrorMessage(error.message);
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!isValidCodeFormat('TOTP', code)) {
+      setErrorMessage('Enter the 6-digit code from your authenticator app.');
+      return;
+    }
+
+    setErrorMessage('');
+    confirmEnrollment(code.replace(/\s/g, ''));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="rounded-lg border border-gray-200 p-4 space-y-4">
+      <ol className="list-decimal list-inside text-sm text-gray-700 space-y-1">
+        <li>Open an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.</li>
+        <li>Scan this QR code, or enter the setup key by hand.</li>
+        <li>Type the 6-digit code the app shows to finish.</li>
+      </ol>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+        {qrDataUrl ? (
+          <img
+            src={qrDataUrl}
+            alt="Authenticator setup QR code"
+            width={200}
+            height={200}
+            className="border border-gray-200 rounded"
+          />
+        ) : (
+          <div className="bg-gray-100 animate-pulse rounded" style={{ width: 200, height: 200 }} />
+        )}
+        <div className="text-sm">
+          {(issuer || account) && (
+            <p className="text-gray-600 mb-2">
+              {issuer}{issuer && account && ' · '}{account}
+            </p>
+          )}
+          <p className="font-medium text-gray-700">Setup key</p>
+          <p className="font-mono text-gray-900 break-all tracking-wider">{enrollment.secret}</p>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="totpCode" className="block text-sm font-medium text-gray-700 mb-1">
+          Code from the app
+        </label>
+        <input
+          type="text"
+          id="totpCode"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          className="block w-40 rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm tracking-widest"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          disabled={isPending}
+        />
+        {errorMessage && (
+          <p className="mt-1 text-sm text-red-600">{errorMessage}</p>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <Button variant="outline" size="sm" onClick={onCancel} disabled={isPending}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="sm" loading={isPending}>
+          Turn On
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+TotpEnrollment.propTypes = {
+  enrollment: PropTypes.shape({
+    secret: PropTypes.string,
+    provisioningUri: PropTypes.string.isRequired
+  }).isRequired,
+  onConfirmed: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default TotpEnrollment;
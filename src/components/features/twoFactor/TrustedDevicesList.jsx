@@ -0,0 +1,105 @@
+import { useToast } from '@contexts/ToastContext';
+import { useGetTrustedDevices, useRevokeTrustedDevice } from '@hooks/useTwoFactor';
+import { formatDate } from '@utils/formatUtils';
+import { describeUserAgent, describeLocation } from '@utils/deviceUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Devices that can sign in without a second factor, with revocation
+ */
+const TrustedDevicesList = () => {
+  const { showSuccess, showError } = useToast();
+  const { data: devices = [], isLoading, error, refetch } = useGetTrustedDevices();
+
+  const { mutate: revokeDevice, isPending, variables: revokingDevice } = useRevokeTrustedDevice({
+    onSuccess: (_, device) => {
+      showSuccess(device.isCurrent
+        ? 'This device will ask for a code next time you sign in'
+        : 'Device removed');
+    },
+    onError: (error) => {
+      showError(error.message);
+    }
+  });
+
+  const handleRevoke = (device) => {
+    const name = device.deviceName || describeUserAgent(device.userAgent);
+    if (window.confirm(`Stop trusting ${name}? It will need a verification code at its next sign-in.`)) {
+      revokeDevice(device);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner size="sm" />;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-4">
+        <p className="text-gray-600 mb-4">{error.message || 'We could not load your trusted devices.'}</p>
+        <Button variant="outline" size="sm" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  if (devices.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No trusted devices. Tick &ldquo;Trust this device for 30 days&rdquo; when you enter a
+        verification code to skip it next time.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200 rounded-lg border border-gray-200">
+      {devices.map(device => {
+        const name = device.deviceName || describeUserAgent(device.userAgent);
+        const location = describeLocation(device);
+        const isMobile = /iOS|Android/.test(name);
+        const DeviceIcon = isMobile ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+
+        return (
+          <li key={device.id} className="flex items-center justify-between p-4">
+            <div className="flex items-start">
+              <DeviceIcon className="h-6 w-6 text-gray-400 mr-3 flex-shrink-0" />
+              <div>
+                <p className="text-sm font-medium text-gray-900 flex items-center">
+                  {name}
+                  {device.isCurrent && (
+                    <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-primary-100 text-primary-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500">
+                  Last used {device.lastUsedAt ? formatDate(device.lastUsedAt) : 'never'}
+                  {location && ` · ${location}`}
+                </p>
+                {device.expiresAt && (
+                  <p className="text-xs text-gray-400">
+                    Trusted until {formatDate(device.expiresAt, { dateStyle: 'medium', timeStyle: undefined })}
+                  </p>
+                )}
+              </div>
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => handleRevoke(device)}
+              loading={isPending && revokingDevice?.id === device.id}
+            >
+              Remove
+            </Button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default TrustedDevicesList;
@@ -0,0 +1,245 @@
+import { useState } from 'react';
+import { useAuth } from '@contexts/AuthContext';
+import { useToast } from '@contexts/ToastContext';
+import {
+  useGetTwoFactorStatus,
+  useStartTotpEnrollment,
+  useRegenerateBackupCodes,
+  useDisableTotp,
+  useSetPreferredMethod
+} from '@hooks/useTwoFactor';
+import { TwoFactorMethods } from '@utils/twoFactorUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import ReauthenticateForm from '@components/features/twoFactor/ReauthenticateForm';
+import TotpEnrollment from '@components/features/twoFactor/TotpEnrollment';
+import BackupCodesList from '@components/features/twoFactor/BackupCodesList';
+import { DevicePhoneMobileIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+
+// What each password-protected action asks before going ahead
+const REAUTH_MESSAGES = {
+  regenerate: 'Confirm your password to get new backup codes. Your old codes will stop working.',
+  reset: 'Confirm your password to move your authenticator to a new phone. The current one will stop working.',
+  disable: 'Confirm your password to turn off the authenticator app. You will sign in with emailed codes only.'
+};
+
+/**
+ * Security tab section for the second factors: authenticator app setup,
+ * backup codes and which factor to ask for first
+ */
+const TwoFactorSettings = () => {
+  const { user } = useAuth();
+  const { showSuccess, showError } = useToast();
+  const [step, setStep] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState([]);
+
+  const { data: status, isLoading, error, refetch } = useGetTwoFactorStatus();
+
+  const startEnrollment = useStartTotpEnrollment({
+    onSuccess: (result) => {
+      setEnrollment(result);
+      setStep('enroll');
+    },
+    onError: (error) => {
+      showError(error.message);
+      setStep(null);
+    }
+  });
+
+  const regenerateCodes = useRegenerateBackupCodes({
+    onSuccess: (codes) => {
+      setBackupCodes(codes);
+      setStep('codes');
+    },
+    onError: (error) => {
+      showError(error.message);
+      setStep(null);
+    }
+  });
+
+  const disableTotp = useDisableTotp({
+    onError: (error) => {
+      showError(error.message);
+      setStep(null);
+    }
+  });
+
+  const setPreferredMethod = useSetPreferredMethod({
+    onSuccess: () => {
+      showSuccess('Preferred sign-in method updated');
+    },
+    onError: (error) => {
+      showError(error.message);
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-6">
+        <p className="text-gray-600 mb-4">{error.message || 'We could not load your sign-in settings.'}</p>
+        <Button variant="outline" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  const preferableMethods = status.methods.filter(method => method !== 'BACKUP_CODE');
+
+  const requestReauth = (action) => {
+    setPendingAction(action);
+    setStep('reauth');
+  };
+
+  // Carry out the action the password was confirmed for
+  const handleReauthenticated = (reauthToken) => {
+    if (pendingAction === 'regenerate') {
+      regenerateCodes.mutate(reauthToken);
+      return;
+    }
+
+    disableTotp.mutate(reauthToken, {
+      onSuccess: () => {
+        if (pendingAction === 'reset') {
+          startEnrollment.mutate();
+        } else {
+          showSuccess('Authenticator app turned off');
+          setStep(null);
+        }
+      }
+    });
+  };
+
+  const handleEnrolled = (codes) => {
+    showSuccess('Authenticator app turned on');
+    setEnrollment(null);
+    setBackupCodes(codes);
+    setStep(codes.length > 0 ? 'codes' : null);
+  };
+
+  const handleCodesSaved = () => {
+    setBackupCodes([]);
+    setStep(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between">
+        <div className="flex items-start">
+          <DevicePhoneMobileIcon className="h-6 w-6 text-gray-400 mr-3 flex-shrink-0" />
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Authenticator app</h3>
+            <p className="text-sm text-gray-600">
+              {status.totpEnabled
+                ? 'On. You can sign in with a code from your authenticator app.'
+                : 'Get sign-in codes from an app on your phone instead of waiting for an email.'}
+            </p>
+            {status.totpEnabled && (
+              <p className="text-sm text-gray-500 mt-1">
+                {status.backupCodesRemaining} backup {status.backupCodesRemaining === 1 ? 'code' : 'codes'} left
+              </p>
+            )}
+          </div>
+        </div>
+        {status.totpEnabled && (
+          <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+            Enabled
+          </span>
+        )}
+      </div>
+
+      {step === 'reauth' && (
+        <ReauthenticateForm
+          message={REAUTH_MESSAGES[pendingAction]}
+          confirmLabel={pendingAction === 'disable' ? 'Turn Off' : 'Continue'}
+          onConfirmed={handleReauthenticated}
+          onCancel={() => setStep(null)}
+        />
+      )}
+
+      {step === 'enroll' && enrollment && (
+        <TotpEnrollment
+          enrollment={enrollment}
+          onConfirmed={handleEnrolled}
+          onCancel={() => {
+            setEnrollment(null);
+            setStep(null);
+          }}
+        />
+      )}
+
+      {step === 'codes' && (
+        <BackupCodesList codes={backupCodes} username={user?.username} onDone={handleCodesSaved} />
+      )}
+
+      {!step && (
+        <div className="flex flex-wrap gap-3">
+          {status.totpEnabled ? (
+            <>
+              <Button variant="outline" size="sm" onClick={() => requestReauth('regenerate')}>
+                New Backup Codes
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => requestReauth('reset')}>
+                Move to a New Phone
+              </Button>
+              <Button variant="danger" size="sm" onClick={() => requestReauth('disable')}>
+                Turn Off
+              </Button>
+            </>
+          ) : (
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={() => startEnrollment.mutate()}
+              loading={startEnrollment.isPending}
+            >
+              Set Up Authenticator App
+            </Button>
+          )}
+        </div>
+      )}
+
+      {(regenerateCodes.isPending || disableTotp.isPending || (startEnrollment.isPending && step)) && (
+        <LoadingSpinner size="sm" />
+      )}
+
+      {preferableMethods.length > 1 && (
+        <fieldset className="pt-4 border-t border-gray-200">
+          <legend className="text-sm font-medium text-gray-900 mb-2">Ask me for this first when I sign in</legend>
+          <div className="space-y-2">
+            {preferableMethods.map(method => (
+              <label key={method} className="flex items-start cursor-pointer">
+                <input
+                  type="radio"
+                  name="preferredMethod"
+                  value={method}
+                  className="mt-1 h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                  checked={status.preferredMethod === method}
+                  onChange={() => setPreferredMethod.mutate(method)}
+                  disabled={setPreferredMethod.isPending}
+                />
+                <span className="ml-2 text-sm">
+                  <span className="font-medium text-gray-900 flex items-center">
+                    {TwoFactorMethods[method]?.label || method}
+                    {status.preferredMethod === method && (
+                      <CheckCircleIcon className="h-4 w-4 text-green-600 ml-1" />
+                    )}
+                  </span>
+                  <span className="text-gray-500">{TwoFactorMethods[method]?.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
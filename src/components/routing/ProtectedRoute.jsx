@@ -7,7 +7,7 @@ import { useAuth } from '@contexts/AuthContext';
  * Redirects to login if user is not authenticated
  */
 const ProtectedRoute = ({ children, redirectPath = '/login' }) => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, sessionExpired } = useAuth();
   const location = useLocation();
 
   // Show loading state while checking authentication
@@ -19,9 +19,9 @@ const ProtectedRoute = ({ children, redirectPath = '/login' }) => {
     );
   }
 
-  // Redirect to login if not authenticated
+  // Redirect to login if not authenticated, remembering the page so the user comes back to it
   if (!isAuthenticated) {
-    return <Navigate to={redirectPath} state={{ from: location }} replace />;
+    return <Navigate to={redirectPath} state={{ from: location, sessionExpired }} replace />;
   }
 
   // Render children if authenticated
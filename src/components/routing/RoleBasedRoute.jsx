@@ -7,7 +7,7 @@ import { useAuth } from '@contexts/AuthContext';
  * Redirects to unauthorized page if user doesn't have required role
  */
 const RoleBasedRoute = ({ children, roles, redirectPath = '/unauthorized' }) => {
-  const { isAuthenticated, loading, hasRole } = useAuth();
+  const { isAuthenticated, loading, hasRole, sessionExpired } = useAuth();
   const location = useLocation();
 
   // Show loading state while checking authentication
@@ -19,9 +19,9 @@ const RoleBasedRoute = ({ children, roles, redirectPath = '/unauthorized' }) =>
     );
   }
 
-  // Redirect to login if not authenticated
+  // Redirect to login if not authenticated, remembering the page so the user comes back to it
   if (!isAuthenticated) {
-    return <Navigate to="/login" state={{ from: location }} replace />;
+    return <Navigate to="/login" state={{ from: location, sessionExpired }} replace />;
   }
 
   // Check if user has required role
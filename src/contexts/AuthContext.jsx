@@ -1,6 +1,23 @@
 // src/contexts/AuthContext.jsx - Fixed version with better state management
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import authApi from '@api/auth';
+import { refreshSession } from '@api/client';
+import {
+  getAccessToken,
+  getRefreshToken,
+  getTokenExpiry,
+  storeTokens,
+  clearSession,
+  subscribeToSession,
+  getDeviceId,
+  getDeviceToken,
+  storeDeviceToken,
+  clearDeviceToken,
+  SessionEvents,
+  REFRESH_MARGIN_MS
+} from '@api/session';
+import { describeUserAgent } from '@utils/deviceUtils';
+import { clearOfflineTickets } from '@utils/ticketUtils';
 
 // Create the authentication context
 const AuthContext = createContext(null);
@@ -14,26 +31,34 @@ export const UserRoles = {
   ADMIN: 'ROLE_ADMIN'
 };
 
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY_MS = 2147483647;
+
 /**
  * Auth Provider component to wrap the application
  * Provides authentication state and methods
  */
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
-  const [token, setToken] = useState(localStorage.getItem('auth_token'));
+  const [token, setToken] = useState(getAccessToken());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [twoFactorData, setTwoFactorData] = useState(null);
+  const [sessionExpired, setSessionExpired] = useState(false);
 
   /**
    * Initialize auth state from localStorage
    */
   useEffect(() => {
     const initializeAuth = async () => {
-      const storedToken = localStorage.getItem('auth_token');
+      const storedToken = getAccessToken();
       const storedUser = localStorage.getItem('user');
+      const expiry = getTokenExpiry(storedToken);
 
-      if (storedToken && storedUser) {
+      // An expired token is only worth keeping if it can be renewed
+      if (storedToken && expiry !== null && expiry <= Date.now() && !getRefreshToken()) {
+        clearSession();
+      } else if (storedToken && storedUser) {
         try {
           setToken(storedToken);
           const userData = JSON.parse(storedUser);
@@ -42,8 +67,7 @@ export const AuthProvider = ({ children }) => {
         } catch (err) {
           // Invalid stored user data
           console.error('Invalid stored user data:', err);
-          localStorage.removeItem('auth_token');
-          localStorage.removeItem('user');
+          clearSession();
         }
       }
       
@@ -53,6 +77,57 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  /**
+   * Follow token renewals and expiry from the API client
+   */
+  useEffect(() => {
+    return subscribeToSession((event) => {
+      if (event.type === SessionEvents.REFRESHED) {
+        setToken(event.token);
+      } else if (event.type === SessionEvents.EXPIRED) {
+        console.log('Session expired');
+        setUser(null);
+        setToken(null);
+        setSessionExpired(true);
+      }
+    });
+  }, []);
+
+  /**
+   * Renew the access token shortly before it expires so an idle tab stays signed in
+   */
+  useEffect(() => {
+    const expiry = getTokenExpiry(token);
+    if (!expiry || !getRefreshToken()) return undefined;
+
+    const delay = Math.min(Math.max(expiry - REFRESH_MARGIN_MS - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    const timer = setTimeout(() => {
+      refreshSession().catch((err) => {
+        // Requests will try again; the session only ends if they get a 401
+        console.warn('Scheduled token refresh failed:', err.message);
+      });
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [token]);
+
+  /**
+   * Store the tokens and user from a successful login
+   * @param {Object} tokenData - Login response
+   */
+  const startSession = useCallback((tokenData) => {
+    const { token, refreshToken, username, roles } = tokenData;
+
+    storeTokens({ token, refreshToken });
+
+    const userData = { username, roles };
+    localStorage.setItem('user', JSON.stringify(userData));
+
+    setToken(token);
+    setUser(userData);
+    setSessionExpired(false);
+  }, []);
+
   /**
    * Debug log for auth state changes
    */
@@ -77,16 +152,36 @@ export const AuthProvider = ({ children }) => {
     setError(null);
     
     try {
-      const response = await authApi.initiateLogin({ username, password });
+      const deviceToken = getDeviceToken();
+      const response = await authApi.initiateLogin({
+        username,
+        password,
+        deviceId: getDeviceId(),
+        deviceName: describeUserAgent(),
+        deviceToken: deviceToken || undefined
+      });
       console.log('Initiate login response:', response);
       
-      // Check if 2FA is required
+      // Check if 2FA is required. Only the challenge is kept; the password is not.
       if (response.requires2FA) {
         console.log('2FA required for user:', username);
+
+        // The device was revoked, expired or belongs to another account
+        if (deviceToken) {
+          clearDeviceToken();
+        }
+
         setTwoFactorData({
           username,
-          password,
-          email: response.email
+          email: response.email,
+          methods: response.methods,
+          method: response.preferredMethod,
+          // Emailed codes are only sent up front when email is the preferred factor
+          emailCodeSent: response.preferredMethod === 'EMAIL',
+          challengeToken: response.challengeToken,
+          expiresAt: response.expiresAt,
+          resendAvailableAt: response.resendAvailableAt,
+          attemptsRemaining: response.attemptsRemaining
         });
         return { success: true, requires2FA: true };
       }
@@ -94,16 +189,7 @@ export const AuthProvider = ({ children }) => {
       // If 2FA is not required, check if we have token data directly in response
       if (response.token && response.username) {
         console.log('Direct login without 2FA');
-        const { token, username: user, roles } = response;
-        
-        // Store auth data
-        localStorage.setItem('auth_token', token);
-        
-        const userData = { username: user, roles };
-        localStorage.setItem('user', JSON.stringify(userData));
-        
-        setToken(token);
-        setUser(userData);
+        startSession(response);
         
         return { success: true, requires2FA: false };
       }
@@ -120,17 +206,19 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [startSession]);
   
   /**
-   * Complete login by verifying OTP
+   * Complete login by verifying OTP against the pending challenge
    * @param {string} otp - OTP code
-   * @returns {Promise<boolean>} Verification success status
+   * @param {Object} [options] - Verification options
+   * @param {boolean} [options.trustDevice=false] - Skip 2FA on this device for 30 days
+   * @returns {Promise<Object>} { success, error }
    */
-  const verifyOtp = useCallback(async (otp) => {
+  const verifyOtp = useCallback(async (otp, { trustDevice = false } = {}) => {
     if (!twoFactorData) {
       setError('No 2FA session available. Please try logging in again.');
-      return false;
+      return { success: false, error: 'No 2FA session available. Please try logging in again.' };
     }
     
     console.log('Verifying OTP for user:', twoFactorData.username);
@@ -138,8 +226,14 @@ export const AuthProvider = ({ children }) => {
     setError(null);
     
     try {
-      const { username, password } = twoFactorData;
-      const response = await authApi.verifyOtp({ username, password, otp });
+      const response = await authApi.verifyOtp({
+        challengeToken: twoFactorData.challengeToken,
+        otp,
+        method: twoFactorData.method,
+        trustDevice,
+        deviceId: getDeviceId(),
+        deviceName: describeUserAgent()
+      });
       console.log('Verify OTP response:', response);
       
       // Handle both possible response structures
@@ -152,36 +246,83 @@ export const AuthProvider = ({ children }) => {
         tokenData = response;
       }
       
-      const { token, username: user, roles } = tokenData;
-      
-      if (!token) {
+      if (!tokenData.token) {
         console.error('No token in OTP verification response:', response);
         setError('Invalid response from server');
-        return false;
+        return { success: false, error: 'Invalid response from server' };
       }
       
-      console.log('OTP verification successful for user:', user, 'with roles:', roles);
+      console.log('OTP verification successful for user:', tokenData.username, 'with roles:', tokenData.roles);
       
-      // Store auth data
-      localStorage.setItem('auth_token', token);
-      
-      const userData = { username: user, roles };
-      localStorage.setItem('user', JSON.stringify(userData));
+      if (tokenData.deviceToken) {
+        storeDeviceToken(tokenData.deviceToken);
+      }
       
-      setToken(token);
-      setUser(userData);
+      startSession(tokenData);
       setTwoFactorData(null); // Clear 2FA data
       
-      return true;
+      return { success: true };
     } catch (err) {
       console.error('Verify OTP error:', err);
       setError(err.message || 'OTP verification failed');
-      return false;
+      setTwoFactorData(current => current && applyTwoFactorError(current, err));
+      return { success: false, error: err.message || 'OTP verification failed' };
     } finally {
       setLoading(false);
     }
+  }, [twoFactorData, startSession]);
+
+  /**
+   * Send a new OTP for the pending challenge
+   * @returns {Promise<Object>} { success, error }
+   */
+  const resendOtp = useCallback(async () => {
+    if (!twoFactorData) {
+      return { success: false, error: 'No 2FA session available. Please try logging in again.' };
+    }
+
+    setError(null);
+
+    try {
+      const challenge = await authApi.resendOtp(twoFactorData.challengeToken);
+      setTwoFactorData(current => current && { ...current, ...challenge, emailCodeSent: true });
+      return { success: true };
+    } catch (err) {
+      console.error('Resend OTP error:', err);
+      setError(err.message || 'Could not send a new code');
+      setTwoFactorData(current => current && applyTwoFactorError(current, err));
+      return { success: false, error: err.message || 'Could not send a new code' };
+    }
   }, [twoFactorData]);
 
+  /**
+   * Switch the second factor used for the pending challenge
+   * @param {string} method - EMAIL, TOTP or BACKUP_CODE
+   * @returns {Promise<Object>} { success, error }
+   */
+  const selectTwoFactorMethod = useCallback(async (method) => {
+    if (!twoFactorData || !twoFactorData.methods.includes(method)) {
+      return { success: false, error: 'That sign-in method is not available.' };
+    }
+
+    setError(null);
+    setTwoFactorData(current => current && { ...current, method });
+
+    // Nothing has been emailed yet if another factor was preferred
+    if (method === 'EMAIL' && !twoFactorData.emailCodeSent) {
+      return resendOtp();
+    }
+
+    return { success: true };
+  }, [twoFactorData, resendOtp]);
+
+  /**
+   * Abandon the pending 2FA challenge
+   */
+  const cancelTwoFactor = useCallback(() => {
+    setTwoFactorData(null);
+  }, []);
+
   /**
    * Legacy login method (without 2FA)
    * @param {string} username - Username
@@ -308,14 +449,30 @@ export const AuthProvider = ({ children }) => {
    * Logout user
    */
   const logout = useCallback(() => {
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('user');
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      // Revoke the refresh token server-side; signing out locally doesn't wait for it
+      authApi.logout(refreshToken).catch(() => {});
+    }
+
+    clearSession();
+    // Offline tickets carry scannable QR codes, so they must not outlive the session on a shared device
+    clearOfflineTickets();
     setUser(null);
     setToken(null);
     setTwoFactorData(null);
+    setSessionExpired(false);
     console.log('User logged out');
   }, []);
 
+  /**
+   * Mark an expired session as dealt with, once the user has been sent to sign in
+   * or has moved on as a guest
+   */
+  const acknowledgeSessionExpired = useCallback(() => {
+    setSessionExpired(false);
+  }, []);
+
   /**
    * Check if user has a specific role
    * @param {string|string[]} roles - Role or array of roles to check
@@ -366,9 +523,14 @@ export const AuthProvider = ({ children }) => {
     isManager,
     requiresTwoFactor,
     twoFactorData,
+    sessionExpired,
+    acknowledgeSessionExpired,
     hasRole,
     initiateLogin,
     verifyOtp,
+    resendOtp,
+    selectTwoFactorMethod,
+    cancelTwoFactor,
     login,
     register,
     requestPasswordReset,
@@ -384,6 +546,34 @@ export const AuthProvider = ({ children }) => {
   );
 };
 
+/**
+ * Update a 2FA challenge after a failed verify or resend
+ * @param {Object} challenge - Current challenge state
+ * @param {Object} error - Error from the auth API
+ * @returns {Object} Updated challenge state
+ */
+const applyTwoFactorError = (challenge, error) => {
+  switch (error.twoFactorErrorCode) {
+    case 'TOO_MANY_ATTEMPTS':
+      return { ...challenge, attemptsRemaining: 0 };
+    case 'OTP_EXPIRED':
+      return { ...challenge, expiresAt: Date.now() };
+    case 'CHALLENGE_EXPIRED':
+      return { ...challenge, expiresAt: Date.now(), challengeExpired: true };
+    case 'INVALID_OTP': {
+      if (error.attemptsRemaining !== null && error.attemptsRemaining !== undefined) {
+        return { ...challenge, attemptsRemaining: error.attemptsRemaining };
+      }
+      // Count down ourselves when the server doesn't say
+      return challenge.attemptsRemaining
+        ? { ...challenge, attemptsRemaining: challenge.attemptsRemaining - 1 }
+        : challenge;
+    }
+    default:
+      return challenge;
+  }
+};
+
 /**
  * Custom hook to use the auth context
  * @returns {Object} Auth context
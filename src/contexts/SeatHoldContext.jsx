@@ -0,0 +1,243 @@
+// src/contexts/SeatHoldContext.jsx
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import holdApi from '@api/holds';
+import { useAuth } from '@contexts/AuthContext';
+import { SeatHoldContext } from '@hooks/useSeatHold';
+
+// Session storage key for the active hold
+const HOLD_STORAGE_KEY = 'seat_hold';
+
+// Routes that belong to the seat selection -> checkout flow (claimed waitlist offers go straight to checkout)
+const HOLD_FLOW_ROUTES = [
+  /^\/screening\/[^/]+\/seats$/,
+  /^\/screening\/[^/]+\/add-ons$/,
+  /^\/checkout\/[^/]+$/,
+  /^\/waitlist\/offers\/[^/]+$/
+];
+
+/**
+ * Read a stored hold, discarding it if it has already expired
+ */
+const readStoredHold = () => {
+  try {
+    const stored = sessionStorage.getItem(HOLD_STORAGE_KEY);
+    if (!stored) return null;
+
+    const hold = JSON.parse(stored);
+    if (!hold?.expiresAt || new Date(hold.expiresAt).getTime() <= Date.now()) {
+      sessionStorage.removeItem(HOLD_STORAGE_KEY);
+      return null;
+    }
+
+    return hold;
+  } catch (error) {
+    console.error('Invalid stored seat hold:', error);
+    return null;
+  }
+};
+
+/**
+ * Seat hold provider
+ * Keeps track of the seats reserved for the current customer between
+ * seat selection and checkout, and releases them when they leave the flow
+ */
+export const SeatHoldProvider = ({ children }) => {
+  const { token, sessionExpired } = useAuth();
+  const [hold, setHold] = useState(readStoredHold);
+  const lastTokenRef = useRef(token);
+  const holdRef = useRef(hold);
+
+  useEffect(() => {
+    holdRef.current = hold;
+  }, [hold]);
+
+  /**
+   * Persist hold changes so they survive a page refresh
+   */
+  useEffect(() => {
+    try {
+      if (hold) {
+        sessionStorage.setItem(HOLD_STORAGE_KEY, JSON.stringify(hold));
+      } else {
+        sessionStorage.removeItem(HOLD_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error('Error saving seat hold:', error);
+    }
+  }, [hold]);
+
+  /**
+   * Release the hold on logout. The token is already gone by the time
+   * this runs, so the last known token is used for the request.
+   * Guests never had a token, so their hold is left alone, and an expired
+   * session keeps the hold so the customer can sign in again and return
+   * to checkout with their seats.
+   */
+  useEffect(() => {
+    if (token) {
+      lastTokenRef.current = token;
+      return;
+    }
+
+    const previousToken = lastTokenRef.current;
+    lastTokenRef.current = null;
+    if (!previousToken || sessionExpired) return;
+
+    const currentHold = holdRef.current;
+    if (currentHold?.holdId) {
+      holdApi.releaseHold(currentHold.holdId, previousToken);
+    }
+    if (currentHold) {
+      setHold(null);
+    }
+  }, [token, sessionExpired]);
+
+  /**
+   * Hold seats for a screening, replacing any previous hold
+   * @param {number|string} screeningId - Screening ID
+   * @param {Array<string>} seats - Seats to hold
+   * @returns {Promise<Object|null>} The new hold, or null if holds are not supported
+   */
+  const placeHold = useCallback(async (screeningId, seats) => {
+    const sortedSeats = [...seats].sort();
+
+    // Keep the existing hold if nothing changed
+    if (
+      hold &&
+      String(hold.screeningId) === String(screeningId) &&
+      hold.seats.length === sortedSeats.length &&
+      [...hold.seats].sort().every((seat, index) => seat === sortedSeats[index])
+    ) {
+      return hold;
+    }
+
+    if (hold?.holdId) {
+      await holdApi.releaseHold(hold.holdId);
+    }
+    setHold(null);
+
+    try {
+      const newHold = await holdApi.createHold(screeningId, sortedSeats);
+      setHold(newHold);
+      return newHold;
+    } catch (error) {
+      if (error.isNotFoundError) {
+        // Backend without hold support - continue without reserving
+        console.warn('Seat holds are not supported by the API, continuing without a hold');
+        return null;
+      }
+      throw error;
+    }
+  }, [hold]);
+
+  /**
+   * Take over a hold created elsewhere, e.g. seats offered from a waitlist
+   * @param {Object} newHold - Hold { holdId, screeningId, seats, expiresAt }
+   */
+  const adoptHold = useCallback(async (newHold) => {
+    if (hold?.holdId && hold.holdId !== newHold.holdId) {
+      await holdApi.releaseHold(hold.holdId);
+    }
+    setHold({ ...newHold, seats: [...newHold.seats].sort() });
+  }, [hold]);
+
+  /**
+   * Extend the current hold
+   * @returns {Promise<Object>} The renewed hold
+   */
+  const renewHold = useCallback(async () => {
+    if (!hold?.holdId) return null;
+
+    const renewed = await holdApi.renewHold(hold.holdId);
+    const updatedHold = {
+      ...hold,
+      expiresAt: renewed.expiresAt || hold.expiresAt,
+      renewalsLeft: renewed.renewalsLeft ?? hold.renewalsLeft
+    };
+
+    setHold(updatedHold);
+    return updatedHold;
+  }, [hold]);
+
+  /**
+   * Release the current hold so others can book the seats
+   */
+  const releaseHold = useCallback(async () => {
+    if (!hold) return;
+
+    setHold(null);
+    if (hold.holdId) {
+      await holdApi.releaseHold(hold.holdId);
+    }
+  }, [hold]);
+
+  /**
+   * Forget the current hold without releasing it (the booking consumed it)
+   */
+  const completeHold = useCallback(() => {
+    setHold(null);
+  }, []);
+
+  /**
+   * Drop an expired hold
+   * @returns {Object|null} The hold that expired
+   */
+  const expireHold = useCallback(() => {
+    const expired = hold;
+    setHold(null);
+    return expired;
+  }, [hold]);
+
+  /**
+   * Whether a route belongs to the seat selection -> checkout flow
+   * @param {string} pathname - Location pathname
+   * @returns {boolean} True inside the flow
+   */
+  const isInHoldFlow = useCallback((pathname) => {
+    return HOLD_FLOW_ROUTES.some(route => route.test(pathname));
+  }, []);
+
+  /**
+   * Release the hold when the user navigates outside seat selection and checkout
+   * @param {string} pathname - Current location pathname
+   */
+  const releaseIfOutsideFlow = useCallback((pathname) => {
+    if (hold && !isInHoldFlow(pathname)) {
+      releaseHold();
+    }
+  }, [hold, isInHoldFlow, releaseHold]);
+
+  /**
+   * Get the active hold for a screening
+   * @param {number|string} screeningId - Screening ID
+   * @returns {Object|null} Hold for the screening
+   */
+  const getHoldForScreening = useCallback((screeningId) => {
+    return hold && String(hold.screeningId) === String(screeningId) ? hold : null;
+  }, [hold]);
+
+  // Context value
+  const value = {
+    hold,
+    placeHold,
+    adoptHold,
+    renewHold,
+    releaseHold,
+    completeHold,
+    expireHold,
+    isInHoldFlow,
+    releaseIfOutsideFlow,
+    getHoldForScreening
+  };
+
+  return (
+    <SeatHoldContext.Provider value={value}>
+      {children}
+    </SeatHoldContext.Provider>
+  );
+};
+
+SeatHoldProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef } from 'react';
+import cartApi from '@api/cart';
+import { useAuth } from '@contexts/AuthContext';
+import { useToast } from '@contexts/ToastContext';
+import { useBookingCartStore, getCartSnapshot, isCartStale } from '@stores/bookingCartStore';
+
+// Wait for the selection to settle before saving it to the server
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Custom hook that keeps a signed-in customer's booking cart on the server.
+ * After login the saved cart is restored unless this device has a newer one,
+ * and on logout the local copy is cleared so the next person starts fresh.
+ * An expired session keeps the cart so the customer can sign in and carry on.
+ * Mount it once, in the main layout.
+ */
+const useBookingCartSync = () => {
+  const { isAuthenticated, sessionExpired } = useAuth();
+  const { showInfo } = useToast();
+  const updatedAt = useBookingCartStore(state => state.updatedAt);
+  const restoreCart = useBookingCartStore(state => state.restoreCart);
+  const clearCart = useBookingCartStore(state => state.clearCart);
+  const [isRestored, setIsRestored] = useState(false);
+
+  // The cart version the server already has, so unchanged carts are not saved again
+  const savedUpdatedAtRef = useRef(null);
+  const wasAuthenticatedRef = useRef(isAuthenticated);
+
+  // Restore the server cart after login, or clear the local one on logout
+  useEffect(() => {
+    const wasAuthenticated = wasAuthenticatedRef.current;
+    wasAuthenticatedRef.current = isAuthenticated;
+
+    if (!isAuthenticated) {
+      setIsRestored(false);
+      if (wasAuthenticated && !sessionExpired) {
+        clearCart();
+      }
+      return;
+    }
+
+    let isActive = true;
+
+    cartApi.getCart()
+      .then((serverCart) => {
+        if (!isActive) return;
+
+        const localCart = getCartSnapshot(useBookingCartStore.getState());
+        const hasLocalCart = !isCartStale(localCart);
+
+        if (serverCart && !isCartStale(serverCart) && (!hasLocalCart || serverCart.updatedAt > localCart.updatedAt)) {
+          restoreCart(serverCart);
+          savedUpdatedAtRef.current = serverCart.updatedAt;
+
+          if (!hasLocalCart) {
+            showInfo(serverCart.movieTitle
+              ? `We saved your seat selection for ${serverCart.movieTitle}.`
+              : 'We saved your seat selection from your last visit.');
+          }
+        } else if (!hasLocalCart) {
+          savedUpdatedAtRef.current = localCart.updatedAt;
+        }
+      })
+      .catch(() => {
+        // Keep working with the local cart
+      })
+      .finally(() => {
+        if (isActive) setIsRestored(true);
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [isAuthenticated, sessionExpired, restoreCart, clearCart, showInfo]);
+
+  // Save cart changes to the server while signed in
+  useEffect(() => {
+    if (!isAuthenticated || !isRestored || updatedAt === savedUpdatedAtRef.current) return;
+
+    const timer = setTimeout(() => {
+      const cart = getCartSnapshot(useBookingCartStore.getState());
+      savedUpdatedAtRef.current = cart.updatedAt;
+
+      const request = cart.seats.length > 0 ? cartApi.saveCart(cart) : cartApi.clearCart();
+      request.catch(() => {
+        // Try again with the next change
+        savedUpdatedAtRef.current = null;
+      });
+    }, SAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, isRestored, updatedAt]);
+};
+
+export default useBookingCartSync;
@@ -0,0 +1,71 @@
+// src/hooks/useBookingDocuments.js
+import { useState, useCallback } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import bookingApi from '@api/bookings';
+import { useToast } from '@contexts/ToastContext';
+import { downloadTicketPdf, downloadReceiptPdf } from '@services/bookingDocuments';
+
+/**
+ * Hook to download a booking's PDF tickets and receipt
+ * Documents are generated in the browser, so they also work for cached bookings
+ *
+ * @returns {Object} { downloadTicket, downloadReceipt, isGenerating }
+ */
+const useBookingDocuments = () => {
+  const queryClient = useQueryClient();
+  const { showError } = useToast();
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const generate = useCallback(async (action, errorMessage) => {
+    setIsGenerating(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      showError(errorMessage);
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [showError]);
+
+  /**
+   * Download the tickets, fetching the signed ticket codes when not given
+   * @param {Object} booking - Booking
+   * @param {Array<Object>} [tickets] - Signed tickets already loaded by the caller
+   */
+  const downloadTicket = useCallback((booking, tickets) => {
+    return generate(async () => {
+      let ticketList = tickets;
+
+      if (!ticketList) {
+        try {
+          ticketList = await queryClient.ensureQueryData({
+            queryKey: ['booking-tickets', booking.id],
+            queryFn: () => bookingApi.getBookingTickets(booking.id)
+          });
+        } catch (error) {
+          // Without signed codes the tickets still carry the booking number for the door
+          console.error('Error fetching tickets for PDF:', error);
+          ticketList = [];
+        }
+      }
+
+      await downloadTicketPdf(booking, ticketList);
+    }, 'Could not create the ticket PDF. Please try again.');
+  }, [generate, queryClient]);
+
+  const downloadReceipt = useCallback((booking) => {
+    return generate(
+      () => downloadReceiptPdf(booking),
+      'Could not create the receipt. Please try again.'
+    );
+  }, [generate]);
+
+  return {
+    downloadTicket,
+    downloadReceipt,
+    isGenerating
+  };
+};
+
+export default useBookingDocuments;
@@ -1,7 +1,59 @@
 // src/hooks/useBookings.js - Updated version with better admin endpoint handling
+import { useState } from 'react';
 import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
 import { useToast } from '@contexts/ToastContext';
 import bookingApi from '@api/bookings';
+import { getCategoryDiscounts, calculateCategoryBreakdown } from '@utils/ticketCategories';
+import { priceAddOns } from '@utils/concessionUtils';
+import { createIdempotencyKey, isOutcomeUnknown } from '@utils/idempotency';
+import { getOfflineTickets, saveOfflineTickets, removeOfflineTickets } from '@utils/ticketUtils';
+
+// Back-off (ms) between lookups while confirming a booking whose response was lost
+const CONFIRMATION_DELAYS = [1500, 3000, 5000, 8000, 12000];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Find out what happened to a booking attempt whose response never arrived.
+ * Resends the attempt if the server never saw it; the idempotency key makes
+ * that safe because the server answers a repeated key with the original result.
+ */
+const confirmBookingAttempt = async (idempotencyKey, resend) => {
+  for (const delay of CONFIRMATION_DELAYS) {
+    await wait(delay);
+
+    let attempt;
+    try {
+      attempt = await bookingApi.getBookingAttempt(idempotencyKey);
+    } catch (error) {
+      if (isOutcomeUnknown(error)) continue;
+      throw error;
+    }
+
+    if (attempt.status === 'COMPLETED') {
+      return attempt.booking;
+    }
+
+    if (attempt.status === 'FAILED') {
+      throw new Error(attempt.message || 'Your booking could not be completed. You have not been charged.');
+    }
+
+    if (attempt.status === 'NOT_FOUND') {
+      try {
+        return await resend();
+      } catch (error) {
+        if (!isOutcomeUnknown(error)) throw error;
+      }
+    }
+  }
+
+  // Still unknown: tell the customer to check before trying again
+  throw {
+    isUnconfirmed: true,
+    idempotencyKey,
+    message: 'We could not confirm your booking yet. Please check My Bookings before trying again. You will not be charged twice.'
+  };
+};
 
 /**
  * Custom hook for managing bookings
@@ -128,6 +180,70 @@ export const useBookings = () => {
     });
   };
 
+  /**
+   * Get a booking's signed e-tickets
+   * Tickets are saved on the device so they can still be shown without a connection
+   */
+  const useGetBookingTickets = (booking, options = {}) => {
+    const bookingId = booking?.id;
+    const offline = bookingId ? getOfflineTickets(bookingId) : null;
+
+    return useQuery({
+      queryKey: ['booking-tickets', bookingId],
+      queryFn: async () => {
+        const tickets = await bookingApi.getBookingTickets(bookingId);
+        saveOfflineTickets(bookingId, {
+          booking: {
+            id: bookingId,
+            bookingNumber: booking.bookingNumber,
+            movieTitle: booking.movieTitle,
+            theatreName: booking.theatreName,
+            screeningTime: booking.screeningTime,
+            bookedSeats: booking.bookedSeats
+          },
+          tickets
+        });
+        return tickets;
+      },
+      enabled: !!bookingId,
+      initialData: offline?.tickets,
+      initialDataUpdatedAt: offline ? new Date(offline.savedAt).getTime() : undefined,
+      staleTime: 1000 * 60 * 5,
+      // Serve the saved tickets straight away instead of waiting for the network
+      networkMode: 'offlineFirst',
+      ...options
+    });
+  };
+
+  /**
+   * Get the user's subscribable calendar feed
+   */
+  const useGetCalendarFeed = (options = {}) => {
+    return useQuery({
+      queryKey: ['calendar-feed'],
+      queryFn: () => bookingApi.getCalendarFeed(),
+      staleTime: Infinity,
+      ...options
+    });
+  };
+
+  /**
+   * Replace the calendar feed URL
+   */
+  const useResetCalendarFeed = (options = {}) => {
+    return useMutation({
+      mutationFn: () => bookingApi.resetCalendarFeed(),
+      onError: (error) => {
+        showError(error.message || 'Failed to reset calendar feed. Please try again.');
+      },
+      ...options,
+      onSuccess: (feed, ...args) => {
+        queryClient.setQueryData(['calendar-feed'], feed);
+        options.onSuccess?.(feed, ...args);
+      }
+    });
+  };
+
   /**
    * Get booked seats for a screening
    */
@@ -176,39 +292,71 @@ export const useBookings = () => {
 
   /**
    * Calculate total price for selected seats
+   * Pass `seatCategories` in the options to price by ticket category,
+   * and `addOns` to include concessions in the total
    */
   const useCalculatePrice = (screeningId, selectedSeats, options = {}) => {
+    const { seatCategories = {}, addOns = [], ...queryOptions } = options;
+    
     return useQuery({
-      queryKey: ['calculate-price', screeningId, selectedSeats],
+      queryKey: ['calculate-price', screeningId, selectedSeats, seatCategories, addOns],
       queryFn: async () => {
         try {
           // Check if we can calculate the price ourselves based on the layout
           const layoutQuery = queryClient.getQueryData(['seating-layout', screeningId]);
+          const screening = queryClient.getQueryData(['screening', screeningId]);
+          
+          // Add-ons can only be priced locally when the theatre's catalog is cached
+          const catalog = addOns.length > 0
+            ? queryClient.getQueryData(['concessions', screening?.theatreId])
+            : [];
           
-          if (layoutQuery && layoutQuery.rows && layoutQuery.basePrice) {
+          if (layoutQuery && layoutQuery.rows && layoutQuery.basePrice && catalog) {
             // Simple price calculation without API call
-            let totalPrice = 0;
+            const seatPrices = {};
             
             selectedSeats.forEach(seat => {
               const rowName = seat.charAt(0);
               const row = layoutQuery.rows.find(r => r.name === rowName);
               
               if (row) {
-                totalPrice += layoutQuery.basePrice * (row.priceMultiplier || 1.0);
+                seatPrices[seat] = layoutQuery.basePrice * (row.priceMultiplier || 1.0);
               } else {
-                totalPrice += layoutQuery.basePrice;
+                seatPrices[seat] = layoutQuery.basePrice;
               }
             });
             
+            // Apply the screening's ticket category discounts
+            const categoryPrice = calculateCategoryBreakdown(
+              seatPrices,
+              seatCategories,
+              getCategoryDiscounts(screening)
+            );
+            const addOnPrice = priceAddOns(addOns, catalog);
+            
             return {
               basePrice: layoutQuery.basePrice,
-              totalPrice,
+              ...categoryPrice,
+              ticketsTotal: categoryPrice.totalPrice,
+              addOnLines: addOnPrice.lines,
+              addOnsTotal: addOnPrice.total,
+              totalPrice: Math.round((categoryPrice.totalPrice + addOnPrice.total) * 100) / 100,
               seats: selectedSeats
             };
           }
           
           // Fall back to API call if we can't calculate ourselves
-          return await bookingApi.calculatePrice(screeningId, selectedSeats);
+          const priceData = await bookingApi.calculatePrice(screeningId, selectedSeats, seatCategories, addOns);
+          const addOnsTotal = priceData.addOnsTotal || 0;
+          
+          return {
+            ...priceData,
+            addOnLines: priceData.addOnLines || [],
+            addOnsTotal,
+            ticketsTotal: priceData.ticketsTotal ?? priceData.totalPrice - addOnsTotal,
+            // An API without add-on pricing leaves the chosen add-ons out of the total
+            addOnsUnpriced: addOns.length > 0 && !Array.isArray(priceData.addOnLines)
+          };
         } catch (error) {
           console.error(`Error calculating price for screening ${screeningId}:`, error);
           
@@ -218,12 +366,13 @@ export const useBookings = () => {
           return {
             basePrice: 10.99,
             totalPrice,
-            seats: selectedSeats
+            seats: selectedSeats,
+            addOnsUnpriced: addOns.length > 0
           };
         }
       },
       enabled: !!screeningId && Array.isArray(selectedSeats) && selectedSeats.length > 0,
-      ...options
+      ...queryOptions
     });
   };
 
@@ -231,7 +380,10 @@ export const useBookings = () => {
    * Create a new booking
    */
   const useCreateBooking = (options = {}) => {
-    return useMutation({
+    // True while recovering from a lost response, so the checkout can say so
+    const [isConfirming, setIsConfirming] = useState(false);
+
+    const mutation = useMutation({
       mutationFn: async (data) => {
         try {
           // Ensure we have the required data
@@ -247,27 +399,58 @@ export const useBookings = () => {
             throw new Error('Payment method is required');
           }
           
+          // Every attempt carries a key so it can be retried without double-booking
+          const idempotencyKey = data.idempotencyKey || createIdempotencyKey();
+          
           // Use the bookingApi which handles token validation internally
-          return await bookingApi.createBooking(
+          const submit = () => bookingApi.createBooking(
             data.screeningId, 
             data.selectedSeats, 
-            data.paymentMethod
+            data.paymentMethod,
+            {
+              holdId: data.holdId,
+              seatCategories: data.seatCategories,
+              promoCode: data.promoCode,
+              loyaltyPoints: data.loyaltyPoints,
+              giftCards: data.giftCards,
+              addOns: data.addOns,
+              guest: data.guest,
+              payment: data.payment,
+              idempotencyKey
+            }
           );
+          
+          try {
+            return await submit();
+          } catch (error) {
+            if (!isOutcomeUnknown(error)) throw error;
+            
+            setIsConfirming(true);
+            return await confirmBookingAttempt(idempotencyKey, submit);
+          }
         } catch (error) {
           console.error('Error creating booking:', error);
           throw error;
+        } finally {
+          setIsConfirming(false);
         }
       },
-      onSuccess: () => {
-        // Invalidate relevant queries
-        queryClient.invalidateQueries({ queryKey: ['user-bookings'] });
-        queryClient.invalidateQueries({ queryKey: ['admin-bookings'] });
-      },
       onError: (error) => {
         showError(error.message || 'Failed to create booking. Please try again.');
       },
-      ...options
+      ...options,
+      onSuccess: (...args) => {
+        // Invalidate relevant queries
+        queryClient.invalidateQueries({ queryKey: ['user-bookings'] });
+        queryClient.invalidateQueries({ queryKey: ['admin-bookings'] });
+        queryClient.invalidateQueries({ queryKey: ['booked-seats'] });
+        queryClient.invalidateQueries({ queryKey: ['loyalty-summary'] });
+        queryClient.invalidateQueries({ queryKey: ['loyalty-history'] });
+        options.onSuccess?.(...args);
+      }
     });
+
+    return { ...mutation, isConfirming };
   };
 
   /**
@@ -283,19 +466,87 @@ export const useBookings = () => {
           throw error;
         }
       },
-      onSuccess: (_, id) => {
+      onError: (error) => {
+        showError(error.message || 'Failed to cancel booking. Please try again.');
+      },
+      ...options,
+      onSuccess: (data, id, ...args) => {
+        // Cancelled tickets should not be shown at the door
+        removeOfflineTickets(id);
+        
         // Invalidate relevant queries
         queryClient.invalidateQueries({ queryKey: ['user-bookings'] });
         queryClient.invalidateQueries({ queryKey: ['admin-bookings'] });
         queryClient.invalidateQueries({ queryKey: ['booking', id] });
+        options.onSuccess?.(data, id, ...args);
+      }
+    });
+  };
+
+  /**
+   * Release some of a booking's seats with a refund
+   */
+  const useCancelSeats = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, seats, expectedRefund }) => bookingApi.cancelSeats(id, { seats, expectedRefund }),
+      onSuccess: (result, { id }) => {
+        // Released seats must not be scannable; the remaining tickets are saved again on refetch
+        removeOfflineTickets(id);
+
+        if (result?.booking) {
+          queryClient.setQueryData(['booking', id], result.booking);
+        }
+        queryClient.invalidateQueries({ queryKey: ['booking', id] });
+        queryClient.invalidateQueries({ queryKey: ['booking-tickets', id] });
+        queryClient.invalidateQueries({ queryKey: ['booking-refunds', id] });
+        queryClient.invalidateQueries({ queryKey: ['user-bookings'] });
+        queryClient.invalidateQueries({ queryKey: ['admin-bookings'] });
       },
       onError: (error) => {
-        showError(error.message || 'Failed to cancel booking. Please try again.');
+        showError(error.message || 'Failed to release seats. Please try again.');
       },
       ...options
     });
   };
 
+  /**
+   * Move a booking to another screening
+   */
+  const useExchangeBooking = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, ...exchange }) => bookingApi.exchangeBooking(id, exchange),
+      onSuccess: (result, { id }) => {
+        // The old tickets are void; the new ones are saved again on refetch
+        removeOfflineTickets(id);
+
+        if (result?.booking) {
+          queryClient.setQueryData(['booking', id], result.booking);
+        }
+        queryClient.invalidateQueries({ queryKey: ['booking', id] });
+        queryClient.invalidateQueries({ queryKey: ['booking-tickets', id] });
+        queryClient.invalidateQueries({ queryKey: ['booked-seats'] });
+        queryClient.invalidateQueries({ queryKey: ['user-bookings'] });
+        queryClient.invalidateQueries({ queryKey: ['admin-bookings'] });
+      },
+      onError: (error) => {
+        showError(error.message || 'Failed to exchange booking. Please try again.');
+      },
+      ...options
+    });
+  };
+
+  /**
+   * Get the refunds issued for a booking
+   */
+  const useGetBookingRefunds = (id, options = {}) => {
+    return useQuery({
+      queryKey: ['booking-refunds', id],
+      queryFn: () => bookingApi.getBookingRefunds(id),
+      enabled: !!id,
+      ...options
+    });
+  };
+
   /**
    * Update booking status (Admin only)
    */
@@ -400,16 +651,48 @@ export const useBookings = () => {
     });
   };
 
+  /**
+   * Find a guest booking by email and booking number
+   */
+  const useLookupGuestBooking = (options = {}) => {
+    return useMutation({
+      mutationFn: (lookup) => bookingApi.lookupGuestBooking(lookup),
+      ...options
+    });
+  };
+
+  /**
+   * Add guest bookings to the signed-in user's account
+   */
+  const useClaimGuestBookings = (options = {}) => {
+    return useMutation({
+      mutationFn: (claims) => bookingApi.claimGuestBookings(claims),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['user-bookings'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
   // Return all hooks
   return {
     useGetUserBookings,
     useGetAllBookings,
     useGetBooking,
+    useGetBookingTickets,
+    useGetCalendarFeed,
+    useResetCalendarFeed,
     useGetBookedSeats,
     useGetSeatingLayout,
     useCalculatePrice,
     useCreateBooking,
     useCancelBooking,
+    useCancelSeats,
+    useExchangeBooking,
+    useGetBookingRefunds,
+    useLookupGuestBooking,
+    useClaimGuestBookings,
     useUpdateBookingStatus,
     useDeleteBooking,
     useGetBookingStats
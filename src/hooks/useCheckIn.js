@@ -0,0 +1,47 @@
+// src/hooks/useCheckIn.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import checkInApi from '@api/checkIn';
+
+/**
+ * Custom hook for door check-in
+ */
+export const useCheckIn = () => {
+  const queryClient = useQueryClient();
+
+  /**
+   * Get admission counts for a screening
+   */
+  const useGetCheckInSummary = (screeningId, options = {}) => {
+    return useQuery({
+      queryKey: ['check-in-summary', screeningId],
+      queryFn: () => checkInApi.getCheckInSummary(screeningId),
+      enabled: !!screeningId,
+      ...options
+    });
+  };
+
+  /**
+   * Check in a scanned ticket
+   */
+  const useCheckInTicket = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ code, screeningId }) => checkInApi.checkInTicket(code, { screeningId }),
+      onSuccess: (result, { screeningId }) => {
+        if (result.result === 'ADMITTED') {
+          queryClient.invalidateQueries({ queryKey: ['admin-bookings'] });
+          queryClient.invalidateQueries({ queryKey: ['check-in-summary', screeningId] });
+        }
+      },
+      ...options
+    });
+  };
+
+  return {
+    useGetCheckInSummary,
+    useCheckInTicket
+  };
+};
+
+// Individual exports for easier imports
+export const useGetCheckInSummary = (screeningId, options = {}) => useCheckIn().useGetCheckInSummary(screeningId, options);
+export const useCheckInTicket = (options = {}) => useCheckIn().useCheckInTicket(options);
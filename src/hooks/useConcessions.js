@@ -0,0 +1,131 @@
+// src/hooks/useConcessions.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import concessionApi from '@api/concessions';
+
+/**
+ * Custom hook for the concession catalog
+ * Covers the add-ons customers choose at checkout and admin catalog management
+ */
+export const useConcessions = () => {
+  const queryClient = useQueryClient();
+
+  // Both the admin catalog and the customer-facing menu change with any edit
+  const invalidateCatalog = (concession) => {
+    queryClient.invalidateQueries({ queryKey: ['admin-concessions'] });
+    queryClient.invalidateQueries({ queryKey: ['concessions'] });
+    if (concession?.id) {
+      queryClient.invalidateQueries({ queryKey: ['concession', String(concession.id)] });
+    }
+  };
+
+  /**
+   * Get the concessions a theatre sells
+   */
+  const useGetTheatreConcessions = (theatreId, options = {}) => {
+    return useQuery({
+      queryKey: ['concessions', theatreId],
+      queryFn: () => concessionApi.getTheatreConcessions(theatreId),
+      enabled: !!theatreId,
+      staleTime: 1000 * 60 * 5, // Cache for 5 minutes
+      ...options
+    });
+  };
+
+  /**
+   * Get a theatre's full catalog (Admin only)
+   */
+  const useGetConcessions = (params = {}, options = {}) => {
+    return useQuery({
+      queryKey: ['admin-concessions', params],
+      queryFn: () => concessionApi.getConcessions(params),
+      ...options
+    });
+  };
+
+  /**
+   * Get a concession by ID (Admin only)
+   */
+  const useGetConcession = (id, options = {}) => {
+    return useQuery({
+      queryKey: ['concession', id],
+      queryFn: () => concessionApi.getConcessionById(id),
+      enabled: !!id,
+      ...options
+    });
+  };
+
+  /**
+   * Create a concession (Admin only)
+   */
+  const useCreateConcession = (options = {}) => {
+    return useMutation({
+      mutationFn: (concessionData) => concessionApi.createConcession(concessionData),
+      ...options,
+      onSuccess: (data, ...args) => {
+        invalidateCatalog(data);
+        options.onSuccess?.(data, ...args);
+      }
+    });
+  };
+
+  /**
+   * Update a concession (Admin only)
+   */
+  const useUpdateConcession = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, data }) => concessionApi.updateConcession(id, data),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        invalidateCatalog({ id: variables.id });
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  /**
+   * Mark a concession or one of its sizes in or out of stock (Admin only)
+   */
+  const useUpdateConcessionStock = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, inStock, size }) => concessionApi.updateConcessionStock(id, { inStock, size }),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        invalidateCatalog({ id: variables.id });
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  /**
+   * Delete a concession (Admin only)
+   */
+  const useDeleteConcession = (options = {}) => {
+    return useMutation({
+      mutationFn: (id) => concessionApi.deleteConcession(id),
+      ...options,
+      onSuccess: (data, id, ...args) => {
+        invalidateCatalog({ id });
+        options.onSuccess?.(data, id, ...args);
+      }
+    });
+  };
+
+  return {
+    useGetTheatreConcessions,
+    useGetConcessions,
+    useGetConcession,
+    useCreateConcession,
+    useUpdateConcession,
+    useUpdateConcessionStock,
+    useDeleteConcession
+  };
+};
+
+// Individual exports for easier imports
+export const useGetTheatreConcessions = (theatreId, options = {}) => useConcessions().useGetTheatreConcessions(theatreId, options);
+export const useGetConcessions = (params = {}, options = {}) => useConcessions().useGetConcessions(params, options);
+export const useGetConcession = (id, options = {}) => useConcessions().useGetConcession(id, options);
+export const useCreateConcession = (options = {}) => useConcessions().useCreateConcession(options);
+export const useUpdateConcession = (options = {}) => useConcessions().useUpdateConcession(options);
+export const useUpdateConcessionStock = (options = {}) => useConcessions().useUpdateConcessionStock(options);
+export const useDeleteConcession = (options = {}) => useConcessions().useDeleteConcession(options);
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Seconds remaining until a deadline
+ * @param {string|number|Date|null} deadline - Time to count down to
+ * @returns {number|null} Seconds left, or null without a valid deadline
+ */
+const getSecondsLeft = (deadline) => {
+  if (!deadline) return null;
+
+  const target = new Date(deadline).getTime();
+  if (isNaN(target)) return null;
+
+  return Math.max(0, Math.ceil((target - Date.now()) / 1000));
+};
+
+/**
+ * Custom hook that counts down to a deadline
+ * @param {string|number|Date|null} deadline - Time to count down to
+ * @param {number} [interval=1000] - Tick interval in milliseconds
+ * @returns {Object} { secondsLeft, minutes, seconds, isExpired, formatted }
+ */
+const useCountdown = (deadline, interval = 1000) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => getSecondsLeft(deadline));
+
+  useEffect(() => {
+    setSecondsLeft(getSecondsLeft(deadline));
+
+    if (!deadline) return;
+
+    const timer = setInterval(() => {
+      const next = getSecondsLeft(deadline);
+      setSecondsLeft(next);
+
+      if (next === 0) {
+        clearInterval(timer);
+      }
+    }, interval);
+
+    return () => clearInterval(timer);
+  }, [deadline, interval]);
+
+  const minutes = secondsLeft === null ? 0 : Math.floor(secondsLeft / 60);
+  const seconds = secondsLeft === null ? 0 : secondsLeft % 60;
+
+  return {
+    secondsLeft,
+    minutes,
+    seconds,
+    isExpired: secondsLeft === 0,
+    formatted: `${minutes}:${String(seconds).padStart(2, '0')}`
+  };
+};
+
+export default useCountdown;
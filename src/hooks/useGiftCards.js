@@ -0,0 +1,116 @@
+// src/hooks/useGiftCards.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import giftCardApi from '@api/giftCards';
+
+/**
+ * Custom hook for gift cards
+ */
+export const useGiftCards = () => {
+  const queryClient = useQueryClient();
+
+  /**
+   * Buy a gift card
+   */
+  const usePurchaseGiftCard = (options = {}) => {
+    return useMutation({
+      mutationFn: (order) => giftCardApi.purchase(order),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['my-gift-cards'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Check a gift card's balance
+   */
+  const useCheckGiftCardBalance = (options = {}) => {
+    return useMutation({
+      mutationFn: (code) => giftCardApi.checkBalance(code),
+      ...options
+    });
+  };
+
+  /**
+   * Get the gift cards the signed-in user has bought
+   */
+  const useGetMyGiftCards = (options = {}) => {
+    return useQuery({
+      queryKey: ['my-gift-cards'],
+      queryFn: () => giftCardApi.getMyGiftCards(),
+      ...options
+    });
+  };
+
+  /**
+   * Get gift cards (Admin only)
+   */
+  const useGetGiftCards = (params = {}, options = {}) => {
+    return useQuery({
+      queryKey: ['gift-cards', params],
+      queryFn: () => giftCardApi.getGiftCards(params),
+      ...options
+    });
+  };
+
+  /**
+   * Get a gift card with its history (Admin only)
+   */
+  const useGetGiftCard = (id, options = {}) => {
+    return useQuery({
+      queryKey: ['gift-card', String(id)],
+      queryFn: () => giftCardApi.getGiftCardById(id),
+      enabled: !!id,
+      ...options
+    });
+  };
+
+  /**
+   * Issue a gift card without payment (Admin only)
+   */
+  const useIssueGiftCard = (options = {}) => {
+    return useMutation({
+      mutationFn: (giftCard) => giftCardApi.issueGiftCard(giftCard),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['gift-cards'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Void a gift card (Admin only)
+   */
+  const useVoidGiftCard = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, reason }) => giftCardApi.voidGiftCard(id, reason),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        queryClient.invalidateQueries({ queryKey: ['gift-cards'] });
+        queryClient.invalidateQueries({ queryKey: ['gift-card', String(variables.id)] });
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  return {
+    usePurchaseGiftCard,
+    useCheckGiftCardBalance,
+    useGetMyGiftCards,
+    useGetGiftCards,
+    useGetGiftCard,
+    useIssueGiftCard,
+    useVoidGiftCard
+  };
+};
+
+// Individual exports for easier imports
+export const usePurchaseGiftCard = (options = {}) => useGiftCards().usePurchaseGiftCard(options);
+export const useCheckGiftCardBalance = (options = {}) => useGiftCards().useCheckGiftCardBalance(options);
+export const useGetMyGiftCards = (options = {}) => useGiftCards().useGetMyGiftCards(options);
+export const useGetGiftCards = (params = {}, options = {}) => useGiftCards().useGetGiftCards(params, options);
+export const useGetGiftCard = (id, options = {}) => useGiftCards().useGetGiftCard(id, options);
+export const useIssueGiftCard = (options = {}) => useGiftCards().useIssueGiftCard(options);
+export const useVoidGiftCard = (options = {}) => useGiftCards().useVoidGiftCard(options);
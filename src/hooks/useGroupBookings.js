@@ -0,0 +1,139 @@
+// src/hooks/useGroupBookings.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import groupBookingApi from '@api/groupBookings';
+
+/**
+ * Custom hook for group booking requests
+ */
+export const useGroupBookings = () => {
+  const queryClient = useQueryClient();
+
+  // Refresh a request and everything that shows its seats
+  const invalidateRequest = (id) => {
+    queryClient.invalidateQueries({ queryKey: ['group-bookings'] });
+    queryClient.invalidateQueries({ queryKey: ['group-booking', String(id)] });
+    queryClient.invalidateQueries({ queryKey: ['group-reserved-seats'] });
+  };
+
+  /**
+   * Send a group booking request
+   */
+  const useCreateGroupRequest = (options = {}) => {
+    return useMutation({
+      mutationFn: (requestData) => groupBookingApi.createRequest(requestData),
+      ...options
+    });
+  };
+
+  /**
+   * Get seats reserved for approved groups at a screening
+   */
+  const useGetGroupReservedSeats = (screeningId, options = {}) => {
+    return useQuery({
+      queryKey: ['group-reserved-seats', screeningId],
+      queryFn: () => groupBookingApi.getReservedSeats(screeningId),
+      enabled: !!screeningId,
+      ...options
+    });
+  };
+
+  /**
+   * Get group booking requests (Admin only)
+   */
+  const useGetGroupRequests = (params = {}, options = {}) => {
+    return useQuery({
+      queryKey: ['group-bookings', params],
+      queryFn: () => groupBookingApi.getRequests(params),
+      ...options
+    });
+  };
+
+  /**
+   * Get a group booking request (Admin only)
+   */
+  const useGetGroupRequest = (id, options = {}) => {
+    return useQuery({
+      queryKey: ['group-booking', String(id)],
+      queryFn: () => groupBookingApi.getRequestById(id),
+      enabled: !!id,
+      ...options
+    });
+  };
+
+  /**
+   * Approve a request and block its seats (Admin only)
+   */
+  const useApproveGroupRequest = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, screeningId, seats }) => groupBookingApi.approveRequest(id, { screeningId, seats }),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        invalidateRequest(variables.id);
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  /**
+   * Issue an invoice for an approved request (Admin only)
+   */
+  const useIssueGroupInvoice = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, ...invoice }) => groupBookingApi.issueInvoice(id, invoice),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        invalidateRequest(variables.id);
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  /**
+   * Record payment of a group invoice (Admin only)
+   */
+  const useMarkGroupRequestPaid = (options = {}) => {
+    return useMutation({
+      mutationFn: (id) => groupBookingApi.markPaid(id),
+      ...options,
+      onSuccess: (data, id, ...args) => {
+        invalidateRequest(id);
+        options.onSuccess?.(data, id, ...args);
+      }
+    });
+  };
+
+  /**
+   * Decline a request, releasing any blocked seats (Admin only)
+   */
+  const useDeclineGroupRequest = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, reason }) => groupBookingApi.declineRequest(id, reason),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        invalidateRequest(variables.id);
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  return {
+    useCreateGroupRequest,
+    useGetGroupReservedSeats,
+    useGetGroupRequests,
+    useGetGroupRequest,
+    useApproveGroupRequest,
+    useIssueGroupInvoice,
+    useMarkGroupRequestPaid,
+    useDeclineGroupRequest
+  };
+};
+
+// Individual exports for easier imports
+export const useCreateGroupRequest = (options = {}) => useGroupBookings().useCreateGroupRequest(options);
+export const useGetGroupReservedSeats = (screeningId, options = {}) => useGroupBookings().useGetGroupReservedSeats(screeningId, options);
+export const useGetGroupRequests = (params = {}, options = {}) => useGroupBookings().useGetGroupRequests(params, options);
+export const useGetGroupRequest = (id, options = {}) => useGroupBookings().useGetGroupRequest(id, options);
+export const useApproveGroupRequest = (options = {}) => useGroupBookings().useApproveGroupRequest(options);
+export const useIssueGroupInvoice = (options = {}) => useGroupBookings().useIssueGroupInvoice(options);
+export const useMarkGroupRequestPaid = (options = {}) => useGroupBookings().useMarkGroupRequestPaid(options);
+export const useDeclineGroupRequest = (options = {}) => useGroupBookings().useDeclineGroupRequest(options);
@@ -0,0 +1,116 @@
+// src/hooks/useLoyalty.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import loyaltyApi from '@api/loyalty';
+import { normalizeLoyaltyRules } from '@utils/loyaltyUtils';
+
+/**
+ * Custom hook for the loyalty points program
+ */
+export const useLoyalty = () => {
+  const queryClient = useQueryClient();
+
+  /**
+   * Get the program rules, falling back to the defaults
+   */
+  const useGetLoyaltyRules = (options = {}) => {
+    return useQuery({
+      queryKey: ['loyalty-rules'],
+      queryFn: async () => normalizeLoyaltyRules(await loyaltyApi.getRules()),
+      staleTime: 10 * 60 * 1000,
+      ...options
+    });
+  };
+
+  /**
+   * Get the signed-in member's points balance and tier
+   */
+  const useGetMyLoyalty = (options = {}) => {
+    return useQuery({
+      queryKey: ['loyalty-summary'],
+      queryFn: () => loyaltyApi.getMySummary(),
+      ...options
+    });
+  };
+
+  /**
+   * Get the signed-in member's points history
+   */
+  const useGetMyLoyaltyHistory = (options = {}) => {
+    return useQuery({
+      queryKey: ['loyalty-history'],
+      queryFn: () => loyaltyApi.getMyHistory(),
+      ...options
+    });
+  };
+
+  /**
+   * Update the program rules (Admin only)
+   */
+  const useUpdateLoyaltyRules = (options = {}) => {
+    return useMutation({
+      mutationFn: (rules) => loyaltyApi.updateRules(rules),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['loyalty-rules'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Get a member's points balance and history (Admin only)
+   */
+  const useGetMemberLoyalty = (userId, options = {}) => {
+    return useQuery({
+      queryKey: ['member-loyalty', String(userId)],
+      queryFn: () => loyaltyApi.getMemberLoyalty(userId),
+      enabled: !!userId,
+      ...options
+    });
+  };
+
+  /**
+   * Add or remove points from a member's balance (Admin only)
+   */
+  const useAdjustPoints = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ userId, points, reason }) => loyaltyApi.adjustPoints(userId, { points, reason }),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        queryClient.invalidateQueries({ queryKey: ['member-loyalty', String(variables.userId)] });
+        queryClient.invalidateQueries({ queryKey: ['loyalty-adjustments'] });
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  /**
+   * Get the audit trail of manual balance adjustments (Admin only)
+   */
+  const useGetLoyaltyAdjustments = (params = {}, options = {}) => {
+    return useQuery({
+      queryKey: ['loyalty-adjustments', params],
+      queryFn: () => loyaltyApi.getAdjustments(params),
+      ...options
+    });
+  };
+
+  return {
+    useGetLoyaltyRules,
+    useGetMyLoyalty,
+    useGetMyLoyaltyHistory,
+    useUpdateLoyaltyRules,
+    useGetMemberLoyalty,
+    useAdjustPoints,
+    useGetLoyaltyAdjustments
+  };
+};
+
+// Individual exports for easier imports
+export const useGetLoyaltyRules = (options = {}) => useLoyalty().useGetLoyaltyRules(options);
+export const useGetMyLoyalty = (options = {}) => useLoyalty().useGetMyLoyalty(options);
+export const useGetMyLoyaltyHistory = (options = {}) => useLoyalty().useGetMyLoyaltyHistory(options);
+export const useUpdateLoyaltyRules = (options = {}) => useLoyalty().useUpdateLoyaltyRules(options);
+export const useGetMemberLoyalty = (userId, options = {}) => useLoyalty().useGetMemberLoyalty(userId, options);
+export const useAdjustPoints = (options = {}) => useLoyalty().useAdjustPoints(options);
+export const useGetLoyaltyAdjustments = (params = {}, options = {}) => useLoyalty().useGetLoyaltyAdjustments(params, options);
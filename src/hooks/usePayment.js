@@ -0,0 +1,92 @@
+// src/hooks/usePayment.js
+import { useState, useCallback, useMemo } from 'react';
+import { getPaymentProvider, PaymentStatus } from '@services/payments';
+
+/**
+ * Hook to run a card payment through the configured payment provider
+ * Tracks the authorize → challenge → capture lifecycle for one checkout
+ *
+ * @param {string} [providerId] - Payment provider ID, defaults to the configured provider
+ * @returns {Object} Payment state and lifecycle actions
+ */
+const usePayment = (providerId) => {
+  const provider = useMemo(() => getPaymentProvider(providerId), [providerId]);
+  const [payment, setPayment] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Run a provider call, keeping the latest payment and error in state
+  const run = useCallback(async (action) => {
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      const result = await action();
+      setPayment(result);
+      return result;
+    } catch (err) {
+      setError(err);
+      throw err;
+    } finally {
+      setIsProcessing(false);
+    }
+  }, []);
+
+  const authorize = useCallback((request) => {
+    return run(() => provider.authorize(request));
+  }, [provider, run]);
+
+  const confirmChallenge = useCallback((code) => {
+    return run(() => provider.confirmChallenge(payment.paymentId, code)).catch((err) => {
+      // The provider gives up on the payment once the attempts are used up
+      if (!err.attemptsLeft) {
+        setPayment(null);
+      }
+      throw err;
+    });
+  }, [provider, payment, run]);
+
+  const capture = useCallback((paymentId = payment?.paymentId, amount) => {
+    return run(() => provider.capture(paymentId, amount));
+  }, [provider, payment, run]);
+
+  const voidAuthorization = useCallback(async (paymentId = payment?.paymentId) => {
+    if (!paymentId) return null;
+
+    try {
+      return await provider.voidAuthorization(paymentId);
+    } catch (err) {
+      // A stale authorization expires on its own, so this is not worth surfacing
+      console.error(`Error voiding payment ${paymentId}:`, err);
+      return null;
+    } finally {
+      setPayment(null);
+    }
+  }, [provider, payment]);
+
+  const refund = useCallback((paymentId, amount) => {
+    return run(() => provider.refund(paymentId, amount));
+  }, [provider, run]);
+
+  const reset = useCallback(() => {
+    setPayment(null);
+    setError(null);
+  }, []);
+
+  return {
+    provider,
+    payment,
+    error,
+    isProcessing,
+    requiresChallenge: payment?.status === PaymentStatus.REQUIRES_CHALLENGE,
+    isAuthorized: payment?.status === PaymentStatus.AUTHORIZED,
+    authorize,
+    confirmChallenge,
+    capture,
+    voidAuthorization,
+    refund,
+    reset
+  };
+};
+
+export default usePayment;
@@ -0,0 +1,121 @@
+// src/hooks/usePromotions.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import promotionApi from '@api/promotions';
+
+/**
+ * Custom hook for managing promotions
+ * Centralizes promo code validation and admin promo code management
+ */
+export const usePromotions = () => {
+  const queryClient = useQueryClient();
+
+  /**
+   * Get all promotions (Admin only)
+   */
+  const useGetPromotions = (params = {}, options = {}) => {
+    return useQuery({
+      queryKey: ['admin-promotions', params],
+      queryFn: () => promotionApi.getPromotions(params),
+      ...options
+    });
+  };
+
+  /**
+   * Get a promotion by ID (Admin only)
+   */
+  const useGetPromotion = (id, options = {}) => {
+    return useQuery({
+      queryKey: ['promotion', id],
+      queryFn: () => promotionApi.getPromotionById(id),
+      enabled: !!id,
+      ...options
+    });
+  };
+
+  /**
+   * Get promotion usage statistics (Admin only)
+   */
+  const useGetPromotionStats = (options = {}) => {
+    return useQuery({
+      queryKey: ['promotion-stats'],
+      queryFn: () => promotionApi.getPromotionStats(),
+      staleTime: 1000 * 60 * 2, // Cache for 2 minutes
+      ...options
+    });
+  };
+
+  /**
+   * Validate a promo code at checkout
+   */
+  const useValidatePromoCode = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ code, ...context }) => promotionApi.validatePromoCode(code, context),
+      ...options
+    });
+  };
+
+  /**
+   * Create a promotion (Admin only)
+   */
+  const useCreatePromotion = (options = {}) => {
+    return useMutation({
+      mutationFn: (promotionData) => promotionApi.createPromotion(promotionData),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['admin-promotions'] });
+        queryClient.invalidateQueries({ queryKey: ['promotion-stats'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Update a promotion (Admin only)
+   */
+  const useUpdatePromotion = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ id, data }) => promotionApi.updatePromotion(id, data),
+      ...options,
+      onSuccess: (data, variables, ...args) => {
+        queryClient.invalidateQueries({ queryKey: ['admin-promotions'] });
+        queryClient.invalidateQueries({ queryKey: ['promotion', variables.id] });
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  /**
+   * Deactivate a promotion (Admin only)
+   */
+  const useDeactivatePromotion = (options = {}) => {
+    return useMutation({
+      mutationFn: (id) => promotionApi.deactivatePromotion(id),
+      ...options,
+      onSuccess: (data, id, ...args) => {
+        queryClient.invalidateQueries({ queryKey: ['admin-promotions'] });
+        queryClient.invalidateQueries({ queryKey: ['promotion', id] });
+        queryClient.invalidateQueries({ queryKey: ['promotion-stats'] });
+        options.onSuccess?.(data, id, ...args);
+      }
+    });
+  };
+
+  return {
+    useGetPromotions,
+    useGetPromotion,
+    useGetPromotionStats,
+    useValidatePromoCode,
+    useCreatePromotion,
+    useUpdatePromotion,
+    useDeactivatePromotion
+  };
+};
+
+// Individual exports for easier imports
+export const useGetPromotions = (params = {}, options = {}) => usePromotions().useGetPromotions(params, options);
+export const useGetPromotion = (id, options = {}) => usePromotions().useGetPromotion(id, options);
+export const useGetPromotionStats = (options = {}) => usePromotions().useGetPromotionStats(options);
+export const useValidatePromoCode = (options = {}) => usePromotions().useValidatePromoCode(options);
+export const useCreatePromotion = (options = {}) => usePromotions().useCreatePromotion(options);
+export const useUpdatePromotion = (options = {}) => usePromotions().useUpdatePromotion(options);
+export const useDeactivatePromotion = (options = {}) => usePromotions().useDeactivatePromotion(options);
@@ -0,0 +1,102 @@
+// src/hooks/useQrScanner.js
+import { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+
+// Decoding every frame is wasteful on phones; a few scans per second is plenty
+const SCAN_INTERVAL = 200;
+
+// Frames are scaled down before decoding to keep the work per scan small
+const MAX_FRAME_WIDTH = 640;
+
+/**
+ * Custom hook to read QR codes from the device camera
+ * @param {Object} options - Scanner options
+ * @param {boolean} options.enabled - Whether the camera should be running
+ * @param {Function} options.onScan - Called with the decoded text of each QR code seen
+ * @returns {Object} { videoRef, status } where status is
+ *   'idle' | 'starting' | 'scanning' | 'denied' | 'unsupported' | 'error'
+ */
+const useQrScanner = ({ enabled, onScan }) => {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const [status, setStatus] = useState('idle');
+
+  // Always call the latest handler without restarting the camera
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('idle');
+      return undefined;
+    }
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setStatus('unsupported');
+      return undefined;
+    }
+
+    let stream = null;
+    let frameId = null;
+    let lastScanAt = 0;
+    let isStopped = false;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    const scanFrame = (now) => {
+      const video = videoRef.current;
+
+      if (video && video.readyState >= video.HAVE_ENOUGH_DATA && now - lastScanAt >= SCAN_INTERVAL) {
+        lastScanAt = now;
+
+        const scale = Math.min(1, MAX_FRAME_WIDTH / video.videoWidth);
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        if (code?.data) {
+          onScanRef.current(code.data);
+        }
+      }
+
+      frameId = requestAnimationFrame(scanFrame);
+    };
+
+    setStatus('starting');
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false })
+      .then((mediaStream) => {
+        if (isStopped) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        stream = mediaStream;
+        const video = videoRef.current;
+        video.srcObject = mediaStream;
+        video.setAttribute('playsinline', 'true');
+        return video.play().then(() => {
+          setStatus('scanning');
+          frameId = requestAnimationFrame(scanFrame);
+        });
+      })
+      .catch((error) => {
+        console.error('Error starting camera:', error);
+        setStatus(error.name === 'NotAllowedError' ? 'denied' : 'error');
+      });
+
+    return () => {
+      isStopped = true;
+      if (frameId) cancelAnimationFrame(frameId);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [enabled]);
+
+  return { videoRef, status };
+};
+
+export default useQrScanner;
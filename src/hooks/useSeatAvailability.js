@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+  createSeatAvailabilityChannel,
+  SeatEventTypes
+} from '@services/seatAvailabilityChannel';
+
+// Add seats to a cached list without duplicates
+const addSeats = (current, seats) => {
+  const list = Array.isArray(current) ? current : [];
+  return [...list, ...seats.filter(seat => !list.includes(seat))];
+};
+
+// Remove seats from a cached list
+const removeSeats = (current, seats) => {
+  const list = Array.isArray(current) ? current : [];
+  return list.filter(seat => !seats.includes(seat));
+};
+
+/**
+ * Custom hook that keeps the seat availability of a screening up to date.
+ * Live events are written into the ['booked-seats'] and ['held-seats'] query caches.
+ *
+ * @param {number|string} screeningId - Screening ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.ownHoldId] - The current user's hold, whose events are ignored
+ * @param {Function} [options.onSeatsTaken] - Called with (seats, type) when seats become unavailable
+ * @returns {Object} { heldSeats, connectionStatus }
+ */
+const useSeatAvailability = (screeningId, { ownHoldId, onSeatsTaken } = {}) => {
+  const queryClient = useQueryClient();
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
+
+  // Keep the latest values without reopening the channel
+  const ownHoldIdRef = useRef(ownHoldId);
+  const onSeatsTakenRef = useRef(onSeatsTaken);
+  ownHoldIdRef.current = ownHoldId;
+  onSeatsTakenRef.current = onSeatsTaken;
+
+  // Seats held by other customers, only ever filled by live events
+  const { data: heldSeats = [] } = useQuery({
+    queryKey: ['held-seats', screeningId],
+    queryFn: () => queryClient.getQueryData(['held-seats', screeningId]) || [],
+    initialData: [],
+    staleTime: Infinity,
+    enabled: !!screeningId
+  });
+
+  useEffect(() => {
+    if (!screeningId) return;
+
+    const channel = createSeatAvailabilityChannel(screeningId, {
+      onStatusChange: setConnectionStatus,
+      onEvent: ({ type, seats, holdId }) => {
+        if (holdId && holdId === ownHoldIdRef.current) return;
+
+        switch (type) {
+          case SeatEventTypes.BOOKED:
+            queryClient.setQueryData(['booked-seats', screeningId], current => addSeats(current, seats));
+            queryClient.setQueryData(['held-seats', screeningId], current => removeSeats(current, seats));
+            onSeatsTakenRef.current?.(seats, type);
+            break;
+          case SeatEventTypes.HELD:
+            queryClient.setQueryData(['held-seats', screeningId], current => addSeats(current, seats));
+            onSeatsTakenRef.current?.(seats, type);
+            break;
+          case SeatEventTypes.RELEASED:
+            queryClient.setQueryData(['booked-seats', screeningId], current => removeSeats(current, seats));
+            queryClient.setQueryData(['held-seats', screeningId], current => removeSeats(current, seats));
+            break;
+          default:
+            console.warn('Unknown seat availability event:', type);
+        }
+      }
+    });
+
+    return () => {
+      channel.close();
+      // Held seats are only valid while we are listening
+      queryClient.removeQueries({ queryKey: ['held-seats', screeningId] });
+    };
+  }, [screeningId, queryClient]);
+
+  return { heldSeats, connectionStatus };
+};
+
+export default useSeatAvailability;
@@ -0,0 +1,22 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Seat hold context, provided by SeatHoldProvider
+ */
+export const SeatHoldContext = createContext(null);
+
+/**
+ * Custom hook to use the seat hold context
+ * @returns {Object} Seat hold context
+ */
+export const useSeatHold = () => {
+  const context = useContext(SeatHoldContext);
+
+  if (!context) {
+    throw new Error('useSeatHold must be used within a SeatHoldProvider');
+  }
+
+  return context;
+};
+
+export default useSeatHold;
@@ -0,0 +1,153 @@
+// src/hooks/useTwoFactor.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import twoFactorApi from '@api/twoFactor';
+import { clearDeviceToken } from '@api/session';
+
+/**
+ * Custom hook for two-factor settings
+ */
+export const useTwoFactor = () => {
+  const queryClient = useQueryClient();
+
+  const invalidateStatus = () => {
+    queryClient.invalidateQueries({ queryKey: ['two-factor-status'] });
+  };
+
+  /**
+   * Get the signed-in user's second factors
+   */
+  const useGetTwoFactorStatus = (options = {}) => {
+    return useQuery({
+      queryKey: ['two-factor-status'],
+      queryFn: () => twoFactorApi.getStatus(),
+      ...options
+    });
+  };
+
+  /**
+   * Confirm the user's password before a sensitive change
+   */
+  const useReauthenticate = (options = {}) => {
+    return useMutation({
+      mutationFn: (password) => twoFactorApi.reauthenticate(password),
+      ...options
+    });
+  };
+
+  /**
+   * Start setting up an authenticator app
+   */
+  const useStartTotpEnrollment = (options = {}) => {
+    return useMutation({
+      mutationFn: () => twoFactorApi.startTotpEnrollment(),
+      ...options
+    });
+  };
+
+  /**
+   * Finish setting up an authenticator app
+   */
+  const useConfirmTotpEnrollment = (options = {}) => {
+    return useMutation({
+      mutationFn: (code) => twoFactorApi.confirmTotpEnrollment(code),
+      ...options,
+      onSuccess: (...args) => {
+        invalidateStatus();
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Replace the backup codes
+   */
+  const useRegenerateBackupCodes = (options = {}) => {
+    return useMutation({
+      mutationFn: (reauthToken) => twoFactorApi.regenerateBackupCodes(reauthToken),
+      ...options,
+      onSuccess: (...args) => {
+        invalidateStatus();
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Remove the authenticator app
+   */
+  const useDisableTotp = (options = {}) => {
+    return useMutation({
+      mutationFn: (reauthToken) => twoFactorApi.disableTotp(reauthToken),
+      ...options,
+      onSuccess: (...args) => {
+        invalidateStatus();
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Choose the factor asked for first at sign-in
+   */
+  const useSetPreferredMethod = (options = {}) => {
+    return useMutation({
+      mutationFn: (method) => twoFactorApi.setPreferredMethod(method),
+      ...options,
+      onSuccess: (status, ...args) => {
+        queryClient.setQueryData(['two-factor-status'], status);
+        options.onSuccess?.(status, ...args);
+      }
+    });
+  };
+
+  /**
+   * Get the devices allowed to skip 2FA
+   */
+  const useGetTrustedDevices = (options = {}) => {
+    return useQuery({
+      queryKey: ['trusted-devices'],
+      queryFn: () => twoFactorApi.getTrustedDevices(),
+      ...options
+    });
+  };
+
+  /**
+   * Stop trusting a device. Revoking this browser also forgets its token.
+   */
+  const useRevokeTrustedDevice = (options = {}) => {
+    return useMutation({
+      mutationFn: (device) => twoFactorApi.revokeTrustedDevice(device.id),
+      ...options,
+      onSuccess: (data, device, ...args) => {
+        if (device.isCurrent) {
+          clearDeviceToken();
+        }
+        queryClient.invalidateQueries({ queryKey: ['trusted-devices'] });
+        options.onSuccess?.(data, device, ...args);
+      }
+    });
+  };
+
+  return {
+    useGetTwoFactorStatus,
+    useReauthenticate,
+    useStartTotpEnrollment,
+    useConfirmTotpEnrollment,
+    useRegenerateBackupCodes,
+    useDisableTotp,
+    useSetPreferredMethod,
+    useGetTrustedDevices,
+    useRevokeTrustedDevice
+  };
+};
+
+// Individual exports for easier imports
+export const useGetTwoFactorStatus = (options = {}) => useTwoFactor().useGetTwoFactorStatus(options);
+export const useReauthenticate = (options = {}) => useTwoFactor().useReauthenticate(options);
+export const useStartTotpEnrollment = (options = {}) => useTwoFactor().useStartTotpEnrollment(options);
+export const useConfirmTotpEnrollment = (options = {}) => useTwoFactor().useConfirmTotpEnrollment(options);
+export const useRegenerateBackupCodes = (options = {}) => useTwoFactor().useRegenerateBackupCodes(options);
+export const useDisableTotp = (options = {}) => useTwoFactor().useDisableTotp(options);
+export const useSetPreferredMethod = (options = {}) => useTwoFactor().useSetPreferredMethod(options);
+export const useGetTrustedDevices = (options = {}) => useTwoFactor().useGetTrustedDevices(options);
+export const useRevokeTrustedDevice = (options = {}) => useTwoFactor().useRevokeTrustedDevice(options);
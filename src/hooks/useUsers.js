@@ -164,16 +164,84 @@ export const useUsers = () => {
   const useUpdateUserRole = (options = {}) => {
     return useMutation({
       mutationFn: ({ id, role }) => userApi.updateUserRole(id, role),
-      onSuccess: (_, variables) => {
+      ...options,
+      onSuccess: (data, variables, ...args) => {
         // Invalidate relevant queries
         queryClient.invalidateQueries({ queryKey: ['admin-users'] });
         queryClient.invalidateQueries({ queryKey: ['user', variables.id] });
         queryClient.invalidateQueries({ queryKey: ['user-stats'] });
-      },
+        
+        // Call custom success handler if provided
+        options.onSuccess?.(data, variables, ...args);
+      }
+    });
+  };
+
+  /**
+   * Get the current user's signed-in sessions
+   */
+  const useGetMySessions = (options = {}) => {
+    return useQuery({
+      queryKey: ['my-sessions'],
+      queryFn: () => userApi.getMySessions(),
+      ...options
+    });
+  };
+
+  /**
+   * Sign out one of the current user's sessions
+   */
+  const useRevokeMySession = (options = {}) => {
+    return useMutation({
+      mutationFn: (sessionId) => userApi.revokeMySession(sessionId),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['my-sessions'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Sign out every other session of the current user
+   */
+  const useRevokeOtherSessions = (options = {}) => {
+    return useMutation({
+      mutationFn: () => userApi.revokeOtherSessions(),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['my-sessions'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Get a user's signed-in sessions (Admin only)
+   */
+  const useGetUserSessions = (id, options = {}) => {
+    return useQuery({
+      queryKey: ['user-sessions', String(id)],
+      queryFn: () => userApi.getUserSessions(id),
+      enabled: !!id,
       ...options
     });
   };
 
+  /**
+   * Sign a user out everywhere (Admin only)
+   */
+  const useRevokeUserSessions = (options = {}) => {
+    return useMutation({
+      mutationFn: (id) => userApi.revokeUserSessions(id),
+      ...options,
+      onSuccess: (data, id, ...args) => {
+        queryClient.invalidateQueries({ queryKey: ['user-sessions', String(id)] });
+        options.onSuccess?.(data, id, ...args);
+      }
+    });
+  };
+
   /**
    * Search users by query - UTILITY HOOK
    */
@@ -214,7 +282,12 @@ export const useUsers = () => {
     useGetUserStats,        // NEW
     useUpdateUserRole,      // NEW
     useSearchUsers,         // NEW UTILITY
-    useGetUsersByRole       // NEW UTILITY
+    useGetUsersByRole,      // NEW UTILITY
+    useGetMySessions,
+    useRevokeMySession,
+    useRevokeOtherSessions,
+    useGetUserSessions,
+    useRevokeUserSessions
   };
 };
 
@@ -233,5 +306,10 @@ export const useGetUserStats = (options = {}) => useUsers().useGetUserStats(opti
 export const useUpdateUserRole = (options = {}) => useUsers().useUpdateUserRole(options);
 export const useSearchUsers = (query, options = {}) => useUsers().useSearchUsers(query, options);
 export const useGetUsersByRole = (role, options = {}) => useUsers().useGetUsersByRole(role, options);
+export const useGetMySessions = (options = {}) => useUsers().useGetMySessions(options);
+export const useRevokeMySession = (options = {}) => useUsers().useRevokeMySession(options);
+export const useRevokeOtherSessions = (options = {}) => useUsers().useRevokeOtherSessions(options);
+export const useGetUserSessions = (id, options = {}) => useUsers().useGetUserSessions(id, options);
+export const useRevokeUserSessions = (options = {}) => useUsers().useRevokeUserSessions(options);
 
 export default useUsers;
\ No newline at end of file
@@ -0,0 +1,109 @@
+// src/hooks/useWaitlist.js
+import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
+import waitlistApi from '@api/waitlist';
+
+// Offers are time-limited, so entries are refreshed while the bookings page is open
+const ENTRIES_REFRESH_INTERVAL = 60 * 1000;
+
+/**
+ * Custom hook for screening waitlists
+ */
+export const useWaitlist = () => {
+  const queryClient = useQueryClient();
+
+  /**
+   * Get the current user's waitlist entries
+   */
+  const useGetMyWaitlistEntries = (options = {}) => {
+    return useQuery({
+      queryKey: ['waitlist-entries'],
+      queryFn: () => waitlistApi.getMyWaitlistEntries(),
+      refetchInterval: ENTRIES_REFRESH_INTERVAL,
+      ...options
+    });
+  };
+
+  /**
+   * Join a screening's waitlist
+   */
+  const useJoinWaitlist = (options = {}) => {
+    return useMutation({
+      mutationFn: ({ screeningId, partySize }) => waitlistApi.joinWaitlist(screeningId, partySize),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['waitlist-entries'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Leave a waitlist
+   */
+  const useLeaveWaitlist = (options = {}) => {
+    return useMutation({
+      mutationFn: (entryId) => waitlistApi.leaveWaitlist(entryId),
+      ...options,
+      onSuccess: (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['waitlist-entries'] });
+        options.onSuccess?.(...args);
+      }
+    });
+  };
+
+  /**
+   * Get a seat offer from its claim link
+   */
+  const useGetWaitlistOffer = (token, options = {}) => {
+    return useQuery({
+      queryKey: ['waitlist-offer', token],
+      queryFn: () => waitlistApi.getOffer(token),
+      enabled: !!token,
+      retry: false,
+      ...options
+    });
+  };
+
+  /**
+   * Claim a seat offer
+   */
+  const useClaimWaitlistOffer = (options = {}) => {
+    return useMutation({
+      mutationFn: (token) => waitlistApi.claimOffer(token),
+      ...options,
+      onSuccess: (data, token, ...args) => {
+        queryClient.invalidateQueries({ queryKey: ['waitlist-entries'] });
+        queryClient.invalidateQueries({ queryKey: ['waitlist-offer', token] });
+        options.onSuccess?.(data, token, ...args);
+      }
+    });
+  };
+
+  /**
+   * Get waitlist demand per screening (Admin only)
+   */
+  const useGetWaitlistDemand = (params = {}, options = {}) => {
+    return useQuery({
+      queryKey: ['waitlist-demand', params],
+      queryFn: () => waitlistApi.getWaitlistDemand(params),
+      ...options
+    });
+  };
+
+  return {
+    useGetMyWaitlistEntries,
+    useJoinWaitlist,
+    useLeaveWaitlist,
+    useGetWaitlistOffer,
+    useClaimWaitlistOffer,
+    useGetWaitlistDemand
+  };
+};
+
+// Individual exports for easier imports
+export const useGetMyWaitlistEntries = (options = {}) => useWaitlist().useGetMyWaitlistEntries(options);
+export const useJoinWaitlist = (options = {}) => useWaitlist().useJoinWaitlist(options);
+export const useLeaveWaitlist = (options = {}) => useWaitlist().useLeaveWaitlist(options);
+export const useGetWaitlistOffer = (token, options = {}) => useWaitlist().useGetWaitlistOffer(token, options);
+export const useClaimWaitlistOffer = (options = {}) => useWaitlist().useClaimWaitlistOffer(options);
+export const useGetWaitlistDemand = (params = {}, options = {}) => useWaitlist().useGetWaitlistDemand(params, options);
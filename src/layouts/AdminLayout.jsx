@@ -12,6 +12,13 @@ import {
   UsersIcon,
   BuildingStorefrontIcon,
   CalendarIcon,
+  TagIcon,
+  ShoppingBagIcon,
+  QrCodeIcon,
+  QueueListIcon,
+  UserGroupIcon,
+  GiftIcon,
+  CreditCardIcon,
   Bars3Icon,
   XMarkIcon,
   ArrowLeftOnRectangleIcon,
@@ -52,11 +59,21 @@ const AdminLayout = () => {
     { name: 'Theatres', to: '/admin/theatres', icon: <BuildingStorefrontIcon className="w-5 h-5" /> },
     { name: 'Screenings', to: '/admin/screenings', icon: <CalendarIcon className="w-5 h-5" /> },
     { name: 'Bookings', to: '/admin/bookings', icon: <TicketIcon className="w-5 h-5" /> },
+    { name: 'Check-in', to: '/admin/check-in', icon: <QrCodeIcon className="w-5 h-5" /> },
+    { name: 'Waitlist', to: '/admin/waitlist', icon: <QueueListIcon className="w-5 h-5" /> },
+    { name: 'Group Bookings', to: '/admin/group-bookings', icon: <UserGroupIcon className="w-5 h-5" /> },
+    { name: 'Promotions', to: '/admin/promotions', icon: <TagIcon className="w-5 h-5" /> },
+    { name: 'Concessions', to: '/admin/concessions', icon: <ShoppingBagIcon className="w-5 h-5" /> },
   ];
 
-  // Add Users menu item only for admin users
+  // Users, the loyalty program and gift cards are for admin users only
   const navigationItems = isAdmin 
-    ? [...baseNavigationItems, { name: 'Users', to: '/admin/users', icon: <UsersIcon className="w-5 h-5" /> }]
+    ? [
+      ...baseNavigationItems,
+      { name: 'Users', to: '/admin/users', icon: <UsersIcon className="w-5 h-5" /> },
+      { name: 'Loyalty', to: '/admin/loyalty', icon: <GiftIcon className="w-5 h-5" /> },
+      { name: 'Gift Cards', to: '/admin/gift-cards', icon: <CreditCardIcon className="w-5 h-5" /> }
+    ]
     : baseNavigationItems;
   
   // Sidebar content
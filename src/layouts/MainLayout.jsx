@@ -1,8 +1,11 @@
 import { useState, useEffect, Fragment } from 'react';
 import { Link, NavLink, useLocation, Outlet, useNavigate } from 'react-router-dom';
 import { useAuth } from '@contexts/AuthContext';
+import { useSeatHold } from '@hooks/useSeatHold';
 import useResponsive from '@hooks/useResponsive';
+import useBookingCartSync from '@hooks/useBookingCartSync';
 import GlobalSearch from '@components/common/GlobalSearch';
+import ResumeBookingBanner from '@components/features/booking/ResumeBookingBanner';
 import { Menu, Transition } from '@headlessui/react';
 import classNames from 'classnames';
 
@@ -11,6 +14,7 @@ import {
   HomeIcon, 
   FilmIcon, 
   TicketIcon, 
+  GiftIcon,
   UserIcon,
   Bars3Icon,
   XMarkIcon,
@@ -21,18 +25,43 @@ import {
   ArrowRightOnRectangleIcon
 } from '@heroicons/react/24/outline';
 
+// Signing in part-way through booking keeps the held seats for when the user comes back
+const SIGN_IN_ROUTES = ['/login', '/two-factor-auth'];
+
 const MainLayout = () => {
-  const { isAuthenticated, user, logout, hasRole } = useAuth();
+  const { isAuthenticated, user, logout, hasRole, sessionExpired, acknowledgeSessionExpired } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
   const { isMobile } = useResponsive();
+  const { isInHoldFlow, releaseIfOutsideFlow } = useSeatHold();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   
+  // Save the booking cart to the account and restore it after login
+  useBookingCartSync();
+  
   // Close mobile menu when location changes
   useEffect(() => {
     setMobileMenuOpen(false);
   }, [location.pathname]);
   
+  // The booking flow is open to guests, so an expired session there would
+  // otherwise go unnoticed: send the user to sign in and back to the same step
+  useEffect(() => {
+    if (!sessionExpired) return;
+    
+    if (isInHoldFlow(location.pathname)) {
+      navigate('/login', { replace: true, state: { from: location, sessionExpired: true } });
+    }
+    acknowledgeSessionExpired();
+  }, [sessionExpired, location, isInHoldFlow, navigate, acknowledgeSessionExpired]);
+  
+  // Release held seats once the user leaves seat selection / checkout,
+  // except on the way through sign-in
+  useEffect(() => {
+    if (SIGN_IN_ROUTES.includes(location.pathname)) return;
+    releaseIfOutsideFlow(location.pathname);
+  }, [location.pathname, releaseIfOutsideFlow]);
+  
   // Handle logout
   const handleLogout = () => {
     logout();
@@ -47,7 +76,8 @@ const MainLayout = () => {
   // Main navigation items
   const mainNavigationItems = [
     { name: 'Home', to: '/', icon: <HomeIcon className="w-4 h-4" /> },
-    { name: 'Movies', to: '/movies', icon: <FilmIcon className="w-4 h-4" /> }
+    { name: 'Movies', to: '/movies', icon: <FilmIcon className="w-4 h-4" /> },
+    { name: 'Gift Cards', to: '/gift-cards', icon: <GiftIcon className="w-4 h-4" /> }
   ];
 
   // Secondary navigation items (for dropdown on desktop)
@@ -243,6 +273,13 @@ const MainLayout = () => {
                 </div>
               ) : (
                 <div className="flex items-center space-x-3">
+                  <Link
+                    to="/find-booking"
+                    className="inline-flex items-center space-x-1 px-3 py-1.5 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 hover:text-gray-900 transition-colors duration-200"
+                  >
+                    <TicketIcon className="w-4 h-4" />
+                    <span>Find booking</span>
+                  </Link>
                   <Link
                     to="/login"
                     className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors duration-200"
@@ -368,6 +405,12 @@ const MainLayout = () => {
             ) : (
               <div className="pt-4 pb-3 border-t border-gray-200">
                 <div className="space-y-1 px-4">
+                  <Link
+                    to="/find-booking"
+                    className="flex items-center py-3 text-base font-medium text-gray-600 hover:text-gray-800 transition-colors duration-200"
+                  >
+                    Find booking
+                  </Link>
                   <Link
                     to="/login"
                     className="flex items-center py-3 text-base font-medium text-gray-600 hover:text-gray-800 transition-colors duration-200"
@@ -389,6 +432,7 @@ const MainLayout = () => {
       
       {/* Main content */}
       <main className="flex-grow bg-gray-50">
+        <ResumeBookingBanner />
         <Outlet />
       </main>
       
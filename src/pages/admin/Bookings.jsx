@@ -1,8 +1,10 @@
 // src/pages/admin/Bookings.jsx
 import { useState } from 'react';
+import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 import { useBookings } from '@hooks/useBookings';
 import { useToast } from '@contexts/ToastContext';
+import useBookingDocuments from '@hooks/useBookingDocuments';
 import { formatDate, formatCurrency } from '@utils/formatUtils';
 import Button from '@components/common/Button';
 import LoadingSpinner from '@components/common/LoadingSpinner';
@@ -15,11 +17,13 @@ import {
   CalendarIcon,
   FunnelIcon,
   ArrowsUpDownIcon,
-  DocumentArrowDownIcon
+  DocumentArrowDownIcon,
+  DocumentTextIcon
 } from '@heroicons/react/24/outline';
 
 const AdminBookingsPage = () => {
   const { showSuccess, showError } = useToast();
+  const { downloadTicket, downloadReceipt, isGenerating } = useBookingDocuments();
   
   // State for search, filters, and sorting
   const [searchQuery, setSearchQuery] = useState('');
@@ -359,6 +363,12 @@ const AdminBookingsPage = () => {
                       )}
                     </div>
                   </th>
+                  <th 
+                    scope="col" 
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    Check-in
+                  </th>
                   <th 
                     scope="col" 
                     className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider"
@@ -403,6 +413,9 @@ const AdminBookingsPage = () => {
                         {booking.paymentStatus}
                       </span>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <CheckInStatus booking={booking} />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex justify-end space-x-2">
                         <select 
@@ -426,6 +439,26 @@ const AdminBookingsPage = () => {
                             View
                           </Button>
                         </Link>
+
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          icon={<DocumentArrowDownIcon className="h-4 w-4" />}
+                          title="Download tickets (PDF)"
+                          aria-label="Download tickets"
+                          disabled={isGenerating}
+                          onClick={() => downloadTicket(booking)}
+                        />
+
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          icon={<DocumentTextIcon className="h-4 w-4" />}
+                          title="Download receipt (PDF)"
+                          aria-label="Download receipt"
+                          disabled={isGenerating}
+                          onClick={() => downloadReceipt(booking)}
+                        />
                         
                         <Button 
                           variant="danger" 
@@ -462,4 +495,39 @@ const AdminBookingsPage = () => {
   );
 };
 
+// Check-in status for a booking, showing partial admission when only some seats were scanned
+const CheckInStatus = ({ booking }) => {
+  const seatCount = booking.bookedSeats?.length || 0;
+  const checkedInCount = booking.checkedInSeats?.length ?? (booking.checkedInAt ? seatCount : 0);
+  
+  if (checkedInCount === 0) {
+    return <span className="text-xs text-gray-400">Not checked in</span>;
+  }
+  
+  const isComplete = checkedInCount >= seatCount;
+  
+  return (
+    <div>
+      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+        isComplete ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+      }`}>
+        {isComplete ? 'Checked in' : `${checkedInCount}/${seatCount} seats`}
+      </span>
+      {booking.checkedInAt && (
+        <div className="text-xs text-gray-500 mt-1">
+          {formatDate(booking.checkedInAt, { dateStyle: undefined })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+CheckInStatus.propTypes = {
+  booking: PropTypes.shape({
+    bookedSeats: PropTypes.array,
+    checkedInSeats: PropTypes.array,
+    checkedInAt: PropTypes.string
+  }).isRequired
+};
+
 export default AdminBookingsPage;
\ No newline at end of file
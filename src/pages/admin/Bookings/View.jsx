@@ -0,0 +1,218 @@
+// src/pages/admin/Bookings/View.jsx
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useBookings } from '@hooks/useBookings';
+import useBookingDocuments from '@hooks/useBookingDocuments';
+import { formatDate, formatCurrency, formatEnumValue } from '@utils/formatUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import NotFound from '@components/common/NotFound';
+import {
+  ArrowLeftIcon,
+  FilmIcon,
+  ClockIcon,
+  TicketIcon,
+  UserIcon,
+  CreditCardIcon,
+  ReceiptRefundIcon,
+  DocumentTextIcon
+} from '@heroicons/react/24/outline';
+
+const refundStatusClasses = {
+  COMPLETED: 'bg-green-100 text-green-800',
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  FAILED: 'bg-red-100 text-red-800'
+};
+
+const ViewBookingPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { downloadReceipt, isGenerating } = useBookingDocuments();
+
+  const { useGetBooking, useGetBookingRefunds } = useBookings();
+  const {
+    data: booking,
+    isLoading: isLoadingBooking,
+    error: bookingError
+  } = useGetBooking(id);
+  const {
+    data: refunds = [],
+    isLoading: isLoadingRefunds,
+    error: refundsError
+  } = useGetBookingRefunds(id);
+
+  if (isLoadingBooking) {
+    return <LoadingSpinner />;
+  }
+
+  if (bookingError || !booking) {
+    return <NotFound message="Booking not found" />;
+  }
+
+  const totalRefunded = refunds
+    .filter(refund => refund.status !== 'FAILED')
+    .reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+  return (
+    <div>
+      <div className="mb-6 flex items-center">
+        <Button
+          variant="ghost"
+          size="sm"
+          className="mr-4"
+          onClick={() => navigate('/admin/bookings')}
+          icon={<ArrowLeftIcon className="w-4 h-4" />}
+        >
+          Back to Bookings
+        </Button>
+        <h1 className="text-2xl font-bold text-gray-900">Booking {booking.bookingNumber}</h1>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{booking.movieTitle}</h2>
+            <p className="text-gray-600">{formatDate(booking.screeningTime)}</p>
+          </div>
+          <div className="mt-4 md:mt-0 flex items-center space-x-3">
+            <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-800">
+              {formatEnumValue(booking.paymentStatus)}
+            </span>
+            <Button
+              variant="outline"
+              size="sm"
+              icon={<DocumentTextIcon className="h-5 w-5 mr-1" />}
+              disabled={isGenerating}
+              onClick={() => downloadReceipt(booking)}
+            >
+              Receipt
+            </Button>
+          </div>
+        </div>
+
+        <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-8">
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <FilmIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Screening</h4>
+                <p className="text-gray-600">{booking.theatreName}</p>
+                <p className="text-sm text-gray-500 mt-1">
+                  <Link to={`/admin/screenings/${booking.screeningId}`} className="text-primary-600 hover:text-primary-500">
+                    View Screening
+                  </Link>
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-start">
+              <TicketIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Seats</h4>
+                <p className="text-gray-600">
+                  {booking.bookedSeats?.length > 0 ? Array.from(booking.bookedSeats).sort().join(', ') : 'None'}
+                </p>
+                {booking.cancelledSeats?.length > 0 && (
+                  <p className="text-sm text-gray-500">
+                    Released: {Array.from(booking.cancelledSeats).sort().join(', ')}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-start">
+              <UserIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Customer</h4>
+                <p className="text-gray-600">{booking.username}</p>
+                <p className="text-sm text-gray-500">{booking.userEmail}</p>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <CreditCardIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Payment</h4>
+                <p className="text-gray-600">{booking.paymentMethod || 'Credit Card'}</p>
+                <p className="text-sm text-gray-500">Paid: {formatCurrency(booking.totalAmount)}</p>
+                {totalRefunded > 0 && (
+                  <p className="text-sm text-gray-500">Refunded: {formatCurrency(totalRefunded)}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-start">
+              <ClockIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Booked</h4>
+                <p className="text-gray-600">{formatDate(booking.bookingTime)}</p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Refund history */}
+        <div className="px-6 py-4 border-t border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+            <ReceiptRefundIcon className="h-5 w-5 mr-2 text-gray-400" />
+            Refund History
+          </h3>
+
+          {isLoadingRefunds ? (
+            <p className="text-sm text-gray-500">Loading refunds...</p>
+          ) : refundsError ? (
+            <p className="text-sm text-red-600">Refund history could not be loaded.</p>
+          ) : refunds.length === 0 ? (
+            <p className="text-sm text-gray-500">No refunds have been issued for this booking.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Seats</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Fee</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Refunded</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {refunds.map(refund => (
+                    <tr key={refund.id}>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
+                        {formatDate(refund.createdAt)}
+                        {refund.createdBy && <div className="text-xs">by {refund.createdBy}</div>}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        {refund.seats?.length > 0 ? refund.seats.join(', ') : '—'}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-500">{refund.reason || '—'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-500">
+                        {refund.fee ? formatCurrency(refund.fee) : '—'}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                        {formatCurrency(refund.amount)}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                          refundStatusClasses[refund.status] || 'bg-gray-100 text-gray-800'
+                        }`}>
+                          {formatEnumValue(refund.status)}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ViewBookingPage;
@@ -0,0 +1,293 @@
+// src/pages/admin/CheckIn.jsx
+import { useState, useRef, useCallback } from 'react';
+import { useScreenings } from '@hooks/useScreenings';
+import { useCheckInTicket, useGetCheckInSummary } from '@hooks/useCheckIn';
+import useQrScanner from '@hooks/useQrScanner';
+import { useToast } from '@contexts/ToastContext';
+import { formatDate } from '@utils/formatUtils';
+import { decodeTicketCode } from '@utils/ticketUtils';
+import { playAdmitSound, playRejectSound, unlockSoundCues } from '@utils/soundCues';
+import Button from '@components/common/Button';
+import {
+  CameraIcon,
+  QrCodeIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  UserGroupIcon
+} from '@heroicons/react/24/outline';
+
+// Ignore the same code if it is read again within this window (cameras see it many times)
+const DUPLICATE_SCAN_WINDOW = 3000;
+
+const REJECTION_REASONS = {
+  ALREADY_USED: 'Ticket already used',
+  WRONG_SCREENING: 'Ticket is for a different screening',
+  CANCELLED: 'Booking has been cancelled',
+  TOO_EARLY: 'Too early: doors are not open yet',
+  EXPIRED: 'Screening has already ended',
+  NOT_FOUND: 'Booking not found',
+  INVALID: 'Not a valid ticket code'
+};
+
+const cameraMessages = {
+  starting: 'Starting camera...',
+  denied: 'Camera access was denied. Allow camera access or use a handheld scanner.',
+  unsupported: 'This device does not support camera scanning. Use a handheld scanner instead.',
+  error: 'The camera could not be started. Use a handheld scanner instead.'
+};
+
+// Local date as YYYY-MM-DD for the screenings query
+const getToday = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const CheckInPage = () => {
+  const { showError } = useToast();
+  const [screeningId, setScreeningId] = useState('');
+  const [mode, setMode] = useState('scanner');
+  const [wedgeValue, setWedgeValue] = useState('');
+  const [lastResult, setLastResult] = useState(null);
+  const [recentScans, setRecentScans] = useState([]);
+  const lastScanRef = useRef({ code: null, at: 0 });
+  const wedgeInputRef = useRef(null);
+
+  // Today's screenings to admit
+  const today = getToday();
+  const { useGetScreeningsByDateRange } = useScreenings();
+  const { data: screeningsData = [] } = useGetScreeningsByDateRange(today, today, { page: 0, size: 100 });
+  const screenings = Array.isArray(screeningsData) ? screeningsData : [];
+
+  const { data: summary } = useGetCheckInSummary(screeningId);
+  const { mutateAsync: checkInTicket, isPending } = useCheckInTicket();
+
+  // Validate a code read by the camera or the handheld scanner
+  const processCode = useCallback(async (rawCode) => {
+    const code = rawCode.trim();
+    if (!code) return;
+
+    const now = Date.now();
+    if (code === lastScanRef.current.code && now - lastScanRef.current.at < DUPLICATE_SCAN_WINDOW) {
+      return;
+    }
+    lastScanRef.current = { code, at: now };
+
+    const ticket = decodeTicketCode(code);
+    let result;
+
+    if (!ticket) {
+      // Not one of our tickets, so there is nothing to ask the server
+      result = { result: 'REJECTED', reason: 'INVALID' };
+    } else {
+      try {
+        result = await checkInTicket({ code, screeningId });
+      } catch (error) {
+        showError(error.message || 'Could not check in the ticket. Please try again.');
+        return;
+      }
+    }
+
+    const isAdmitted = result.result === 'ADMITTED';
+    if (isAdmitted) {
+      playAdmitSound();
+    } else {
+      playRejectSound();
+    }
+
+    const entry = {
+      ...result,
+      isAdmitted,
+      bookingNumber: result.booking?.bookingNumber || ticket?.bookingNumber,
+      seats: result.seats || (ticket?.seat ? [ticket.seat] : result.booking?.bookedSeats) || [],
+      scannedAt: new Date().toISOString()
+    };
+
+    setLastResult(entry);
+    setRecentScans(prev => [entry, ...prev].slice(0, 10));
+  }, [checkInTicket, screeningId, showError]);
+
+  const { videoRef, status: cameraStatus } = useQrScanner({
+    enabled: mode === 'camera',
+    onScan: (code) => {
+      if (!isPending) processCode(code);
+    }
+  });
+
+  // Handheld scanners type the code and press Enter
+  const handleWedgeKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      processCode(wedgeValue);
+      setWedgeValue('');
+    }
+  };
+
+  const handleModeChange = (newMode) => {
+    unlockSoundCues();
+    setMode(newMode);
+    if (newMode === 'scanner') {
+      setTimeout(() => wedgeInputRef.current?.focus(), 0);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4 md:mb-0">Door Check-in</h1>
+        <div className="flex space-x-2">
+          <Button
+            variant={mode === 'scanner' ? 'primary' : 'outline'}
+            icon={<QrCodeIcon className="h-5 w-5 mr-2" />}
+            onClick={() => handleModeChange('scanner')}
+          >
+            Handheld Scanner
+          </Button>
+          <Button
+            variant={mode === 'camera' ? 'primary' : 'outline'}
+            icon={<CameraIcon className="h-5 w-5 mr-2" />}
+            onClick={() => handleModeChange('camera')}
+          >
+            Camera
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {/* Screening */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <label htmlFor="screening" className="block text-sm font-medium text-gray-700 mb-1">
+              Screening
+            </label>
+            <select
+              id="screening"
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              value={screeningId}
+              onChange={(e) => setScreeningId(e.target.value)}
+            >
+              <option value="">Any screening today</option>
+              {screenings.map(screening => (
+                <option key={screening.id} value={screening.id}>
+                  {formatDate(screening.startTime, { dateStyle: undefined })} · {screening.movieTitle} · {screening.theatreName} Screen {screening.screenNumber}
+                </option>
+              ))}
+            </select>
+            {summary && (
+              <div className="mt-3 flex items-center text-sm text-gray-600">
+                <UserGroupIcon className="h-5 w-5 mr-2 text-gray-400" />
+                {summary.admitted} of {summary.expected} guests admitted
+              </div>
+            )}
+          </div>
+
+          {/* Input */}
+          <div className="bg-white rounded-lg shadow p-6">
+            {mode === 'camera' ? (
+              <div>
+                <div className="relative bg-black rounded-md overflow-hidden aspect-video">
+                  <video ref={videoRef} className="w-full h-full object-cover" muted />
+                  <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                    <div className="w-48 h-48 border-4 border-white border-opacity-75 rounded-lg" />
+                  </div>
+                </div>
+                {cameraMessages[cameraStatus] && (
+                  <p className="mt-3 text-sm text-gray-600">{cameraMessages[cameraStatus]}</p>
+                )}
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="ticketCode" className="block text-sm font-medium text-gray-700 mb-1">
+                  Ticket code
+                </label>
+                <input
+                  ref={wedgeInputRef}
+                  id="ticketCode"
+                  type="text"
+                  autoFocus
+                  autoComplete="off"
+                  placeholder="Scan a ticket or type its code and press Enter"
+                  className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm font-mono"
+                  value={wedgeValue}
+                  onChange={(e) => setWedgeValue(e.target.value)}
+                  onKeyDown={handleWedgeKeyDown}
+                  onFocus={unlockSoundCues}
+                />
+                <p className="mt-2 text-xs text-gray-500">
+                  Keep this field selected while scanning with a handheld scanner.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Result */}
+          {lastResult && (
+            <div
+              className={`rounded-lg shadow p-6 flex items-center ${
+                lastResult.isAdmitted ? 'bg-green-600 text-white' : 'bg-red-600 text-white'
+              }`}
+              role="status"
+              aria-live="assertive"
+            >
+              {lastResult.isAdmitted
+                ? <CheckCircleIcon className="h-16 w-16 mr-4 flex-shrink-0" />
+                : <XCircleIcon className="h-16 w-16 mr-4 flex-shrink-0" />
+              }
+              <div>
+                <div className="text-3xl font-bold">
+                  {lastResult.isAdmitted ? 'ADMIT' : 'REJECT'}
+                </div>
+                {!lastResult.isAdmitted && (
+                  <div className="text-lg">
+                    {REJECTION_REASONS[lastResult.reason] || lastResult.message || 'Ticket rejected'}
+                    {lastResult.reason === 'ALREADY_USED' && lastResult.checkedInAt && (
+                      <> at {formatDate(lastResult.checkedInAt, { dateStyle: undefined })}</>
+                    )}
+                  </div>
+                )}
+                <div className="text-sm opacity-90 mt-1">
+                  {lastResult.bookingNumber && <span className="font-mono mr-3">{lastResult.bookingNumber}</span>}
+                  {lastResult.seats.length > 0 && <span>Seats {lastResult.seats.join(', ')}</span>}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Recent scans */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Recent Scans</h2>
+          </div>
+          {recentScans.length > 0 ? (
+            <ul className="divide-y divide-gray-200">
+              {recentScans.map(scan => (
+                <li key={scan.scannedAt} className="px-6 py-3 flex items-center justify-between text-sm">
+                  <div>
+                    <div className="font-mono text-gray-900">{scan.bookingNumber || 'Unknown'}</div>
+                    <div className="text-xs text-gray-500">
+                      {scan.isAdmitted ? `Seats ${scan.seats.join(', ')}` : REJECTION_REASONS[scan.reason] || 'Rejected'}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                      scan.isAdmitted ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {scan.isAdmitted ? 'Admitted' : 'Rejected'}
+                    </span>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {formatDate(scan.scannedAt, { dateStyle: undefined })}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="px-6 py-8 text-sm text-gray-500 text-center">No tickets scanned yet.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckInPage;
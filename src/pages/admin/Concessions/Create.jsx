@@ -0,0 +1,42 @@
+// src/pages/admin/Concessions/Create.jsx
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useCreateConcession } from '@hooks/useConcessions';
+import { useToast } from '@contexts/ToastContext';
+import ConcessionForm from '@components/admin/ConcessionForm';
+
+const CreateConcessionPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { showSuccess, showError } = useToast();
+
+  // Start from the theatre the catalog was filtered by
+  const theatreId = searchParams.get('theatreId');
+  const listPath = theatreId ? `/admin/concessions?theatreId=${theatreId}` : '/admin/concessions';
+
+  // Create concession mutation
+  const { mutate: createConcession, isPending } = useCreateConcession({
+    onSuccess: () => {
+      showSuccess('Item created successfully');
+      navigate(listPath);
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to create item');
+    }
+  });
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-900 mb-6">Add Concession Item</h1>
+
+      <ConcessionForm
+        defaultValues={theatreId ? { theatreId } : undefined}
+        onSubmit={createConcession}
+        onCancel={() => navigate(listPath)}
+        isSubmitting={isPending}
+        submitLabel="Create Item"
+      />
+    </div>
+  );
+};
+
+export default CreateConcessionPage;
@@ -0,0 +1,58 @@
+// src/pages/admin/Concessions/Edit.jsx
+import { useParams, useNavigate } from 'react-router-dom';
+import { useGetConcession, useUpdateConcession } from '@hooks/useConcessions';
+import { useToast } from '@contexts/ToastContext';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import NotFound from '@components/common/NotFound';
+import ConcessionForm from '@components/admin/ConcessionForm';
+
+const EditConcessionPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
+
+  // Fetch concession
+  const { data: concession, isLoading, error } = useGetConcession(id);
+  const listPath = concession?.theatreId
+    ? `/admin/concessions?theatreId=${concession.theatreId}`
+    : '/admin/concessions';
+
+  // Update concession mutation
+  const { mutate: updateConcession, isPending } = useUpdateConcession({
+    onSuccess: () => {
+      showSuccess('Item updated successfully');
+      navigate(listPath);
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to update item');
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error || !concession) {
+    return <NotFound message="Concession item not found" />;
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-900 mb-6">Edit {concession.name}</h1>
+
+      {/* Price changes only apply to new orders */}
+      <p className="text-sm text-gray-500 mb-4">
+        Bookings already made keep the price they were charged.
+      </p>
+
+      <ConcessionForm
+        defaultValues={concession}
+        onSubmit={(data) => updateConcession({ id, data })}
+        onCancel={() => navigate(listPath)}
+        isSubmitting={isPending}
+      />
+    </div>
+  );
+};
+
+export default EditConcessionPage;
@@ -0,0 +1,289 @@
+// src/pages/admin/Concessions/List.jsx
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useToast } from '@contexts/ToastContext';
+import { useGetTheatres } from '@hooks/useTheatres';
+import {
+  useGetConcessions,
+  useUpdateConcessionStock,
+  useDeleteConcession
+} from '@hooks/useConcessions';
+import { formatCurrency } from '@utils/formatUtils';
+import { ConcessionCategories } from '@utils/concessionUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import {
+  PlusIcon,
+  MagnifyingGlassIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  ExclamationCircleIcon,
+  ShoppingBagIcon
+} from '@heroicons/react/24/outline';
+
+const ConcessionList = () => {
+  const { showSuccess, showError } = useToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState('');
+  const theatreId = searchParams.get('theatreId') || '';
+
+  const { data: theatresData = [] } = useGetTheatres();
+  const theatres = Array.isArray(theatresData) ? theatresData : [];
+
+  // Fetch the catalog for the selected theatre
+  const {
+    data: concessions = [],
+    isLoading,
+    error,
+    refetch
+  } = useGetConcessions({ theatreId: theatreId || undefined, search: searchQuery || undefined }, {
+    refetchOnWindowFocus: false
+  });
+
+  const stockMutation = useUpdateConcessionStock({
+    onError: (error) => {
+      showError(error.message || 'Failed to update stock');
+    }
+  });
+
+  const deleteMutation = useDeleteConcession({
+    onSuccess: () => {
+      showSuccess('Item deleted');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to delete item');
+    }
+  });
+
+  const handleTheatreChange = (value) => {
+    setSearchParams(value ? { theatreId: value } : {});
+  };
+
+  const handleDelete = (concession) => {
+    if (window.confirm(`Delete "${concession.name}"? Past bookings keep their add-ons, but it can no longer be ordered.`)) {
+      deleteMutation.mutate(concession.id);
+    }
+  };
+
+  const isUpdatingStock = (id, size) => stockMutation.isPending
+    && stockMutation.variables?.id === id
+    && stockMutation.variables?.size === size;
+
+  const createPath = theatreId ? `/admin/concessions/create?theatreId=${theatreId}` : '/admin/concessions/create';
+
+  // Error state
+  if (error) {
+    return (
+      <div className="p-12 text-center">
+        <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-red-100 mb-4">
+          <ExclamationCircleIcon className="h-8 w-8 text-red-400" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Failed to load concessions</h3>
+        <p className="text-gray-500 mb-6">{error.message || 'An error occurred while loading the catalog.'}</p>
+        <Button variant="primary" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4 md:mb-0">Concessions</h1>
+        <Link to={createPath}>
+          <Button
+            variant="primary"
+            icon={<PlusIcon className="h-5 w-5 mr-2" />}
+          >
+            Add Item
+          </Button>
+        </Link>
+      </div>
+
+      {/* Filters and search */}
+      <div className="bg-white rounded-lg shadow mb-6">
+        <div className="p-6">
+          <div className="flex flex-col md:flex-row md:items-center space-y-4 md:space-y-0 md:space-x-4">
+            <div className="flex-1">
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search items..."
+                  className="pl-10 block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div>
+              <select
+                className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                value={theatreId}
+                onChange={(e) => handleTheatreChange(e.target.value)}
+              >
+                <option value="">All Theatres</option>
+                {theatres.map(theatre => (
+                  <option key={theatre.id} value={theatre.id}>{theatre.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Catalog */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : concessions.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Theatre</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sizes &amp; Stock</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {concessions.map(concession => (
+                  <tr key={concession.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <div className="h-10 w-10 flex-shrink-0 rounded bg-gray-100 overflow-hidden flex items-center justify-center">
+                          {concession.imageUrl ? (
+                            <img src={concession.imageUrl} alt="" className="h-full w-full object-cover" />
+                          ) : (
+                            <ShoppingBagIcon className="h-5 w-5 text-gray-400" />
+                          )}
+                        </div>
+                        <div className="ml-4">
+                          <div className="text-sm font-medium text-gray-900">{concession.name}</div>
+                          <div className="text-xs text-gray-500">
+                            {ConcessionCategories[concession.category]?.label || concession.category}
+                          </div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {concession.theatreName || theatres.find(theatre => String(theatre.id) === String(concession.theatreId))?.name}
+                    </td>
+                    <td className="px-6 py-4">
+                      <ul className="space-y-1">
+                        {(concession.sizes || []).map(size => (
+                          <li key={size.label} className="flex items-center text-sm">
+                            <input
+                              type="checkbox"
+                              id={`stock-${concession.id}-${size.label}`}
+                              className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 mr-2"
+                              checked={size.inStock !== false}
+                              disabled={isUpdatingStock(concession.id, size.label)}
+                              onChange={(e) => stockMutation.mutate({
+                                id: concession.id,
+                                size: size.label,
+                                inStock: e.target.checked
+                              })}
+                            />
+                            <label
+                              htmlFor={`stock-${concession.id}-${size.label}`}
+                              className={size.inStock === false ? 'text-gray-400 line-through' : 'text-gray-900'}
+                            >
+                              {size.label} · {formatCurrency(size.price)}
+                            </label>
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex flex-col items-start gap-1">
+                        {concession.active === false ? (
+                          <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-800">
+                            INACTIVE
+                          </span>
+                        ) : concession.inStock === false ? (
+                          <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                            SOLD OUT
+                          </span>
+                        ) : (
+                          <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                            AVAILABLE
+                          </span>
+                        )}
+                        <button
+                          type="button"
+                          className="text-xs text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                          disabled={isUpdatingStock(concession.id, undefined)}
+                          onClick={() => stockMutation.mutate({
+                            id: concession.id,
+                            inStock: concession.inStock === false
+                          })}
+                        >
+                          {concession.inStock === false ? 'Mark in stock' : 'Mark sold out'}
+                        </button>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex justify-end space-x-2">
+                        <Link to={`/admin/concessions/${concession.id}/edit`}>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            icon={<PencilSquareIcon className="h-4 w-4" />}
+                          >
+                            Edit
+                          </Button>
+                        </Link>
+                        <Button
+                          variant="danger"
+                          size="sm"
+                          icon={<TrashIcon className="h-4 w-4" />}
+                          onClick={() => handleDelete(concession)}
+                          disabled={deleteMutation.isPending}
+                          loading={deleteMutation.isPending && deleteMutation.variables === concession.id}
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="p-12 text-center">
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-gray-100 mb-4">
+              <ShoppingBagIcon className="h-8 w-8 text-gray-400" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No items found</h3>
+            <p className="text-gray-500 mb-6">
+              {searchQuery || theatreId
+                ? 'No items match your filters. Try another theatre or search.'
+                : 'The catalog is empty. Add snacks and drinks customers can pre-order with their tickets.'
+              }
+            </p>
+            <Link to={createPath}>
+              <Button
+                variant="primary"
+                icon={<PlusIcon className="h-5 w-5 mr-2" />}
+              >
+                Add Item
+              </Button>
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConcessionList;
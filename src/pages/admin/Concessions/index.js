@@ -0,0 +1,12 @@
+// src/pages/admin/Concessions/index.js
+import ConcessionList from './List';
+import CreateConcession from './Create';
+import EditConcession from './Edit';
+
+export {
+  ConcessionList,
+  CreateConcession,
+  EditConcession
+};
+
+export default ConcessionList;
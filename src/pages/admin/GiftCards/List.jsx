@@ -0,0 +1,238 @@
+// src/pages/admin/GiftCards/List.jsx
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useGetGiftCards, useIssueGiftCard } from '@hooks/useGiftCards';
+import { useToast } from '@contexts/ToastContext';
+import { formatDate, formatCurrency } from '@utils/formatUtils';
+import { GiftCardStatuses, maskGiftCardCode } from '@utils/giftCardUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import GiftCardIssueForm from '@components/admin/GiftCardIssueForm';
+import {
+  MagnifyingGlassIcon,
+  ExclamationCircleIcon,
+  GiftIcon,
+  BanknotesIcon,
+  CalendarDaysIcon,
+  PlusIcon
+} from '@heroicons/react/24/outline';
+
+const GiftCardList = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showIssueForm, setShowIssueForm] = useState(false);
+  const status = searchParams.get('status') ?? '';
+  const { showSuccess, showError } = useToast();
+
+  const {
+    data: giftCards = [],
+    isLoading,
+    error,
+    refetch
+  } = useGetGiftCards({ status: status || undefined, search: searchQuery || undefined });
+
+  const { mutate: issueGiftCard, isPending: isIssuing } = useIssueGiftCard({
+    onSuccess: (giftCard) => {
+      showSuccess(`Gift card issued to ${giftCard.recipientName || 'the recipient'}`);
+      setShowIssueForm(false);
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to issue gift card');
+    }
+  });
+
+  const activeCards = giftCards.filter(giftCard => giftCard.status === 'ACTIVE');
+  const outstandingBalance = activeCards.reduce((sum, giftCard) => sum + (giftCard.balance || 0), 0);
+  const scheduledCount = giftCards.filter(giftCard => giftCard.status === 'SCHEDULED').length;
+
+  // Error state
+  if (error) {
+    return (
+      <div className="p-12 text-center">
+        <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-red-100 mb-4">
+          <ExclamationCircleIcon className="h-8 w-8 text-red-400" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Failed to load gift cards</h3>
+        <p className="text-gray-500 mb-6">{error.message || 'An error occurred while loading gift cards.'}</p>
+        <Button variant="primary" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Gift Cards</h1>
+        {!showIssueForm && (
+          <div className="mt-4 md:mt-0">
+            <Button
+              variant="primary"
+              icon={<PlusIcon className="h-5 w-5 mr-2" />}
+              onClick={() => setShowIssueForm(true)}
+            >
+              Issue Gift Card
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {showIssueForm && (
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">Issue Gift Card</h2>
+          <GiftCardIssueForm
+            onSubmit={(giftCard) => issueGiftCard(giftCard)}
+            onCancel={() => setShowIssueForm(false)}
+            isSubmitting={isIssuing}
+          />
+        </div>
+      )}
+
+      {/* Stats cards */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-green-100 p-3 mr-4">
+              <GiftIcon className="h-6 w-6 text-green-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Active Cards</h2>
+              <p className="text-2xl font-bold text-gray-900">{activeCards.length}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-primary-100 p-3 mr-4">
+              <BanknotesIcon className="h-6 w-6 text-primary-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Outstanding Balance</h2>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(outstandingBalance)}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-blue-100 p-3 mr-4">
+              <CalendarDaysIcon className="h-6 w-6 text-blue-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Scheduled Deliveries</h2>
+              <p className="text-2xl font-bold text-gray-900">{scheduledCount}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters and search */}
+      <div className="bg-white rounded-lg shadow mb-6">
+        <div className="p-6">
+          <div className="flex flex-col md:flex-row md:items-center space-y-4 md:space-y-0 md:space-x-4">
+            <div className="flex-1">
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search by code, recipient or purchaser..."
+                  className="pl-10 block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div>
+              <select
+                className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                value={status}
+                onChange={(e) => setSearchParams(e.target.value ? { status: e.target.value } : {})}
+              >
+                <option value="">All Statuses</option>
+                {Object.entries(GiftCardStatuses).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Gift cards table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : giftCards.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {giftCards.map(giftCard => {
+                  const statusInfo = GiftCardStatuses[giftCard.status] || { label: giftCard.status, className: 'bg-gray-100 text-gray-800' };
+
+                  return (
+                    <tr key={giftCard.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                        {giftCard.maskedCode || maskGiftCardCode(giftCard.code)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{giftCard.recipientName}</div>
+                        <div className="text-sm text-gray-500">{giftCard.recipientEmail}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{formatCurrency(giftCard.amount)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{formatCurrency(giftCard.balance)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatDate(giftCard.createdAt, { dateStyle: 'medium', timeStyle: undefined })}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusInfo.className}`}>
+                          {statusInfo.label}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <Link to={`/admin/gift-cards/${giftCard.id}`}>
+                          <Button variant="outline" size="sm">View</Button>
+                        </Link>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="p-12 text-center">
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-gray-100 mb-4">
+              <GiftIcon className="h-8 w-8 text-gray-400" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No gift cards</h3>
+            <p className="text-gray-500">
+              {status || searchQuery
+                ? 'No gift cards match your filters.'
+                : 'Gift cards bought by customers or issued by staff will appear here.'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GiftCardList;
@@ -0,0 +1,229 @@
+// src/pages/admin/GiftCards/View.jsx
+import { useParams, useNavigate } from 'react-router-dom';
+import { useToast } from '@contexts/ToastContext';
+import { useGetGiftCard, useVoidGiftCard } from '@hooks/useGiftCards';
+import { formatDate, formatCurrency } from '@utils/formatUtils';
+import { GiftCardStatuses, GiftCardTransactionTypes, maskGiftCardCode } from '@utils/giftCardUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import NotFound from '@components/common/NotFound';
+import {
+  ArrowLeftIcon,
+  UserIcon,
+  EnvelopeIcon,
+  CalendarDaysIcon,
+  BanknotesIcon
+} from '@heroicons/react/24/outline';
+
+// Cards that still have, or will have, spendable value
+const VOIDABLE_STATUSES = ['SCHEDULED', 'ACTIVE'];
+
+const ViewGiftCardPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
+
+  const { data: giftCard, isLoading, error } = useGetGiftCard(id);
+
+  const voidMutation = useVoidGiftCard({
+    onSuccess: () => {
+      showSuccess('Gift card voided');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to void gift card');
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error || !giftCard) {
+    return <NotFound message="Gift card not found" />;
+  }
+
+  const statusInfo = GiftCardStatuses[giftCard.status] || { label: giftCard.status, className: 'bg-gray-100 text-gray-800' };
+  const maskedCode = giftCard.maskedCode || maskGiftCardCode(giftCard.code);
+
+  const handleVoid = () => {
+    const reason = window.prompt(
+      `Void gift card ${maskedCode}? Its ${formatCurrency(giftCard.balance)} balance can no longer be spent. Give a reason for the audit trail.`
+    );
+    if (reason === null) {
+      return;
+    }
+    if (!reason.trim()) {
+      showError('A reason is required to void a gift card');
+      return;
+    }
+    voidMutation.mutate({ id: giftCard.id, reason: reason.trim() });
+  };
+
+  return (
+    <div>
+      <div className="mb-6 flex items-center">
+        <Button
+          variant="ghost"
+          size="sm"
+          className="mr-4"
+          onClick={() => navigate('/admin/gift-cards')}
+          icon={<ArrowLeftIcon className="w-4 h-4" />}
+        >
+          Back to Gift Cards
+        </Button>
+        <h1 className="text-2xl font-bold text-gray-900">Gift Card {maskedCode}</h1>
+      </div>
+
+      <div className="bg-white rounded-lg shadow mb-6">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">
+              {formatCurrency(giftCard.balance)} of {formatCurrency(giftCard.amount)} left
+            </h2>
+            <p className="text-gray-600">Created {formatDate(giftCard.createdAt)}</p>
+          </div>
+          <div className="mt-4 md:mt-0 flex items-center space-x-3">
+            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusInfo.className}`}>
+              {statusInfo.label}
+            </span>
+            {VOIDABLE_STATUSES.includes(giftCard.status) && (
+              <Button
+                variant="danger"
+                size="sm"
+                onClick={handleVoid}
+                loading={voidMutation.isPending}
+              >
+                Void
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-8">
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <UserIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Recipient</h4>
+                <p className="text-gray-600">{giftCard.recipientName}</p>
+                <p className="text-sm text-gray-500">
+                  <a href={`mailto:${giftCard.recipientEmail}`} className="text-primary-600 hover:text-primary-500">
+                    {giftCard.recipientEmail}
+                  </a>
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-start">
+              <EnvelopeIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Message</h4>
+                {giftCard.message ? (
+                  <p className="text-gray-600 whitespace-pre-line">&ldquo;{giftCard.message}&rdquo;</p>
+                ) : (
+                  <p className="text-sm text-gray-500">No message</p>
+                )}
+                {giftCard.senderName && (
+                  <p className="text-sm text-gray-500">From {giftCard.senderName}</p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <BanknotesIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">
+                  {giftCard.issuedBy ? 'Issued by staff' : 'Purchased'}
+                </h4>
+                <p className="text-gray-600">
+                  {giftCard.issuedBy || giftCard.purchaserName || giftCard.purchaserEmail || 'Unknown'}
+                </p>
+                {giftCard.issueReason && (
+                  <p className="text-sm text-gray-500">{giftCard.issueReason}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-start">
+              <CalendarDaysIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Delivery</h4>
+                <p className="text-gray-600">
+                  {giftCard.deliveredAt
+                    ? `Delivered ${formatDate(giftCard.deliveredAt)}`
+                    : giftCard.deliverAt
+                      ? `Scheduled for ${formatDate(giftCard.deliverAt)}`
+                      : 'Not delivered yet'}
+                </p>
+                {giftCard.expiresAt && (
+                  <p className="text-sm text-gray-500">
+                    Expires {formatDate(giftCard.expiresAt, { dateStyle: 'medium', timeStyle: undefined })}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Audit trail */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">History</h2>
+        </div>
+        {giftCard.transactions.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Activity</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {giftCard.transactions.map(transaction => (
+                  <tr key={transaction.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(transaction.createdAt)}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <div className="font-medium text-gray-900">
+                        {GiftCardTransactionTypes[transaction.type] || transaction.type}
+                      </div>
+                      {(transaction.bookingReference || transaction.reason) && (
+                        <div className="text-gray-500">
+                          {transaction.bookingReference && `Booking ${transaction.bookingReference}`}
+                          {transaction.bookingReference && transaction.reason && ' · '}
+                          {transaction.reason}
+                        </div>
+                      )}
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                      transaction.amount < 0 ? 'text-red-600' : 'text-gray-900'
+                    }`}>
+                      {transaction.amount ? formatCurrency(transaction.amount) : '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">
+                      {transaction.balanceAfter != null ? formatCurrency(transaction.balanceAfter) : '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {transaction.performedBy || 'System'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No activity yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ViewGiftCardPage;
@@ -0,0 +1,10 @@
+// src/pages/admin/GiftCards/index.js
+import GiftCardList from './List';
+import ViewGiftCard from './View';
+
+export {
+  GiftCardList,
+  ViewGiftCard
+};
+
+export default GiftCardList;
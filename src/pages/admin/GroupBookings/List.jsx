@@ -0,0 +1,208 @@
+// src/pages/admin/GroupBookings/List.jsx
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useGetGroupRequests } from '@hooks/useGroupBookings';
+import { formatDate, formatCurrency } from '@utils/formatUtils';
+import { GroupRequestStatuses, isInvoiceOverdue } from '@utils/groupBookingUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import {
+  MagnifyingGlassIcon,
+  ExclamationCircleIcon,
+  UserGroupIcon,
+  ClockIcon,
+  DocumentTextIcon
+} from '@heroicons/react/24/outline';
+
+const GroupBookingList = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState('');
+  const status = searchParams.get('status') ?? 'PENDING';
+
+  const {
+    data: requests = [],
+    isLoading,
+    error,
+    refetch
+  } = useGetGroupRequests({ status: status || undefined, search: searchQuery || undefined });
+
+  // Oldest requests first so nobody waits too long for an answer
+  const queue = [...requests].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const pendingCount = requests.filter(request => request.status === 'PENDING').length;
+  const overdueCount = requests.filter(request => isInvoiceOverdue(request.invoice)).length;
+  const seatsRequested = requests.reduce((sum, request) => sum + (request.partySize || 0), 0);
+
+  // Error state
+  if (error) {
+    return (
+      <div className="p-12 text-center">
+        <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-red-100 mb-4">
+          <ExclamationCircleIcon className="h-8 w-8 text-red-400" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Failed to load group requests</h3>
+        <p className="text-gray-500 mb-6">{error.message || 'An error occurred while loading requests.'}</p>
+        <Button variant="primary" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Group Bookings</h1>
+      </div>
+
+      {/* Stats cards */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-yellow-100 p-3 mr-4">
+              <ClockIcon className="h-6 w-6 text-yellow-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Awaiting Review</h2>
+              <p className="text-2xl font-bold text-gray-900">{pendingCount}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-primary-100 p-3 mr-4">
+              <UserGroupIcon className="h-6 w-6 text-primary-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Seats Requested</h2>
+              <p className="text-2xl font-bold text-gray-900">{seatsRequested}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-red-100 p-3 mr-4">
+              <DocumentTextIcon className="h-6 w-6 text-red-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Overdue Invoices</h2>
+              <p className="text-2xl font-bold text-gray-900">{overdueCount}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters and search */}
+      <div className="bg-white rounded-lg shadow mb-6">
+        <div className="p-6">
+          <div className="flex flex-col md:flex-row md:items-center space-y-4 md:space-y-0 md:space-x-4">
+            <div className="flex-1">
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search by organization, contact or reference..."
+                  className="pl-10 block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div>
+              <select
+                className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                value={status}
+                onChange={(e) => setSearchParams({ status: e.target.value })}
+              >
+                <option value="">All Statuses</option>
+                {Object.entries(GroupRequestStatuses).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Request queue */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : queue.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Group</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Movie</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Party</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {queue.map(request => {
+                  const statusInfo = GroupRequestStatuses[request.status] || { label: request.status, className: 'bg-gray-100 text-gray-800' };
+                  const isOverdue = isInvoiceOverdue(request.invoice);
+
+                  return (
+                    <tr key={request.id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{request.organization}</div>
+                        <div className="text-sm text-gray-500">
+                          {request.contactName}{request.reference && ` · ${request.reference}`}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{request.movieTitle}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{request.partySize}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(request.createdAt)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusInfo.className}`}>
+                          {statusInfo.label}
+                        </span>
+                        {request.invoice && (
+                          <div className={`text-xs mt-1 ${isOverdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                            {formatCurrency(request.invoice.amount)} due {formatDate(request.invoice.dueDate, { dateStyle: 'medium', timeStyle: undefined })}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <Link to={`/admin/group-bookings/${request.id}`}>
+                          <Button variant="outline" size="sm">
+                            {request.status === 'PENDING' ? 'Review' : 'View'}
+                          </Button>
+                        </Link>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="p-12 text-center">
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-gray-100 mb-4">
+              <UserGroupIcon className="h-8 w-8 text-gray-400" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No group requests</h3>
+            <p className="text-gray-500">
+              {status === 'PENDING' && !searchQuery
+                ? 'The queue is clear. New requests from movie pages will appear here.'
+                : 'No requests match your filters.'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GroupBookingList;
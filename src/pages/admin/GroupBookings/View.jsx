@@ -0,0 +1,386 @@
+// src/pages/admin/GroupBookings/View.jsx
+import { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useToast } from '@contexts/ToastContext';
+import { useScreenings } from '@hooks/useScreenings';
+import {
+  useGetGroupRequest,
+  useApproveGroupRequest,
+  useIssueGroupInvoice,
+  useMarkGroupRequestPaid,
+  useDeclineGroupRequest
+} from '@hooks/useGroupBookings';
+import { formatDate, formatCurrency } from '@utils/formatUtils';
+import { GroupRequestStatuses, isInvoiceOverdue } from '@utils/groupBookingUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import NotFound from '@components/common/NotFound';
+import GroupSeatPicker from '@components/admin/GroupSeatPicker';
+import GroupInvoiceForm from '@components/admin/GroupInvoiceForm';
+import {
+  ArrowLeftIcon,
+  UserGroupIcon,
+  FilmIcon,
+  BuildingOfficeIcon,
+  DocumentTextIcon,
+  TicketIcon
+} from '@heroicons/react/24/outline';
+
+const selectClassName = 'block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+// Requests that still hold, or could still get, seats
+const OPEN_STATUSES = ['PENDING', 'APPROVED', 'INVOICED'];
+
+const ViewGroupBookingPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
+  const [screeningId, setScreeningId] = useState('');
+  const [selectedSeats, setSelectedSeats] = useState([]);
+
+  const { data: request, isLoading, error } = useGetGroupRequest(id);
+
+  // Staff can place the group at any of the movie's upcoming screenings, not only the preferred ones
+  const { useGetMovieScreenings } = useScreenings();
+  const { data: movieScreeningsData } = useGetMovieScreenings(request?.movieId, {}, 30, {
+    enabled: request?.status === 'PENDING'
+  });
+
+  const approveMutation = useApproveGroupRequest({
+    onSuccess: () => {
+      showSuccess('Request approved and seats blocked');
+      setSelectedSeats([]);
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to approve request');
+    }
+  });
+
+  const invoiceMutation = useIssueGroupInvoice({
+    onSuccess: () => {
+      showSuccess('Invoice sent to the group');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to issue invoice');
+    }
+  });
+
+  const paidMutation = useMarkGroupRequestPaid({
+    onSuccess: () => {
+      showSuccess('Payment recorded');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to record payment');
+    }
+  });
+
+  const declineMutation = useDeclineGroupRequest({
+    onSuccess: () => {
+      showSuccess('Request declined');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to decline request');
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error || !request) {
+    return <NotFound message="Group request not found" />;
+  }
+
+  const statusInfo = GroupRequestStatuses[request.status] || { label: request.status, className: 'bg-gray-100 text-gray-800' };
+  const preferredScreenings = request.preferredScreenings || [];
+  const otherScreenings = flattenScreenings(movieScreeningsData)
+    .filter(screening => !preferredScreenings.some(preferred => String(preferred.id) === String(screening.id)));
+  const { reservation, invoice } = request;
+
+  const handleScreeningChange = (value) => {
+    setScreeningId(value);
+    setSelectedSeats([]);
+  };
+
+  const handleDecline = () => {
+    const reason = window.prompt(
+      reservation
+        ? 'Decline this request and release its blocked seats? Optionally give a reason for the group.'
+        : 'Decline this request? Optionally give a reason for the group.'
+    );
+    if (reason !== null) {
+      declineMutation.mutate({ id: request.id, reason: reason.trim() || undefined });
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 flex items-center">
+        <Button
+          variant="ghost"
+          size="sm"
+          className="mr-4"
+          onClick={() => navigate('/admin/group-bookings')}
+          icon={<ArrowLeftIcon className="w-4 h-4" />}
+        >
+          Back to Group Bookings
+        </Button>
+        <h1 className="text-2xl font-bold text-gray-900">
+          Group Request {request.reference || `#${request.id}`}
+        </h1>
+      </div>
+
+      <div className="bg-white rounded-lg shadow mb-6">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{request.organization}</h2>
+            <p className="text-gray-600">Received {formatDate(request.createdAt)}</p>
+          </div>
+          <div className="mt-4 md:mt-0 flex items-center space-x-3">
+            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusInfo.className}`}>
+              {statusInfo.label}
+            </span>
+            {OPEN_STATUSES.includes(request.status) && (
+              <Button
+                variant="danger"
+                size="sm"
+                onClick={handleDecline}
+                loading={declineMutation.isPending}
+              >
+                Decline
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-8">
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <UserGroupIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Contact</h4>
+                <p className="text-gray-600">{request.contactName} · {request.partySize} people</p>
+                <p className="text-sm text-gray-500">
+                  <a href={`mailto:${request.email}`} className="text-primary-600 hover:text-primary-500">{request.email}</a>
+                  {request.phone && ` · ${request.phone}`}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-start">
+              <FilmIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">{request.movieTitle}</h4>
+                {preferredScreenings.length > 0 ? (
+                  <ul className="text-sm text-gray-600">
+                    {preferredScreenings.map(screening => (
+                      <li key={screening.id}>
+                        {formatDate(screening.startTime)}{screening.theatreName && ` · ${screening.theatreName}`}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500">No showtime picked</p>
+                )}
+                {request.preferredTimes && (
+                  <p className="text-sm text-gray-500 mt-1">&ldquo;{request.preferredTimes}&rdquo;</p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <BuildingOfficeIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Billing</h4>
+                <p className="text-gray-600 whitespace-pre-line">{request.billingAddress}</p>
+                {request.purchaseOrder && (
+                  <p className="text-sm text-gray-500">PO: {request.purchaseOrder}</p>
+                )}
+              </div>
+            </div>
+
+            {request.notes && (
+              <div className="flex items-start">
+                <DocumentTextIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900">Notes</h4>
+                  <p className="text-gray-600 whitespace-pre-line">{request.notes}</p>
+                </div>
+              </div>
+            )}
+
+            {request.declineReason && (
+              <div className="flex items-start">
+                <DocumentTextIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900">Declined</h4>
+                  <p className="text-gray-600">{request.declineReason}</p>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Step 1: pick a screening and block seats */}
+      {request.status === 'PENDING' && (
+        <div className="bg-white rounded-lg shadow mb-6">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Approve &amp; Block Seats</h3>
+          </div>
+          <div className="p-6">
+            <div className="mb-6 max-w-md">
+              <label htmlFor="groupScreening" className="block text-sm font-medium text-gray-700 mb-1">
+                Screening
+              </label>
+              <select
+                id="groupScreening"
+                className={selectClassName}
+                value={screeningId}
+                onChange={(e) => handleScreeningChange(e.target.value)}
+              >
+                <option value="">Select a screening</option>
+                {preferredScreenings.length > 0 && (
+                  <optgroup label="Preferred by the group">
+                    {preferredScreenings.map(screening => (
+                      <option key={screening.id} value={screening.id}>
+                        {formatDate(screening.startTime)}{screening.theatreName && ` · ${screening.theatreName}`}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+                {otherScreenings.length > 0 && (
+                  <optgroup label="Other showtimes">
+                    {otherScreenings.map(screening => (
+                      <option key={screening.id} value={screening.id}>
+                        {formatDate(screening.startTime)}{screening.theatreName && ` · ${screening.theatreName}`}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+            </div>
+
+            {screeningId && (
+              <>
+                <GroupSeatPicker
+                  screeningId={screeningId}
+                  partySize={request.partySize}
+                  selectedSeats={selectedSeats}
+                  onChange={setSelectedSeats}
+                />
+                <div className="flex justify-end">
+                  <Button
+                    variant="primary"
+                    disabled={selectedSeats.length !== request.partySize}
+                    loading={approveMutation.isPending}
+                    onClick={() => approveMutation.mutate({ id: request.id, screeningId, seats: selectedSeats })}
+                  >
+                    Approve &amp; Block {request.partySize} Seats
+                  </Button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Blocked seats */}
+      {reservation && (
+        <div className="bg-white rounded-lg shadow mb-6">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Blocked Seats</h3>
+            <Link
+              to={`/admin/screenings/${reservation.screeningId}`}
+              className="text-sm text-primary-600 hover:text-primary-500"
+            >
+              View Screening
+            </Link>
+          </div>
+          <div className="p-6 flex items-start">
+            <TicketIcon className="h-5 w-5 text-gray-400 mt-0.5 mr-3" />
+            <div>
+              <p className="text-gray-900">
+                {formatDate(reservation.screeningTime)}
+                {reservation.theatreName && ` · ${reservation.theatreName}`}
+                {reservation.screenNumber && ` · Screen ${reservation.screenNumber}`}
+              </p>
+              <p className="text-sm text-gray-600">{[...reservation.seats].sort().join(', ')}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Step 2: invoice the group */}
+      {request.status === 'APPROVED' && reservation && (
+        <div className="bg-white rounded-lg shadow mb-6">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Issue Invoice</h3>
+          </div>
+          <div className="p-6">
+            <GroupInvoiceForm
+              reservation={reservation}
+              isSubmitting={invoiceMutation.isPending}
+              onSubmit={(invoiceData) => invoiceMutation.mutate({ id: request.id, ...invoiceData })}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Step 3: payment */}
+      {invoice && (
+        <div className="bg-white rounded-lg shadow mb-6">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Invoice {invoice.invoiceNumber}</h3>
+            {request.status === 'INVOICED' && (
+              <Button
+                variant="primary"
+                size="sm"
+                loading={paidMutation.isPending}
+                onClick={() => paidMutation.mutate(request.id)}
+              >
+                Mark as Paid
+              </Button>
+            )}
+          </div>
+          <div className="p-6 grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-500">Amount</h4>
+              <p className="text-lg font-bold text-gray-900">{formatCurrency(invoice.amount)}</p>
+            </div>
+            <div>
+              <h4 className="text-sm font-medium text-gray-500">Payment deadline</h4>
+              <p className={`text-lg font-bold ${isInvoiceOverdue(invoice) ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatDate(invoice.dueDate, { dateStyle: 'medium', timeStyle: undefined })}
+                {isInvoiceOverdue(invoice) && <span className="ml-2 text-sm font-medium">Overdue</span>}
+              </p>
+            </div>
+            <div>
+              <h4 className="text-sm font-medium text-gray-500">Issued</h4>
+              <p className="text-gray-900">{formatDate(invoice.issuedAt)}</p>
+            </div>
+            {invoice.notes && (
+              <p className="sm:col-span-3 text-sm text-gray-600">{invoice.notes}</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Movie screenings come back grouped by date
+const flattenScreenings = (screeningsData) => {
+  if (!screeningsData || typeof screeningsData !== 'object') return [];
+
+  const byDate = screeningsData.data || screeningsData;
+  return Object.values(byDate)
+    .filter(Array.isArray)
+    .flat()
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+export default ViewGroupBookingPage;
@@ -0,0 +1,10 @@
+// src/pages/admin/GroupBookings/index.js
+import GroupBookingList from './List';
+import ViewGroupBooking from './View';
+
+export {
+  GroupBookingList,
+  ViewGroupBooking
+};
+
+export default GroupBookingList;
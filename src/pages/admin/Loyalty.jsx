@@ -0,0 +1,328 @@
+// src/pages/admin/Loyalty.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useToast } from '@contexts/ToastContext';
+import {
+  useGetLoyaltyRules,
+  useUpdateLoyaltyRules,
+  useGetLoyaltyAdjustments
+} from '@hooks/useLoyalty';
+import { formatDate } from '@utils/formatUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import TierBadge from '@components/features/loyalty/TierBadge';
+import {
+  MagnifyingGlassIcon,
+  ClipboardDocumentListIcon
+} from '@heroicons/react/24/outline';
+
+const inputClassName = (hasError) => `block w-full rounded-md shadow-sm sm:text-sm ${
+  hasError
+    ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
+    : 'border-gray-300 focus:ring-primary-500 focus:border-primary-500'
+}`;
+
+const LoyaltyPage = () => {
+  const { showSuccess, showError } = useToast();
+  const [searchQuery, setSearchQuery] = useState('');
+
+  const { data: rules, isLoading: isLoadingRules } = useGetLoyaltyRules();
+  const { data: adjustments = [], isLoading: isLoadingAdjustments } = useGetLoyaltyAdjustments({
+    search: searchQuery || undefined
+  });
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isDirty }
+  } = useForm({
+    values: rules && toFormValues(rules)
+  });
+
+  const { mutate: updateRules, isPending } = useUpdateLoyaltyRules({
+    onSuccess: () => showSuccess('Loyalty rules saved'),
+    onError: (error) => showError(error.message || 'Failed to save loyalty rules')
+  });
+
+  const onSubmit = (data) => {
+    updateRules({
+      pointsPerDollar: Number(data.pointsPerDollar),
+      pointValue: Number(data.pointValue),
+      minRedeemPoints: Number(data.minRedeemPoints),
+      tiers: rules.tiers.map((tier, index) => ({
+        ...tier,
+        minPoints: Number(data.tiers[index].minPoints),
+        earnMultiplier: Number(data.tiers[index].earnMultiplier),
+        earlyBookingHours: Number(data.tiers[index].earlyBookingHours),
+        perks: data.tiers[index].perks.split('\n').map(perk => perk.trim()).filter(Boolean)
+      }))
+    });
+  };
+
+  if (isLoadingRules) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Loyalty Program</h1>
+      </div>
+
+      {/* Earning and redemption rules */}
+      <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-lg shadow mb-6">
+        <div className="p-6 space-y-6">
+          <div>
+            <h2 className="text-lg font-medium text-gray-900">Earning and redemption</h2>
+            <p className="text-sm text-gray-500">Changes apply to bookings made from now on.</p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div>
+              <label htmlFor="pointsPerDollar" className="block text-sm font-medium text-gray-700 mb-1">
+                Points per $1 spent *
+              </label>
+              <input
+                type="number"
+                id="pointsPerDollar"
+                step="0.1"
+                className={inputClassName(errors.pointsPerDollar)}
+                {...register('pointsPerDollar', {
+                  required: 'Required',
+                  min: { value: 0, message: 'Cannot be negative' }
+                })}
+              />
+              {errors.pointsPerDollar && (
+                <p className="mt-1 text-sm text-red-600">{errors.pointsPerDollar.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="pointValue" className="block text-sm font-medium text-gray-700 mb-1">
+                Value of one point ($) *
+              </label>
+              <input
+                type="number"
+                id="pointValue"
+                step="0.001"
+                className={inputClassName(errors.pointValue)}
+                {...register('pointValue', {
+                  required: 'Required',
+                  min: { value: 0.001, message: 'Must be more than zero' }
+                })}
+              />
+              {errors.pointValue && (
+                <p className="mt-1 text-sm text-red-600">{errors.pointValue.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="minRedeemPoints" className="block text-sm font-medium text-gray-700 mb-1">
+                Minimum points per redemption *
+              </label>
+              <input
+                type="number"
+                id="minRedeemPoints"
+                step="1"
+                className={inputClassName(errors.minRedeemPoints)}
+                {...register('minRedeemPoints', {
+                  required: 'Required',
+                  min: { value: 0, message: 'Cannot be negative' }
+                })}
+              />
+              {errors.minRedeemPoints && (
+                <p className="mt-1 text-sm text-red-600">{errors.minRedeemPoints.message}</p>
+              )}
+            </div>
+          </div>
+
+          {/* Member tiers */}
+          <div className="pt-6 border-t border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Member tiers</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Members move up a tier once their lifetime points reach its threshold.
+            </p>
+
+            <div className="space-y-4">
+              {rules.tiers.map((tier, index) => (
+                <div key={tier.id} className="grid grid-cols-1 md:grid-cols-4 gap-4 p-4 bg-gray-50 rounded-lg">
+                  <div className="md:col-span-4">
+                    <TierBadge tier={tier} />
+                  </div>
+
+                  <div>
+                    <label htmlFor={`tier-${tier.id}-minPoints`} className="block text-sm font-medium text-gray-700 mb-1">
+                      Lifetime points
+                    </label>
+                    <input
+                      type="number"
+                      id={`tier-${tier.id}-minPoints`}
+                      step="1"
+                      readOnly={index === 0}
+                      className={inputClassName(errors.tiers?.[index]?.minPoints)}
+                      {...register(`tiers.${index}.minPoints`, {
+                        required: 'Required',
+                        validate: (value, values) => index === 0
+                          || Number(value) > Number(values.tiers[index - 1].minPoints)
+                          || 'Must be above the tier below'
+                      })}
+                    />
+                    {errors.tiers?.[index]?.minPoints && (
+                      <p className="mt-1 text-sm text-red-600">{errors.tiers[index].minPoints.message}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor={`tier-${tier.id}-earnMultiplier`} className="block text-sm font-medium text-gray-700 mb-1">
+                      Points multiplier
+                    </label>
+                    <input
+                      type="number"
+                      id={`tier-${tier.id}-earnMultiplier`}
+                      step="0.05"
+                      className={inputClassName(errors.tiers?.[index]?.earnMultiplier)}
+                      {...register(`tiers.${index}.earnMultiplier`, {
+                        required: 'Required',
+                        min: { value: 1, message: 'At least 1' }
+                      })}
+                    />
+                    {errors.tiers?.[index]?.earnMultiplier && (
+                      <p className="mt-1 text-sm text-red-600">{errors.tiers[index].earnMultiplier.message}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor={`tier-${tier.id}-earlyBookingHours`} className="block text-sm font-medium text-gray-700 mb-1">
+                      Early booking (hours)
+                    </label>
+                    <input
+                      type="number"
+                      id={`tier-${tier.id}-earlyBookingHours`}
+                      step="1"
+                      className={inputClassName(errors.tiers?.[index]?.earlyBookingHours)}
+                      {...register(`tiers.${index}.earlyBookingHours`, {
+                        required: 'Required',
+                        min: { value: 0, message: 'Cannot be negative' }
+                      })}
+                    />
+                    {errors.tiers?.[index]?.earlyBookingHours && (
+                      <p className="mt-1 text-sm text-red-600">{errors.tiers[index].earlyBookingHours.message}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor={`tier-${tier.id}-perks`} className="block text-sm font-medium text-gray-700 mb-1">
+                      Perks (one per line)
+                    </label>
+                    <textarea
+                      id={`tier-${tier.id}-perks`}
+                      rows={2}
+                      className={inputClassName(false)}
+                      {...register(`tiers.${index}.perks`)}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="px-6 py-4 bg-gray-50 flex justify-end rounded-b-lg">
+          <Button type="submit" variant="primary" loading={isPending} disabled={!isDirty}>
+            Save Rules
+          </Button>
+        </div>
+      </form>
+
+      {/* Audit trail of manual adjustments */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <h2 className="text-lg font-medium text-gray-900">Balance adjustments</h2>
+          <div className="relative md:w-80">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="text"
+              placeholder="Search by member, admin or reason..."
+              className="pl-10 block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+            />
+          </div>
+        </div>
+
+        {isLoadingAdjustments ? (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : adjustments.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {adjustments.map(adjustment => (
+                  <tr key={adjustment.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(adjustment.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <Link to={`/admin/users/${adjustment.userId}`} className="text-primary-600 hover:text-primary-700">
+                        {adjustment.username || `#${adjustment.userId}`}
+                      </Link>
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                      adjustment.points >= 0 ? 'text-green-600' : 'text-red-600'
+                    }`}>
+                      {adjustment.points > 0 ? '+' : ''}{adjustment.points.toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{adjustment.reason}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{adjustment.adjustedBy}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="p-12 text-center">
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-gray-100 mb-4">
+              <ClipboardDocumentListIcon className="h-8 w-8 text-gray-400" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No adjustments</h3>
+            <p className="text-gray-500">
+              {searchQuery
+                ? 'No adjustments match your search.'
+                : 'Manual changes to member balances will be listed here.'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Turn the rules into form values, with perks as one per line
+const toFormValues = (rules) => ({
+  pointsPerDollar: rules.pointsPerDollar,
+  pointValue: rules.pointValue,
+  minRedeemPoints: rules.minRedeemPoints,
+  tiers: rules.tiers.map(tier => ({
+    minPoints: tier.minPoints,
+    earnMultiplier: tier.earnMultiplier,
+    earlyBookingHours: tier.earlyBookingHours,
+    perks: tier.perks.join('\n')
+  }))
+});
+
+export default LoyaltyPage;
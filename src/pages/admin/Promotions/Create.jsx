@@ -0,0 +1,36 @@
+// src/pages/admin/Promotions/Create.jsx
+import { useNavigate } from 'react-router-dom';
+import { useCreatePromotion } from '@hooks/usePromotions';
+import { useToast } from '@contexts/ToastContext';
+import PromotionForm from '@components/admin/PromotionForm';
+
+const CreatePromotionPage = () => {
+  const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
+
+  // Create promotion mutation
+  const { mutate: createPromotion, isPending } = useCreatePromotion({
+    onSuccess: () => {
+      showSuccess('Promotion created successfully');
+      navigate('/admin/promotions');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to create promotion');
+    }
+  });
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-900 mb-6">Add Promotion</h1>
+
+      <PromotionForm
+        onSubmit={createPromotion}
+        onCancel={() => navigate('/admin/promotions')}
+        isSubmitting={isPending}
+        submitLabel="Create Promotion"
+      />
+    </div>
+  );
+};
+
+export default CreatePromotionPage;
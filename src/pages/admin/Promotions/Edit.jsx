@@ -0,0 +1,55 @@
+// src/pages/admin/Promotions/Edit.jsx
+import { useParams, useNavigate } from 'react-router-dom';
+import { useGetPromotion, useUpdatePromotion } from '@hooks/usePromotions';
+import { useToast } from '@contexts/ToastContext';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import NotFound from '@components/common/NotFound';
+import PromotionForm from '@components/admin/PromotionForm';
+
+const EditPromotionPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
+
+  // Fetch promotion
+  const { data: promotion, isLoading, error } = useGetPromotion(id);
+
+  // Update promotion mutation
+  const { mutate: updatePromotion, isPending } = useUpdatePromotion({
+    onSuccess: () => {
+      showSuccess('Promotion updated successfully');
+      navigate('/admin/promotions');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to update promotion');
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error || !promotion) {
+    return <NotFound message="Promotion not found" />;
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-900 mb-6">Edit Promotion {promotion.code}</h1>
+
+      {/* Usage is shown so the cap is not lowered below what has already been redeemed */}
+      <p className="text-sm text-gray-500 mb-4">
+        Redeemed {promotion.usageCount || 0} time{promotion.usageCount === 1 ? '' : 's'} so far.
+      </p>
+
+      <PromotionForm
+        defaultValues={promotion}
+        onSubmit={(data) => updatePromotion({ id, data })}
+        onCancel={() => navigate('/admin/promotions')}
+        isSubmitting={isPending}
+      />
+    </div>
+  );
+};
+
+export default EditPromotionPage;
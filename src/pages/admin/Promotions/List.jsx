@@ -0,0 +1,310 @@
+// src/pages/admin/Promotions/List.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useToast } from '@contexts/ToastContext';
+import {
+  useGetPromotions,
+  useGetPromotionStats,
+  useDeactivatePromotion
+} from '@hooks/usePromotions';
+import { formatCurrency, formatDate } from '@utils/formatUtils';
+import { formatPromoValue, getPromotionStatus } from '@utils/promotionUtils';
+import Button from '@components/common/Button';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import {
+  PlusIcon,
+  MagnifyingGlassIcon,
+  PencilSquareIcon,
+  NoSymbolIcon,
+  ExclamationCircleIcon,
+  TagIcon,
+  ReceiptPercentIcon,
+  BanknotesIcon
+} from '@heroicons/react/24/outline';
+
+const statusClasses = {
+  ACTIVE: 'bg-green-100 text-green-800',
+  SCHEDULED: 'bg-blue-100 text-blue-800',
+  EXPIRED: 'bg-gray-100 text-gray-800',
+  EXHAUSTED: 'bg-yellow-100 text-yellow-800',
+  INACTIVE: 'bg-red-100 text-red-800'
+};
+
+const PromotionList = () => {
+  const { showSuccess, showError } = useToast();
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedStatus, setSelectedStatus] = useState('');
+
+  // Fetch promotions and usage statistics
+  const {
+    data: promotions = [],
+    isLoading,
+    error,
+    refetch
+  } = useGetPromotions({ search: searchQuery || undefined }, {
+    refetchOnWindowFocus: false
+  });
+  const { data: stats } = useGetPromotionStats();
+
+  // Deactivate promotion mutation
+  const deactivateMutation = useDeactivatePromotion({
+    onSuccess: () => {
+      showSuccess('Promotion deactivated');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to deactivate promotion');
+    }
+  });
+
+  // Handle deactivate
+  const handleDeactivate = (promotion) => {
+    if (window.confirm(`Deactivate promo code "${promotion.code}"? Customers will no longer be able to redeem it.`)) {
+      deactivateMutation.mutate(promotion.id);
+    }
+  };
+
+  // Status is derived client-side so scheduled and exhausted codes can be filtered too
+  const filteredPromotions = selectedStatus
+    ? promotions.filter(promotion => getPromotionStatus(promotion) === selectedStatus)
+    : promotions;
+
+  // Loading state
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <div className="p-12 text-center">
+        <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-red-100 mb-4">
+          <ExclamationCircleIcon className="h-8 w-8 text-red-400" />
+        </div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Failed to load promotions</h3>
+        <p className="text-gray-500 mb-6">{error.message || 'An error occurred while loading promotions.'}</p>
+        <Button variant="primary" onClick={() => refetch()}>
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4 md:mb-0">Promotions</h1>
+        <Link to="/admin/promotions/create">
+          <Button
+            variant="primary"
+            icon={<PlusIcon className="h-5 w-5 mr-2" />}
+          >
+            Add Promotion
+          </Button>
+        </Link>
+      </div>
+
+      {/* Stats cards */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-green-100 p-3 mr-4">
+              <TagIcon className="h-6 w-6 text-green-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Active Promotions</h2>
+              <p className="text-2xl font-bold text-gray-900">
+                {stats?.activePromotions ?? promotions.filter(promotion => getPromotionStatus(promotion) === 'ACTIVE').length}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-blue-100 p-3 mr-4">
+              <ReceiptPercentIcon className="h-6 w-6 text-blue-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Total Redemptions</h2>
+              <p className="text-2xl font-bold text-gray-900">
+                {stats?.totalRedemptions ?? promotions.reduce((sum, promotion) => sum + (promotion.usageCount || 0), 0)}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-purple-100 p-3 mr-4">
+              <BanknotesIcon className="h-6 w-6 text-purple-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Total Discount Given</h2>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatCurrency(stats?.totalDiscountGiven ?? promotions.reduce((sum, promotion) => sum + (promotion.totalDiscountGiven || 0), 0))}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters and search */}
+      <div className="bg-white rounded-lg shadow mb-6">
+        <div className="p-6">
+          <div className="flex flex-col md:flex-row md:items-center space-y-4 md:space-y-0 md:space-x-4">
+            <div className="flex-1">
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search promo codes..."
+                  className="pl-10 block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div>
+              <select
+                className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                value={selectedStatus}
+                onChange={(e) => setSelectedStatus(e.target.value)}
+              >
+                <option value="">All Statuses</option>
+                {Object.keys(statusClasses).map(status => (
+                  <option key={status} value={status}>
+                    {status.charAt(0) + status.slice(1).toLowerCase()}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Promotions list */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {filteredPromotions.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discount</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Schedule</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Usage</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredPromotions.map(promotion => {
+                  const status = getPromotionStatus(promotion);
+                  const usageCount = promotion.usageCount || 0;
+                  const usagePercent = promotion.maxUses
+                    ? Math.min((usageCount / promotion.maxUses) * 100, 100)
+                    : 0;
+
+                  return (
+                    <tr key={promotion.id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900 font-mono">{promotion.code}</div>
+                        {promotion.description && (
+                          <div className="text-xs text-gray-500">{promotion.description}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{formatPromoValue(promotion)}</div>
+                        {promotion.minSpend > 0 && (
+                          <div className="text-xs text-gray-500">Min. spend {formatCurrency(promotion.minSpend)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <div>{promotion.startsAt ? formatDate(promotion.startsAt, { timeStyle: undefined }) : 'Immediately'}</div>
+                        <div>to {promotion.endsAt ? formatDate(promotion.endsAt, { timeStyle: undefined }) : 'No end date'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">
+                          {usageCount} / {promotion.maxUses || '∞'}
+                        </div>
+                        {promotion.maxUses > 0 && (
+                          <div className="w-24 bg-gray-200 rounded-full h-1.5 mt-1">
+                            <div
+                              className={`h-1.5 rounded-full ${usagePercent >= 100 ? 'bg-yellow-500' : 'bg-primary-600'}`}
+                              style={{ width: `${usagePercent}%` }}
+                            />
+                          </div>
+                        )}
+                        {promotion.totalDiscountGiven > 0 && (
+                          <div className="text-xs text-gray-500 mt-1">{formatCurrency(promotion.totalDiscountGiven)} given</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusClasses[status]}`}>
+                          {status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex justify-end space-x-2">
+                          <Link to={`/admin/promotions/${promotion.id}/edit`}>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              icon={<PencilSquareIcon className="h-4 w-4" />}
+                            >
+                              Edit
+                            </Button>
+                          </Link>
+                          <Button
+                            variant="danger"
+                            size="sm"
+                            icon={<NoSymbolIcon className="h-4 w-4" />}
+                            onClick={() => handleDeactivate(promotion)}
+                            disabled={!promotion.active || deactivateMutation.isPending}
+                            loading={deactivateMutation.isPending && deactivateMutation.variables === promotion.id}
+                          >
+                            Deactivate
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="p-12 text-center">
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-gray-100 mb-4">
+              <TagIcon className="h-8 w-8 text-gray-400" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No promotions found</h3>
+            <p className="text-gray-500 mb-6">
+              {searchQuery || selectedStatus
+                ? 'No promotions match your filters. Try adjusting your search criteria.'
+                : 'There are no promotions yet. Add your first promo code to get started.'
+              }
+            </p>
+            <Link to="/admin/promotions/create">
+              <Button
+                variant="primary"
+                icon={<PlusIcon className="h-5 w-5 mr-2" />}
+              >
+                Add Promotion
+              </Button>
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PromotionList;
@@ -0,0 +1,12 @@
+// src/pages/admin/Promotions/index.js
+import PromotionList from './List';
+import CreatePromotion from './Create';
+import EditPromotion from './Edit';
+
+export {
+  PromotionList,
+  CreatePromotion,
+  EditPromotion
+};
+
+export default PromotionList;
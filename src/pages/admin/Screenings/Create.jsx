@@ -6,9 +6,11 @@ import { useScreenings } from '@hooks/useScreenings';
 import { useMovies } from '@hooks/useMovies';
 import { useGetTheatres } from '@hooks/useTheatres'; // Import theatres hook directly
 import { useToast } from '@contexts/ToastContext';
+import { getCategoryDiscounts } from '@utils/ticketCategories';
 import Button from '@components/common/Button';
 import Input from '@components/common/Input';
 import LoadingSpinner from '@components/common/LoadingSpinner';
+import CategoryDiscountFields from '@components/admin/CategoryDiscountFields';
 import { ArrowLeftIcon } from '@heroicons/react/24/outline';
 
 const CreateScreeningPage = () => {
@@ -57,7 +59,8 @@ const CreateScreeningPage = () => {
       startTimeString: '',
       screenNumber: '',
       format: '',
-      basePrice: ''
+      basePrice: '',
+      bookingOpensAt: ''
     }
   });
   
@@ -112,7 +115,9 @@ const CreateScreeningPage = () => {
     const screeningData = {
       ...data,
       screenNumber: parseInt(data.screenNumber, 10),
-      basePrice: parseFloat(data.basePrice)
+      basePrice: parseFloat(data.basePrice),
+      bookingOpensAt: data.bookingOpensAt || null,
+      categoryDiscounts: getCategoryDiscounts(data)
     };
     
     // Create screening
@@ -318,8 +323,26 @@ const CreateScreeningPage = () => {
                 <p className="mt-1 text-sm text-red-600">{errors.basePrice.message}</p>
               )}
             </div>
+            
+            {/* General sale */}
+            <div>
+              <label htmlFor="bookingOpensAt" className="block text-sm font-medium text-gray-700 mb-1">
+                General Sale Opens
+              </label>
+              <input
+                type="datetime-local"
+                id="bookingOpensAt"
+                className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                {...register('bookingOpensAt')}
+              />
+              <p className="mt-1 text-sm text-gray-500">
+                Leave empty to open booking now. Silver and Gold members can book ahead of this.
+              </p>
+            </div>
           </div>
           
+          <CategoryDiscountFields register={register} errors={errors.categoryDiscounts} />
+          
           <div className="flex justify-end space-x-4">
             <Button
               type="button"
@@ -17,7 +17,8 @@ import {
   BuildingStorefrontIcon,
   PlusIcon,
   CalendarIcon,
-  TicketIcon
+  TicketIcon,
+  ShoppingBagIcon
 } from '@heroicons/react/24/outline';
 
 const ViewTheatrePage = () => {
@@ -326,6 +327,16 @@ const ViewTheatrePage = () => {
                     Manage Seats
                   </Button>
                 </Link>
+                
+                <Link to={`/admin/concessions?theatreId=${id}`}>
+                  <Button 
+                    variant="outline" 
+                    size="sm"
+                    icon={<ShoppingBagIcon className="h-5 w-5 mr-1" />}
+                  >
+                    Concessions
+                  </Button>
+                </Link>
               </div>
             </div>
           </div>
@@ -2,10 +2,12 @@
 import { useState } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useToast } from '@contexts/ToastContext';
-import { useGetUser, useDeleteUser } from '@hooks/useUsers';
+import { useGetUser, useDeleteUser, useUpdateUserRole, useRevokeUserSessions } from '@hooks/useUsers';
 import Button from '@components/common/Button';
 import LoadingSpinner from '@components/common/LoadingSpinner';
 import NotFound from '@components/common/NotFound';
+import LoyaltyAdjustmentPanel from '@components/admin/LoyaltyAdjustmentPanel';
+import UserSessionsPanel from '@components/admin/UserSessionsPanel';
 import {
   ArrowLeftIcon,
   PencilSquareIcon,
@@ -22,6 +24,7 @@ const ViewUserPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { showSuccess, showError } = useToast();
+  const [selectedRole, setSelectedRole] = useState('');
   
   // Fetch user data
   const {
@@ -45,6 +48,45 @@ const ViewUserPage = () => {
     }
   });
   
+  // Signing out makes the user sign in again, which issues tokens with the new role
+  const revokeSessionsMutation = useRevokeUserSessions({
+    onSuccess: () => {
+      showSuccess('User signed out everywhere');
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to sign the user out');
+    }
+  });
+  
+  // Role change mutation
+  const updateRoleMutation = useUpdateUserRole({
+    onSuccess: (_, variables) => {
+      showSuccess('Role updated successfully');
+      setSelectedRole('');
+      
+      if (window.confirm('Sign this user out everywhere so the new role applies right away?')) {
+        revokeSessionsMutation.mutate(variables.id);
+      }
+    },
+    onError: (error) => {
+      showError(error.message || 'Failed to update role');
+    }
+  });
+  
+  // Handle role change
+  const handleChangeRole = () => {
+    if (!userData?.user || !selectedRole || selectedRole === userData.user.role) return;
+    
+    const user = userData.user;
+    
+    if (!window.confirm(`Change ${user.username}'s role to ${selectedRole.replace('ROLE_', '')}?`)) {
+      return;
+    }
+    
+    // The route ID matches this page's ['user', id] query, so the hook refreshes it
+    updateRoleMutation.mutate({ id, role: selectedRole });
+  };
+  
   // Handle user deletion
   const handleDeleteUser = async () => {
     if (!userData?.user) return;
@@ -176,6 +218,31 @@ const ViewUserPage = () => {
                       <p className="text-gray-600">{formatDate(user.createdAt)}</p>
                     </div>
                   )}
+                  
+                  <div>
+                    <label htmlFor="role" className="block text-sm font-medium text-gray-900 mb-1">Role</label>
+                    <div className="flex gap-2">
+                      <select
+                        id="role"
+                        className="block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                        value={selectedRole || user.role || 'ROLE_USER'}
+                        onChange={(e) => setSelectedRole(e.target.value)}
+                      >
+                        <option value="ROLE_USER">User</option>
+                        <option value="ROLE_MANAGER">Manager</option>
+                        <option value="ROLE_ADMIN">Admin</option>
+                      </select>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        loading={updateRoleMutation.isPending}
+                        onClick={handleChangeRole}
+                        disabled={!selectedRole || selectedRole === user.role}
+                      >
+                        Change
+                      </Button>
+                    </div>
+                  </div>
                 </div>
               </div>
               
@@ -330,6 +397,22 @@ const ViewUserPage = () => {
               </div>
             </div>
           </div>
+          
+          {/* Loyalty points card */}
+          <div className="mt-6 bg-white rounded-lg shadow overflow-hidden">
+            <div className="p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Loyalty Points</h3>
+              <LoyaltyAdjustmentPanel userId={user.id} username={user.username} />
+            </div>
+          </div>
+          
+          {/* Sessions card */}
+          <div className="mt-6 bg-white rounded-lg shadow overflow-hidden">
+            <div className="p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Sessions</h3>
+              <UserSessionsPanel userId={user.id} username={user.username} />
+            </div>
+          </div>
         </div>
       </div>
     </div>
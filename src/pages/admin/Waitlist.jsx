@@ -0,0 +1,155 @@
+// src/pages/admin/Waitlist.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useGetWaitlistDemand } from '@hooks/useWaitlist';
+import { formatDate } from '@utils/formatUtils';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import {
+  QueueListIcon,
+  UserGroupIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline';
+
+const inputClassName = 'block w-full rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+const WaitlistDemandPage = () => {
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+
+  const { data: demand = [], isLoading } = useGetWaitlistDemand({
+    fromDate: dateRange.from || undefined,
+    toDate: dateRange.to || undefined
+  });
+
+  // Busiest screenings first
+  const screenings = [...demand].sort((a, b) => (b.waitingSeats || 0) - (a.waitingSeats || 0));
+
+  const totals = screenings.reduce((acc, screening) => ({
+    waitingEntries: acc.waitingEntries + (screening.waitingEntries || 0),
+    waitingSeats: acc.waitingSeats + (screening.waitingSeats || 0),
+    claimedOffers: acc.claimedOffers + (screening.claimedOffers || 0),
+    offersMade: acc.offersMade + (screening.claimedOffers || 0) + (screening.expiredOffers || 0)
+  }), { waitingEntries: 0, waitingSeats: 0, claimedOffers: 0, offersMade: 0 });
+
+  const claimRate = totals.offersMade > 0
+    ? `${Math.round((totals.claimedOffers / totals.offersMade) * 100)}%`
+    : '—';
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-4 md:mb-0">Waitlist Demand</h1>
+        <div className="flex space-x-2">
+          <div>
+            <label htmlFor="fromDate" className="block text-xs font-medium text-gray-500 mb-1">From</label>
+            <input
+              type="date"
+              id="fromDate"
+              className={inputClassName}
+              value={dateRange.from}
+              onChange={(e) => setDateRange(prev => ({ ...prev, from: e.target.value }))}
+            />
+          </div>
+          <div>
+            <label htmlFor="toDate" className="block text-xs font-medium text-gray-500 mb-1">To</label>
+            <input
+              type="date"
+              id="toDate"
+              className={inputClassName}
+              value={dateRange.to}
+              onChange={(e) => setDateRange(prev => ({ ...prev, to: e.target.value }))}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Stats cards */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-primary-100 p-3 mr-4">
+              <QueueListIcon className="h-6 w-6 text-primary-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">People Waiting</h2>
+              <p className="text-2xl font-bold text-gray-900">{totals.waitingEntries}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-yellow-100 p-3 mr-4">
+              <UserGroupIcon className="h-6 w-6 text-yellow-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Seats Wanted</h2>
+              <p className="text-2xl font-bold text-gray-900">{totals.waitingSeats}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center">
+            <div className="rounded-full bg-green-100 p-3 mr-4">
+              <CheckCircleIcon className="h-6 w-6 text-green-600" />
+            </div>
+            <div>
+              <h2 className="text-sm font-medium text-gray-500">Offers Claimed</h2>
+              <p className="text-2xl font-bold text-gray-900">{claimRate}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Demand per screening */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : screenings.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Screening</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Waiting</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Seats Wanted</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Open Offers</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Claimed</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Expired</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {screenings.map(screening => (
+                  <tr key={screening.screeningId}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Link
+                        to={`/admin/screenings/${screening.screeningId}`}
+                        className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                      >
+                        {screening.movieTitle}
+                      </Link>
+                      <div className="text-sm text-gray-500">
+                        {screening.theatreName}{screening.screenNumber && ` · Screen ${screening.screenNumber}`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(screening.startTime)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{screening.waitingEntries || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{screening.waitingSeats || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{screening.openOffers || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{screening.claimedOffers || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{screening.expiredOffers || 0}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="px-6 py-8 text-sm text-gray-500 text-center">No one is waiting for a screening in this period.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistDemandPage;
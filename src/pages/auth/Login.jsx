@@ -6,7 +6,7 @@ import { useAuth } from '@contexts/AuthContext';
 import { useToast } from '@contexts/ToastContext';
 import Button from '@components/common/Button';
 import Input from '@components/common/Input';
-import { AtSymbolIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { AtSymbolIcon, LockClosedIcon, ClockIcon } from '@heroicons/react/24/outline';
 
 const LoginPage = () => {
   const navigate = useNavigate();
@@ -22,16 +22,17 @@ const LoginPage = () => {
     formState: { errors }
   } = useForm();
   
-  // If already authenticated, redirect based on role - but NOT if 2FA is required
+  // If already authenticated, redirect based on role
   useEffect(() => {
-    if (isAuthenticated && !loading && !requiresTwoFactor) {
+    if (isAuthenticated && !loading) {
       console.log('User authenticated in Login.jsx, checking roles...');
       
       // Determine redirect path based on role
       let redirectPath = '/';
       
       if (isAdmin || isManager) {
-        redirectPath = '/admin';
+        // After an expired session, go back to the page the user was on
+        redirectPath = (location.state?.sessionExpired && location.state?.from) || '/admin';
         console.log('Admin/Manager user, redirecting to:', redirectPath);
       } else {
         redirectPath = location.state?.from || '/';
@@ -40,17 +41,7 @@ const LoginPage = () => {
       
       navigate(redirectPath, { replace: true });
     }
-    
-    // If 2FA is required, redirect to the 2FA page
-    if (requiresTwoFactor && !loading) {
-      console.log('2FA required, redirecting to 2FA page');
-      navigate('/two-factor-auth', { 
-        state: { 
-          from: location.state?.from || (isAdmin || isManager ? '/admin' : '/') 
-        } 
-      });
-    }
-  }, [isAuthenticated, loading, requiresTwoFactor, navigate, location, isAdmin, isManager]);
+  }, [isAuthenticated, loading, navigate, location, isAdmin, isManager]);
   
   // Handle form submission
   const onSubmit = async (data) => {
@@ -61,8 +52,14 @@ const LoginPage = () => {
       
       if (result.success) {
         if (result.requires2FA) {
-          // Don't redirect here - let the useEffect handle it
+          // Go to the 2FA page only from here, so coming back to this page abandons the challenge
           showSuccess('Please enter the verification code sent to your email.');
+          navigate('/two-factor-auth', { 
+            state: { 
+              from: location.state?.from || '/',
+              sessionExpired: location.state?.sessionExpired
+            } 
+          });
         } else {
           // Direct login successful - let useEffect handle redirect
           showSuccess('Login successful!');
@@ -102,6 +99,15 @@ const LoginPage = () => {
           </p>
         </div>
         
+        {location.state?.sessionExpired && (
+          <div className="rounded-md bg-yellow-50 border border-yellow-200 p-4 flex">
+            <ClockIcon className="h-5 w-5 text-yellow-600 mr-3 flex-shrink-0" />
+            <p className="text-sm text-yellow-800">
+              Your session has expired. Sign in again to pick up where you left off.
+            </p>
+          </div>
+        )}
+        
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
           <div className="rounded-md shadow-sm -space-y-px">
             <Input
@@ -155,6 +161,13 @@ const LoginPage = () => {
             </div>
           </div>
           
+          <p className="text-sm text-gray-600">
+            Booked without an account?{' '}
+            <Link to="/find-booking" className="font-medium text-primary-600 hover:text-primary-500">
+              Find your booking
+            </Link>
+          </p>
+          
           <div>
             <Button
               type="submit"
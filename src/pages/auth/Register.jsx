@@ -5,6 +5,7 @@ import { useAuth } from '@contexts/AuthContext';
 import { useToast } from '@contexts/ToastContext';
 import Button from '@components/common/Button';
 import Input from '@components/common/Input';
+import { getGuestBookings, forgetGuestBookings } from '@utils/guestBookings';
 import { AtSymbolIcon, LockClosedIcon, UserIcon, PhoneIcon } from '@heroicons/react/24/outline';
 
 const RegisterPage = () => {
@@ -13,13 +14,21 @@ const RegisterPage = () => {
   const { showSuccess, showError } = useToast();
   const [isSubmitting, setIsSubmitting] = useState(false);
   
+  // Guest bookings made on this device can be moved into the new account
+  const [guestBookings] = useState(getGuestBookings);
+  
   // Get form utilities from react-hook-form
   const { 
     register, 
     handleSubmit, 
     watch,
     formState: { errors }
-  } = useForm();
+  } = useForm({
+    defaultValues: {
+      email: guestBookings[0]?.email || '',
+      claimGuestBookings: guestBookings.length > 0
+    }
+  });
   
   // Watch password field for confirmation validation
   const password = watch('password', '');
@@ -29,10 +38,21 @@ const RegisterPage = () => {
     setIsSubmitting(true);
     
     try {
+      const { claimGuestBookings, ...userData } = data;
+      
+      // The API links the claimed bookings to the account as it is created
+      if (claimGuestBookings && guestBookings.length > 0) {
+        userData.guestBookings = guestBookings.map(({ bookingNumber, lookupCode }) => ({ bookingNumber, lookupCode }));
+      }
+      
       // Register user
-      const success = await registerUser(data);
+      const success = await registerUser(userData);
       
       if (success) {
+        if (userData.guestBookings) {
+          forgetGuestBookings(userData.guestBookings.map(booking => booking.bookingNumber));
+        }
+        
         // Registration successful
         showSuccess('Registration successful! Please login.');
         navigate('/login');
@@ -207,6 +227,25 @@ const RegisterPage = () => {
             />
           </div>
           
+          {/* Claim guest bookings */}
+          {guestBookings.length > 0 && (
+            <div className="flex items-start bg-primary-50 border border-primary-100 rounded-md p-3">
+              <input
+                id="claimGuestBookings"
+                type="checkbox"
+                className="h-4 w-4 mt-0.5 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                {...register('claimGuestBookings')}
+              />
+              <label htmlFor="claimGuestBookings" className="ml-2 block text-sm text-gray-900">
+                Add the {guestBookings.length === 1 ? 'booking' : `${guestBookings.length} bookings`} you
+                made as a guest on this device to my account
+                <span className="block text-xs text-gray-500">
+                  {guestBookings.map(booking => booking.bookingNumber).join(', ')}
+                </span>
+              </label>
+            </div>
+          )}
+          
           {/* Terms and Conditions */}
           <div className="flex items-center">
             <input
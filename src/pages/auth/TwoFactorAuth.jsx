@@ -1,67 +1,118 @@
 // src/pages/auth/TwoFactorAuth.jsx - Fixed version
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '@contexts/AuthContext';
 import { useToast } from '@contexts/ToastContext';
 import Button from '@components/common/Button';
 import Input from '@components/common/Input';
-import { LockClosedIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { TwoFactorMethods, isValidCodeFormat } from '@utils/twoFactorUtils';
+import { LockClosedIcon, ShieldCheckIcon, ClockIcon } from '@heroicons/react/24/outline';
 
 const TwoFactorAuthPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { verifyOtp, twoFactorData, requiresTwoFactor, loading, isAuthenticated, isAdmin, isManager } = useAuth();
+  const {
+    verifyOtp,
+    resendOtp,
+    selectTwoFactorMethod,
+    cancelTwoFactor,
+    twoFactorData,
+    requiresTwoFactor,
+    loading,
+    isAuthenticated,
+    isAdmin,
+    isManager
+  } = useAuth();
   const { showSuccess, showError } = useToast();
-  
+
   const [otp, setOtp] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
-  
+  const [isResending, setIsResending] = useState(false);
+  const [isSwitching, setIsSwitching] = useState(false);
+  const [trustDevice, setTrustDevice] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const cancelTimer = useRef(null);
+
+  // Tick once a second for the expiry and resend countdowns
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Drop the challenge when the user leaves this page. The clear is deferred so
+  // StrictMode's unmount/remount in development doesn't throw the challenge away.
+  useEffect(() => {
+    clearTimeout(cancelTimer.current);
+    return () => {
+      cancelTimer.current = setTimeout(cancelTwoFactor, 0);
+    };
+  }, [cancelTwoFactor]);
+
   // If not in 2FA state and not loading, redirect to login
   useEffect(() => {
     if (!requiresTwoFactor && !loading && !isAuthenticated) {
       console.log('No 2FA required and not authenticated, redirecting to login');
-      navigate('/login');
+      navigate('/login', { state: location.state, replace: true });
       return;
     }
-    
+
     // If already authenticated (2FA completed), redirect based on role
     if (isAuthenticated && !loading) {
       console.log('2FA completed, user authenticated, determining redirect...');
-      
+
       // Determine redirect path based on role and location state
       let redirectPath = '/';
-      
+
       if (isAdmin || isManager) {
-        redirectPath = '/admin';
+        // After an expired session, go back to the page the user was on
+        redirectPath = (location.state?.sessionExpired && location.state?.from) || '/admin';
         console.log('Admin/Manager user after 2FA, redirecting to:', redirectPath);
       } else {
         redirectPath = location.state?.from || '/';
         console.log('Regular user after 2FA, redirecting to:', redirectPath);
       }
-      
+
       navigate(redirectPath, { replace: true });
     }
   }, [requiresTwoFactor, loading, isAuthenticated, navigate, location, isAdmin, isManager]);
-  
+
+  const method = twoFactorData?.method || 'EMAIL';
+  const isEmailCode = method === 'EMAIL';
+  const otherMethods = (twoFactorData?.methods || []).filter(other => other !== method);
+  const secondsLeft = twoFactorData ? Math.max(Math.ceil((twoFactorData.expiresAt - now) / 1000), 0) : 0;
+  const resendSecondsLeft = twoFactorData ? Math.max(Math.ceil((twoFactorData.resendAvailableAt - now) / 1000), 0) : 0;
+  const attemptsRemaining = twoFactorData?.attemptsRemaining ?? null;
+  // Only emailed codes run out; authenticator codes roll over by themselves
+  const isCodeExpired = isEmailCode && secondsLeft === 0;
+  const isLockedOut = attemptsRemaining === 0 || !!twoFactorData?.challengeExpired;
+
   // Handle OTP verification
   const handleVerify = async (e) => {
     e.preventDefault();
-    
+
     if (!otp) {
       showError('Please enter the verification code');
       return;
     }
-    
+
+    if (!isValidCodeFormat(method, otp)) {
+      showError(method === 'BACKUP_CODE'
+        ? 'Backup codes are 8 to 12 letters and numbers'
+        : 'Please enter the 6-digit code');
+      return;
+    }
+
     setIsSubmitting(true);
-    
+
     try {
-      const success = await verifyOtp(otp);
-      
-      if (success) {
+      const result = await verifyOtp(otp.replace(/[\s-]/g, ''), { trustDevice });
+
+      if (result.success) {
         showSuccess('2FA verification successful!');
         // Don't redirect here - let useEffect handle it after auth state updates
       } else {
-        showError('Invalid verification code. Please try again.');
+        setOtp('');
+        showError(result.error || 'Invalid verification code. Please try again.');
       }
     } catch (error) {
       showError(error.message || 'Verification failed. Please try again.');
@@ -69,7 +120,49 @@ const TwoFactorAuthPage = () => {
       setIsSubmitting(false);
     }
   };
-  
+
+  // Send a new code once the cooldown has passed
+  const handleResend = async () => {
+    setIsResending(true);
+
+    try {
+      const result = await resendOtp();
+
+      if (result.success) {
+        setOtp('');
+        showSuccess(`A new code has been sent to ${twoFactorData?.email}`);
+      } else {
+        showError(result.error);
+      }
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  // Use another second factor for this sign-in
+  const handleSwitchMethod = async (nextMethod) => {
+    setIsSwitching(true);
+    setOtp('');
+
+    try {
+      const result = await selectTwoFactorMethod(nextMethod);
+
+      if (!result.success) {
+        showError(result.error);
+      } else if (nextMethod === 'EMAIL' && !twoFactorData?.emailCodeSent) {
+        showSuccess(`A code has been sent to ${twoFactorData?.email}`);
+      }
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  // Abandon this attempt and go back to the sign-in form
+  const handleStartOver = () => {
+    cancelTwoFactor();
+    navigate('/login', { state: location.state, replace: true });
+  };
+
   // If not in 2FA state or loading, show loading or nothing
   if (!requiresTwoFactor || loading) {
     return (
@@ -78,7 +171,7 @@ const TwoFactorAuthPage = () => {
       </div>
     );
   }
-  
+
   // If already authenticated (shouldn't happen due to useEffect, but safety check)
   if (isAuthenticated) {
     return (
@@ -87,7 +180,7 @@ const TwoFactorAuthPage = () => {
       </div>
     );
   }
-  
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -97,56 +190,151 @@ const TwoFactorAuthPage = () => {
             Two-Factor Authentication
           </h1>
           <p className="mt-2 text-center text-sm text-gray-600">
-            A verification code has been sent to {twoFactorData?.email}
+            {isEmailCode
+              ? `A verification code has been sent to ${twoFactorData?.email}`
+              : TwoFactorMethods[method]?.description}
           </p>
         </div>
-        
-        <form className="mt-8 space-y-6" onSubmit={handleVerify}>
-          <div className="rounded-md shadow-sm">
-            <Input
-              id="otp"
-              name="otp"
-              type="text"
-              placeholder="Enter 6-digit verification code"
-              autoComplete="one-time-code"
-              startIcon={<LockClosedIcon className="h-5 w-5 text-gray-400" />}
-              value={otp}
-              onChange={(e) => setOtp(e.target.value)}
-              className="rounded-md"
-              required
-              pattern="[0-9]{6}"
-              maxLength={6}
-            />
-          </div>
-          
-          <div>
-            <Button
-              type="submit"
-              variant="primary"
-              fullWidth
-              size="lg"
-              loading={isSubmitting}
-            >
-              Verify
+
+        {isLockedOut ? (
+          <div className="space-y-6">
+            <div className="rounded-md bg-red-50 border border-red-200 p-4">
+              <p className="text-sm text-red-800">
+                {twoFactorData?.challengeExpired
+                  ? 'This sign-in attempt has expired.'
+                  : 'Too many incorrect codes.'}{' '}
+                For your security, please sign in again.
+              </p>
+            </div>
+            <Button variant="primary" fullWidth size="lg" onClick={handleStartOver}>
+              Sign in again
             </Button>
           </div>
-          
-          <div className="text-sm text-center">
-            <p className="mt-2 text-gray-600">
-              Didn't receive the code? Please check your spam folder or
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleVerify}>
+            <div className="rounded-md shadow-sm">
+              <Input
+                id="otp"
+                name="otp"
+                type="text"
+                placeholder={method === 'BACKUP_CODE' ? 'Enter a backup code' : 'Enter 6-digit verification code'}
+                autoComplete={method === 'BACKUP_CODE' ? 'off' : 'one-time-code'}
+                inputMode={method === 'BACKUP_CODE' ? 'text' : 'numeric'}
+                startIcon={<LockClosedIcon className="h-5 w-5 text-gray-400" />}
+                value={otp}
+                onChange={(e) => setOtp(e.target.value)}
+                className="rounded-md"
+                required
+                maxLength={method === 'BACKUP_CODE' ? 14 : 6}
+                disabled={isCodeExpired || isSwitching}
+              />
+            </div>
+
+            <div className="flex items-center justify-between text-sm">
+              {isEmailCode ? (
+                <span className={`flex items-center ${secondsLeft <= 30 ? 'text-red-600' : 'text-gray-600'}`}>
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  {isCodeExpired ? 'Code expired' : `Code expires in ${formatCountdown(secondsLeft)}`}
+                </span>
+              ) : (
+                <span />
+              )}
+              {attemptsRemaining !== null && (
+                <span className={attemptsRemaining <= 2 ? 'text-red-600' : 'text-gray-600'}>
+                  {attemptsRemaining} {attemptsRemaining === 1 ? 'attempt' : 'attempts'} left
+                </span>
+              )}
+            </div>
+
+            <div className="flex items-center">
+              <input
+                id="trust-device"
+                name="trust-device"
+                type="checkbox"
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                checked={trustDevice}
+                onChange={(e) => setTrustDevice(e.target.checked)}
+              />
+              <label htmlFor="trust-device" className="ml-2 block text-sm text-gray-900">
+                Trust this device for 30 days
+              </label>
+            </div>
+            <p className="-mt-4 ml-6 text-xs text-gray-500">
+              Don&apos;t tick this on a shared or public computer.
+            </p>
+
+            <div>
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                size="lg"
+                loading={isSubmitting}
+                disabled={isCodeExpired}
+              >
+                Verify
+              </Button>
+            </div>
+
+            <div className="text-sm text-center space-y-2">
+              {isEmailCode && (
+                <p className="text-gray-600">
+                  Didn&apos;t receive the code? Please check your spam folder or{' '}
+                  {resendSecondsLeft > 0 ? (
+                    <span className="text-gray-500">resend in {formatCountdown(resendSecondsLeft)}</span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="font-medium text-primary-600 hover:text-primary-500 disabled:opacity-50"
+                      onClick={handleResend}
+                      disabled={isResending}
+                    >
+                      {isResending ? 'sending…' : 'send a new code'}
+                    </button>
+                  )}
+                </p>
+              )}
+              {otherMethods.length > 0 && (
+                <p className="text-gray-600">
+                  Or use{' '}
+                  {otherMethods.map((other, index) => (
+                    <span key={other}>
+                      {index > 0 && ' or '}
+                      <button
+                        type="button"
+                        className="font-medium text-primary-600 hover:text-primary-500 disabled:opacity-50"
+                        onClick={() => handleSwitchMethod(other)}
+                        disabled={isSwitching}
+                      >
+                        {(TwoFactorMethods[other]?.label || other).toLowerCase()}
+                      </button>
+                    </span>
+                  ))}
+                </p>
+              )}
               <button
                 type="button"
-                className="ml-1 font-medium text-primary-600 hover:text-primary-500"
-                onClick={() => navigate('/login')}
+                className="font-medium text-gray-500 hover:text-gray-700"
+                onClick={handleStartOver}
               >
-                try again
+                Use a different account
               </button>
-            </p>
-          </div>
-        </form>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
 };
 
-export default TwoFactorAuthPage;
\ No newline at end of file
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Seconds left
+ * @returns {string} Countdown text
+ */
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export default TwoFactorAuthPage;
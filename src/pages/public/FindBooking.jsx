@@ -0,0 +1,240 @@
+// src/pages/public/FindBooking.jsx
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useBookings } from '@hooks/useBookings';
+import useBookingDocuments from '@hooks/useBookingDocuments';
+import { formatDate, formatCurrency } from '@utils/formatUtils';
+import { getReceiptLines } from '@utils/receiptUtils';
+import { getGuestBookings } from '@utils/guestBookings';
+import Button from '@components/common/Button';
+import Input from '@components/common/Input';
+import TicketQRCode from '@components/features/tickets/TicketQRCode';
+import {
+  AtSymbolIcon,
+  TicketIcon,
+  MagnifyingGlassIcon,
+  ArrowDownTrayIcon,
+  DocumentTextIcon
+} from '@heroicons/react/24/outline';
+
+/**
+ * Lets guests find a booking made without an account by its email and booking number
+ */
+const FindBookingPage = () => {
+  const recentBookings = getGuestBookings();
+  const { downloadTicket, downloadReceipt, isGenerating } = useBookingDocuments();
+
+  const {
+    register,
+    handleSubmit,
+    setValue,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      email: recentBookings[0]?.email || '',
+      bookingNumber: ''
+    }
+  });
+
+  const { useLookupGuestBooking } = useBookings();
+  const {
+    mutate: lookupBooking,
+    data: booking,
+    error,
+    isPending,
+    reset
+  } = useLookupGuestBooking();
+
+  const fillFromRecent = (recent) => {
+    setValue('email', recent.email || '');
+    setValue('bookingNumber', recent.bookingNumber);
+    lookupBooking({ email: recent.email || '', bookingNumber: recent.bookingNumber });
+  };
+
+  if (booking) {
+    const tickets = booking.tickets || [];
+    const isCancelled = booking.paymentStatus === 'CANCELLED';
+
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-md overflow-hidden">
+          <div className={`px-6 py-3 flex justify-between items-center border-b ${
+            isCancelled ? 'bg-red-50 text-red-700 border-red-100' : 'bg-green-50 text-green-700 border-green-100'
+          }`}>
+            <span className="font-medium">{booking.paymentStatus}</span>
+            <span className="text-sm">Booking #: {booking.bookingNumber}</span>
+          </div>
+
+          <div className="p-6">
+            <h1 className="text-2xl font-bold text-gray-900 mb-1">{booking.movieTitle}</h1>
+            <p className="text-gray-600">
+              {booking.theatreName}{booking.screenNumber && ` · Screen ${booking.screenNumber}`}
+            </p>
+            <p className="text-gray-600 mb-4">{formatDate(booking.screeningTime)}</p>
+            <p className="text-gray-900 mb-6">
+              <span className="font-medium">Seats:</span> {Array.from(booking.bookedSeats || []).sort().join(', ')}
+            </p>
+
+            {/* Order line items */}
+            <table className="min-w-full text-sm mb-6">
+              <tbody className="divide-y divide-gray-100">
+                {getReceiptLines(booking).map((line, index) => (
+                  <tr key={index}>
+                    <td className="py-2 text-gray-700">{line.description}</td>
+                    <td className={`py-2 text-right font-medium ${line.amount < 0 ? 'text-green-600' : 'text-gray-900'}`}>
+                      {formatCurrency(line.amount)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="border-t border-gray-200">
+                  <td className="pt-3 font-bold text-gray-900">Total</td>
+                  <td className="pt-3 text-right font-bold text-gray-900">{formatCurrency(booking.totalAmount)}</td>
+                </tr>
+              </tfoot>
+            </table>
+
+            {!isCancelled && tickets.length > 0 && (
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-6">
+                {tickets.map(ticket => (
+                  <div key={ticket.ticketId || ticket.seat || ticket.code} className="flex flex-col items-center">
+                    <TicketQRCode value={ticket.code} size={120} />
+                    <span className="mt-1 text-sm font-medium text-gray-700">
+                      {ticket.seat ? `Seat ${ticket.seat}` : 'All seats'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex flex-wrap justify-center gap-4">
+              {!isCancelled && (
+                <Button
+                  variant="outline"
+                  icon={<ArrowDownTrayIcon className="h-5 w-5 mr-2" />}
+                  disabled={isGenerating}
+                  onClick={() => downloadTicket(booking, tickets)}
+                >
+                  Download Tickets
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                icon={<DocumentTextIcon className="h-5 w-5 mr-2" />}
+                disabled={isGenerating}
+                onClick={() => downloadReceipt(booking)}
+              >
+                Receipt
+              </Button>
+              <Button variant="primary" onClick={reset}>
+                Find Another Booking
+              </Button>
+            </div>
+
+            <p className="mt-6 text-sm text-gray-500 text-center">
+              Want all your bookings in one place?{' '}
+              <Link to="/register" className="font-medium text-primary-600 hover:text-primary-500">
+                Create an account
+              </Link>{' '}
+              and add this booking with its lookup code.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-md mx-auto">
+        <div className="text-center mb-6">
+          <TicketIcon className="h-12 w-12 text-primary-600 mx-auto mb-2" />
+          <h1 className="text-2xl font-bold text-gray-900">Find My Booking</h1>
+          <p className="text-gray-600 mt-1">
+            Booked as a guest? Enter the email you booked with and your booking number from the confirmation email.
+          </p>
+        </div>
+
+        <form
+          className="bg-white rounded-lg shadow-md p-6 space-y-4"
+          onSubmit={handleSubmit((data) => lookupBooking(data))}
+        >
+          <Input
+            id="email"
+            type="email"
+            label="Email address"
+            autoComplete="email"
+            startIcon={<AtSymbolIcon className="h-5 w-5 text-gray-400" />}
+            error={errors.email?.message}
+            {...register('email', {
+              required: 'Email is required',
+              pattern: {
+                value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                message: 'Invalid email address'
+              }
+            })}
+          />
+
+          <Input
+            id="bookingNumber"
+            label="Booking number"
+            placeholder="BK-12345"
+            startIcon={<TicketIcon className="h-5 w-5 text-gray-400" />}
+            error={errors.bookingNumber?.message}
+            {...register('bookingNumber', { required: 'Booking number is required' })}
+          />
+
+          {error && (
+            <p className="text-sm text-red-600">{error.message}</p>
+          )}
+
+          <Button
+            type="submit"
+            variant="primary"
+            fullWidth
+            loading={isPending}
+            icon={<MagnifyingGlassIcon className="h-5 w-5 mr-2" />}
+          >
+            Find Booking
+          </Button>
+        </form>
+
+        {/* Guest bookings made on this device */}
+        {recentBookings.length > 0 && (
+          <div className="mt-6 bg-white rounded-lg shadow-md">
+            <h2 className="px-4 py-3 border-b border-gray-200 text-sm font-semibold text-gray-900">
+              Booked on this device
+            </h2>
+            <ul className="divide-y divide-gray-200">
+              {recentBookings.map(recent => (
+                <li key={recent.bookingNumber}>
+                  <button
+                    type="button"
+                    className="w-full px-4 py-3 text-left hover:bg-gray-50"
+                    onClick={() => fillFromRecent(recent)}
+                  >
+                    <span className="block text-sm font-medium text-gray-900">{recent.movieTitle || recent.bookingNumber}</span>
+                    <span className="block text-xs text-gray-500">
+                      {recent.bookingNumber}{recent.screeningTime && ` · ${formatDate(recent.screeningTime)}`}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Have an account?{' '}
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Sign in
+          </Link>{' '}
+          to see all your bookings.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default FindBookingPage;
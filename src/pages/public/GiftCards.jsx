@@ -0,0 +1,87 @@
+// src/pages/public/GiftCards.jsx
+import { Link } from 'react-router-dom';
+import { useAuth } from '@contexts/AuthContext';
+import { useGetMyGiftCards } from '@hooks/useGiftCards';
+import { formatCurrency, formatDate } from '@utils/formatUtils';
+import { GiftCardStatuses } from '@utils/giftCardUtils';
+import Button from '@components/common/Button';
+import GiftCardPurchaseForm from '@components/features/giftCards/GiftCardPurchaseForm';
+import GiftCardBalanceChecker from '@components/features/giftCards/GiftCardBalanceChecker';
+import { GiftIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Buy gift cards, check a balance and see the gift cards you have sent
+ */
+const GiftCardsPage = () => {
+  const { isAuthenticated } = useAuth();
+  const { data: sentCards = [] } = useGetMyGiftCards({ enabled: isAuthenticated });
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center mb-2">
+          <GiftIcon className="h-8 w-8 text-primary-600 mr-2" />
+          <h1 className="text-2xl font-bold text-gray-900">Gift Cards</h1>
+        </div>
+        <p className="text-gray-600 mb-6">
+          Send a night at the movies. Gift cards can be spent on tickets and snacks, and any
+          balance left over stays on the card for next time.
+        </p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            {isAuthenticated ? (
+              <GiftCardPurchaseForm />
+            ) : (
+              <div className="bg-white rounded-lg shadow-md p-6 text-center">
+                <h2 className="text-lg font-bold text-gray-900 mb-2">Sign in to buy a gift card</h2>
+                <p className="text-gray-600 mb-4">
+                  We keep your gift cards on your account so you can see when they are delivered.
+                </p>
+                <Link to="/login" state={{ from: '/gift-cards' }}>
+                  <Button variant="primary">Sign In</Button>
+                </Link>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            <GiftCardBalanceChecker />
+
+            {sentCards.length > 0 && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="text-lg font-bold text-gray-900 mb-4">Gift cards you&apos;ve sent</h2>
+                <ul className="divide-y divide-gray-200">
+                  {sentCards.map(giftCard => {
+                    const statusInfo = GiftCardStatuses[giftCard.status]
+                      || { label: giftCard.status, className: 'bg-gray-100 text-gray-800' };
+
+                    return (
+                      <li key={giftCard.id} className="py-3">
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm font-medium text-gray-900">
+                            {formatCurrency(giftCard.amount)} to {giftCard.recipientName}
+                          </span>
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusInfo.className}`}>
+                            {statusInfo.label}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {giftCard.status === 'SCHEDULED'
+                            ? `Sending ${formatDate(giftCard.deliverAt, { dateStyle: 'medium', timeStyle: undefined })}`
+                            : `Sent ${formatDate(giftCard.deliveredAt || giftCard.createdAt, { dateStyle: 'medium', timeStyle: undefined })}`}
+                        </p>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GiftCardsPage;
@@ -7,12 +7,15 @@ import { useScreenings } from '@hooks/useScreenings';
 import LoadingSpinner from '@components/common/LoadingSpinner';
 import NotFound from '@components/common/NotFound';
 import Button from '@components/common/Button';
+import GroupBookingRequestForm from '@components/features/booking/GroupBookingRequestForm';
 import { formatDate, formatDuration, formatEnumValue } from '@utils/formatUtils';
+import { buildCalendar, createScreeningEvent, downloadCalendarFile } from '@utils/calendarUtils';
 import { 
   ClockIcon, 
   CalendarIcon, 
   FilmIcon,
-  TicketIcon
+  TicketIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline';
 
 const MovieDetailsPage = () => {
@@ -110,6 +113,14 @@ const MovieDetailsPage = () => {
   // Use either durationMinutes or duration
   const movieDuration = durationMinutes || duration;
   
+  // Save a showtime as an .ics file for the user's calendar
+  const handleAddToCalendar = (screening) => {
+    downloadCalendarFile(
+      buildCalendar([createScreeningEvent(screening, movie)]),
+      `${title || 'screening'}-${screening.id}`.replace(/[^\w-]+/g, '-').toLowerCase()
+    );
+  };
+  
   // Get screenings for the selected date
   const screeningsForSelectedDate = selectedDate ? (screeningsByDate[selectedDate] || []) : [];
   
@@ -261,19 +272,29 @@ const MovieDetailsPage = () => {
                         {screenings
                           .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
                           .map(screening => (
-                            <Link
-                              key={screening.id}
-                              to={`/screening/${screening.id}/seats`}
-                              className="inline-flex items-center px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50"
-                            >
-                              <ClockIcon className="h-4 w-4 mr-2 text-gray-500" />
-                              {formatDate(screening.startTime, { dateStyle: undefined, timeStyle: 'short' })}
-                              {screening.format && (
-                                <span className="ml-2 text-xs bg-gray-100 px-2 py-0.5 rounded-full">
-                                  {formatEnumValue(screening.format)}
-                                </span>
-                              )}
-                            </Link>
+                            <div key={screening.id} className="inline-flex rounded-md shadow-sm">
+                              <Link
+                                to={`/screening/${screening.id}/seats`}
+                                className="inline-flex items-center px-4 py-2 bg-white border border-gray-300 rounded-l-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                              >
+                                <ClockIcon className="h-4 w-4 mr-2 text-gray-500" />
+                                {formatDate(screening.startTime, { dateStyle: undefined, timeStyle: 'short' })}
+                                {screening.format && (
+                                  <span className="ml-2 text-xs bg-gray-100 px-2 py-0.5 rounded-full">
+                                    {formatEnumValue(screening.format)}
+                                  </span>
+                                )}
+                              </Link>
+                              <button
+                                type="button"
+                                title="Add to calendar"
+                                aria-label={`Add the ${formatDate(screening.startTime, { dateStyle: undefined, timeStyle: 'short' })} screening to your calendar`}
+                                className="inline-flex items-center px-2 py-2 bg-white border border-l-0 border-gray-300 rounded-r-md text-gray-500 hover:bg-gray-50 hover:text-gray-700"
+                                onClick={() => handleAddToCalendar(screening)}
+                              >
+                                <CalendarDaysIcon className="h-4 w-4" />
+                              </button>
+                            </div>
                           ))}
                       </div>
                     </div>
@@ -302,6 +323,11 @@ const MovieDetailsPage = () => {
             </div>
           )}
         </div>
+        
+        {/* Group requests, offered for any of the week's showtimes */}
+        <div className="mt-8">
+          <GroupBookingRequestForm movie={movie} screenings={Object.values(screeningsByDate).flat()} />
+        </div>
       </div>
     </div>
   );
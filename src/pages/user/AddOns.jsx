@@ -0,0 +1,171 @@
+// src/pages/user/AddOns.jsx
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useScreenings } from '@hooks/useScreenings';
+import { useGetTheatreConcessions } from '@hooks/useConcessions';
+import { formatCurrency } from '@utils/formatUtils';
+import {
+  ConcessionCategories,
+  formatAddOnLabel,
+  priceAddOns
+} from '@utils/concessionUtils';
+import { useBookingCartStore } from '@stores/bookingCartStore';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import NotFound from '@components/common/NotFound';
+import Button from '@components/common/Button';
+import SeatHoldBanner from '@components/features/booking/SeatHoldBanner';
+import ConcessionCard from '@components/features/booking/ConcessionCard';
+import { ShoppingBagIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Booking step between seat selection and payment where concessions can be added
+ */
+const AddOnsPage = () => {
+  const { id: screeningId } = useParams();
+  const navigate = useNavigate();
+  const setCartAddOns = useBookingCartStore(state => state.setAddOns);
+  const [items, setItems] = useState(() => {
+    const cart = useBookingCartStore.getState();
+    return cart.screeningId === String(screeningId) ? cart.addOns : [];
+  });
+
+  const { useGetScreening } = useScreenings();
+  const { data: screening, isLoading: isLoadingScreening, error: screeningError } = useGetScreening(screeningId);
+  const {
+    data: catalog = [],
+    isLoading: isLoadingCatalog,
+    isError: isCatalogError
+  } = useGetTheatreConcessions(screening?.theatreId);
+
+  const { lines, total } = priceAddOns(items, catalog);
+  const checkoutPath = `/checkout/${screeningId}`;
+
+  // Nothing to offer, so go straight on to payment
+  useEffect(() => {
+    if (screening?.theatreId && !isLoadingCatalog && (isCatalogError || catalog.length === 0)) {
+      navigate(checkoutPath, { replace: true });
+    }
+  }, [screening?.theatreId, isLoadingCatalog, isCatalogError, catalog.length, navigate, checkoutPath]);
+
+  const getQuantities = (concessionId) => Object.fromEntries(
+    items
+      .filter(item => String(item.concessionId) === String(concessionId))
+      .map(item => [item.size, item.quantity])
+  );
+
+  const handleQuantityChange = (concessionId) => (size, quantity) => {
+    setItems(prev => {
+      const others = prev.filter(item => !(String(item.concessionId) === String(concessionId) && item.size === size));
+      return quantity > 0 ? [...others, { concessionId, size, quantity }] : others;
+    });
+  };
+
+  const handleContinue = (chosenItems) => {
+    setCartAddOns(screeningId, chosenItems);
+    navigate(checkoutPath);
+  };
+
+  if (isLoadingScreening || isLoadingCatalog) {
+    return <LoadingSpinner size="lg" />;
+  }
+
+  if (screeningError || !screening) {
+    return <NotFound message="Screening not found" />;
+  }
+
+  // Known categories first, in menu order, then anything else the theatre sells
+  const categoryOrder = Object.keys(ConcessionCategories);
+  const groups = catalog.reduce((acc, concession) => {
+    const category = categoryOrder.includes(concession.category) ? concession.category : 'OTHER';
+    (acc[category] = acc[category] || []).push(concession);
+    return acc;
+  }, {});
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Add Snacks &amp; Drinks</h1>
+        <p className="text-gray-600 mb-6">
+          Pre-order from {screening.theatreName || 'the theatre'} and collect at the concessions counter.
+        </p>
+
+        <SeatHoldBanner screeningId={screeningId} returnToSeatsOnExpiry />
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="md:col-span-2 space-y-8">
+            {[...categoryOrder, 'OTHER'].filter(category => groups[category]).map(category => (
+              <section key={category}>
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                  {ConcessionCategories[category]?.label || 'More'}
+                </h2>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  {groups[category].map(concession => (
+                    <ConcessionCard
+                      key={concession.id}
+                      concession={concession}
+                      quantities={getQuantities(concession.id)}
+                      onChange={handleQuantityChange(concession.id)}
+                    />
+                  ))}
+                </div>
+              </section>
+            ))}
+          </div>
+
+          {/* Add-ons summary */}
+          <div className="md:col-span-1">
+            <div className="bg-white rounded-lg shadow-md p-6 sticky top-6">
+              <h2 className="text-lg font-semibold mb-4 flex items-center">
+                <ShoppingBagIcon className="h-5 w-5 mr-2 text-primary-600" />
+                Your Add-ons
+              </h2>
+
+              {lines.length > 0 ? (
+                <div className="space-y-2 text-sm">
+                  {lines.map(line => (
+                    <div key={`${line.concessionId}-${line.size}`} className="flex justify-between">
+                      <span className="text-gray-600">{formatAddOnLabel(line)} × {line.quantity}</span>
+                      <span>{formatCurrency(line.amount)}</span>
+                    </div>
+                  ))}
+                  <div className="pt-2 mt-2 border-t border-gray-200 flex justify-between font-bold">
+                    <span>Add-ons Total</span>
+                    <span>{formatCurrency(total)}</span>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">Nothing added yet.</p>
+              )}
+
+              <div className="mt-6 space-y-3">
+                <Button
+                  variant="primary"
+                  className="w-full"
+                  disabled={lines.length === 0}
+                  onClick={() => handleContinue(items)}
+                >
+                  Continue to Payment
+                </Button>
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => handleContinue([])}
+                >
+                  Skip Add-ons
+                </Button>
+                <Link
+                  to={`/screening/${screeningId}/seats`}
+                  className="block text-center text-sm text-primary-600 hover:text-primary-700"
+                >
+                  Back to Seats
+                </Link>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AddOnsPage;
@@ -1,12 +1,19 @@
 // src/pages/user/BookingDetails.jsx
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useBookings } from '@hooks/useBookings';
 import { useToast } from '@contexts/ToastContext';
 import { formatDate, formatCurrency } from '@utils/formatUtils';
+import { getOfflineTickets } from '@utils/ticketUtils';
+import { getReceiptLines } from '@utils/receiptUtils';
+import useBookingDocuments from '@hooks/useBookingDocuments';
+import { buildCalendar, createBookingEvent, downloadCalendarFile } from '@utils/calendarUtils';
 import LoadingSpinner from '@components/common/LoadingSpinner';
 import Button from '@components/common/Button';
 import NotFound from '@components/common/NotFound';
+import TicketQRCode from '@components/features/tickets/TicketQRCode';
+import ShowTicketMode from '@components/features/tickets/ShowTicketMode';
+import ReleaseSeatsModal from '@components/features/booking/ReleaseSeatsModal';
 import { 
   TicketIcon, 
   ClockIcon, 
@@ -15,7 +22,13 @@ import {
   CreditCardIcon,
   CalendarIcon,
   ReceiptRefundIcon,
-  ArrowLeftIcon
+  ArrowLeftIcon,
+  QrCodeIcon,
+  SignalSlashIcon,
+  ArrowDownTrayIcon,
+  DocumentTextIcon,
+  CalendarDaysIcon,
+  ArrowsRightLeftIcon
 } from '@heroicons/react/24/outline';
 
 const BookingDetailsPage = () => {
@@ -23,15 +36,28 @@ const BookingDetailsPage = () => {
   const navigate = useNavigate();
   const { showSuccess, showError } = useToast();
   const [isCancelling, setIsCancelling] = useState(false);
+  const [isShowingTicket, setIsShowingTicket] = useState(false);
+  const closeTicket = useCallback(() => setIsShowingTicket(false), []);
+  const [isReleasingSeats, setIsReleasingSeats] = useState(false);
+  const [releaseError, setReleaseError] = useState('');
+  const { downloadTicket, downloadReceipt, isGenerating } = useBookingDocuments();
   
   // Get booking details
-  const { useGetBooking, useCancelBooking } = useBookings();
+  const { useGetBooking, useGetBookingTickets, useCancelBooking, useCancelSeats } = useBookings();
   const { 
     data: booking, 
     isLoading, 
+    fetchStatus,
     error 
   } = useGetBooking(id);
   
+  // Signed e-tickets, also saved on the device for use without a connection
+  const hasTickets = !!booking && booking.paymentStatus !== 'CANCELLED';
+  const { data: tickets = [] } = useGetBookingTickets(hasTickets ? booking : null);
+  
+  // Tickets saved on this device, used when the booking cannot be loaded
+  const offlineEntry = !booking ? getOfflineTickets(id) : null;
+  
   // Cancel booking mutation
   const { 
     mutate: cancelBooking,
@@ -47,6 +73,38 @@ const BookingDetailsPage = () => {
     }
   });
   
+  // Release individual seats; the hook still refreshes the booking and tickets
+  const {
+    mutate: cancelSeats,
+    isPending: isPendingSeatRelease
+  } = useCancelSeats({
+    onError: (error) => {
+      setReleaseError(error.message || 'Failed to release seats');
+    }
+  });
+
+  const handleReleaseSeats = ({ seats, expectedRefund }) => {
+    setReleaseError('');
+    cancelSeats({ id, seats, expectedRefund }, {
+      onSuccess: (result) => {
+        const refundAmount = result?.refund?.amount ?? expectedRefund;
+        setIsReleasingSeats(false);
+        showSuccess(
+          `${seats.length} seat${seats.length === 1 ? '' : 's'} released. ${formatCurrency(refundAmount)} will be refunded.`
+        );
+
+        if (result?.booking?.paymentStatus === 'CANCELLED') {
+          navigate('/bookings');
+        }
+      }
+    });
+  };
+
+  const closeReleaseSeats = () => {
+    setIsReleasingSeats(false);
+    setReleaseError('');
+  };
+  
   // Handle booking cancellation
   const handleCancelBooking = () => {
     setIsCancelling(true);
@@ -58,6 +116,48 @@ const BookingDetailsPage = () => {
       setIsCancelling(false);
     }
   };
+
+  // Save the showtime as an .ics file for the user's calendar
+  const handleAddToCalendar = () => {
+    downloadCalendarFile(
+      buildCalendar([createBookingEvent(booking)]),
+      `booking-${booking.bookingNumber || booking.id}`
+    );
+  };
+  
+  // Offline: show the saved tickets instead of waiting for the network
+  if (!booking && offlineEntry && (error || fetchStatus === 'paused')) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-md mx-auto bg-white rounded-lg shadow p-6 text-center">
+          <SignalSlashIcon className="h-10 w-10 text-gray-400 mx-auto mb-3" />
+          <h1 className="text-xl font-bold text-gray-900 mb-1">{offlineEntry.booking.movieTitle}</h1>
+          <p className="text-gray-600 mb-1">{formatDate(offlineEntry.booking.screeningTime)}</p>
+          <p className="text-sm text-gray-500 mb-6">
+            You&apos;re offline. Your tickets saved on this device can still be scanned.
+          </p>
+          <Button
+            variant="primary"
+            size="lg"
+            fullWidth
+            icon={<QrCodeIcon className="h-5 w-5 mr-2" />}
+            onClick={() => setIsShowingTicket(true)}
+          >
+            Show Ticket
+          </Button>
+        </div>
+        
+        {isShowingTicket && (
+          <ShowTicketMode
+            booking={offlineEntry.booking}
+            tickets={offlineEntry.tickets}
+            isOffline
+            onClose={closeTicket}
+          />
+        )}
+      </div>
+    );
+  }
   
   // Loading state
   if (isLoading) {
@@ -153,6 +253,11 @@ const BookingDetailsPage = () => {
                     <div>
                       <span className="font-medium">Seats:</span>
                       <div>{Array.from(booking.bookedSeats).sort().join(', ')}</div>
+                      {booking.cancelledSeats?.length > 0 && (
+                        <div className="text-sm text-gray-500">
+                          Released: {Array.from(booking.cancelledSeats).sort().join(', ')}
+                        </div>
+                      )}
                     </div>
                   </li>
                   
@@ -185,10 +290,71 @@ const BookingDetailsPage = () => {
               </div>
             </div>
             
+            {/* Order line items: tickets, add-ons and discounts */}
+            <div className="mt-8 pt-6 border-t border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Order Summary</h3>
+              <table className="min-w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {getReceiptLines(booking).map((line, index) => (
+                    <tr key={index}>
+                      <td className="py-2 text-gray-700">{line.description}</td>
+                      <td className="py-2 text-right text-gray-500">
+                        {line.quantity > 1 && `${line.quantity} × ${formatCurrency(line.unitPrice)}`}
+                      </td>
+                      <td className={`py-2 text-right font-medium ${line.amount < 0 ? 'text-green-600' : 'text-gray-900'}`}>
+                        {formatCurrency(line.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr className="border-t border-gray-200">
+                    <td className="pt-3 font-bold text-gray-900" colSpan={2}>Total</td>
+                    <td className="pt-3 text-right font-bold text-gray-900">{formatCurrency(booking.totalAmount)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+              {booking.addOns?.length > 0 && !isCancelled && (
+                <p className="mt-3 text-sm text-gray-500">
+                  Collect your snacks and drinks at the concessions counter by showing your ticket.
+                </p>
+              )}
+            </div>
+            
+            {/* E-tickets */}
+            {!isCancelled && tickets.length > 0 && (
+              <div className="mt-8 pt-6 border-t border-gray-200">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Your Tickets</h3>
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    icon={<QrCodeIcon className="h-4 w-4 mr-1" />}
+                    onClick={() => setIsShowingTicket(true)}
+                  >
+                    Show Ticket
+                  </Button>
+                </div>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                  {tickets.map(ticket => (
+                    <div key={ticket.ticketId || ticket.seat || ticket.code} className="flex flex-col items-center">
+                      <TicketQRCode value={ticket.code} size={120} />
+                      <span className="mt-1 text-sm font-medium text-gray-700">
+                        {ticket.seat ? `Seat ${ticket.seat}` : 'All seats'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <p className="mt-3 text-xs text-gray-500">
+                  Show these codes at the door. They are saved on this device, so they work without a connection.
+                </p>
+              </div>
+            )}
+            
             {/* Actions */}
             <div className="mt-8 pt-6 border-t border-gray-200">
               <div className="flex flex-col sm:flex-row justify-between items-center">
-                <div className="mb-4 sm:mb-0">
+                <div className="mb-4 sm:mb-0 flex flex-wrap gap-3">
                   {isUpcoming && !isCancelled && (
                     <Button 
                       variant="danger"
@@ -199,14 +365,62 @@ const BookingDetailsPage = () => {
                       Cancel Booking
                     </Button>
                   )}
+                  {isUpcoming && !isCancelled && (
+                    <Link to={`/bookings/${booking.id}/exchange`}>
+                      <Button
+                        variant="outline"
+                        icon={<ArrowsRightLeftIcon className="h-5 w-5 mr-2" />}
+                      >
+                        Change Showtime
+                      </Button>
+                    </Link>
+                  )}
+                  {isUpcoming && !isCancelled && booking.bookedSeats?.length > 1 && (
+                    <Button
+                      variant="outline"
+                      onClick={() => setIsReleasingSeats(true)}
+                    >
+                      Release Seats
+                    </Button>
+                  )}
                 </div>
                 
-                <div className="flex space-x-4">
+                <div className="flex flex-wrap justify-center gap-4">
                   <Link to={`/movies/${booking.movieId}`}>
                     <Button variant="outline">
                       View Movie
                     </Button>
                   </Link>
+
+                  <Button
+                    variant="outline"
+                    icon={<DocumentTextIcon className="h-5 w-5 mr-2" />}
+                    disabled={isGenerating}
+                    onClick={() => downloadReceipt(booking)}
+                  >
+                    Receipt
+                  </Button>
+
+                  {isUpcoming && !isCancelled && (
+                    <Button
+                      variant="outline"
+                      icon={<CalendarDaysIcon className="h-5 w-5 mr-2" />}
+                      onClick={handleAddToCalendar}
+                    >
+                      Add to Calendar
+                    </Button>
+                  )}
+
+                  {!isCancelled && (
+                    <Button
+                      variant="outline"
+                      icon={<ArrowDownTrayIcon className="h-5 w-5 mr-2" />}
+                      disabled={isGenerating}
+                      onClick={() => downloadTicket(booking, tickets.length > 0 ? tickets : undefined)}
+                    >
+                      Download Tickets
+                    </Button>
+                  )}
                   
                   <Button
                     variant="primary"
@@ -220,6 +434,24 @@ const BookingDetailsPage = () => {
           </div>
         </div>
       </div>
+      
+      {isReleasingSeats && (
+        <ReleaseSeatsModal
+          booking={booking}
+          errorMessage={releaseError}
+          isSubmitting={isPendingSeatRelease}
+          onConfirm={handleReleaseSeats}
+          onCancel={closeReleaseSeats}
+        />
+      )}
+      
+      {isShowingTicket && (
+        <ShowTicketMode
+          booking={booking}
+          tickets={tickets}
+          onClose={closeTicket}
+        />
+      )}
     </div>
   );
 };
@@ -7,6 +7,9 @@ import { formatDate, formatCurrency } from '@utils/formatUtils';
 import LoadingSpinner from '@components/common/LoadingSpinner';
 import Button from '@components/common/Button';
 import Tabs from '@components/common/Tabs';
+import CalendarFeedPanel from '@components/features/booking/CalendarFeedPanel';
+import WaitlistEntries from '@components/features/booking/WaitlistEntries';
+import ClaimGuestBookingPanel from '@components/features/booking/ClaimGuestBookingPanel';
 import { 
   TicketIcon, 
   ClockIcon, 
@@ -64,6 +67,8 @@ const BookingsPage = () => {
     return (
       <div className="container mx-auto px-4 py-8">
         <div className="max-w-3xl mx-auto text-center">
+          <WaitlistEntries />
+          <ClaimGuestBookingPanel />
           <div className="py-12 flex flex-col items-center justify-center bg-white rounded-lg shadow">
             <TicketIcon className="w-16 h-16 text-gray-400 mb-4" />
             <h2 className="text-2xl font-bold text-gray-900 mb-2">No Bookings Found</h2>
@@ -246,6 +251,12 @@ const BookingsPage = () => {
     <div className="container mx-auto px-4 py-8">
       <div className="max-w-3xl mx-auto">
         <h1 className="text-2xl font-bold text-gray-900 mb-6">My Bookings</h1>
+
+        <CalendarFeedPanel upcomingBookings={upcomingBookings} />
+
+        <WaitlistEntries />
+        
+        <ClaimGuestBookingPanel />
         
         <div className="bg-white rounded-lg shadow">
           <Tabs 
@@ -1,35 +1,113 @@
 // src/pages/user/Checkout.jsx - Improved version with better error handling
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, Link } from 'react-router-dom';
 import { useScreenings } from '@hooks/useScreenings';
 import { useBookings } from '@hooks/useBookings';
+import { useMovies } from '@hooks/useMovies';
+import { useGetTheatreConcessions } from '@hooks/useConcessions';
+import { useGetLoyaltyRules, useGetMyLoyalty } from '@hooks/useLoyalty';
 import { useAuth } from '@contexts/AuthContext';
 import { useToast } from '@contexts/ToastContext';
+import { useSeatHold } from '@hooks/useSeatHold';
+import usePayment from '@hooks/usePayment';
+import useBookingDocuments from '@hooks/useBookingDocuments';
+import { isCardPayment } from '@services/payments';
 import { formatCurrency } from '@utils/formatUtils';
+import {
+  TicketCategories,
+  DEFAULT_TICKET_CATEGORY,
+  getChildTicketWarning
+} from '@utils/ticketCategories';
+import { calculatePromoDiscount } from '@utils/promotionUtils';
+import {
+  getMemberTier,
+  getMaxRedeemablePoints,
+  pointsToAmount,
+  estimatePointsEarned
+} from '@utils/loyaltyUtils';
+import { allocateGiftCards, maskGiftCardCode } from '@utils/giftCardUtils';
+import { formatAddOnLabel } from '@utils/concessionUtils';
+import { normalizeBookedSeats } from '@utils/seatLayout';
+import { createIdempotencyKey } from '@utils/idempotency';
+import { rememberGuestBooking } from '@utils/guestBookings';
+import { useBookingCartStore } from '@stores/bookingCartStore';
+import {
+  formatCardNumber,
+  formatExpiry,
+  validateCardDetails
+} from '@utils/paymentUtils';
 import LoadingSpinner from '@components/common/LoadingSpinner';
 import Button from '@components/common/Button';
 import Input from '@components/common/Input';
 import NotFound from '@components/common/NotFound';
 import Radio from '@components/common/Radio';
+import SeatHoldBanner from '@components/features/booking/SeatHoldBanner';
+import PromoCodeField from '@components/features/booking/PromoCodeField';
+import PointsRedemptionField from '@components/features/loyalty/PointsRedemptionField';
+import GiftCardField from '@components/features/giftCards/GiftCardField';
+import PaymentChallengeModal from '@components/features/payment/PaymentChallengeModal';
+import TestCardsNotice from '@components/features/payment/TestCardsNotice';
 import {
   CreditCardIcon,
   BanknotesIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  ArrowPathIcon,
+  ArrowDownTrayIcon,
+  DocumentTextIcon
 } from '@heroicons/react/24/outline';
 
+// Selection used while the cart holds another screening, kept stable for the store selector
+const NO_SEATS = [];
+
 const CheckoutPage = () => {
   const { screeningId } = useParams();
-  const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
-  const { showSuccess, showError, showInfo } = useToast();
+  const { showSuccess, showError, showWarning } = useToast();
+  const { getHoldForScreening, completeHold } = useSeatHold();
+  const hold = getHoldForScreening(screeningId);
+  
+  // The cart can also change in another tab, so seats follow it until the booking is made
+  const cartSeats = useBookingCartStore(state => (
+    state.screeningId === String(screeningId) ? state.seats : NO_SEATS
+  ));
+  const removeCartSeats = useBookingCartStore(state => state.removeSeats);
+  const clearCart = useBookingCartStore(state => state.clearCart);
   
   // State
   const [selectedSeats, setSelectedSeats] = useState([]);
+  const [seatCategories, setSeatCategories] = useState({});
+  const [addOns] = useState(() => {
+    const cart = useBookingCartStore.getState();
+    return cart.screeningId === String(screeningId) ? cart.addOns : [];
+  });
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [redeemPoints, setRedeemPoints] = useState(0);
+  const [giftCards, setGiftCards] = useState([]);
   const [paymentMethod, setPaymentMethod] = useState('Credit Card');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [bookingComplete, setBookingComplete] = useState(false);
   const [bookingResult, setBookingResult] = useState(null);
   const [errorMessage, setErrorMessage] = useState("");
+  const [card, setCard] = useState({ number: '', expiry: '', cvc: '', name: '' });
+  const [cardErrors, setCardErrors] = useState({});
+  const [guest, setGuest] = useState({ name: '', email: '', phone: '' });
+  const [guestErrors, setGuestErrors] = useState({});
+  const [challengeError, setChallengeError] = useState('');
+  const [unconfirmedAttempt, setUnconfirmedAttempt] = useState(null);
+  
+  // Card payments go through the configured payment provider
+  const {
+    provider: paymentProvider,
+    payment,
+    requiresChallenge,
+    isAuthorized,
+    isProcessing: isProcessingPayment,
+    authorize,
+    confirmChallenge,
+    voidAuthorization
+  } = usePayment();
+  const { downloadTicket, downloadReceipt, isGenerating } = useBookingDocuments();
   
   // Get screening details
   const { useGetScreening } = useScreenings();
@@ -39,64 +117,196 @@ const CheckoutPage = () => {
     error: screeningError
   } = useGetScreening(screeningId);
   
+  // Get the movie for its age rating
+  const { useGetMovie } = useMovies();
+  const { data: movie } = useGetMovie(screening?.movieId);
+  const movieRating = screening?.movieRating || movie?.rating;
+  
+  // Load the theatre's catalog so chosen add-ons can be priced without another request
+  useGetTheatreConcessions(screening?.theatreId, { enabled: !!screening?.theatreId && addOns.length > 0 });
+  
+  // Members can pay with points and earn them on what they pay otherwise
+  const { data: loyaltyRules } = useGetLoyaltyRules({ enabled: isAuthenticated });
+  const { data: loyaltySummary } = useGetMyLoyalty({ enabled: isAuthenticated });
+  
   // Booking related hooks
-  const { useCalculatePrice, useCreateBooking } = useBookings();
+  const { useGetBookedSeats, useCalculatePrice, useCreateBooking } = useBookings();
+  
+  // Seats booked by others, to catch cart seats that were taken since they were picked
+  const { data: bookedSeats } = useGetBookedSeats(screeningId, { enabled: !!screeningId && !bookingComplete });
   
   // Calculate price based on selected seats
   const {
     data: priceData = { totalPrice: 0 },
-    isLoading: isLoadingPrice
+    isLoading: isLoadingPrice,
+    refetch: refetchPrice
   } = useCalculatePrice(screeningId, selectedSeats, {
-    enabled: selectedSeats.length > 0
+    enabled: selectedSeats.length > 0,
+    seatCategories,
+    addOns,
+    // Keep showing the last price while a category change is recalculated
+    placeholderData: (previousData) => previousData
   });
   
+  // Promo discount is taken off the ticket total after category discounts; add-ons are never discounted
+  const ticketsTotal = priceData.ticketsTotal ?? priceData.totalPrice;
+  const addOnLines = priceData.addOnLines || [];
+  const promoDiscount = calculatePromoDiscount(appliedPromo, ticketsTotal);
+  const amountBeforePoints = Math.max(priceData.totalPrice - promoDiscount, 0);
+  
+  // Points come off last, so a promo or a price change can lower how many are usable
+  const hasLoyalty = isAuthenticated && !!loyaltyRules && !!loyaltySummary;
+  const maxRedeemablePoints = hasLoyalty
+    ? getMaxRedeemablePoints(loyaltySummary.balance, amountBeforePoints, loyaltyRules)
+    : 0;
+  const pointsRedeemed = Math.min(redeemPoints, maxRedeemablePoints);
+  const pointsDiscount = hasLoyalty
+    ? Math.min(pointsToAmount(pointsRedeemed, loyaltyRules), amountBeforePoints)
+    : 0;
+  const bookingTotal = Math.max(amountBeforePoints - pointsDiscount, 0);
+  
+  // Gift cards are tender, not discounts: each covers what is left and the rest is paid another way
+  const giftCardAllocations = allocateGiftCards(giftCards, bookingTotal);
+  const giftCardTotal = giftCardAllocations.reduce((sum, giftCard) => sum + giftCard.amount, 0);
+  const amountDue = Math.max(Math.round((bookingTotal - giftCardTotal) * 100) / 100, 0);
+  
+  const isFullyCovered = amountDue <= 0 && (pointsDiscount > 0 || giftCardTotal > 0);
+  const bookingPaymentMethod = isFullyCovered
+    ? (giftCardTotal > 0 ? 'Gift Card' : 'Loyalty Points')
+    : paymentMethod;
+  const paymentMethodLabel = giftCardTotal > 0 && !isFullyCovered
+    ? `Gift Card + ${paymentMethod}`
+    : bookingPaymentMethod;
+  const pointsToEarn = hasLoyalty
+    ? estimatePointsEarned(bookingTotal, loyaltyRules, getMemberTier(loyaltyRules, loyaltySummary))
+    : 0;
+  
+  // Add-ons that could not be priced must not be booked as if none were chosen
+  const hasUnpricedAddOns = !isLoadingPrice && !!priceData.addOnsUnpriced;
+  
+  // Add-ons that sold out since they were chosen are dropped from the price and the booking
+  const hasDroppedAddOns = !isLoadingPrice && !hasUnpricedAddOns && addOnLines.length < addOns.length;
+  
+  // Age rating warning for child tickets
+  const childTicketWarning = getChildTicketWarning(movieRating, seatCategories);
+  
   // Create booking mutation
   const { 
     mutate: createBooking,
-    isPending: isCreatingBooking
+    isPending: isCreatingBooking,
+    isConfirming: isConfirmingBooking
   } = useCreateBooking({
-    onSuccess: (data) => {
+    onSuccess: (data, variables) => {
       setBookingResult(data);
       setBookingComplete(true);
       showSuccess('Booking completed successfully!');
+      clearBookingAttempt();
       
-      // Clear selected seats from session storage
-      try {
-        sessionStorage.removeItem('selectedSeats');
-      } catch (error) {
-        console.error("Error clearing session storage:", error);
+      // Guests have no account to list the booking, so keep it on this device
+      if (variables.guest) {
+        rememberGuestBooking({
+          ...data,
+          email: variables.guest.email,
+          movieTitle: data.movieTitle || screening?.movieTitle,
+          screeningTime: data.screeningTime || screening?.startTime
+        });
       }
+      
+      // The server captures the card payment with the booking; a pending payment means it could not
+      if (variables.payment && data.paymentStatus === 'PENDING') {
+        showWarning('Your booking is confirmed, but we could not finalize the payment. Our team will follow up.');
+      }
+      
+      // The booking consumed the hold and the cart, so there is nothing left to release
+      completeHold();
+      clearCart();
     },
-    onError: (error) => {
-      showError(error.message || 'Failed to complete booking. Please try again.');
+    onError: (error, variables) => {
       setIsSubmitting(false);
+      
+      // The booking may still have gone through, so keep the attempt and the authorization
+      if (error.isUnconfirmed) {
+        setUnconfirmedAttempt({ payment: variables.payment });
+        return;
+      }
+      
+      showError(error.message || 'Failed to complete booking. Please try again.');
+      clearBookingAttempt();
+      
+      // Release the card authorization so the customer is not left with a pending charge
+      if (variables.payment) {
+        voidAuthorization(variables.payment.paymentId);
+      }
     }
   });
   
-  // Retrieve selected seats from session storage
+  // Take the selected seats from the cart; the confirmation keeps the seats that were booked
   useEffect(() => {
-    try {
-      const storedSeats = sessionStorage.getItem('selectedSeats');
-      if (storedSeats) {
-        setSelectedSeats(JSON.parse(storedSeats));
-      } else {
-        setErrorMessage("No seats were selected. Please go back to select your seats.");
-      }
-    } catch (error) {
-      console.error('Failed to parse selected seats:', error);
-      setErrorMessage("There was a problem retrieving your selected seats. Please try again.");
-    }
-  }, [screeningId, navigate]);
+    if (bookingComplete) return;
+    
+    setSelectedSeats(cartSeats);
+    setErrorMessage(cartSeats.length > 0 ? '' : "No seats were selected. Please go back to select your seats.");
+  }, [cartSeats, bookingComplete]);
   
-  // Check if user is authenticated
+  // Drop cart seats someone else booked in the meantime (seats we hold are still ours)
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login', { state: { from: `/checkout/${screeningId}` } });
+    if (!bookedSeats || bookingComplete) return;
+    
+    const takenSeats = normalizeBookedSeats(bookedSeats).filter(seat => !hold?.seats.includes(seat));
+    const lostSeats = removeCartSeats(screeningId, takenSeats);
+    
+    if (lostSeats.length > 0) {
+      showWarning(`Seats ${lostSeats.join(', ')} were booked by someone else and removed from your order.`);
     }
-  }, [isAuthenticated, navigate, screeningId]);
+  }, [bookedSeats, bookingComplete, hold, screeningId, removeCartSeats, showWarning]);
+  
+  // Every seat starts as an adult ticket
+  useEffect(() => {
+    setSeatCategories(prev => Object.fromEntries(
+      selectedSeats.map(seat => [seat, prev[seat] || DEFAULT_TICKET_CATEGORY])
+    ));
+  }, [selectedSeats]);
+  
+  // Create the booking, attaching the authorized card payment if there is one
+  const submitBooking = (authorizedPayment) => {
+    const bookingData = {
+      screeningId,
+      selectedSeats, // We'll use the same property name the API expects
+      paymentMethod: bookingPaymentMethod,
+      holdId: hold?.holdId,
+      seatCategories,
+      promoCode: appliedPromo?.code,
+      loyaltyPoints: pointsRedeemed || undefined,
+      giftCards: giftCardAllocations
+        .filter(giftCard => giftCard.amount > 0)
+        .map(({ code, amount }) => ({ code, amount })),
+      guest: isAuthenticated ? undefined : {
+        name: guest.name.trim(),
+        email: guest.email.trim(),
+        phone: guest.phone.trim()
+      },
+      addOns: addOnLines.map(({ concessionId, size, quantity }) => ({ concessionId, size, quantity })),
+      payment: authorizedPayment
+        ? { provider: paymentProvider.id, paymentId: authorizedPayment.paymentId }
+        : undefined
+    };
+    
+    createBooking({
+      ...bookingData,
+      idempotencyKey: getBookingAttemptKey(screeningId, bookingData)
+    });
+  };
+  
+  // Ask the server again about an attempt we could not confirm
+  const handleCheckAgain = () => {
+    const { payment: attemptPayment } = unconfirmedAttempt;
+    setUnconfirmedAttempt(null);
+    setIsSubmitting(true);
+    submitBooking(attemptPayment);
+  };
   
   // Handle form submission
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (!selectedSeats || selectedSeats.length === 0) {
@@ -109,17 +319,103 @@ const CheckoutPage = () => {
       return;
     }
     
-    setIsSubmitting(true);
+    if (childTicketWarning?.level === 'blocked') {
+      showError(childTicketWarning.message);
+      return;
+    }
     
-    // Create booking payload
-    const bookingData = {
-      screeningId,
-      selectedSeats, // We'll use the same property name the API expects
-      paymentMethod
-    };
+    if (hasUnpricedAddOns) {
+      refetchPrice();
+      showError('We could not price your add-ons. Please try again in a moment.');
+      return;
+    }
+    
+    // Guests need contact details for their tickets and lookup code
+    if (!isAuthenticated) {
+      const errors = validateGuestDetails(guest);
+      setGuestErrors(errors);
+      if (Object.keys(errors).length > 0) {
+        return;
+      }
+    }
     
-    // Create booking - the implementation depends on how your API is structured
-    createBooking(bookingData);
+    // Paying at the theatre needs no authorization
+    if (!isCardPayment(paymentMethod) || amountDue <= 0) {
+      setIsSubmitting(true);
+      submitBooking(null);
+      return;
+    }
+    
+    // A retry reuses the authorization from the previous attempt
+    if (isAuthorized) {
+      setIsSubmitting(true);
+      submitBooking(payment);
+      return;
+    }
+    
+    const errors = validateCardDetails(card);
+    setCardErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+    
+    setIsSubmitting(true);
+    
+    try {
+      const result = await authorize({
+        amount: amountDue,
+        currency: 'USD',
+        card,
+        metadata: { screeningId, seats: selectedSeats }
+      });
+      
+      // Wait for the verification step before booking
+      if (result.challenge) {
+        setChallengeError('');
+        return;
+      }
+      
+      submitBooking(result);
+    } catch (error) {
+      showError(error.message || 'Payment failed. Please try again.');
+      setIsSubmitting(false);
+    }
+  };
+  
+  // Handle the verification code from the payment challenge
+  const handleChallengeSubmit = async (code) => {
+    try {
+      const result = await confirmChallenge(code);
+      submitBooking(result);
+    } catch (error) {
+      if (error.attemptsLeft) {
+        setChallengeError(error.message);
+      } else {
+        showError(error.message || 'We could not verify your card. Please try again.');
+        setIsSubmitting(false);
+      }
+    }
+  };
+  
+  // Abandon the payment from the verification step
+  const handleChallengeCancel = () => {
+    voidAuthorization();
+    setIsSubmitting(false);
+    showWarning('Payment cancelled. Your card has not been charged.');
+  };
+  
+  // Update a guest contact field
+  const handleGuestChange = (field) => (e) => {
+    setGuest(prev => ({ ...prev, [field]: e.target.value }));
+    setGuestErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+  
+  // Update a card field, formatting number and expiry as they are typed
+  const handleCardChange = (field) => (e) => {
+    const formatters = { number: formatCardNumber, expiry: formatExpiry };
+    const value = formatters[field] ? formatters[field](e.target.value) : e.target.value;
+    setCard(prev => ({ ...prev, [field]: value }));
+    setCardErrors(prev => ({ ...prev, [field]: undefined }));
   };
   
   // Loading state
@@ -133,8 +429,76 @@ const CheckoutPage = () => {
     return <NotFound message={errorMessage || "Screening not found"} />;
   }
   
+  // The booking response was lost and we are checking what happened
+  if (isConfirmingBooking) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-md p-6 flex flex-col items-center text-center">
+          <LoadingSpinner size="lg" />
+          <h1 className="text-2xl font-bold mt-6 mb-2">We&apos;re confirming your booking</h1>
+          <p className="text-gray-600">
+            The connection dropped while your booking was being processed. We&apos;re checking
+            whether it went through. Please don&apos;t close this page or book again — you
+            will not be charged twice.
+          </p>
+        </div>
+      </div>
+    );
+  }
+  
+  // We still don't know whether the booking went through
+  if (unconfirmedAttempt) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-md p-6 flex flex-col items-center text-center">
+          <ExclamationTriangleIcon className="h-16 w-16 text-yellow-500" />
+          <h1 className="text-2xl font-bold mt-6 mb-2">We couldn&apos;t confirm your booking yet</h1>
+          <p className="text-gray-600 mb-6">
+            Your booking may still be processing. Check My Bookings, or check again here.
+            Checking again is safe: it will never create a second booking or charge you twice.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4 w-full">
+            <Link to={isAuthenticated ? '/bookings' : '/find-booking'} className="w-full">
+              <Button variant="outline" size="lg" className="w-full">
+                {isAuthenticated ? 'View My Bookings' : 'Find My Booking'}
+              </Button>
+            </Link>
+            <Button
+              variant="primary"
+              size="lg"
+              className="w-full"
+              icon={<ArrowPathIcon className="h-5 w-5 mr-2" />}
+              onClick={handleCheckAgain}
+            >
+              Check Again
+            </Button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+  
   // If booking is complete, show confirmation
   if (bookingComplete && bookingResult) {
+    // The booking response may be sparse, so fill the documents in from the checkout itself
+    const confirmedBooking = {
+      movieTitle: screening.movieTitle,
+      theatreName: screening.theatreName,
+      screenNumber: screening.screenNumber,
+      screeningTime: screening.startTime,
+      bookedSeats: selectedSeats,
+      paymentMethod: paymentMethodLabel,
+      priceBreakdown: priceData.breakdown,
+      addOns: addOnLines,
+      discountAmount: promoDiscount,
+      promoCode: appliedPromo?.code,
+      pointsRedeemed,
+      pointsDiscount,
+      giftCards: giftCardAllocations.filter(giftCard => giftCard.amount > 0),
+      totalAmount: bookingTotal,
+      ...bookingResult
+    };
+
     return (
       <div className="container mx-auto px-4 py-8">
         <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-md overflow-hidden">
@@ -146,6 +510,16 @@ const CheckoutPage = () => {
             <p className="text-gray-600 text-center mb-6">
               Your booking has been successfully completed. You will receive a confirmation email shortly.
             </p>
+            {bookingResult.lookupCode && (
+              <div className="w-full bg-primary-50 border border-primary-100 rounded-md p-4 mb-6 text-center">
+                <p className="text-sm text-primary-800">Your booking lookup code</p>
+                <p className="text-2xl font-mono font-bold tracking-widest text-primary-900">{bookingResult.lookupCode}</p>
+                <p className="text-xs text-primary-700 mt-1">
+                  Keep this code with your booking number. We&apos;ve emailed both to {guest.email}.
+                  You&apos;ll need it to add this booking to an account later.
+                </p>
+              </div>
+            )}
             <div className="w-full border-t border-gray-200 pt-6 mb-6">
               <h2 className="text-lg font-semibold mb-4">Booking Details</h2>
               <div className="space-y-3">
@@ -175,22 +549,97 @@ const CheckoutPage = () => {
                       : selectedSeats.sort().join(', ')}
                   </span>
                 </div>
+                {priceData.breakdown?.map(line => (
+                  <div key={line.category} className="flex justify-between">
+                    <span className="text-gray-600">{line.label} × {line.count}:</span>
+                    <span className="font-medium">{formatCurrency(line.amount)}</span>
+                  </div>
+                ))}
+                {addOnLines.map(line => (
+                  <div key={`${line.concessionId}-${line.size}`} className="flex justify-between">
+                    <span className="text-gray-600">{formatAddOnLabel(line)} × {line.quantity}:</span>
+                    <span className="font-medium">{formatCurrency(line.amount)}</span>
+                  </div>
+                ))}
+                {promoDiscount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Promo ({appliedPromo.code}):</span>
+                    <span className="font-medium text-green-600">-{formatCurrency(promoDiscount)}</span>
+                  </div>
+                )}
+                {pointsDiscount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Points ({pointsRedeemed.toLocaleString()}):</span>
+                    <span className="font-medium text-green-600">-{formatCurrency(pointsDiscount)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="text-gray-600">Payment Method:</span>
-                  <span className="font-medium">{bookingResult.paymentMethod || paymentMethod}</span>
+                  <span className="font-medium">
+                    {bookingResult.paymentMethod || paymentMethodLabel}
+                    {payment?.last4 && ` •••• ${payment.last4}`}
+                  </span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Total Amount:</span>
-                  <span className="font-bold">{formatCurrency(bookingResult.totalAmount || priceData.totalPrice)}</span>
+                  <span className="font-bold">{formatCurrency(bookingResult.totalAmount ?? bookingTotal)}</span>
                 </div>
+                {confirmedBooking.giftCards.map(giftCard => (
+                  <div key={giftCard.code} className="flex justify-between">
+                    <span className="text-gray-600">Gift Card {giftCard.maskedCode}:</span>
+                    <span className="font-medium">{formatCurrency(giftCard.amount)}</span>
+                  </div>
+                ))}
+                {giftCardTotal > 0 && amountDue > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Charged to {paymentMethod}:</span>
+                    <span className="font-medium">{formatCurrency(amountDue)}</span>
+                  </div>
+                )}
+                {(bookingResult.pointsEarned ?? pointsToEarn) > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Points Earned:</span>
+                    <span className="font-medium text-primary-600">
+                      +{(bookingResult.pointsEarned ?? pointsToEarn).toLocaleString()}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
+            <div className="flex flex-col sm:flex-row gap-4 w-full mb-4">
+              <Button
+                variant="outline"
+                className="w-full"
+                icon={<ArrowDownTrayIcon className="h-5 w-5 mr-2" />}
+                disabled={isGenerating || !confirmedBooking.id}
+                onClick={() => downloadTicket(confirmedBooking, confirmedBooking.tickets)}
+              >
+                Download Tickets
+              </Button>
+              <Button
+                variant="outline"
+                className="w-full"
+                icon={<DocumentTextIcon className="h-5 w-5 mr-2" />}
+                disabled={isGenerating}
+                onClick={() => downloadReceipt(confirmedBooking)}
+              >
+                Receipt
+              </Button>
+            </div>
             <div className="flex flex-col sm:flex-row gap-4 w-full">
-              <Link to="/bookings" className="w-full">
-                <Button variant="outline" size="lg" className="w-full">
-                  View My Bookings
-                </Button>
-              </Link>
+              {isAuthenticated ? (
+                <Link to="/bookings" className="w-full">
+                  <Button variant="outline" size="lg" className="w-full">
+                    View My Bookings
+                  </Button>
+                </Link>
+              ) : (
+                <Link to="/register" className="w-full">
+                  <Button variant="outline" size="lg" className="w-full">
+                    Create an Account
+                  </Button>
+                </Link>
+              )}
               <Link to="/" className="w-full">
                 <Button variant="primary" size="lg" className="w-full">
                   Back to Home
@@ -208,11 +657,78 @@ const CheckoutPage = () => {
       <div className="max-w-3xl mx-auto">
         <h1 className="text-2xl font-bold text-gray-900 mb-6">Complete Your Booking</h1>
         
+        <SeatHoldBanner screeningId={screeningId} returnToSeatsOnExpiry />
+        
+        {requiresChallenge && (
+          <PaymentChallengeModal
+            amount={payment.amount}
+            last4={payment.last4}
+            errorMessage={challengeError}
+            isVerifying={isProcessingPayment}
+            hint={paymentProvider.challengeHint}
+            onSubmit={handleChallengeSubmit}
+            onCancel={handleChallengeCancel}
+          />
+        )}
+        
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           {/* Checkout form */}
           <div className="md:col-span-2">
             <div className="bg-white rounded-lg shadow-md overflow-hidden">
               <form onSubmit={handleSubmit}>
+                {/* Contact details for guest checkout */}
+                {!isAuthenticated && (
+                  <div className="p-6 border-b">
+                    <h2 className="text-lg font-semibold mb-1">Your Details</h2>
+                    <p className="text-sm text-gray-600 mb-4">
+                      Checking out as a guest. Have an account?{' '}
+                      <Link
+                        to="/login"
+                        state={{ from: `/checkout/${screeningId}` }}
+                        className="font-medium text-primary-600 hover:text-primary-500"
+                      >
+                        Sign in
+                      </Link>
+                    </p>
+                    <div className="space-y-4">
+                      <Input
+                        id="guestName"
+                        label="Full Name"
+                        autoComplete="name"
+                        value={guest.name}
+                        onChange={handleGuestChange('name')}
+                        error={guestErrors.name}
+                        touched={!!guestErrors.name}
+                        required
+                      />
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <Input
+                          id="guestEmail"
+                          type="email"
+                          label="Email"
+                          autoComplete="email"
+                          value={guest.email}
+                          onChange={handleGuestChange('email')}
+                          error={guestErrors.email}
+                          touched={!!guestErrors.email}
+                          required
+                        />
+                        <Input
+                          id="guestPhone"
+                          type="tel"
+                          label="Phone"
+                          autoComplete="tel"
+                          value={guest.phone}
+                          onChange={handleGuestChange('phone')}
+                          error={guestErrors.phone}
+                          touched={!!guestErrors.phone}
+                          required
+                        />
+                      </div>
+                    </div>
+                  </div>
+                )}
+                
                 {/* Booking details section */}
                 <div className="p-6 border-b">
                   <h2 className="text-lg font-semibold mb-4">Booking Details</h2>
@@ -236,6 +752,43 @@ const CheckoutPage = () => {
                   </div>
                 </div>
                 
+                {/* Ticket categories section */}
+                <div className="p-6 border-b">
+                  <h2 className="text-lg font-semibold mb-4">Tickets</h2>
+                  <div className="space-y-3">
+                    {[...selectedSeats].sort().map(seat => (
+                      <div key={seat} className="flex items-center justify-between">
+                        <label htmlFor={`category-${seat}`} className="font-medium">
+                          Seat {seat}
+                        </label>
+                        <select
+                          id={`category-${seat}`}
+                          className="block w-40 rounded-md border-gray-300 shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                          value={seatCategories[seat] || DEFAULT_TICKET_CATEGORY}
+                          onChange={(e) => setSeatCategories(prev => ({ ...prev, [seat]: e.target.value }))}
+                        >
+                          {Object.entries(TicketCategories).map(([category, { label }]) => (
+                            <option key={category} value={category}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  
+                  {childTicketWarning && (
+                    <div className={`mt-4 p-3 rounded-md flex items-start text-sm ${
+                      childTicketWarning.level === 'info'
+                        ? 'bg-blue-50 text-blue-800'
+                        : childTicketWarning.level === 'warning'
+                          ? 'bg-yellow-50 text-yellow-800'
+                          : 'bg-red-50 text-red-800'
+                    }`}>
+                      <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                      <span>{childTicketWarning.message}</span>
+                    </div>
+                  )}
+                </div>
+                
                 {/* Payment section */}
                 <div className="p-6 border-b">
                   <h2 className="text-lg font-semibold mb-4">Payment Method</h2>
@@ -283,34 +836,81 @@ const CheckoutPage = () => {
                     />
                   </div>
                   
-                  {/* Payment details (simplified for demo) */}
-                  {(paymentMethod === 'Credit Card' || paymentMethod === 'Debit Card') && (
+                  {isFullyCovered && (
+                    <p className="mt-4 text-sm text-green-700">
+                      {giftCardTotal > 0 ? 'Your gift card covers' : 'Your points cover'} the full amount, so there is nothing more to pay.
+                    </p>
+                  )}
+                  {giftCardTotal > 0 && !isFullyCovered && (
+                    <p className="mt-4 text-sm text-gray-600">
+                      Your gift card covers {formatCurrency(giftCardTotal)}. Choose how to pay the remaining {formatCurrency(amountDue)}.
+                    </p>
+                  )}
+                  
+                  {/* Card details, authorized through the payment provider */}
+                  {isCardPayment(paymentMethod) && amountDue > 0 && (
                     <div className="mt-4 pt-4 border-t border-gray-200">
+                      {paymentProvider.isTestMode && (
+                        <TestCardsNotice
+                          cards={paymentProvider.testCards}
+                          onSelect={(number) => {
+                            setCard(prev => ({ ...prev, number: formatCardNumber(number) }));
+                            setCardErrors(prev => ({ ...prev, number: undefined }));
+                          }}
+                        />
+                      )}
                       <div className="space-y-4">
                         <Input
+                          id="cardNumber"
                           label="Card Number"
                           placeholder="1234 5678 9012 3456"
+                          inputMode="numeric"
+                          autoComplete="cc-number"
+                          value={card.number}
+                          onChange={handleCardChange('number')}
+                          error={cardErrors.number}
+                          touched={!!cardErrors.number}
                           required
-                          // In a real app, you would use a library like react-credit-cards
                         />
                         
                         <div className="grid grid-cols-2 gap-4">
                           <Input
+                            id="cardExpiry"
                             label="Expiry Date"
                             placeholder="MM/YY"
+                            inputMode="numeric"
+                            autoComplete="cc-exp"
+                            value={card.expiry}
+                            onChange={handleCardChange('expiry')}
+                            error={cardErrors.expiry}
+                            touched={!!cardErrors.expiry}
                             required
                           />
                           
                           <Input
+                            id="cardCvc"
                             label="CVC"
                             placeholder="123"
+                            inputMode="numeric"
+                            autoComplete="cc-csc"
+                            maxLength={4}
+                            value={card.cvc}
+                            onChange={handleCardChange('cvc')}
+                            error={cardErrors.cvc}
+                            touched={!!cardErrors.cvc}
                             required
                           />
                         </div>
                         
                         <Input
+                          id="cardName"
                           label="Name on Card"
                           placeholder="John Doe"
+                          autoComplete="cc-name"
+                          value={card.name}
+                          onChange={handleCardChange('name')}
+                          error={cardErrors.name}
+                          touched={!!cardErrors.name}
                           required
                         />
                       </div>
@@ -320,20 +920,21 @@ const CheckoutPage = () => {
                 
                 {/* Actions */}
                 <div className="p-6 flex flex-col sm:flex-row gap-4 justify-end">
-                  <Link to={`/screening/${screeningId}/seats`}>
+                  <Link to={`/screening/${screeningId}/add-ons`}>
                     <Button 
                       type="button" 
                       variant="outline"
-                      disabled={isSubmitting || isCreatingBooking}
+                      disabled={isSubmitting || isCreatingBooking || isProcessingPayment}
                     >
-                      Back to Seats
+                      Back to Add-ons
                     </Button>
                   </Link>
                   
                   <Button 
                     type="submit"
                     variant="primary"
-                    loading={isSubmitting || isCreatingBooking}
+                    loading={isSubmitting || isCreatingBooking || isProcessingPayment}
+                    disabled={childTicketWarning?.level === 'blocked'}
                   >
                     Complete Booking
                   </Button>
@@ -348,19 +949,120 @@ const CheckoutPage = () => {
               <div className="p-6">
                 <h2 className="text-lg font-semibold mb-4">Booking Summary</h2>
                 <div className="space-y-3">
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Tickets ({selectedSeats.length})</span>
-                    <span>{formatCurrency(priceData.totalPrice)}</span>
-                  </div>
+                  {priceData.breakdown ? (
+                    priceData.breakdown.map(line => (
+                      <div key={line.category} className="flex justify-between">
+                        <span className="text-gray-600">
+                          {line.label} × {line.count}
+                          {line.discount > 0 && (
+                            <span className="text-xs text-green-600 ml-1">(-{line.discount}%)</span>
+                          )}
+                        </span>
+                        <span>{formatCurrency(line.amount)}</span>
+                      </div>
+                    ))
+                  ) : (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Tickets ({selectedSeats.length})</span>
+                      <span>{formatCurrency(ticketsTotal)}</span>
+                    </div>
+                  )}
+                  {addOnLines.map(line => (
+                    <div key={`${line.concessionId}-${line.size}`} className="flex justify-between">
+                      <span className="text-gray-600">{formatAddOnLabel(line)} × {line.quantity}</span>
+                      <span>{formatCurrency(line.amount)}</span>
+                    </div>
+                  ))}
+                  <Link
+                    to={`/screening/${screeningId}/add-ons`}
+                    className="block text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    {addOnLines.length > 0 ? 'Edit add-ons' : 'Add snacks & drinks'}
+                  </Link>
+                  {hasUnpricedAddOns && (
+                    <p className="text-xs text-yellow-700">
+                      We could not price the add-ons you chose, so they are not included in this total yet.
+                    </p>
+                  )}
+                  {hasDroppedAddOns && (
+                    <p className="text-xs text-yellow-700">
+                      Some add-ons you chose are no longer available and have been removed.
+                    </p>
+                  )}
                   <div className="flex justify-between">
                     <span className="text-gray-600">Booking Fee</span>
                     <span>{formatCurrency(0)}</span>
                   </div>
+                  {promoDiscount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span>Promo ({appliedPromo.code})</span>
+                      <span>-{formatCurrency(promoDiscount)}</span>
+                    </div>
+                  )}
+                  {pointsDiscount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span>Points ({pointsRedeemed.toLocaleString()})</span>
+                      <span>-{formatCurrency(pointsDiscount)}</span>
+                    </div>
+                  )}
                   <div className="pt-3 mt-3 border-t border-gray-200 flex justify-between">
                     <span className="font-bold">Total</span>
-                    <span className="font-bold">{formatCurrency(priceData.totalPrice)}</span>
+                    <span className="font-bold">{formatCurrency(bookingTotal)}</span>
                   </div>
+                  {giftCardAllocations.map(giftCard => giftCard.amount > 0 && (
+                    <div key={giftCard.code} className="flex justify-between text-green-600">
+                      <span>Gift card {giftCard.maskedCode}</span>
+                      <span>-{formatCurrency(giftCard.amount)}</span>
+                    </div>
+                  ))}
+                  {giftCardTotal > 0 && (
+                    <div className="flex justify-between">
+                      <span className="font-bold">Left to pay</span>
+                      <span className="font-bold">{formatCurrency(amountDue)}</span>
+                    </div>
+                  )}
+                  {pointsToEarn > 0 && (
+                    <p className="text-xs text-primary-700">
+                      You&apos;ll earn about {pointsToEarn.toLocaleString()} points with this booking.
+                    </p>
+                  )}
                 </div>
+                
+                <PromoCodeField
+                  screeningId={screeningId}
+                  movieId={screening.movieId}
+                  subtotal={ticketsTotal}
+                  appliedPromo={appliedPromo}
+                  onApply={(promotion) => {
+                    setAppliedPromo(promotion);
+                    showSuccess(`Promo code ${promotion.code} applied.`);
+                  }}
+                  onRemove={() => setAppliedPromo(null)}
+                />
+                
+                {hasLoyalty && (
+                  <PointsRedemptionField
+                    balance={loyaltySummary.balance}
+                    maxPoints={maxRedeemablePoints}
+                    rules={loyaltyRules}
+                    redeemedPoints={pointsRedeemed}
+                    onApply={setRedeemPoints}
+                    onRemove={() => setRedeemPoints(0)}
+                  />
+                )}
+                
+                <GiftCardField
+                  appliedCards={giftCards}
+                  canApplyMore={amountDue > 0}
+                  onApply={(giftCard) => {
+                    setGiftCards(prev => [...prev, {
+                      ...giftCard,
+                      maskedCode: giftCard.maskedCode || maskGiftCardCode(giftCard.code)
+                    }]);
+                    showSuccess(`Gift card ${giftCard.maskedCode || maskGiftCardCode(giftCard.code)} applied.`);
+                  }}
+                  onRemove={(code) => setGiftCards(prev => prev.filter(giftCard => giftCard.code !== code))}
+                />
               </div>
             </div>
           </div>
@@ -370,6 +1072,75 @@ const CheckoutPage = () => {
   );
 };
 
+// Checkout attempts survive a reload so a resubmission reuses the same idempotency key
+const BOOKING_ATTEMPT_KEY = 'booking_attempt';
+
+// Short hash of a booking payload, so a changed selection is not sent under an old key
+const fingerprintBookingData = (bookingData) => {
+  const json = JSON.stringify({
+    ...bookingData,
+    selectedSeats: [...bookingData.selectedSeats].sort()
+  });
+  
+  let hash = 5381;
+  for (let i = 0; i < json.length; i++) {
+    hash = ((hash << 5) + hash + json.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Get the idempotency key for the current attempt on a screening, creating one if needed.
+// The key is only reused for the same payload; changing seats, add-ons or payment starts a new attempt.
+const getBookingAttemptKey = (screeningId, bookingData) => {
+  const fingerprint = fingerprintBookingData(bookingData);
+  
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(BOOKING_ATTEMPT_KEY) || 'null');
+    if (stored?.screeningId === String(screeningId) && stored.fingerprint === fingerprint) {
+      return stored.idempotencyKey;
+    }
+    
+    const idempotencyKey = createIdempotencyKey();
+    sessionStorage.setItem(BOOKING_ATTEMPT_KEY, JSON.stringify({
+      screeningId: String(screeningId),
+      fingerprint,
+      idempotencyKey
+    }));
+    return idempotencyKey;
+  } catch (error) {
+    console.error('Error reading booking attempt:', error);
+    return createIdempotencyKey();
+  }
+};
+
+// Forget the attempt once it has a definite outcome
+const clearBookingAttempt = () => {
+  try {
+    sessionStorage.removeItem(BOOKING_ATTEMPT_KEY);
+  } catch (error) {
+    console.error('Error clearing booking attempt:', error);
+  }
+};
+
+// Check the contact details a guest must give, returning errors by field
+const validateGuestDetails = ({ name, email, phone }) => {
+  const errors = {};
+  
+  if (!name.trim()) {
+    errors.name = 'Name is required';
+  }
+  
+  if (!/^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i.test(email.trim())) {
+    errors.email = 'Enter a valid email address';
+  }
+  
+  if (phone.replace(/\D/g, '').length < 7) {
+    errors.phone = 'Enter a valid phone number';
+  }
+  
+  return errors;
+};
+
 // Helper function to format screening time with error handling
 const formatScreeningTime = (timeString) => {
   if (!timeString) return 'Time information not available';
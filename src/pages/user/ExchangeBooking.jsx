@@ -0,0 +1,368 @@
+// src/pages/user/ExchangeBooking.jsx
+import { useState, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useBookings } from '@hooks/useBookings';
+import { useScreenings } from '@hooks/useScreenings';
+import { useGetGroupReservedSeats } from '@hooks/useGroupBookings';
+import { useToast } from '@contexts/ToastContext';
+import { formatDate, formatCurrency, formatEnumValue } from '@utils/formatUtils';
+import { normalizeSeatingLayout, normalizeBookedSeats } from '@utils/seatLayout';
+import { CANCELLATION_CUTOFF_HOURS } from '@utils/cancellationPolicy';
+import { DEFAULT_TICKET_CATEGORY } from '@utils/ticketCategories';
+import { createIdempotencyKey, isOutcomeUnknown } from '@utils/idempotency';
+import { getTicketsSubtotal } from '@utils/receiptUtils';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import Button from '@components/common/Button';
+import NotFound from '@components/common/NotFound';
+import SeatGrid from '@components/features/booking/SeatGrid';
+import BestAvailablePicker from '@components/features/booking/BestAvailablePicker';
+import { ArrowLeftIcon, ArrowsRightLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
+
+// How far ahead to look for other showtimes
+const EXCHANGE_WINDOW_DAYS = 14;
+
+const ExchangeBookingPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showSuccess } = useToast();
+  const [targetScreeningId, setTargetScreeningId] = useState(null);
+  const [selectedSeats, setSelectedSeats] = useState([]);
+  const [errorMessage, setErrorMessage] = useState('');
+  // Difference quoted by the server after a PRICE_CHANGED rejection, confirmed on the next attempt
+  const [quotedPriceDifference, setQuotedPriceDifference] = useState(null);
+  // One key per exchange attempt, so a retried request can't move the booking twice
+  const idempotencyKeyRef = useRef(null);
+
+  const {
+    useGetBooking,
+    useGetBookedSeats,
+    useGetSeatingLayout,
+    useCalculatePrice,
+    useExchangeBooking
+  } = useBookings();
+  const { data: booking, isLoading: isLoadingBooking, error: bookingError } = useGetBooking(id);
+
+  // Other showtimes of the same movie
+  const { useGetMovieScreenings, useGetScreening } = useScreenings();
+  const { data: screeningsData, isLoading: isLoadingScreenings } = useGetMovieScreenings(
+    booking?.movieId,
+    { page: 0, size: 100 },
+    EXCHANGE_WINDOW_DAYS
+  );
+
+  // The chosen showtime's seat map; the screening is loaded for its ticket prices
+  useGetScreening(targetScreeningId);
+  const { data: rawLayout, isLoading: isLoadingLayout } = useGetSeatingLayout(targetScreeningId);
+  const {
+    data: rawBookedSeats = [],
+    isLoading: isLoadingBookedSeats,
+    refetch: refetchBookedSeats
+  } = useGetBookedSeats(targetScreeningId);
+  const { data: reservedSeats = [] } = useGetGroupReservedSeats(targetScreeningId);
+
+  const seatCount = booking?.bookedSeats?.length || 0;
+
+  // Keep the original ticket categories (adult, child...) in seat order
+  const originalCategories = Array.from(booking?.bookedSeats || [])
+    .sort()
+    .map(seat => booking?.seatCategories?.[seat] || DEFAULT_TICKET_CATEGORY);
+  const seatCategories = [...selectedSeats].sort().reduce((acc, seat, index) => ({
+    ...acc,
+    [seat]: originalCategories[index] || DEFAULT_TICKET_CATEGORY
+  }), {});
+
+  const { data: priceData, isFetching: isPricing, refetch: refetchPrice } = useCalculatePrice(targetScreeningId, selectedSeats, {
+    seatCategories,
+    enabled: !!targetScreeningId && selectedSeats.length === seatCount
+  });
+
+  const { mutate: exchangeBooking, isPending: isExchanging } = useExchangeBooking({
+    onError: (error) => {
+      if (error.isConflictError) {
+        setSelectedSeats(prev => prev.filter(seat => !error.unavailableSeats.includes(seat)));
+        refetchBookedSeats();
+      }
+      // Show the server's amount so the customer confirms what will actually be charged
+      if (error.isPriceChangedError) {
+        if (error.priceDifference !== null) {
+          setQuotedPriceDifference(error.priceDifference);
+          setErrorMessage(`The price difference is now ${formatPriceDifference(error.priceDifference)}. Please review it and confirm again.`);
+        } else {
+          refetchPrice();
+          setErrorMessage(error.message);
+        }
+        idempotencyKeyRef.current = null;
+        return;
+      }
+      // Retrying after a lost response must reuse the key; a rejected attempt gets a new one
+      if (!isOutcomeUnknown(error)) {
+        idempotencyKeyRef.current = null;
+      }
+      setErrorMessage(error.message);
+    }
+  });
+
+  if (isLoadingBooking) {
+    return <LoadingSpinner />;
+  }
+
+  if (bookingError || !booking) {
+    return <NotFound message="Booking not found" />;
+  }
+
+  const hoursBefore = (new Date(booking.screeningTime).getTime() - Date.now()) / (60 * 60 * 1000);
+  const canExchange = booking.paymentStatus !== 'CANCELLED' && hoursBefore >= CANCELLATION_CUTOFF_HOURS;
+
+  const now = Date.now();
+  const screenings = flattenScreenings(screeningsData)
+    .filter(screening => String(screening.id) !== String(booking.screeningId))
+    .filter(screening => new Date(screening.startTime).getTime() > now)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  const targetScreening = screenings.find(screening => screening.id === targetScreeningId);
+
+  const layout = rawLayout ? normalizeSeatingLayout(rawLayout).layout : null;
+  const unavailableSeats = [...normalizeBookedSeats(rawBookedSeats), ...reservedSeats];
+
+  // Only the tickets move: add-ons stay with the booking and discounts already given are kept,
+  // so the difference compares ticket subtotals rather than what was paid
+  const hasAllSeats = selectedSeats.length === seatCount;
+  const currentTicketsTotal = getTicketsSubtotal(booking);
+  const newTicketsTotal = hasAllSeats && priceData ? (priceData.ticketsTotal ?? priceData.totalPrice) : null;
+  const calculatedPriceDifference = newTicketsTotal !== null
+    ? Math.round((newTicketsTotal - currentTicketsTotal) * 100) / 100
+    : null;
+  const priceDifference = hasAllSeats && quotedPriceDifference !== null
+    ? quotedPriceDifference
+    : calculatedPriceDifference;
+
+  const handleSelectScreening = (screeningId) => {
+    setTargetScreeningId(screeningId);
+    setSelectedSeats([]);
+    setErrorMessage('');
+    setQuotedPriceDifference(null);
+  };
+
+  const handleSeatToggle = (seatId) => {
+    if (unavailableSeats.includes(seatId)) return;
+
+    setQuotedPriceDifference(null);
+    setSelectedSeats(prev => {
+      if (prev.includes(seatId)) {
+        return prev.filter(seat => seat !== seatId);
+      }
+      // Swap out the oldest pick once the party is seated
+      return prev.length >= seatCount ? [...prev.slice(1), seatId] : [...prev, seatId];
+    });
+  };
+
+  const handleConfirm = () => {
+    setErrorMessage('');
+    if (!idempotencyKeyRef.current) {
+      idempotencyKeyRef.current = createIdempotencyKey();
+    }
+
+    exchangeBooking({
+      id,
+      screeningId: targetScreeningId,
+      seats: selectedSeats,
+      expectedPriceDifference: priceDifference,
+      idempotencyKey: idempotencyKeyRef.current
+    }, {
+      onSuccess: (result) => {
+        const charged = result?.priceDifference ?? priceDifference;
+        showSuccess(
+          charged > 0
+            ? `Booking moved. ${formatCurrency(charged)} was charged to your original payment method.`
+            : charged < 0
+              ? `Booking moved. ${formatCurrency(-charged)} will be refunded to your original payment method.`
+              : 'Booking moved to the new showtime.'
+        );
+        navigate(`/bookings/${id}`);
+      }
+    });
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="mb-6 flex items-center">
+          <Button
+            variant="ghost"
+            size="sm"
+            className="mr-4"
+            onClick={() => navigate(`/bookings/${id}`)}
+            icon={<ArrowLeftIcon className="w-4 h-4" />}
+          >
+            Back to Booking
+          </Button>
+          <h1 className="text-2xl font-bold text-gray-900">Change Showtime</h1>
+        </div>
+
+        {/* Current booking */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-2">Current booking</h2>
+          <p className="text-lg font-bold text-gray-900">{booking.movieTitle}</p>
+          <p className="text-gray-600">{booking.theatreName} · {formatDate(booking.screeningTime)}</p>
+          <p className="text-sm text-gray-500">
+            {seatCount} seat{seatCount === 1 ? '' : 's'}: {Array.from(booking.bookedSeats).sort().join(', ')} · Paid {formatCurrency(booking.totalAmount)}
+          </p>
+        </div>
+
+        {!canExchange ? (
+          <div className="bg-white rounded-lg shadow p-6 text-center">
+            <p className="text-gray-600 mb-4">
+              {booking.paymentStatus === 'CANCELLED'
+                ? 'This booking has been cancelled.'
+                : `Bookings can't be changed less than ${CANCELLATION_CUTOFF_HOURS} hours before the screening.`}
+            </p>
+            <Link to={`/bookings/${id}`}>
+              <Button variant="outline">Back to Booking</Button>
+            </Link>
+          </div>
+        ) : (
+          <>
+            {/* Showtimes */}
+            <div className="bg-white rounded-lg shadow p-6 mb-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">1. Choose a new showtime</h2>
+              {isLoadingScreenings ? (
+                <LoadingSpinner />
+              ) : screenings.length === 0 ? (
+                <p className="text-gray-500">There are no other showtimes for this movie in the next {EXCHANGE_WINDOW_DAYS} days.</p>
+              ) : (
+                <div className="flex flex-wrap gap-3">
+                  {screenings.map(screening => (
+                    <button
+                      key={screening.id}
+                      type="button"
+                      onClick={() => handleSelectScreening(screening.id)}
+                      className={`inline-flex flex-col items-start px-4 py-2 border rounded-md shadow-sm text-sm ${
+                        screening.id === targetScreeningId
+                          ? 'border-primary-500 bg-primary-50 text-primary-700'
+                          : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      <span className="inline-flex items-center font-medium">
+                        <ClockIcon className="h-4 w-4 mr-1" />
+                        {formatDate(screening.startTime)}
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        {screening.theatreName}
+                        {screening.format && ` · ${formatEnumValue(screening.format)}`}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Seats */}
+            {targetScreening && (
+              <div className="bg-white rounded-lg shadow overflow-hidden">
+                <div className="p-6">
+                  <h2 className="text-lg font-semibold text-gray-900 mb-1">2. Choose {seatCount} seat{seatCount === 1 ? '' : 's'}</h2>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Your current seats stay booked until the new ones are confirmed.
+                  </p>
+
+                  {isLoadingLayout || isLoadingBookedSeats || !layout ? (
+                    <LoadingSpinner />
+                  ) : (
+                    <>
+                      <BestAvailablePicker
+                        layout={layout}
+                        unavailableSeats={unavailableSeats}
+                        onSelect={(seats) => setSelectedSeats(seats.slice(0, seatCount))}
+                      />
+                      <SeatGrid
+                        layout={layout}
+                        unavailableSeats={unavailableSeats}
+                        selectedSeats={selectedSeats}
+                        reservedSeats={reservedSeats}
+                        onToggle={handleSeatToggle}
+                      />
+                    </>
+                  )}
+                </div>
+
+                {/* Price difference */}
+                <div className="bg-gray-50 p-6 border-t">
+                  <div className="space-y-1 text-sm mb-4">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">New seats ({selectedSeats.length}/{seatCount})</span>
+                      <span>{selectedSeats.length > 0 ? [...selectedSeats].sort().join(', ') : '—'}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">New tickets</span>
+                      <span>{newTicketsTotal !== null ? formatCurrency(newTicketsTotal) : '—'}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Current tickets</span>
+                      <span>{formatCurrency(currentTicketsTotal)}</span>
+                    </div>
+                    {priceDifference !== null && (
+                      <div className="flex justify-between font-semibold pt-1 border-t border-gray-200">
+                        <span>
+                          {priceDifference > 0 ? 'To pay' : priceDifference < 0 ? 'Credit to you' : 'Price difference'}
+                        </span>
+                        <span className={priceDifference < 0 ? 'text-green-600' : ''}>
+                          {formatCurrency(Math.abs(priceDifference))}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+
+                  {priceDifference !== null && priceDifference !== 0 && (
+                    <p className="text-xs text-gray-500 mb-4">
+                      {priceDifference > 0
+                        ? 'The difference is charged to the payment method used for this booking.'
+                        : 'The difference is refunded to the payment method used for this booking.'}
+                    </p>
+                  )}
+
+                  {errorMessage && (
+                    <p className="text-sm text-red-600 mb-4">{errorMessage}</p>
+                  )}
+
+                  <div className="flex justify-end">
+                    <Button
+                      variant="primary"
+                      size="lg"
+                      icon={<ArrowsRightLeftIcon className="h-5 w-5 mr-2" />}
+                      disabled={!hasAllSeats || priceDifference === null || isPricing}
+                      loading={isExchanging}
+                      onClick={handleConfirm}
+                    >
+                      Confirm Exchange
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Movie screenings come back grouped by date, as a page, or as a plain list
+const flattenScreenings = (screeningsData) => {
+  if (!screeningsData) return [];
+  if (Array.isArray(screeningsData)) return screeningsData;
+  if (Array.isArray(screeningsData.content)) return screeningsData.content;
+
+  const byDate = screeningsData.data && typeof screeningsData.data === 'object'
+    ? screeningsData.data
+    : screeningsData;
+
+  return Object.values(byDate).filter(Array.isArray).flat();
+};
+
+// Describe a price difference from the customer's side
+const formatPriceDifference = (amount) => {
+  if (amount > 0) return `${formatCurrency(amount)} to pay`;
+  if (amount < 0) return `${formatCurrency(-amount)} back to you`;
+  return 'nothing to pay';
+};
+
+export default ExchangeBookingPage;
@@ -6,6 +6,10 @@ import { useToast } from '@contexts/ToastContext';
 import Button from '@components/common/Button';
 import Input from '@components/common/Input';
 import Tabs from '@components/common/Tabs';
+import LoyaltyPanel from '@components/features/loyalty/LoyaltyPanel';
+import TwoFactorSettings from '@components/features/twoFactor/TwoFactorSettings';
+import TrustedDevicesList from '@components/features/twoFactor/TrustedDevicesList';
+import ActiveSessionsList from '@components/features/sessions/ActiveSessionsList';
 import { 
   UserIcon, 
   KeyIcon, 
@@ -13,7 +17,8 @@ import {
   CheckCircleIcon,
   UserCircleIcon,
   EnvelopeIcon,
-  PhoneIcon
+  PhoneIcon,
+  GiftIcon
 } from '@heroicons/react/24/outline';
 
 const ProfilePage = () => {
@@ -155,59 +160,76 @@ const ProfilePage = () => {
   
   // Security tab content
   const SecurityTabContent = () => (
-    <form onSubmit={handlePasswordSubmit(onPasswordSubmit)} className="space-y-6">
-      <Input
-        label="Current Password"
-        id="currentPassword"
-        name="currentPassword"
-        type="password"
-        startIcon={<KeyIcon className="h-5 w-5 text-gray-400" />}
-        error={passwordErrors.currentPassword?.message}
-        {...registerPassword('currentPassword', {
-          required: 'Current password is required'
-        })}
-      />
+    <div className="space-y-8">
+      <form onSubmit={handlePasswordSubmit(onPasswordSubmit)} className="space-y-6">
+        <Input
+          label="Current Password"
+          id="currentPassword"
+          name="currentPassword"
+          type="password"
+          startIcon={<KeyIcon className="h-5 w-5 text-gray-400" />}
+          error={passwordErrors.currentPassword?.message}
+          {...registerPassword('currentPassword', {
+            required: 'Current password is required'
+          })}
+        />
       
-      <Input
-        label="New Password"
-        id="newPassword"
-        name="newPassword"
-        type="password"
-        startIcon={<KeyIcon className="h-5 w-5 text-gray-400" />}
-        error={passwordErrors.newPassword?.message}
-        {...registerPassword('newPassword', {
-          required: 'New password is required',
-          minLength: {
-            value: 6,
-            message: 'Password must be at least 6 characters'
-          }
-        })}
-      />
+        <Input
+          label="New Password"
+          id="newPassword"
+          name="newPassword"
+          type="password"
+          startIcon={<KeyIcon className="h-5 w-5 text-gray-400" />}
+          error={passwordErrors.newPassword?.message}
+          {...registerPassword('newPassword', {
+            required: 'New password is required',
+            minLength: {
+              value: 6,
+              message: 'Password must be at least 6 characters'
+            }
+          })}
+        />
       
-      <Input
-        label="Confirm New Password"
-        id="confirmNewPassword"
-        name="confirmNewPassword"
-        type="password"
-        startIcon={<KeyIcon className="h-5 w-5 text-gray-400" />}
-        error={passwordErrors.confirmNewPassword?.message}
-        {...registerPassword('confirmNewPassword', {
-          required: 'Please confirm your new password',
-          validate: value =>
-            value === newPassword || 'The passwords do not match'
-        })}
-      />
+        <Input
+          label="Confirm New Password"
+          id="confirmNewPassword"
+          name="confirmNewPassword"
+          type="password"
+          startIcon={<KeyIcon className="h-5 w-5 text-gray-400" />}
+          error={passwordErrors.confirmNewPassword?.message}
+          {...registerPassword('confirmNewPassword', {
+            required: 'Please confirm your new password',
+            validate: value =>
+              value === newPassword || 'The passwords do not match'
+          })}
+        />
       
-      <div className="flex justify-end">
-        <Button
-          type="submit"
-          variant="primary"
-          loading={isChangingPassword}
-        >
-          Change Password
-        </Button>
+        <div className="flex justify-end">
+          <Button
+            type="submit"
+            variant="primary"
+            loading={isChangingPassword}
+          >
+            Change Password
+          </Button>
+        </div>
+      </form>
+    
+      <div className="pt-6 border-t border-gray-200">
+        <h2 className="text-sm font-medium text-gray-500 uppercase tracking-wider mb-4">Two-Factor Authentication</h2>
+        <TwoFactorSettings />
       </div>
-    </form>
+      
+      <div className="pt-6 border-t border-gray-200">
+        <h2 className="text-sm font-medium text-gray-500 uppercase tracking-wider mb-4">Trusted Devices</h2>
+        <TrustedDevicesList />
+      </div>
+      
+      <div className="pt-6 border-t border-gray-200">
+        <h2 className="text-sm font-medium text-gray-500 uppercase tracking-wider mb-4">Active Sessions</h2>
+        <ActiveSessionsList />
+      </div>
+    </div>
   );
   
   // Preferences tab content
@@ -375,6 +397,11 @@ const ProfilePage = () => {
                 icon: <ShieldCheckIcon className="h-5 w-5" />,
                 content: <SecurityTabContent />
               },
+              { 
+                label: "Rewards", 
+                icon: <GiftIcon className="h-5 w-5" />,
+                content: <LoyaltyPanel />
+              },
               { 
                 label: "Preferences", 
                 icon: <CheckCircleIcon className="h-5 w-5" />,
@@ -1,21 +1,50 @@
 // src/pages/user/SeatSelection.jsx - Improved version with better error handling
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import { useScreenings } from '@hooks/useScreenings';
 import { useBookings } from '@hooks/useBookings';
+import { useGetGroupReservedSeats } from '@hooks/useGroupBookings';
+import { useGetLoyaltyRules, useGetMyLoyalty } from '@hooks/useLoyalty';
+import useSeatAvailability from '@hooks/useSeatAvailability';
+import { SeatEventTypes } from '@services/seatAvailabilityChannel';
 import { useAuth } from '@contexts/AuthContext';
 import { useToast } from '@contexts/ToastContext';
+import { useSeatHold } from '@hooks/useSeatHold';
+import { useBookingCartStore } from '@stores/bookingCartStore';
 import { formatCurrency } from '@utils/formatUtils';
+import { normalizeSeatingLayout, normalizeBookedSeats } from '@utils/seatLayout';
+import { getMemberTier, getBookingWindow } from '@utils/loyaltyUtils';
 import LoadingSpinner from '@components/common/LoadingSpinner';
 import Button from '@components/common/Button';
 import NotFound from '@components/common/NotFound';
+import SeatHoldBanner from '@components/features/booking/SeatHoldBanner';
+import BestAvailablePicker from '@components/features/booking/BestAvailablePicker';
+import SeatGrid from '@components/features/booking/SeatGrid';
+import WaitlistJoinPanel from '@components/features/booking/WaitlistJoinPanel';
+import BookingWindowNotice from '@components/features/loyalty/BookingWindowNotice';
 
 const SeatSelectionPage = () => {
   const { id: screeningId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const { isAuthenticated } = useAuth();
   const { showWarning, showError, showInfo } = useToast();
-  const [selectedSeats, setSelectedSeats] = useState([]);
+  const { placeHold, getHoldForScreening } = useSeatHold();
+  const activeHold = getHoldForScreening(screeningId);
+  const setCartSeats = useBookingCartStore(state => state.setSeats);
+  
+  // Start from the seats we already hold (e.g. when coming back from checkout)
+  const [selectedSeats, setSelectedSeats] = useState(() => activeHold?.seats || []);
+  
+  // Otherwise restore an expired hold or the seats saved in the cart, once we know they are still free
+  const [pendingRestore, setPendingRestore] = useState(() => {
+    if (location.state?.restoreSeats) return location.state.restoreSeats;
+    
+    const cart = useBookingCartStore.getState();
+    return !activeHold && cart.screeningId === String(screeningId) ? cart.seats : null;
+  });
+  const [isHoldingSeats, setIsHoldingSeats] = useState(false);
+  const [recentlyTakenSeats, setRecentlyTakenSeats] = useState([]);
   const [isLoadingData, setIsLoadingData] = useState(true);
   const [errorMessage, setErrorMessage] = useState("");
   
@@ -32,11 +61,18 @@ const SeatSelectionPage = () => {
     error: screeningError
   } = useGetScreening(screeningId);
   
+  // Member tiers can open booking before general sale
+  const { data: loyaltyRules } = useGetLoyaltyRules();
+  const { data: loyaltySummary } = useGetMyLoyalty({ enabled: isAuthenticated });
+  const memberTier = loyaltyRules && isAuthenticated ? getMemberTier(loyaltyRules, loyaltySummary) : null;
+  const bookingWindow = getBookingWindow(screeningData, memberTier);
+  
   // Get booked seats
   const { useGetBookedSeats, useGetSeatingLayout, useCalculatePrice } = useBookings();
   const { 
     data: rawBookedSeats = [],
-    isLoading: isLoadingBooked
+    isLoading: isLoadingBooked,
+    refetch: refetchBookedSeats
   } = useGetBookedSeats(screeningId);
   
   // Get seating layout
@@ -45,6 +81,34 @@ const SeatSelectionPage = () => {
     isLoading: isLoadingLayout
   } = useGetSeatingLayout(screeningId);
   
+  // Seats blocked for approved group bookings
+  const { data: reservedSeats = [] } = useGetGroupReservedSeats(screeningId);
+  
+  // Seats taken by other customers while this page is open
+  const handleSeatsTaken = useCallback((seats, type) => {
+    setRecentlyTakenSeats(prev => [...prev, ...seats]);
+    setTimeout(() => {
+      setRecentlyTakenSeats(prev => prev.filter(seat => !seats.includes(seat)));
+    }, 2000);
+    
+    const lostSeats = selectedSeats.filter(seat => seats.includes(seat));
+    
+    if (lostSeats.length > 0) {
+      setSelectedSeats(prev => prev.filter(seat => !seats.includes(seat)));
+      
+      const reason = type === SeatEventTypes.BOOKED ? 'booked' : 'reserved';
+      showWarning(lostSeats.length > 1
+        ? `Seats ${lostSeats.join(', ')} were just ${reason} by another customer and removed from your selection.`
+        : `Seat ${lostSeats[0]} was just ${reason} by another customer and removed from your selection.`);
+    }
+  }, [selectedSeats, showWarning]);
+  
+  // Live seat availability
+  const { heldSeats, connectionStatus } = useSeatAvailability(screeningId, {
+    ownHoldId: activeHold?.holdId,
+    onSeatsTaken: handleSeatsTaken
+  });
+  
   // Calculate price based on selected seats
   const {
     data: priceData = { totalPrice: 0 },
@@ -69,30 +133,7 @@ const SeatSelectionPage = () => {
   useEffect(() => {
     if (!isLoadingBooked && rawBookedSeats) {
       try {
-        // Handle different possible formats from the API
-        let normalizedBookedSeats = [];
-        
-        if (Array.isArray(rawBookedSeats)) {
-          // Direct array of seat IDs
-          normalizedBookedSeats = rawBookedSeats;
-        } else if (typeof rawBookedSeats === 'object') {
-          // Check if it has seats property
-          if (Array.isArray(rawBookedSeats.seats)) {
-            normalizedBookedSeats = rawBookedSeats.seats;
-          } else if (rawBookedSeats.bookedSeats) {
-            // Try bookedSeats property
-            normalizedBookedSeats = Array.isArray(rawBookedSeats.bookedSeats) 
-              ? rawBookedSeats.bookedSeats 
-              : Object.values(rawBookedSeats.bookedSeats);
-          } else {
-            // Last resort - try to extract seat IDs from object keys
-            normalizedBookedSeats = Object.keys(rawBookedSeats).filter(key => 
-              !key.includes('status') && !key.includes('message')
-            );
-          }
-        }
-        
-        setBookedSeatsData(normalizedBookedSeats);
+        setBookedSeatsData(normalizeBookedSeats(rawBookedSeats));
       } catch (error) {
         console.error("Error processing booked seats:", error);
         setBookedSeatsData([]);
@@ -104,67 +145,13 @@ const SeatSelectionPage = () => {
   useEffect(() => {
     if (!isLoadingLayout && rawSeatingLayout) {
       try {
-        // Parse and normalize the seating layout data
-        let normalizedLayout = { rows: [], basePrice: 0 };
+        const { layout, fallbackMessage } = normalizeSeatingLayout(rawSeatingLayout);
+        setLayoutData(layout);
         
-        if (rawSeatingLayout && typeof rawSeatingLayout === 'object') {
-          // Check if it has the expected 'rows' property
-          if (Array.isArray(rawSeatingLayout.rows)) {
-            // Standard format
-            normalizedLayout = rawSeatingLayout;
-          } else {
-            // Try to parse alternative formats
-            const rowKeys = Object.keys(rawSeatingLayout).filter(key => 
-              key.match(/^[A-Z]$/) // Simple check for row names (A, B, C, etc.)
-            );
-            
-            if (rowKeys.length > 0) {
-              // Extract rows from object keys
-              const rows = rowKeys.map(name => {
-                const rowData = rawSeatingLayout[name];
-                return {
-                  name,
-                  seatsCount: rowData.seatsCount || 10,
-                  priceMultiplier: rowData.priceMultiplier || 1.0,
-                  seatType: rowData.seatType || 'STANDARD'
-                };
-              });
-              
-              normalizedLayout = {
-                rows,
-                basePrice: rawSeatingLayout.basePrice || 10.99
-              };
-            } else {
-              // Last resort - create a basic layout
-              normalizedLayout = {
-                rows: [
-                  { name: "A", seatsCount: 8, priceMultiplier: 1.0, seatType: "STANDARD" },
-                  { name: "B", seatsCount: 8, priceMultiplier: 1.0, seatType: "STANDARD" },
-                  { name: "C", seatsCount: 8, priceMultiplier: 1.2, seatType: "PREMIUM" }
-                ],
-                basePrice: rawSeatingLayout.basePrice || 10.99
-              };
-              
-              // Show a warning that we're using a default layout
-              showInfo("Using default seating layout as we couldn't fully interpret the theatre's configuration.");
-            }
-          }
-        } else {
-          // Fallback to default layout
-          normalizedLayout = {
-            rows: [
-              { name: "A", seatsCount: 8, priceMultiplier: 1.0, seatType: "STANDARD" },
-              { name: "B", seatsCount: 8, priceMultiplier: 1.0, seatType: "STANDARD" },
-              { name: "C", seatsCount: 8, priceMultiplier: 1.2, seatType: "PREMIUM" }
-            ],
-            basePrice: 10.99
-          };
-          
-          // Show a warning that we're using a default layout
-          showInfo("Using default seating layout as we couldn't fetch the theatre's configuration.");
+        // Show a warning that we're using a default layout
+        if (fallbackMessage) {
+          showInfo(fallbackMessage);
         }
-        
-        setLayoutData(normalizedLayout);
       } catch (error) {
         console.error("Error processing seating layout:", error);
         // Set a default layout
@@ -179,12 +166,43 @@ const SeatSelectionPage = () => {
     }
   }, [rawSeatingLayout, isLoadingLayout, showInfo]);
   
-  // Check if user is authenticated
+  // Restore seats from an expired hold, keeping only those still free
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login', { state: { from: `/screening/${screeningId}/seats` } });
-    }
-  }, [isAuthenticated, navigate, screeningId]);
+    if (!pendingRestore) return;
+    
+    let isActive = true;
+    
+    refetchBookedSeats().then(({ data }) => {
+      if (!isActive) return;
+      
+      const takenSeats = normalizeBookedSeats(data || []);
+      const freeSeats = pendingRestore.filter(seat => !takenSeats.includes(seat));
+      const lostSeats = pendingRestore.filter(seat => takenSeats.includes(seat));
+      
+      setSelectedSeats(freeSeats);
+      setPendingRestore(null);
+      
+      if (lostSeats.length > 0) {
+        showWarning(`Seats ${lostSeats.join(', ')} were booked by someone else since you picked them.`);
+      }
+    });
+    
+    return () => {
+      isActive = false;
+    };
+  }, [pendingRestore, refetchBookedSeats, showWarning]);
+  
+  // Keep the cart in step with the selection so it survives a reload.
+  // Browsing another screening leaves the cart alone until a seat is picked.
+  useEffect(() => {
+    if (pendingRestore) return;
+    if (selectedSeats.length === 0 && useBookingCartStore.getState().screeningId !== String(screeningId)) return;
+    
+    setCartSeats(screeningId, selectedSeats, {
+      screeningTime: screeningData?.startTime,
+      movieTitle: screeningData?.movieTitle
+    });
+  }, [selectedSeats, pendingRestore, screeningId, screeningData, setCartSeats]);
   
   // Handle seat selection
   const handleSeatToggle = (seatId) => {
@@ -199,37 +217,55 @@ const SeatSelectionPage = () => {
     });
   };
   
-  // Check if a seat is booked
-  const isSeatBooked = (seatId) => {
-    return bookedSeatsData.includes(seatId);
-  };
+  // Seats booked, held or reserved by someone else (seats held by this user are still theirs to pick)
+  const unavailableSeats = [...bookedSeatsData, ...heldSeats, ...reservedSeats]
+    .filter(seatId => !activeHold?.seats.includes(seatId));
   
-  // Check if a seat is selected
-  const isSeatSelected = (seatId) => {
-    return selectedSeats.includes(seatId);
-  };
+  // Sold out once every seat in the layout is booked or held by someone else
+  const totalSeats = layoutData.rows.reduce((sum, row) => sum + row.seatsCount, 0);
+  const isSoldOut = totalSeats > 0 && new Set(unavailableSeats).size >= totalSeats;
   
-  // Get seat price
-  const getSeatPrice = (rowName) => {
-    const row = layoutData.rows.find(r => r.name === rowName);
-    return row ? row.priceMultiplier * layoutData.basePrice : layoutData.basePrice;
+  // Check if a seat is booked
+  const isSeatBooked = (seatId) => {
+    return unavailableSeats.includes(seatId);
   };
   
   // Handle continue to checkout
-  const handleContinueToCheckout = () => {
+  const handleContinueToCheckout = async () => {
     if (selectedSeats.length === 0) {
       showWarning('Please select at least one seat');
       return;
     }
     
-    // Save selected seats to session storage for checkout
+    if (!bookingWindow.isOpen) {
+      showWarning('Booking has not opened for this screening yet.');
+      return;
+    }
+    
+    setIsHoldingSeats(true);
+    
+    // Hold the seats so nobody else can book them during checkout
     try {
-      sessionStorage.setItem('selectedSeats', JSON.stringify(selectedSeats));
-      navigate(`/checkout/${screeningId}`);
+      await placeHold(screeningId, selectedSeats);
     } catch (error) {
-      console.error("Error saving seats to session storage:", error);
-      showError("There was a problem preparing your checkout. Please try again.");
+      setIsHoldingSeats(false);
+      
+      if (error.isConflictError) {
+        const takenSeats = error.unavailableSeats || [];
+        setSelectedSeats(prev => prev.filter(seat => !takenSeats.includes(seat)));
+        refetchBookedSeats();
+        showError(takenSeats.length > 0
+          ? `Sorry, seats ${takenSeats.join(', ')} were just taken. Please choose different seats.`
+          : 'Some of your seats were just taken. Please review your selection.');
+      } else {
+        showError(error.message || "We couldn't reserve your seats. Please try again.");
+      }
+      return;
     }
+    
+    // The cart already has the seats, so continue to checkout via the add-ons step
+    setIsHoldingSeats(false);
+    navigate(`/screening/${screeningId}/add-ons`);
   };
   
   // Loading state
@@ -255,72 +291,45 @@ const SeatSelectionPage = () => {
           </div>
         </header>
         
+        <SeatHoldBanner screeningId={screeningId} />
+        
+        {loyaltyRules && (
+          <BookingWindowNotice
+            bookingWindow={bookingWindow}
+            tier={memberTier}
+            tiers={loyaltyRules.tiers}
+            isAuthenticated={isAuthenticated}
+          />
+        )}
+        
         {/* Seat selection */}
         <div className="bg-white rounded-lg shadow-md overflow-hidden">
           <div className="p-6">
-            {/* Screen representation */}
-            <div className="mb-8">
-              <div className="h-8 bg-gray-300 rounded-t-lg flex items-center justify-center text-sm text-gray-600">
-                SCREEN
-              </div>
-              <div className="h-1 w-full bg-gray-400"></div>
-            </div>
+            {isSoldOut ? (
+              <WaitlistJoinPanel screeningId={screeningId} />
+            ) : (
+              // Automatic seat picking
+              <BestAvailablePicker
+                layout={layoutData}
+                unavailableSeats={unavailableSeats}
+                onSelect={setSelectedSeats}
+              />
+            )}
             
-            {/* Seating layout */}
-            <div className="mb-8 overflow-x-auto">
-              <div className="inline-block min-w-full">
-                {layoutData.rows.map((row) => (
-                  <div key={row.name} className="flex justify-center mb-2">
-                    {/* Row label */}
-                    <div className="w-8 flex items-center justify-center font-medium">
-                      {row.name}
-                    </div>
-                    
-                    {/* Seats */}
-                    <div className="flex gap-1">
-                      {Array.from({ length: row.seatsCount }, (_, i) => i + 1).map((seatNum) => {
-                        const seatId = `${row.name}${seatNum}`;
-                        const isBooked = isSeatBooked(seatId);
-                        const isSelected = isSeatSelected(seatId);
-                        
-                        return (
-                          <button
-                            key={seatId}
-                            className={`
-                              w-8 h-8 rounded-t-lg text-xs font-medium
-                              ${isBooked ? 'bg-gray-400 cursor-not-allowed' : 
-                                isSelected ? 'bg-primary-500 text-white' : 'bg-gray-200 hover:bg-gray-300'}
-                            `}
-                            onClick={() => handleSeatToggle(seatId)}
-                            disabled={isBooked}
-                            aria-label={`Seat ${seatId} ${isBooked ? '(booked)' : isSelected ? '(selected)' : '(available)'}`}
-                            title={`${formatCurrency(getSeatPrice(row.name))} - ${row.seatType || 'Standard'}`}
-                          >
-                            {seatNum}
-                          </button>
-                        );
-                      })}
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
+            <SeatGrid
+              layout={layoutData}
+              unavailableSeats={unavailableSeats}
+              selectedSeats={selectedSeats}
+              reservedSeats={reservedSeats}
+              recentlyTakenSeats={recentlyTakenSeats}
+              onToggle={handleSeatToggle}
+            />
             
-            {/* Seat legend */}
-            <div className="flex justify-center gap-4 mb-6 flex-wrap">
-              <div className="flex items-center">
-                <div className="w-4 h-4 bg-gray-200 mr-2"></div>
-                <span className="text-sm">Available</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-4 h-4 bg-primary-500 mr-2"></div>
-                <span className="text-sm">Selected</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-4 h-4 bg-gray-400 mr-2"></div>
-                <span className="text-sm">Booked</span>
-              </div>
-            </div>
+            {/* Availability status */}
+            <p className="text-center text-xs text-gray-500 mb-6">
+              {connectionStatus === 'live' && 'Seat availability updates live'}
+              {connectionStatus === 'polling' && 'Seat availability refreshes every few seconds'}
+            </p>
             
             {/* Price guide */}
             <div className="flex justify-center gap-4 mb-6 flex-wrap border-t pt-4">
@@ -365,7 +374,8 @@ const SeatSelectionPage = () => {
                 variant="primary"
                 size="lg"
                 onClick={handleContinueToCheckout}
-                disabled={selectedSeats.length === 0}
+                disabled={selectedSeats.length === 0 || !bookingWindow.isOpen}
+                loading={isHoldingSeats}
               >
                 Continue to Checkout
               </Button>
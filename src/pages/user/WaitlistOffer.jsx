@@ -0,0 +1,104 @@
+// src/pages/user/WaitlistOffer.jsx
+import { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useGetWaitlistOffer, useClaimWaitlistOffer } from '@hooks/useWaitlist';
+import { useSeatHold } from '@hooks/useSeatHold';
+import { useBookingCartStore } from '@stores/bookingCartStore';
+import useCountdown from '@hooks/useCountdown';
+import { formatDate } from '@utils/formatUtils';
+import LoadingSpinner from '@components/common/LoadingSpinner';
+import Button from '@components/common/Button';
+import { TicketIcon, ClockIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Claim page for seats offered from a waitlist (linked from the offer email)
+ */
+const WaitlistOfferPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { adoptHold } = useSeatHold();
+  const setCartSeats = useBookingCartStore(state => state.setSeats);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const { data: offer, isLoading, error } = useGetWaitlistOffer(token);
+  const { isExpired, formatted } = useCountdown(offer?.expiresAt);
+  const { mutateAsync: claimOffer, isPending: isClaiming } = useClaimWaitlistOffer();
+
+  // The offered seats become a normal seat hold, then checkout takes over
+  const handleClaim = async () => {
+    setErrorMessage('');
+    try {
+      const hold = await claimOffer(token);
+      const screeningId = hold.screeningId || offer.screeningId;
+      const seats = hold.seats || offer.seats;
+      await adoptHold({ ...hold, screeningId, seats });
+      setCartSeats(screeningId, seats, { screeningTime: offer.screeningTime, movieTitle: offer.movieTitle });
+      navigate(`/checkout/${screeningId}`);
+    } catch (err) {
+      setErrorMessage(err.message || 'Could not claim this offer.');
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  const isOpen = offer && offer.status === 'OFFERED' && !isExpired;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow p-6 text-center">
+        {error || !offer ? (
+          <>
+            <ExclamationTriangleIcon className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+            <h1 className="text-xl font-bold text-gray-900 mb-2">Offer unavailable</h1>
+            <p className="text-gray-600 mb-6">{error?.message || 'This offer could not be found.'}</p>
+          </>
+        ) : (
+          <>
+            <TicketIcon className="h-12 w-12 text-primary-600 mx-auto mb-3" />
+            <h1 className="text-xl font-bold text-gray-900 mb-1">
+              {isOpen ? 'Seats are available!' : 'Offer no longer available'}
+            </h1>
+            <p className="text-gray-900 font-medium">{offer.movieTitle}</p>
+            <p className="text-gray-600">{offer.theatreName} · {formatDate(offer.screeningTime)}</p>
+            <p className="text-gray-600 mb-4">Seats {offer.seats?.join(', ')}</p>
+
+            {isOpen ? (
+              <>
+                <p className="inline-flex items-center text-sm font-medium text-green-700 mb-6">
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  Held for you for {formatted}
+                </p>
+                {errorMessage && (
+                  <p className="text-sm text-red-600 mb-4">{errorMessage}</p>
+                )}
+                <Button
+                  variant="primary"
+                  size="lg"
+                  className="w-full"
+                  loading={isClaiming}
+                  onClick={handleClaim}
+                >
+                  Claim and Check Out
+                </Button>
+              </>
+            ) : (
+              <p className="text-gray-600 mb-6">
+                {offer.status === 'CLAIMED'
+                  ? 'These seats have already been claimed.'
+                  : 'This offer has expired and the seats have been offered to the next person in line.'}
+              </p>
+            )}
+          </>
+        )}
+
+        <Link to="/bookings" className="inline-block mt-4 text-sm text-primary-600 hover:text-primary-700">
+          Go to My Bookings
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistOfferPage;
@@ -0,0 +1,184 @@
+// src/services/bookingDocuments.js
+import { formatCurrency, formatDate } from '@utils/formatUtils';
+import { getReceiptLines, calculateReceiptTotals } from '@utils/receiptUtils';
+
+// PDF and QR libraries are only loaded when a document is actually requested
+const loadLibraries = async () => {
+  const [{ jsPDF }, { default: QRCode }] = await Promise.all([
+    import('jspdf'),
+    import('qrcode')
+  ]);
+  return { jsPDF, QRCode };
+};
+
+const getSeats = (booking) => Array.from(booking.bookedSeats || []).sort();
+
+const getScreenLabel = (booking) => (booking.screenNumber ? `Screen ${booking.screenNumber}` : '');
+
+/**
+ * Download a booking's tickets as a PDF, one page per ticket
+ * @param {Object} booking - Booking with movie, theatre, screening and seat details
+ * @param {Array<Object>} [tickets] - Signed tickets ({ seat, code }); pages are rendered without a QR when empty
+ * @returns {Promise<void>}
+ */
+export const downloadTicketPdf = async (booking, tickets = []) => {
+  const { jsPDF, QRCode } = await loadLibraries();
+  const doc = new jsPDF({ unit: 'mm', format: [100, 160] });
+
+  // Fall back to one page per seat when there are no signed tickets yet
+  const pages = tickets.length > 0
+    ? tickets
+    : getSeats(booking).map(seat => ({ seat, code: null }));
+
+  for (const [index, ticket] of pages.entries()) {
+    if (index > 0) doc.addPage();
+
+    doc.setFillColor(31, 41, 55);
+    doc.rect(0, 0, 100, 18, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(11);
+    doc.text('ADMIT ONE', 8, 11);
+    doc.setFontSize(8);
+    doc.text(booking.bookingNumber || '', 92, 11, { align: 'right' });
+
+    doc.setTextColor(17, 24, 39);
+    doc.setFontSize(15);
+    doc.text(doc.splitTextToSize(booking.movieTitle || 'Movie', 84), 8, 30);
+
+    doc.setFontSize(9);
+    doc.setTextColor(75, 85, 99);
+    const details = [
+      ['Date & time', formatDate(booking.screeningTime, { dateStyle: 'full', timeStyle: 'short' })],
+      ['Theatre', [booking.theatreName, getScreenLabel(booking)].filter(Boolean).join(' · ')],
+      ['Seat', ticket.seat || getSeats(booking).join(', ')]
+    ];
+    details.forEach(([label, value], row) => {
+      const y = 46 + row * 10;
+      doc.setFont(undefined, 'bold');
+      doc.text(label, 8, y);
+      doc.setFont(undefined, 'normal');
+      doc.text(String(value || ''), 8, y + 4.5);
+    });
+
+    if (ticket.code) {
+      const qr = await QRCode.toDataURL(ticket.code, { errorCorrectionLevel: 'M', margin: 1, width: 400 });
+      doc.addImage(qr, 'PNG', 22, 82, 56, 56);
+    } else {
+      doc.setFontSize(8);
+      doc.text('Show your booking number at the door.', 50, 110, { align: 'center' });
+    }
+
+    doc.setFontSize(7);
+    doc.setTextColor(156, 163, 175);
+    doc.text(`Ticket ${index + 1} of ${pages.length}`, 50, 152, { align: 'center' });
+  }
+
+  doc.save(`tickets-${booking.bookingNumber || booking.id}.pdf`);
+};
+
+/**
+ * Download a VAT-style receipt for a booking as a PDF
+ * @param {Object} booking - Booking
+ * @returns {Promise<void>}
+ */
+export const downloadReceiptPdf = async (booking) => {
+  const { jsPDF } = await loadLibraries();
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  const lines = getReceiptLines(booking);
+  const totals = calculateReceiptTotals(lines, {
+    vatRate: booking.vatRate,
+    vatAmount: booking.vatAmount ?? booking.taxAmount
+  });
+  const left = 20;
+  const right = 190;
+  let y = 25;
+
+  // Header
+  doc.setFontSize(20);
+  doc.text('Receipt', left, y);
+  doc.setFontSize(10);
+  doc.text(booking.theatreName || '', right, y - 6, { align: 'right' });
+  if (booking.theatreAddress) {
+    doc.setTextColor(107, 114, 128);
+    doc.text(booking.theatreAddress, right, y - 1, { align: 'right' });
+    doc.setTextColor(17, 24, 39);
+  }
+
+  y += 12;
+  doc.setFontSize(10);
+  [
+    ['Receipt number', booking.receiptNumber || booking.bookingNumber],
+    ['Date of issue', formatDate(booking.bookingTime || new Date())],
+    ['Customer', [booking.username, booking.userEmail].filter(Boolean).join(' · ')],
+    ['Payment method', booking.paymentMethod]
+  ].forEach(([label, value]) => {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, left, y);
+    doc.setFont(undefined, 'normal');
+    doc.text(String(value || ''), left + 40, y);
+    y += 6;
+  });
+
+  y += 4;
+  doc.setFont(undefined, 'bold');
+  doc.text(booking.movieTitle || '', left, y);
+  doc.setFont(undefined, 'normal');
+  y += 5;
+  doc.text(
+    `${formatDate(booking.screeningTime)} · ${[getScreenLabel(booking), `Seats ${getSeats(booking).join(', ')}`].filter(Boolean).join(' · ')}`,
+    left,
+    y
+  );
+
+  // Line items
+  y += 12;
+  doc.setFillColor(243, 244, 246);
+  doc.rect(left, y - 5, right - left, 8, 'F');
+  doc.setFont(undefined, 'bold');
+  doc.text('Description', left + 2, y);
+  doc.text('Qty', 125, y, { align: 'right' });
+  doc.text('Unit price', 155, y, { align: 'right' });
+  doc.text('Amount', right - 2, y, { align: 'right' });
+  doc.setFont(undefined, 'normal');
+
+  lines.forEach(line => {
+    y += 8;
+    doc.text(line.description, left + 2, y);
+    doc.text(String(line.quantity), 125, y, { align: 'right' });
+    doc.text(formatCurrency(line.unitPrice), 155, y, { align: 'right' });
+    doc.text(formatCurrency(line.amount), right - 2, y, { align: 'right' });
+  });
+
+  // Totals
+  y += 6;
+  doc.setDrawColor(209, 213, 219);
+  doc.line(left, y, right, y);
+  // Leave the VAT out rather than print a made-up figure when the booking has none
+  if (totals.vat !== null) {
+    [
+      ['Net amount', formatCurrency(totals.net)],
+      [totals.vatRate !== null ? `VAT (${Math.round(totals.vatRate * 1000) / 10}%)` : 'VAT', formatCurrency(totals.vat)]
+    ].forEach(([label, value]) => {
+      y += 7;
+      doc.text(label, 155, y, { align: 'right' });
+      doc.text(value, right - 2, y, { align: 'right' });
+    });
+  }
+  y += 8;
+  doc.setFont(undefined, 'bold');
+  doc.setFontSize(12);
+  doc.text('Total paid', 155, y, { align: 'right' });
+  doc.text(formatCurrency(totals.gross), right - 2, y, { align: 'right' });
+
+  doc.setFont(undefined, 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(107, 114, 128);
+  doc.text(
+    totals.vat !== null ? 'Prices include VAT. Keep this receipt for your records.' : 'Keep this receipt for your records.',
+    left,
+    280
+  );
+
+  doc.save(`receipt-${booking.bookingNumber || booking.id}.pdf`);
+};
@@ -0,0 +1,37 @@
+// src/services/payments/constants.js
+/**
+ * Payment lifecycle statuses shared by all providers
+ */
+export const PaymentStatus = {
+  REQUIRES_CHALLENGE: 'REQUIRES_CHALLENGE',
+  AUTHORIZED: 'AUTHORIZED',
+  CAPTURED: 'CAPTURED',
+  VOIDED: 'VOIDED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED'
+};
+
+/**
+ * Customer-facing messages for declined payments
+ */
+export const DECLINE_MESSAGES = {
+  CARD_DECLINED: 'Your card was declined. Please use a different card.',
+  INSUFFICIENT_FUNDS: 'Your card has insufficient funds. Please use a different card.',
+  INVALID_CARD: 'Your card details are invalid. Please check them and try again.',
+  EXPIRED_CARD: 'Your card has expired. Please use a different card.',
+  CHALLENGE_FAILED: 'We could not verify your card. Please try again.',
+  PAYMENT_NOT_FOUND: 'This payment could not be found.',
+  INVALID_STATE: 'This payment cannot be updated in its current state.'
+};
+
+/**
+ * Build the error thrown by providers, in the same shape as API client errors
+ * @param {string} declineCode - One of the DECLINE_MESSAGES keys
+ * @param {string} [message] - Override for the default message
+ * @returns {Object} Payment error
+ */
+export const createPaymentError = (declineCode, message) => ({
+  isPaymentError: true,
+  declineCode,
+  message: message || DECLINE_MESSAGES[declineCode] || 'Payment failed. Please try again.'
+});
@@ -0,0 +1,85 @@
+// src/services/payments/gatewayProvider.js
+import apiClient from '@api/client';
+import { normalizeCardNumber } from '@utils/paymentUtils';
+import { createPaymentError } from './constants';
+
+// Turn API failures into payment errors so the checkout handles both providers the same way
+const toPaymentError = (error) => {
+  const declineCode = error.response?.data?.declineCode;
+  if (declineCode) {
+    return {
+      ...createPaymentError(declineCode, error.response.data.message),
+      attemptsLeft: error.response.data.attemptsLeft
+    };
+  }
+  return error;
+};
+
+const request = async (method, url, data) => {
+  try {
+    const response = await apiClient[method](url, data);
+    const responseData = response.data || {};
+    return responseData.data || responseData;
+  } catch (error) {
+    console.error(`Payment gateway request failed (${method.toUpperCase()} ${url}):`, error);
+    throw toPaymentError(error);
+  }
+};
+
+/**
+ * Server-side payment gateway provider
+ * Forwards the payment lifecycle to the payments API
+ */
+const gatewayProvider = {
+  id: 'gateway',
+  label: 'Card payments',
+  isTestMode: false,
+
+  /**
+   * Authorize a card payment
+   * @param {Object} request - { amount, currency, card, metadata }
+   * @returns {Promise<Object>} Payment result
+   */
+  authorize: ({ amount, currency = 'USD', card, metadata = {} }) => request('post', '/payments/authorize', {
+    amount,
+    currency,
+    card: {
+      ...card,
+      number: normalizeCardNumber(card.number)
+    },
+    metadata
+  }),
+
+  /**
+   * Complete the verification challenge for a payment
+   * @param {string} paymentId - Payment ID
+   * @param {string} code - Verification code entered by the customer
+   * @returns {Promise<Object>} Payment result
+   */
+  confirmChallenge: (paymentId, code) => request('post', `/payments/${paymentId}/challenge`, { code }),
+
+  /**
+   * Capture an authorized payment
+   * @param {string} paymentId - Payment ID
+   * @param {number} [amount] - Amount to capture
+   * @returns {Promise<Object>} Payment result
+   */
+  capture: (paymentId, amount) => request('post', `/payments/${paymentId}/capture`, { amount }),
+
+  /**
+   * Release an authorization that was never captured
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} Payment result
+   */
+  voidAuthorization: (paymentId) => request('post', `/payments/${paymentId}/void`),
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {string} paymentId - Payment ID
+   * @param {number} [amount] - Amount to refund
+   * @returns {Promise<Object>} Payment result
+   */
+  refund: (paymentId, amount) => request('post', `/payments/${paymentId}/refund`, { amount })
+};
+
+export default gatewayProvider;
@@ -0,0 +1,56 @@
+// src/services/payments/index.js
+import mockProvider from './mockProvider';
+import gatewayProvider from './gatewayProvider';
+
+export { PaymentStatus, DECLINE_MESSAGES, createPaymentError } from './constants';
+
+/**
+ * Payment providers by ID.
+ *
+ * Every provider implements the same lifecycle:
+ * - authorize({ amount, currency, card, metadata }) resolves with
+ *   { paymentId, status, amount, challenge? } where status is AUTHORIZED or
+ *   REQUIRES_CHALLENGE, and rejects with a payment error when declined
+ * - confirmChallenge(paymentId, code) completes a REQUIRES_CHALLENGE payment
+ * - capture(paymentId, amount?) settles an authorized payment
+ * - voidAuthorization(paymentId) releases an authorization that was never captured
+ * - refund(paymentId, amount?) returns all or part of a captured payment
+ */
+const providers = {
+  [mockProvider.id]: mockProvider,
+  [gatewayProvider.id]: gatewayProvider
+};
+
+/**
+ * Register an additional payment provider
+ * @param {Object} provider - Provider implementing the lifecycle above
+ */
+export const registerPaymentProvider = (provider) => {
+  providers[provider.id] = provider;
+};
+
+// The mock approves any well-formed card without charging it, so it is never used unless asked for
+const isMockAllowed = () => import.meta.env.DEV || import.meta.env.VITE_ENABLE_MOCK_PAYMENTS === 'true';
+
+/**
+ * Get a payment provider by ID
+ * @param {string} [id] - Provider ID, defaults to VITE_PAYMENT_PROVIDER or the payment gateway
+ * @returns {Object} Payment provider
+ */
+export const getPaymentProvider = (id = import.meta.env.VITE_PAYMENT_PROVIDER || gatewayProvider.id) => {
+  const provider = providers[id];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${id}`);
+  }
+  if (provider.id === mockProvider.id && !isMockAllowed()) {
+    throw new Error('The mock payment provider is only available in development. Set VITE_ENABLE_MOCK_PAYMENTS=true to use it elsewhere.');
+  }
+  return provider;
+};
+
+/**
+ * Whether a checkout payment method is paid by card through a provider
+ * @param {string} paymentMethod - Payment method label
+ * @returns {boolean} True for card payments
+ */
+export const isCardPayment = (paymentMethod) => paymentMethod === 'Credit Card' || paymentMethod === 'Debit Card';
@@ -0,0 +1,194 @@
+// src/services/payments/mockProvider.js
+import { normalizeCardNumber, validateCardDetails } from '@utils/paymentUtils';
+import { PaymentStatus, createPaymentError } from './constants';
+
+/**
+ * Deterministic test cards. Any other valid card number is approved.
+ */
+export const TEST_CARDS = [
+  { number: '4242424242424242', outcome: 'SUCCESS', description: 'Payment succeeds' },
+  { number: '4000000000000002', outcome: 'CARD_DECLINED', description: 'Card is declined' },
+  { number: '4000000000009995', outcome: 'INSUFFICIENT_FUNDS', description: 'Declined for insufficient funds' },
+  { number: '4000000000003220', outcome: 'CHALLENGE', description: 'Requires a verification code' }
+];
+
+// Verification code that passes the mock challenge
+export const MOCK_CHALLENGE_CODE = '123456';
+
+const MAX_CHALLENGE_ATTEMPTS = 3;
+const SIMULATED_LATENCY = 600;
+
+// Payments only live for the lifetime of the page, which is all the mock needs
+const payments = new Map();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toRounded = (amount) => Math.round(amount * 100) / 100;
+
+const getPayment = (paymentId) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw createPaymentError('PAYMENT_NOT_FOUND');
+  }
+  return payment;
+};
+
+// Only return the public fields so callers cannot mutate the stored payment
+const toResult = (payment) => ({
+  paymentId: payment.paymentId,
+  status: payment.status,
+  amount: payment.amount,
+  capturedAmount: payment.capturedAmount,
+  refundedAmount: payment.refundedAmount,
+  last4: payment.last4,
+  challenge: payment.status === PaymentStatus.REQUIRES_CHALLENGE
+    ? { type: 'OTP', attemptsLeft: MAX_CHALLENGE_ATTEMPTS - payment.challengeAttempts }
+    : undefined
+});
+
+/**
+ * Local mock payment provider
+ * Simulates a card gateway in memory so the checkout can be exercised offline
+ */
+const mockProvider = {
+  id: 'mock',
+  label: 'Test payments',
+  isTestMode: true,
+  testCards: TEST_CARDS,
+  challengeHint: `Test mode: enter ${MOCK_CHALLENGE_CODE} to approve the payment.`,
+
+  /**
+   * Authorize a card payment
+   * @param {Object} request - { amount, currency, card, metadata }
+   * @returns {Promise<Object>} Payment result
+   */
+  authorize: async ({ amount, currency = 'USD', card, metadata = {} }) => {
+    await wait(SIMULATED_LATENCY);
+
+    const cardErrors = validateCardDetails(card);
+    if (cardErrors.expiry === 'This card has expired') {
+      throw createPaymentError('EXPIRED_CARD');
+    }
+    if (Object.keys(cardErrors).length > 0) {
+      throw createPaymentError('INVALID_CARD');
+    }
+
+    const number = normalizeCardNumber(card.number);
+    const outcome = TEST_CARDS.find(testCard => testCard.number === number)?.outcome || 'SUCCESS';
+
+    if (outcome === 'CARD_DECLINED' || outcome === 'INSUFFICIENT_FUNDS') {
+      throw createPaymentError(outcome);
+    }
+
+    const payment = {
+      paymentId: `mock_pay_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      status: outcome === 'CHALLENGE' ? PaymentStatus.REQUIRES_CHALLENGE : PaymentStatus.AUTHORIZED,
+      amount: toRounded(amount),
+      currency,
+      capturedAmount: 0,
+      refundedAmount: 0,
+      last4: number.slice(-4),
+      challengeAttempts: 0,
+      metadata
+    };
+    payments.set(payment.paymentId, payment);
+
+    return toResult(payment);
+  },
+
+  /**
+   * Complete the verification challenge for a payment
+   * @param {string} paymentId - Payment ID
+   * @param {string} code - Verification code entered by the customer
+   * @returns {Promise<Object>} Payment result
+   */
+  confirmChallenge: async (paymentId, code) => {
+    await wait(SIMULATED_LATENCY);
+
+    const payment = getPayment(paymentId);
+    if (payment.status !== PaymentStatus.REQUIRES_CHALLENGE) {
+      throw createPaymentError('INVALID_STATE');
+    }
+
+    if (String(code).trim() === MOCK_CHALLENGE_CODE) {
+      payment.status = PaymentStatus.AUTHORIZED;
+      return toResult(payment);
+    }
+
+    payment.challengeAttempts += 1;
+    const attemptsLeft = MAX_CHALLENGE_ATTEMPTS - payment.challengeAttempts;
+
+    if (attemptsLeft <= 0) {
+      payments.delete(paymentId);
+      throw createPaymentError('CHALLENGE_FAILED');
+    }
+
+    throw {
+      ...createPaymentError('CHALLENGE_FAILED', `That code is incorrect. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`),
+      attemptsLeft
+    };
+  },
+
+  /**
+   * Capture an authorized payment
+   * @param {string} paymentId - Payment ID
+   * @param {number} [amount] - Amount to capture, defaults to the authorized amount
+   * @returns {Promise<Object>} Payment result
+   */
+  capture: async (paymentId, amount) => {
+    await wait(SIMULATED_LATENCY / 2);
+
+    const payment = getPayment(paymentId);
+    if (payment.status !== PaymentStatus.AUTHORIZED) {
+      throw createPaymentError('INVALID_STATE');
+    }
+
+    payment.capturedAmount = toRounded(Math.min(amount ?? payment.amount, payment.amount));
+    payment.status = PaymentStatus.CAPTURED;
+    return toResult(payment);
+  },
+
+  /**
+   * Release an authorization that was never captured
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} Payment result
+   */
+  voidAuthorization: async (paymentId) => {
+    await wait(SIMULATED_LATENCY / 2);
+
+    const payment = getPayment(paymentId);
+    if (payment.status !== PaymentStatus.AUTHORIZED && payment.status !== PaymentStatus.REQUIRES_CHALLENGE) {
+      throw createPaymentError('INVALID_STATE');
+    }
+
+    payment.status = PaymentStatus.VOIDED;
+    return toResult(payment);
+  },
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {string} paymentId - Payment ID
+   * @param {number} [amount] - Amount to refund, defaults to the remaining captured amount
+   * @returns {Promise<Object>} Payment result
+   */
+  refund: async (paymentId, amount) => {
+    await wait(SIMULATED_LATENCY);
+
+    const payment = getPayment(paymentId);
+    if (payment.status !== PaymentStatus.CAPTURED && payment.status !== PaymentStatus.PARTIALLY_REFUNDED) {
+      throw createPaymentError('INVALID_STATE');
+    }
+
+    const refundable = toRounded(payment.capturedAmount - payment.refundedAmount);
+    const refundAmount = toRounded(Math.min(amount ?? refundable, refundable));
+
+    payment.refundedAmount = toRounded(payment.refundedAmount + refundAmount);
+    payment.status = payment.refundedAmount >= payment.capturedAmount
+      ? PaymentStatus.REFUNDED
+      : PaymentStatus.PARTIALLY_REFUNDED;
+
+    return { ...toResult(payment), refundAmount };
+  }
+};
+
+export default mockProvider;
@@ -0,0 +1,134 @@
+// src/services/seatAvailabilityChannel.js
+import apiClient from '@api/client';
+import bookingApi from '@api/bookings';
+
+/**
+ * Seat event types pushed by the server
+ */
+export const SeatEventTypes = {
+  BOOKED: 'SEAT_BOOKED',
+  HELD: 'SEAT_HELD',
+  RELEASED: 'SEAT_RELEASED'
+};
+
+// Give up on the stream after this many failed connection attempts
+const MAX_STREAM_ERRORS = 3;
+
+/**
+ * Open a live seat availability channel for a screening.
+ * Uses Server-Sent Events when available and falls back to polling the
+ * booked seats endpoint, turning the differences into the same events.
+ *
+ * @param {number|string} screeningId - Screening ID
+ * @param {Object} handlers - Channel handlers
+ * @param {Function} handlers.onEvent - Called with { type, seats, holdId }
+ * @param {Function} [handlers.onStatusChange] - Called with 'connecting' | 'live' | 'polling' | 'closed'
+ * @param {number} [handlers.pollInterval=10000] - Polling interval in milliseconds
+ * @returns {Object} Channel with a close() method
+ */
+export const createSeatAvailabilityChannel = (screeningId, {
+  onEvent,
+  onStatusChange = () => {},
+  pollInterval = 10000
+}) => {
+  let eventSource = null;
+  let pollTimer = null;
+  let knownBookedSeats = null;
+  let streamErrors = 0;
+  let isClosed = false;
+
+  const emit = (event) => {
+    if (isClosed || !event?.type || !Array.isArray(event.seats) || event.seats.length === 0) return;
+    onEvent(event);
+  };
+
+  // Compare the booked seats with the last poll and emit the differences.
+  // A failed poll is skipped so it is not mistaken for every seat being released.
+  const poll = async () => {
+    let bookedSeats;
+    try {
+      bookedSeats = await bookingApi.fetchBookedSeats(screeningId);
+    } catch (error) {
+      console.warn(`Seat availability poll failed for screening ${screeningId}:`, error);
+      return;
+    }
+
+    if (knownBookedSeats) {
+      emit({
+        type: SeatEventTypes.BOOKED,
+        seats: bookedSeats.filter(seat => !knownBookedSeats.includes(seat))
+      });
+      emit({
+        type: SeatEventTypes.RELEASED,
+        seats: knownBookedSeats.filter(seat => !bookedSeats.includes(seat))
+      });
+    }
+
+    knownBookedSeats = bookedSeats;
+  };
+
+  const startPolling = () => {
+    if (isClosed || pollTimer) return;
+
+    onStatusChange('polling');
+    const safePoll = () => {
+      poll().catch(error => console.error('Error polling seat availability:', error));
+    };
+
+    safePoll();
+    pollTimer = setInterval(safePoll, pollInterval);
+  };
+
+  const connect = () => {
+    if (typeof window === 'undefined' || typeof window.EventSource === 'undefined') {
+      startPolling();
+      return;
+    }
+
+    onStatusChange('connecting');
+    eventSource = new window.EventSource(
+      `${apiClient.defaults.baseURL}/screenings/${screeningId}/seats/stream`
+    );
+
+    eventSource.onopen = () => {
+      streamErrors = 0;
+      onStatusChange('live');
+    };
+
+    eventSource.onmessage = (message) => {
+      try {
+        const event = JSON.parse(message.data);
+        emit({
+          type: event.type,
+          seats: event.seats || (event.seat ? [event.seat] : []),
+          holdId: event.holdId
+        });
+      } catch (error) {
+        console.error('Invalid seat availability event:', error);
+      }
+    };
+
+    eventSource.onerror = () => {
+      streamErrors += 1;
+
+      // The browser retries on its own unless the stream was rejected outright
+      if (eventSource.readyState === window.EventSource.CLOSED || streamErrors >= MAX_STREAM_ERRORS) {
+        console.warn(`Seat stream unavailable for screening ${screeningId}, falling back to polling`);
+        eventSource.close();
+        eventSource = null;
+        startPolling();
+      }
+    };
+  };
+
+  connect();
+
+  return {
+    close: () => {
+      isClosed = true;
+      eventSource?.close();
+      clearInterval(pollTimer);
+      onStatusChange('closed');
+    }
+  };
+};
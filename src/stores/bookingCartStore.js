@@ -0,0 +1,153 @@
+// src/stores/bookingCartStore.js - In-progress booking kept between seat selection and checkout
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+
+// Local storage key for the booking cart
+export const BOOKING_CART_STORAGE_KEY = 'booking_cart';
+
+// Carts left untouched for longer than this are discarded
+const CART_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const emptyCart = {
+  screeningId: null,
+  seats: [],
+  addOns: [],
+  screeningTime: null,
+  movieTitle: null,
+  updatedAt: null
+};
+
+/**
+ * Pick the cart data out of the store state, leaving the actions behind
+ * @param {Object} state - Store state
+ * @returns {Object} Cart { screeningId, seats, addOns, screeningTime, movieTitle, updatedAt }
+ */
+export const getCartSnapshot = (state) => ({
+  screeningId: state.screeningId,
+  seats: state.seats,
+  addOns: state.addOns,
+  screeningTime: state.screeningTime,
+  movieTitle: state.movieTitle,
+  updatedAt: state.updatedAt
+});
+
+/**
+ * Check whether a cart can no longer be booked: it is empty, was
+ * abandoned long ago, or its screening has already started
+ * @param {Object} cart - Cart
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} Whether the cart should be discarded
+ */
+export const isCartStale = (cart, now = Date.now()) => {
+  if (!cart?.screeningId || !Array.isArray(cart.seats) || cart.seats.length === 0) {
+    return true;
+  }
+  if (!cart.updatedAt || now - cart.updatedAt > CART_MAX_AGE_MS) {
+    return true;
+  }
+  return !!cart.screeningTime && new Date(cart.screeningTime).getTime() <= now;
+};
+
+/**
+ * Booking cart store
+ * Persisted to local storage so the selection survives reloads and is shared
+ * between tabs; signed-in carts are also saved to the server (see useBookingCartSync)
+ */
+export const useBookingCartStore = create(
+  persist(
+    (set, get) => ({
+      ...emptyCart,
+
+      /**
+       * Replace the selected seats. Picking seats for another screening starts a new cart.
+       * @param {number|string} screeningId - Screening ID
+       * @param {Array<string>} seats - Selected seats
+       * @param {Object} [details] - Screening details shown when resuming { screeningTime, movieTitle }
+       */
+      setSeats: (screeningId, seats, details = {}) => {
+        if (seats.length === 0) {
+          set(emptyCart);
+          return;
+        }
+
+        const isSameScreening = get().screeningId === String(screeningId);
+        set({
+          screeningId: String(screeningId),
+          seats: [...seats].sort(),
+          addOns: isSameScreening ? get().addOns : [],
+          screeningTime: details.screeningTime ?? (isSameScreening ? get().screeningTime : null),
+          movieTitle: details.movieTitle ?? (isSameScreening ? get().movieTitle : null),
+          updatedAt: Date.now()
+        });
+      },
+
+      /**
+       * Replace the add-ons chosen for the cart's screening
+       * @param {number|string} screeningId - Screening ID
+       * @param {Array<Object>} items - [{ concessionId, size, quantity }]
+       */
+      setAddOns: (screeningId, items) => {
+        if (get().screeningId !== String(screeningId)) return;
+
+        set({
+          addOns: items.filter(item => item.quantity > 0),
+          updatedAt: Date.now()
+        });
+      },
+
+      /**
+       * Drop seats that can no longer be booked, e.g. because someone else booked them
+       * @param {number|string} screeningId - Screening the seats belong to
+       * @param {Array<string>} takenSeats - Seats to remove
+       * @returns {Array<string>} Seats that were removed from the cart
+       */
+      removeSeats: (screeningId, takenSeats) => {
+        if (get().screeningId !== String(screeningId)) return [];
+
+        const { seats } = get();
+
+        const removed = seats.filter(seat => takenSeats.includes(seat));
+        if (removed.length === 0) return [];
+
+        const remaining = seats.filter(seat => !takenSeats.includes(seat));
+        set(remaining.length > 0 ? { seats: remaining, updatedAt: Date.now() } : emptyCart);
+        return removed;
+      },
+
+      /**
+       * Replace the cart with one saved elsewhere, e.g. on the server
+       * @param {Object} cart - Cart
+       */
+      restoreCart: (cart) => {
+        if (isCartStale(cart)) return;
+        set({ ...emptyCart, ...getCartSnapshot(cart) });
+      },
+
+      /**
+       * Empty the cart once it has been booked or abandoned
+       */
+      clearCart: () => set(emptyCart)
+    }),
+    {
+      name: BOOKING_CART_STORAGE_KEY,
+      storage: createJSONStorage(() => localStorage),
+      version: 1,
+      partialize: getCartSnapshot,
+      // Stale carts are dropped when loading, including changes made in other tabs
+      merge: (persistedState, currentState) => (
+        persistedState && !isCartStale(persistedState)
+          ? { ...currentState, ...persistedState }
+          : { ...currentState, ...emptyCart }
+      )
+    }
+  )
+);
+
+// Pick up cart changes made in other tabs
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === BOOKING_CART_STORAGE_KEY) {
+      useBookingCartStore.persist.rehydrate();
+    }
+  });
+}
@@ -0,0 +1,245 @@
+// src/utils/calendarUtils.js - iCalendar (RFC 5545) export for bookings and screenings
+
+// Screening times without an offset are wall-clock times at the theatre
+export const THEATRE_TIME_ZONE = import.meta.env.VITE_THEATRE_TIME_ZONE
+  || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Used when neither the screening end time nor the movie length is known
+const DEFAULT_DURATION_MINUTES = 120;
+
+// Reminders added to booked showtimes; screenings the user has not booked only get the last one
+const BOOKING_ALARMS = ['-P1D', '-PT1H'];
+const SCREENING_ALARMS = ['-PT1H'];
+
+const PRODUCT_ID = '-//Movie Booking//Showtimes//EN';
+const UID_DOMAIN = 'moviebooking.app';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/London'
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Resolve a screening time to an exact instant.
+ * ISO strings with an offset or 'Z' are already exact; local date-times
+ * (as sent by the API) are read as wall-clock time in the theatre's time zone.
+ *
+ * @param {string|Date} value - Date-time
+ * @param {string} [timeZone] - Time zone of local date-times
+ * @returns {Date|null} Date, or null if it cannot be parsed
+ */
+export const resolveScreeningTime = (value, timeZone = THEATRE_TIME_ZONE) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/.exec(value);
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Two passes settle the offset for times close to a daylight saving change
+  let offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  offset = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - offset);
+};
+
+/**
+ * Format an instant as an iCalendar UTC date-time, e.g. 20261019T183000Z
+ * @param {Date} date - Date
+ * @returns {string} iCalendar date-time
+ */
+const formatIcsDate = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+  + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentLength = 0;
+
+  for (const char of line) {
+    const charLength = encoder.encode(char).length;
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      chunks.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const buildEventLines = (event, now) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `DTSTART:${formatIcsDate(event.start)}`,
+    `DTEND:${formatIcsDate(event.end)}`,
+    `SUMMARY:${escapeIcsText(event.title)}`
+  ];
+
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+
+  (event.alarms || []).forEach(trigger => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(event.title)}`,
+      `TRIGGER:${trigger}`,
+      'END:VALARM'
+    );
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar file from events
+ * @param {Array<Object>} events - Events from createBookingEvent / createScreeningEvent
+ * @param {Object} [options] - { name } shown by calendar apps for the whole calendar
+ * @returns {string} iCalendar text
+ */
+export const buildCalendar = (events, { name } = {}) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+
+  events.filter(Boolean).forEach(event => {
+    lines.push(...buildEventLines(event, now));
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const getEndTime = (start, endTime, durationMinutes) => {
+  const end = resolveScreeningTime(endTime);
+  if (end && end > start) return end;
+  return new Date(start.getTime() + (durationMinutes || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+};
+
+const getLocation = ({ theatreName, theatreAddress, screenNumber }) => [
+  theatreName,
+  screenNumber ? `Screen ${screenNumber}` : null,
+  theatreAddress
+].filter(Boolean).join(', ');
+
+/**
+ * Calendar event for a booked showtime
+ * @param {Object} booking - Booking
+ * @returns {Object|null} Event, or null if the screening time is unknown
+ */
+export const createBookingEvent = (booking) => {
+  const start = resolveScreeningTime(booking.screeningTime);
+  if (!start) return null;
+
+  const seats = Array.from(booking.bookedSeats || []).sort();
+  const description = [
+    `Booking ${booking.bookingNumber}`,
+    booking.screenNumber ? `Screen ${booking.screenNumber}` : null,
+    seats.length > 0 ? `Seats ${seats.join(', ')}` : null,
+    'Show your e-ticket at the door.'
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `booking-${booking.id}@${UID_DOMAIN}`,
+    start,
+    end: getEndTime(start, booking.screeningEndTime, booking.durationMinutes),
+    title: booking.movieTitle,
+    location: getLocation(booking),
+    description,
+    url: `${window.location.origin}/bookings/${booking.id}`,
+    status: booking.paymentStatus === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED',
+    alarms: BOOKING_ALARMS
+  };
+};
+
+/**
+ * Calendar event for a screening the user may want to attend
+ * @param {Object} screening - Screening
+ * @param {Object} [movie] - Movie, used for the title and running time
+ * @returns {Object|null} Event, or null if the screening time is unknown
+ */
+export const createScreeningEvent = (screening, movie = {}) => {
+  const start = resolveScreeningTime(screening.startTime);
+  if (!start) return null;
+
+  return {
+    uid: `screening-${screening.id}@${UID_DOMAIN}`,
+    start,
+    end: getEndTime(start, screening.endTime, movie.durationMinutes || movie.duration),
+    title: screening.movieTitle || movie.title,
+    location: getLocation(screening),
+    description: `Book seats: ${window.location.origin}/screening/${screening.id}/seats`,
+    url: `${window.location.origin}/screening/${screening.id}/seats`,
+    status: 'TENTATIVE',
+    alarms: SCREENING_ALARMS
+  };
+};
+
+/**
+ * Save iCalendar text as an .ics file
+ * @param {string} content - iCalendar text
+ * @param {string} filename - File name without extension
+ */
+export const downloadCalendarFile = (content, filename) => {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${filename}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,83 @@
+// src/utils/cancellationPolicy.js - Seat cancellation rules and refund previews
+import { formatCurrency } from './formatUtils';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Refund tiers by how long before the screening seats are released, checked in order.
+ * The API applies the same rules when the cancellation is confirmed.
+ */
+export const CANCELLATION_POLICY = [
+  { minHoursBefore: 48, refundPercent: 100, feePerSeat: 0, label: 'More than 48 hours before' },
+  { minHoursBefore: 24, refundPercent: 100, feePerSeat: 1.5, label: '24 to 48 hours before' },
+  { minHoursBefore: 2, refundPercent: 50, feePerSeat: 1.5, label: '2 to 24 hours before' }
+];
+
+/**
+ * Seats can't be released once the screening is this close
+ */
+export const CANCELLATION_CUTOFF_HOURS = 2;
+
+/**
+ * Describe a policy tier, e.g. "Full refund less $1.50 per seat"
+ * @param {Object} tier - Policy tier
+ * @returns {string} Description
+ */
+export const formatPolicyTier = (tier) => {
+  const refund = tier.refundPercent === 100 ? 'Full refund' : `${tier.refundPercent}% refund`;
+  return tier.feePerSeat > 0 ? `${refund} less ${formatCurrency(tier.feePerSeat)} per seat` : refund;
+};
+
+/**
+ * What each seat of a booking was paid for.
+ * Uses per-seat prices from the API when present, otherwise splits the total evenly.
+ * @param {Object} booking - Booking
+ * @returns {Object} Map of seat number to amount paid
+ */
+export const getSeatPrices = (booking) => {
+  const seats = Array.from(booking.bookedSeats || []);
+
+  if (booking.seatPrices && seats.every(seat => typeof booking.seatPrices[seat] === 'number')) {
+    return seats.reduce((acc, seat) => ({ ...acc, [seat]: booking.seatPrices[seat] }), {});
+  }
+
+  const share = seats.length > 0 ? roundCurrency((booking.totalAmount || 0) / seats.length) : 0;
+  return seats.reduce((acc, seat) => ({ ...acc, [seat]: share }), {});
+};
+
+/**
+ * Preview the refund for releasing some of a booking's seats
+ * @param {Object} booking - Booking
+ * @param {Array<string>} seats - Seats to release
+ * @param {Date} [now] - Time of the cancellation
+ * @returns {Object} { allowed, tier, seatsAmount, fee, refundAmount, reason }
+ */
+export const previewSeatRefund = (booking, seats, now = new Date()) => {
+  const hoursBefore = (new Date(booking.screeningTime).getTime() - now.getTime()) / (60 * 60 * 1000);
+  const tier = CANCELLATION_POLICY.find(policy => hoursBefore >= policy.minHoursBefore);
+
+  if (!tier) {
+    return {
+      allowed: false,
+      tier: null,
+      seatsAmount: 0,
+      fee: 0,
+      refundAmount: 0,
+      reason: `Seats can't be released less than ${CANCELLATION_CUTOFF_HOURS} hours before the screening.`
+    };
+  }
+
+  const prices = getSeatPrices(booking);
+  const seatsAmount = roundCurrency(seats.reduce((sum, seat) => sum + (prices[seat] || 0), 0));
+  const refundable = roundCurrency(seatsAmount * (tier.refundPercent / 100));
+  const fee = Math.min(roundCurrency(tier.feePerSeat * seats.length), refundable);
+
+  return {
+    allowed: seats.length > 0,
+    tier,
+    seatsAmount,
+    fee,
+    refundAmount: roundCurrency(refundable - fee),
+    reason: seats.length === 0 ? 'Select the seats you no longer need.' : null
+  };
+};
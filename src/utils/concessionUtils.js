@@ -0,0 +1,81 @@
+// src/utils/concessionUtils.js - Concession catalog and booking add-on helpers
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Concession categories, in the order the add-ons step lists them
+ */
+export const ConcessionCategories = {
+  COMBO: { label: 'Combos' },
+  SNACK: { label: 'Snacks' },
+  DRINK: { label: 'Drinks' },
+  SWEETS: { label: 'Sweets' }
+};
+
+// Largest quantity of one item a customer can add to a booking
+export const MAX_ADD_ON_QUANTITY = 10;
+
+/**
+ * Check whether a concession, or one of its sizes, can be ordered
+ * @param {Object} concession - Concession with inStock and sizes
+ * @param {string} [sizeLabel] - Size to check; any size when omitted
+ * @returns {boolean} True when it is in stock
+ */
+export const isConcessionAvailable = (concession, sizeLabel) => {
+  if (!concession || concession.active === false || concession.inStock === false) return false;
+
+  const sizes = concession.sizes || [];
+  if (sizeLabel) {
+    const size = sizes.find(s => s.label === sizeLabel);
+    return !!size && size.inStock !== false;
+  }
+
+  return sizes.some(size => size.inStock !== false);
+};
+
+/**
+ * Describe an add-on line, e.g. "Popcorn (Large)"
+ * @param {Object} line - Add-on line with name and size
+ * @returns {string} Description
+ */
+export const formatAddOnLabel = (line) => {
+  if (!line) return '';
+  return line.size ? `${line.name} (${line.size})` : line.name;
+};
+
+/**
+ * Price the chosen add-ons against a theatre's catalog.
+ * Items that are no longer sold or out of stock are left out and reported.
+ *
+ * @param {Array<Object>} addOns - [{ concessionId, size, quantity }]
+ * @param {Array<Object>} catalog - Theatre concessions
+ * @returns {Object} { lines, total, unavailable }
+ */
+export const priceAddOns = (addOns = [], catalog = []) => {
+  const lines = [];
+  const unavailable = [];
+
+  addOns.forEach(addOn => {
+    const concession = catalog.find(item => String(item.id) === String(addOn.concessionId));
+    const size = concession?.sizes?.find(s => s.label === addOn.size);
+
+    if (!concession || !size || !isConcessionAvailable(concession, addOn.size)) {
+      unavailable.push(addOn);
+      return;
+    }
+
+    lines.push({
+      concessionId: concession.id,
+      name: concession.name,
+      size: size.label,
+      quantity: addOn.quantity,
+      unitPrice: size.price,
+      amount: roundCurrency(size.price * addOn.quantity)
+    });
+  });
+
+  return {
+    lines,
+    total: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)),
+    unavailable
+  };
+};
@@ -0,0 +1,45 @@
+// src/utils/deviceUtils.js - Device descriptions for trusted devices and sessions
+
+// Checked in order; Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg\//i },
+  { name: 'Opera', pattern: /OPR\//i },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser/i },
+  { name: 'Firefox', pattern: /Firefox|FxiOS/i },
+  { name: 'Chrome', pattern: /Chrome|CriOS/i },
+  { name: 'Safari', pattern: /Safari/i }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/i },
+  { name: 'Android', pattern: /Android/i },
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/i },
+  { name: 'ChromeOS', pattern: /CrOS/i },
+  { name: 'Linux', pattern: /Linux/i }
+];
+
+/**
+ * Describe a browser from its user agent
+ * @param {string} [userAgent] - User agent string, defaults to this browser's
+ * @returns {string} e.g. "Chrome on macOS"
+ */
+export const describeUserAgent = (userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '') => {
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent))?.name;
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent))?.name;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown browser';
+};
+
+/**
+ * Describe where a device was last seen
+ * @param {Object} device - Device or session from the API
+ * @returns {string|null} e.g. "Leeds, United Kingdom", or null when unknown
+ */
+export const describeLocation = (device) => {
+  if (typeof device.location === 'string') return device.location || null;
+
+  const parts = [device.location?.city ?? device.city, device.location?.country ?? device.country].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
@@ -0,0 +1,79 @@
+// src/utils/giftCardUtils.js - Gift card helpers
+
+// Amounts offered as one-tap choices
+export const GIFT_CARD_AMOUNTS = [25, 50, 100];
+
+// Range for a custom amount
+export const MIN_GIFT_CARD_AMOUNT = 10;
+export const MAX_GIFT_CARD_AMOUNT = 500;
+
+// How far ahead delivery can be scheduled
+const MAX_DELIVERY_DAYS = 365;
+
+/**
+ * Gift card statuses
+ */
+export const GiftCardStatuses = {
+  SCHEDULED: { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' },
+  ACTIVE: { label: 'Active', className: 'bg-green-100 text-green-800' },
+  REDEEMED: { label: 'Used Up', className: 'bg-gray-100 text-gray-800' },
+  EXPIRED: { label: 'Expired', className: 'bg-yellow-100 text-yellow-800' },
+  VOIDED: { label: 'Voided', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Kinds of entry in a gift card's history
+ */
+export const GiftCardTransactionTypes = {
+  PURCHASED: 'Purchased',
+  ISSUED: 'Issued by staff',
+  DELIVERED: 'Delivered',
+  REDEEMED: 'Spent',
+  REFUNDED: 'Refunded',
+  VOIDED: 'Voided'
+};
+
+/**
+ * Strip spaces and dashes from a typed code and upper-case it
+ * @param {string} code - Code as typed
+ * @returns {string} Normalized code
+ */
+export const normalizeGiftCardCode = (code) => (code || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Show a code with only its last four characters
+ * @param {string} code - Gift card code
+ * @returns {string} Masked code, e.g. •••• 7F3K
+ */
+export const maskGiftCardCode = (code) => {
+  const normalized = normalizeGiftCardCode(code);
+  return normalized ? `•••• ${normalized.slice(-4)}` : '';
+};
+
+/**
+ * Work out the latest delivery date that can be scheduled
+ * @param {Date} [now] - Current time
+ * @returns {string} Date as yyyy-mm-dd
+ */
+export const getMaxDeliveryDate = (now = new Date()) => {
+  const date = new Date(now.getTime() + MAX_DELIVERY_DAYS * 24 * 60 * 60 * 1000);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Spread an amount across gift cards in the order they were applied.
+ * A card only covers what the cards before it left over, so the rest
+ * can be paid another way (split tender).
+ * @param {Array<Object>} giftCards - Applied cards with a balance
+ * @param {number} amountDue - Amount left to pay before gift cards
+ * @returns {Array<Object>} The cards with the amount each covers
+ */
+export const allocateGiftCards = (giftCards, amountDue) => {
+  let remaining = Math.max(amountDue, 0);
+
+  return giftCards.map(giftCard => {
+    const amount = Math.round(Math.min(giftCard.balance, remaining) * 100) / 100;
+    remaining = Math.round((remaining - amount) * 100) / 100;
+    return { ...giftCard, amount };
+  });
+};
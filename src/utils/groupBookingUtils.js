@@ -0,0 +1,65 @@
+// src/utils/groupBookingUtils.js - Group booking request helpers
+
+// Parties this size and up go through a group request instead of the seat grid
+export const MIN_GROUP_SIZE = 20;
+
+// Largest party one request can cover
+export const MAX_GROUP_SIZE = 300;
+
+// Days a group gets to pay its invoice by default
+const DEFAULT_PAYMENT_DAYS = 14;
+
+/**
+ * Group booking request statuses, in the order a request moves through them
+ */
+export const GroupRequestStatuses = {
+  PENDING: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  APPROVED: { label: 'Seats Blocked', className: 'bg-blue-100 text-blue-800' },
+  INVOICED: { label: 'Invoiced', className: 'bg-purple-100 text-purple-800' },
+  PAID: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  DECLINED: { label: 'Declined', className: 'bg-gray-100 text-gray-800' },
+  EXPIRED: { label: 'Expired', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Suggest a payment deadline for a group invoice: the default payment window,
+ * but never later than two days before the screening
+ * @param {string} [screeningTime] - Screening start time
+ * @param {Date} [now] - Current time
+ * @returns {string} Deadline as yyyy-mm-dd
+ */
+export const suggestPaymentDeadline = (screeningTime, now = new Date()) => {
+  const deadline = new Date(now);
+  deadline.setDate(deadline.getDate() + DEFAULT_PAYMENT_DAYS);
+
+  if (screeningTime) {
+    const latest = new Date(screeningTime);
+    latest.setDate(latest.getDate() - 2);
+    if (!isNaN(latest.getTime()) && latest < deadline) {
+      return toDateInputValue(latest > now ? latest : now);
+    }
+  }
+
+  return toDateInputValue(deadline);
+};
+
+/**
+ * Check whether an invoice is past its payment deadline
+ * @param {Object} [invoice] - Invoice { dueDate, status }
+ * @param {Date} [now] - Current time
+ * @returns {boolean} Whether the invoice is unpaid and overdue
+ */
+export const isInvoiceOverdue = (invoice, now = new Date()) => {
+  if (!invoice?.dueDate || invoice.status === 'PAID') return false;
+
+  // Due dates run to the end of the day
+  const due = new Date(invoice.dueDate);
+  due.setHours(23, 59, 59, 999);
+  return due < now;
+};
+
+// Format a date for a date input in local time
+const toDateInputValue = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
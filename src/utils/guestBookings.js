@@ -0,0 +1,62 @@
+// src/utils/guestBookings.js - Guest bookings remembered on this device
+const GUEST_BOOKINGS_KEY = 'guest_bookings';
+
+// Only the most recent guest bookings are kept
+const MAX_GUEST_BOOKINGS = 20;
+
+/**
+ * Get the guest bookings made on this device
+ * @returns {Array<Object>} [{ bookingNumber, lookupCode, email, movieTitle, screeningTime }]
+ */
+export const getGuestBookings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GUEST_BOOKINGS_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Error reading guest bookings:', error);
+    return [];
+  }
+};
+
+/**
+ * Remember a guest booking so it can be found again or claimed into an account
+ * @param {Object} booking - Guest booking with bookingNumber and lookupCode
+ */
+export const rememberGuestBooking = (booking) => {
+  if (!booking?.bookingNumber || !booking?.lookupCode) return;
+
+  const entry = {
+    bookingNumber: booking.bookingNumber,
+    lookupCode: booking.lookupCode,
+    email: booking.email,
+    movieTitle: booking.movieTitle,
+    screeningTime: booking.screeningTime
+  };
+
+  try {
+    const others = getGuestBookings().filter(stored => stored.bookingNumber !== entry.bookingNumber);
+    localStorage.setItem(GUEST_BOOKINGS_KEY, JSON.stringify([entry, ...others].slice(0, MAX_GUEST_BOOKINGS)));
+  } catch (error) {
+    console.error('Error saving guest booking:', error);
+  }
+};
+
+/**
+ * Forget guest bookings, e.g. once they have been claimed into an account
+ * @param {Array<string>} [bookingNumbers] - Bookings to forget; all when omitted
+ */
+export const forgetGuestBookings = (bookingNumbers) => {
+  try {
+    const remaining = bookingNumbers
+      ? getGuestBookings().filter(stored => !bookingNumbers.includes(stored.bookingNumber))
+      : [];
+
+    if (remaining.length > 0) {
+      localStorage.setItem(GUEST_BOOKINGS_KEY, JSON.stringify(remaining));
+    } else {
+      localStorage.removeItem(GUEST_BOOKINGS_KEY);
+    }
+  } catch (error) {
+    console.error('Error clearing guest bookings:', error);
+  }
+};
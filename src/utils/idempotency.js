@@ -0,0 +1,35 @@
+// src/utils/idempotency.js - Helpers for safely retrying requests
+/**
+ * Create a unique idempotency key for a request attempt
+ * @returns {string} Idempotency key
+ */
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  // Fallback for browsers without crypto.randomUUID (non-secure contexts)
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+};
+
+/**
+ * Whether a request failed without us knowing if the server processed it.
+ * Timeouts, dropped connections and gateway errors all leave the outcome unknown.
+ * @param {Object} error - Error from the API client
+ * @returns {boolean} True when the outcome of the request is unknown
+ */
+export const isOutcomeUnknown = (error) => {
+  if (!error) return false;
+
+  if (!error.response) {
+    return error.code === 'ECONNABORTED'
+      || error.code === 'ETIMEDOUT'
+      || error.code === 'ERR_NETWORK'
+      || error.message === 'Network Error';
+  }
+
+  return [502, 503, 504].includes(error.response.status);
+};
@@ -0,0 +1,165 @@
+// src/utils/loyaltyUtils.js - Loyalty points and member tier helpers
+
+/**
+ * Program rules used until the API says otherwise.
+ * Tiers are reached on lifetime points and are listed lowest first.
+ */
+export const DEFAULT_LOYALTY_RULES = {
+  pointsPerDollar: 10,
+  pointValue: 0.01,
+  minRedeemPoints: 500,
+  tiers: [
+    {
+      id: 'MEMBER',
+      name: 'Member',
+      minPoints: 0,
+      earnMultiplier: 1,
+      earlyBookingHours: 0,
+      perks: ['Earn points on every booking']
+    },
+    {
+      id: 'SILVER',
+      name: 'Silver',
+      minPoints: 2500,
+      earnMultiplier: 1.25,
+      earlyBookingHours: 24,
+      perks: ['25% bonus points', 'Book 24 hours before general sale']
+    },
+    {
+      id: 'GOLD',
+      name: 'Gold',
+      minPoints: 10000,
+      earnMultiplier: 1.5,
+      earlyBookingHours: 72,
+      perks: ['50% bonus points', 'Book 3 days before general sale']
+    }
+  ]
+};
+
+/**
+ * Badge styles by tier ID
+ */
+export const TierBadgeClasses = {
+  MEMBER: 'bg-gray-100 text-gray-800',
+  SILVER: 'bg-slate-200 text-slate-800',
+  GOLD: 'bg-yellow-100 text-yellow-800'
+};
+
+/**
+ * Kinds of entry in a member's points history
+ */
+export const LoyaltyTransactionTypes = {
+  EARNED: { label: 'Earned', className: 'bg-green-100 text-green-800' },
+  REDEEMED: { label: 'Redeemed', className: 'bg-blue-100 text-blue-800' },
+  ADJUSTED: { label: 'Adjusted', className: 'bg-purple-100 text-purple-800' },
+  REVERSED: { label: 'Reversed', className: 'bg-yellow-100 text-yellow-800' },
+  EXPIRED: { label: 'Expired', className: 'bg-gray-100 text-gray-800' }
+};
+
+/**
+ * Fill in missing rule values with the defaults and sort tiers lowest first
+ * @param {Object|null} rules - Rules from the API
+ * @returns {Object} Complete rules
+ */
+export const normalizeLoyaltyRules = (rules) => {
+  const merged = { ...DEFAULT_LOYALTY_RULES, ...(rules || {}) };
+  const tiers = Array.isArray(merged.tiers) && merged.tiers.length > 0
+    ? merged.tiers
+    : DEFAULT_LOYALTY_RULES.tiers;
+
+  return {
+    ...merged,
+    tiers: [...tiers]
+      .map(tier => ({ earnMultiplier: 1, earlyBookingHours: 0, perks: [], ...tier }))
+      .sort((a, b) => a.minPoints - b.minPoints)
+  };
+};
+
+/**
+ * Find a member's tier, preferring the tier the API assigned
+ * @param {Object} rules - Normalized rules
+ * @param {Object} [summary] - Points summary { tier, lifetimePoints }
+ * @returns {Object} Tier
+ */
+export const getMemberTier = (rules, summary) => {
+  const assigned = summary?.tier && rules.tiers.find(tier => tier.id === summary.tier);
+  if (assigned) return assigned;
+
+  const lifetimePoints = summary?.lifetimePoints || 0;
+  return [...rules.tiers].reverse().find(tier => lifetimePoints >= tier.minPoints) || rules.tiers[0];
+};
+
+/**
+ * Get the tier above the given one
+ * @param {Object} rules - Normalized rules
+ * @param {Object} tier - Current tier
+ * @returns {Object|null} Next tier, or null at the top tier
+ */
+export const getNextTier = (rules, tier) => {
+  const index = rules.tiers.findIndex(candidate => candidate.id === tier?.id);
+  return index >= 0 ? rules.tiers[index + 1] || null : null;
+};
+
+/**
+ * Estimate the points a payment earns at a tier
+ * @param {number} amount - Amount paid in money (points redeemed do not earn)
+ * @param {Object} rules - Normalized rules
+ * @param {Object} [tier] - Member tier
+ * @returns {number} Points
+ */
+export const estimatePointsEarned = (amount, rules, tier) => {
+  if (!amount || amount <= 0) return 0;
+  return Math.floor(amount * rules.pointsPerDollar * (tier?.earnMultiplier || 1));
+};
+
+/**
+ * Convert points to their money value
+ * @param {number} points - Points
+ * @param {Object} rules - Normalized rules
+ * @returns {number} Amount
+ */
+export const pointsToAmount = (points, rules) => {
+  if (!points || points <= 0) return 0;
+  return Math.round(points * rules.pointValue * 100) / 100;
+};
+
+/**
+ * Work out the most points a member can put towards an amount
+ * @param {number} balance - Points balance
+ * @param {number} amountDue - Amount left to pay
+ * @param {Object} rules - Normalized rules
+ * @returns {number} Points, or 0 when below the redemption minimum
+ */
+export const getMaxRedeemablePoints = (balance, amountDue, rules) => {
+  if (!balance || !amountDue || amountDue <= 0) return 0;
+
+  // Small epsilon so $12.34 at a cent a point gives 1234 and not 1233
+  const pointsForAmount = Math.ceil(amountDue / rules.pointValue - 1e-6);
+  const points = Math.min(balance, pointsForAmount);
+  return points >= rules.minRedeemPoints ? points : 0;
+};
+
+/**
+ * Work out when a member can book a screening.
+ * Screenings without a general sale date are bookable straight away.
+ * @param {Object} screening - Screening with an optional bookingOpensAt
+ * @param {Object} [tier] - Member tier
+ * @param {Date} [now] - Current time
+ * @returns {Object} { generalOpensAt, memberOpensAt, isOpen, isEarlyAccess }
+ */
+export const getBookingWindow = (screening, tier, now = new Date()) => {
+  if (!screening?.bookingOpensAt) {
+    return { generalOpensAt: null, memberOpensAt: null, isOpen: true, isEarlyAccess: false };
+  }
+
+  const generalOpensAt = new Date(screening.bookingOpensAt);
+  const earlyHours = tier?.earlyBookingHours || 0;
+  const memberOpensAt = new Date(generalOpensAt.getTime() - earlyHours * 60 * 60 * 1000);
+
+  return {
+    generalOpensAt,
+    memberOpensAt,
+    isOpen: now >= memberOpensAt,
+    isEarlyAccess: now >= memberOpensAt && now < generalOpensAt
+  };
+};
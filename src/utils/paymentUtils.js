@@ -0,0 +1,107 @@
+// src/utils/paymentUtils.js - Card input helpers
+/**
+ * Strip everything but digits from a card number
+ * @param {string} value - Card number as typed
+ * @returns {string} Digits only
+ */
+export const normalizeCardNumber = (value = '') => String(value).replace(/\D/g, '');
+
+/**
+ * Format a card number in groups of four for display
+ * @param {string} value - Card number as typed
+ * @returns {string} Formatted card number
+ */
+export const formatCardNumber = (value = '') => {
+  return normalizeCardNumber(value).slice(0, 19).replace(/(\d{4})(?=\d)/g, '$1 ');
+};
+
+/**
+ * Format expiry input as MM/YY while typing
+ * @param {string} value - Expiry as typed
+ * @returns {string} Formatted expiry
+ */
+export const formatExpiry = (value = '') => {
+  const digits = String(value).replace(/\D/g, '').slice(0, 4);
+  return digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits;
+};
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param {string} value - Card number
+ * @returns {boolean} Whether the number is valid
+ */
+export const isValidCardNumber = (value) => {
+  const digits = normalizeCardNumber(value);
+  if (digits.length < 12 || digits.length > 19) return false;
+
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Work out the card brand from its number
+ * @param {string} value - Card number
+ * @returns {string} Visa, Mastercard, American Express, Discover or Card
+ */
+export const getCardBrand = (value) => {
+  const digits = normalizeCardNumber(value);
+
+  if (/^4/.test(digits)) return 'Visa';
+  if (/^(5[1-5]|2[2-7])/.test(digits)) return 'Mastercard';
+  if (/^3[47]/.test(digits)) return 'American Express';
+  if (/^6(011|5)/.test(digits)) return 'Discover';
+  return 'Card';
+};
+
+/**
+ * Mask a card number down to its last four digits
+ * @param {string} value - Card number
+ * @returns {string} Masked number, e.g. "•••• 4242"
+ */
+export const maskCardNumber = (value) => `•••• ${normalizeCardNumber(value).slice(-4)}`;
+
+/**
+ * Validate card details entered at checkout
+ * @param {Object} card - { number, expiry, cvc, name }
+ * @returns {Object} Error message by field, empty when the card is valid
+ */
+export const validateCardDetails = (card = {}) => {
+  const errors = {};
+
+  if (!isValidCardNumber(card.number)) {
+    errors.number = 'Please enter a valid card number';
+  }
+
+  const match = /^(\d{2})\/(\d{2})$/.exec(card.expiry || '');
+  const month = match ? Number(match[1]) : 0;
+  if (!match || month < 1 || month > 12) {
+    errors.expiry = 'Please enter the expiry as MM/YY';
+  } else {
+    // Cards are valid until the end of their expiry month
+    const expiresAt = new Date(2000 + Number(match[2]), month, 1);
+    if (expiresAt <= new Date()) {
+      errors.expiry = 'This card has expired';
+    }
+  }
+
+  if (!/^\d{3,4}$/.test(card.cvc || '')) {
+    errors.cvc = 'Please enter the 3 or 4 digit security code';
+  }
+
+  if (!card.name?.trim()) {
+    errors.name = 'Please enter the name on the card';
+  }
+
+  return errors;
+};
@@ -0,0 +1,60 @@
+// src/utils/promotionUtils.js - Promo code helpers
+import { formatCurrency } from './formatUtils';
+
+/**
+ * Promotion discount types
+ */
+export const DiscountTypes = {
+  PERCENTAGE: 'PERCENTAGE',
+  FIXED_AMOUNT: 'FIXED_AMOUNT'
+};
+
+/**
+ * Calculate the discount a promotion gives on a subtotal
+ * @param {Object} promotion - Promotion with discountType, discountValue and optional minSpend / maxDiscount
+ * @param {number} subtotal - Order subtotal
+ * @returns {number} Discount amount, never more than the subtotal
+ */
+export const calculatePromoDiscount = (promotion, subtotal) => {
+  if (!promotion || !subtotal || subtotal <= 0) return 0;
+
+  if (promotion.minSpend && subtotal < promotion.minSpend) return 0;
+
+  let discount = promotion.discountType === DiscountTypes.PERCENTAGE
+    ? subtotal * (promotion.discountValue / 100)
+    : promotion.discountValue;
+
+  if (promotion.maxDiscount) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+/**
+ * Describe a promotion's value, e.g. "20% off" or "$5.00 off"
+ * @param {Object} promotion - Promotion
+ * @returns {string} Description
+ */
+export const formatPromoValue = (promotion) => {
+  if (!promotion) return '';
+
+  return promotion.discountType === DiscountTypes.PERCENTAGE
+    ? `${promotion.discountValue}% off`
+    : `${formatCurrency(promotion.discountValue)} off`;
+};
+
+/**
+ * Work out a promotion's status from its schedule, cap and active flag
+ * @param {Object} promotion - Promotion
+ * @returns {string} ACTIVE, SCHEDULED, EXPIRED, EXHAUSTED or INACTIVE
+ */
+export const getPromotionStatus = (promotion) => {
+  const now = Date.now();
+
+  if (!promotion.active) return 'INACTIVE';
+  if (promotion.maxUses && promotion.usageCount >= promotion.maxUses) return 'EXHAUSTED';
+  if (promotion.endsAt && new Date(promotion.endsAt).getTime() < now) return 'EXPIRED';
+  if (promotion.startsAt && new Date(promotion.startsAt).getTime() > now) return 'SCHEDULED';
+  return 'ACTIVE';
+};
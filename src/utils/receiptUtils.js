@@ -0,0 +1,131 @@
+// src/utils/receiptUtils.js - Receipt line items and tax totals
+import { formatAddOnLabel } from './concessionUtils';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get what a booking's tickets cost after category discounts, leaving out
+ * add-ons, promo codes, loyalty points and gift cards
+ * @param {Object} booking - Booking
+ * @returns {number} Tickets subtotal
+ */
+export const getTicketsSubtotal = (booking) => {
+  if (typeof booking.ticketsTotal === 'number') {
+    return roundCurrency(booking.ticketsTotal);
+  }
+
+  const breakdown = booking.priceBreakdown || booking.breakdown;
+  if (Array.isArray(breakdown) && breakdown.length > 0) {
+    return roundCurrency(breakdown.reduce((sum, line) => sum + (line.amount || 0), 0));
+  }
+
+  const addOnsTotal = (booking.addOns || []).reduce((sum, addOn) => sum + (addOn.amount || 0), 0);
+  return roundCurrency(
+    (booking.totalAmount || 0) + (booking.discountAmount || 0) + (booking.pointsDiscount || 0) - addOnsTotal
+  );
+};
+
+/**
+ * Build the receipt line items for a booking.
+ * Uses the server's line items when present, otherwise the ticket category
+ * breakdown, otherwise a single tickets line, followed by any concession
+ * add-ons. Discounts are negative lines.
+ *
+ * @param {Object} booking - Booking
+ * @returns {Array<Object>} [{ description, quantity, unitPrice, amount }]
+ */
+export const getReceiptLines = (booking) => {
+  if (Array.isArray(booking.lineItems) && booking.lineItems.length > 0) {
+    return booking.lineItems.map(line => ({
+      description: line.description,
+      quantity: line.quantity || 1,
+      unitPrice: line.unitPrice ?? line.amount / (line.quantity || 1),
+      amount: line.amount
+    }));
+  }
+
+  const lines = [];
+  const breakdown = booking.priceBreakdown || booking.breakdown;
+  const discountAmount = booking.discountAmount || 0;
+  const pointsDiscount = booking.pointsDiscount || 0;
+  const addOns = booking.addOns || [];
+
+  if (Array.isArray(breakdown) && breakdown.length > 0) {
+    breakdown.forEach(line => {
+      lines.push({
+        description: `${line.label} ticket${line.count === 1 ? '' : 's'}${line.discount > 0 ? ` (-${line.discount}%)` : ''}`,
+        quantity: line.count,
+        unitPrice: roundCurrency(line.amount / line.count),
+        amount: roundCurrency(line.amount)
+      });
+    });
+  } else {
+    const seatCount = booking.bookedSeats?.length || 1;
+    const ticketsTotal = getTicketsSubtotal(booking);
+    lines.push({
+      description: `Ticket${seatCount === 1 ? '' : 's'}`,
+      quantity: seatCount,
+      unitPrice: roundCurrency(ticketsTotal / seatCount),
+      amount: ticketsTotal
+    });
+  }
+
+  addOns.forEach(addOn => {
+    lines.push({
+      description: formatAddOnLabel(addOn),
+      quantity: addOn.quantity,
+      unitPrice: addOn.unitPrice ?? roundCurrency(addOn.amount / addOn.quantity),
+      amount: roundCurrency(addOn.amount)
+    });
+  });
+
+  if (discountAmount > 0) {
+    lines.push({
+      description: booking.promoCode ? `Promo code ${booking.promoCode}` : 'Discount',
+      quantity: 1,
+      unitPrice: -discountAmount,
+      amount: -discountAmount
+    });
+  }
+
+  if (pointsDiscount > 0) {
+    lines.push({
+      description: `Loyalty points (${booking.pointsRedeemed?.toLocaleString() || 'redeemed'})`,
+      quantity: 1,
+      unitPrice: -pointsDiscount,
+      amount: -pointsDiscount
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Work out the VAT contained in VAT-inclusive receipt lines.
+ * The VAT comes from the booking: its VAT amount when the API sends one,
+ * otherwise its VAT rate. Without either the VAT is unknown and left null.
+ *
+ * @param {Array<Object>} lines - Receipt lines
+ * @param {Object} [tax] - Tax details from the booking
+ * @param {number} [tax.vatRate] - VAT rate as a fraction, e.g. 0.2 for 20%
+ * @param {number} [tax.vatAmount] - VAT included in the total
+ * @returns {Object} { net, vat, gross, vatRate } where net, vat and vatRate may be null
+ */
+export const calculateReceiptTotals = (lines, { vatRate, vatAmount } = {}) => {
+  const gross = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+  const rate = typeof vatRate === 'number' ? vatRate : null;
+
+  let vat = null;
+  if (typeof vatAmount === 'number') {
+    vat = roundCurrency(vatAmount);
+  } else if (rate !== null) {
+    vat = roundCurrency(gross - gross / (1 + rate));
+  }
+
+  return {
+    net: vat === null ? null : roundCurrency(gross - vat),
+    vat,
+    gross,
+    vatRate: rate
+  };
+};
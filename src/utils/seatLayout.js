@@ -0,0 +1,88 @@
+// src/utils/seatLayout.js - Normalize seating data from the different API formats
+
+const DEFAULT_BASE_PRICE = 10.99;
+
+const DEFAULT_ROWS = [
+  { name: "A", seatsCount: 8, priceMultiplier: 1.0, seatType: "STANDARD" },
+  { name: "B", seatsCount: 8, priceMultiplier: 1.0, seatType: "STANDARD" },
+  { name: "C", seatsCount: 8, priceMultiplier: 1.2, seatType: "PREMIUM" }
+];
+
+/**
+ * Normalize a seating layout response into { rows, basePrice }
+ * @param {Object} rawSeatingLayout - Layout as returned by the API
+ * @returns {Object} { layout, fallbackMessage } where fallbackMessage is set
+ *   when a default layout had to be used instead of the theatre's own
+ */
+export const normalizeSeatingLayout = (rawSeatingLayout) => {
+  if (!rawSeatingLayout || typeof rawSeatingLayout !== 'object') {
+    return {
+      layout: { rows: DEFAULT_ROWS, basePrice: DEFAULT_BASE_PRICE },
+      fallbackMessage: "Using default seating layout as we couldn't fetch the theatre's configuration."
+    };
+  }
+
+  // Standard format
+  if (Array.isArray(rawSeatingLayout.rows)) {
+    return { layout: rawSeatingLayout, fallbackMessage: null };
+  }
+
+  // Rows as object keys (A, B, C, etc.)
+  const rowKeys = Object.keys(rawSeatingLayout).filter(key => key.match(/^[A-Z]$/));
+
+  if (rowKeys.length > 0) {
+    const rows = rowKeys.map(name => {
+      const rowData = rawSeatingLayout[name];
+      return {
+        name,
+        seatsCount: rowData.seatsCount || 10,
+        priceMultiplier: rowData.priceMultiplier || 1.0,
+        seatType: rowData.seatType || 'STANDARD'
+      };
+    });
+
+    return {
+      layout: { rows, basePrice: rawSeatingLayout.basePrice || DEFAULT_BASE_PRICE },
+      fallbackMessage: null
+    };
+  }
+
+  // Last resort - a basic layout
+  return {
+    layout: { rows: DEFAULT_ROWS, basePrice: rawSeatingLayout.basePrice || DEFAULT_BASE_PRICE },
+    fallbackMessage: "Using default seating layout as we couldn't fully interpret the theatre's configuration."
+  };
+};
+
+/**
+ * Normalize the different booked seat formats from the API into a list of seat IDs
+ * @param {Array|Object} rawBookedSeats - Booked seats as returned by the API
+ * @returns {Array<string>} Seat IDs
+ */
+export const normalizeBookedSeats = (rawBookedSeats) => {
+  if (Array.isArray(rawBookedSeats)) {
+    // Direct array of seat IDs
+    return rawBookedSeats;
+  }
+
+  if (rawBookedSeats && typeof rawBookedSeats === 'object') {
+    // Check if it has seats property
+    if (Array.isArray(rawBookedSeats.seats)) {
+      return rawBookedSeats.seats;
+    }
+
+    if (rawBookedSeats.bookedSeats) {
+      // Try bookedSeats property
+      return Array.isArray(rawBookedSeats.bookedSeats)
+        ? rawBookedSeats.bookedSeats
+        : Object.values(rawBookedSeats.bookedSeats);
+    }
+
+    // Last resort - try to extract seat IDs from object keys
+    return Object.keys(rawBookedSeats).filter(key =>
+      !key.includes('status') && !key.includes('message')
+    );
+  }
+
+  return [];
+};
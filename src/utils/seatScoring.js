@@ -0,0 +1,218 @@
+// src/utils/seatScoring.js - "Best available" seat picking
+/**
+ * Where in the auditorium each row preference aims (0 = front row, 1 = back row)
+ */
+export const RowPreferences = {
+  ANY: 0.6,
+  FRONT: 0.2,
+  MIDDLE: 0.5,
+  BACK: 0.85
+};
+
+// Weights for the parts of a seat's score
+const CENTRE_WEIGHT = 0.5;
+const ROW_WEIGHT = 0.35;
+const TYPE_WEIGHT = 0.15;
+
+// Penalties applied to a whole block
+const SINGLE_GAP_PENALTY = 0.15;
+const COMPANION_SEAT_PENALTY = 0.1;
+const SPLIT_PENALTY = 0.2;
+
+/**
+ * Build a grid of seats from a normalized seating layout
+ * @param {Object} layout - Layout with rows [{ name, seatsCount, seatType, seats? }]
+ * @param {Array<string>} unavailableSeats - Booked or held seat IDs
+ * @returns {Array<Array<Object>>} Rows of seats, front row first
+ */
+export const buildSeatGrid = (layout, unavailableSeats = []) => {
+  const rows = layout?.rows || [];
+
+  return rows.map((row, rowIndex) => (
+    Array.from({ length: row.seatsCount }, (_, i) => {
+      const number = i + 1;
+      const id = `${row.name}${number}`;
+      const seatType = row.seats?.find(seat => seat.number === number)?.seatType
+        || row.seatType
+        || 'STANDARD';
+
+      return {
+        id,
+        row: row.name,
+        rowIndex,
+        number,
+        seatType,
+        available: seatType !== 'UNAVAILABLE' && !unavailableSeats.includes(id)
+      };
+    })
+  ));
+};
+
+/**
+ * Score a single seat between 0 and 1
+ * @param {Object} seat - Seat from buildSeatGrid
+ * @param {number} rowCount - Number of rows in the auditorium
+ * @param {number} seatsInRow - Number of seats in the seat's row
+ * @param {Object} preferences - Picking preferences
+ * @returns {number} Seat score
+ */
+export const scoreSeat = (seat, rowCount, seatsInRow, preferences = {}) => {
+  const { rowPreference = 'ANY', seatType = 'ANY' } = preferences;
+
+  // Distance from the centre of the screen
+  const centre = (seatsInRow + 1) / 2;
+  const halfWidth = Math.max(centre - 1, 1);
+  const centreScore = 1 - Math.abs(seat.number - centre) / halfWidth;
+
+  // Distance from the preferred depth in the room
+  const rowPosition = rowCount > 1 ? seat.rowIndex / (rowCount - 1) : 0.5;
+  const rowScore = 1 - Math.abs(rowPosition - (RowPreferences[rowPreference] ?? RowPreferences.ANY));
+
+  // Seat type preference (wheelchair spaces count as matching for wheelchair users)
+  const typeScore = seatType === 'ANY' || seat.seatType === seatType || seat.seatType === 'WHEELCHAIR' ? 1 : 0;
+
+  return CENTRE_WEIGHT * centreScore + ROW_WEIGHT * rowScore + TYPE_WEIGHT * typeScore;
+};
+
+// Whether a seat is free to be picked by this party
+const isPickable = (seat, needsWheelchair) => (
+  seat?.available && (needsWheelchair || seat.seatType !== 'WHEELCHAIR')
+);
+
+// Whether the seat next to a block would be left as an isolated single seat
+const leavesSingleGap = (row, index, direction) => {
+  const neighbour = row[index + direction];
+  const beyond = row[index + direction * 2];
+  return !!neighbour?.available && !beyond?.available;
+};
+
+/**
+ * Score a contiguous block of seats in one row
+ * @returns {Object|null} { seats, score } or null if the block is not allowed
+ */
+const scoreBlock = (row, start, size, rowCount, preferences) => {
+  const { wheelchairUsers = 0 } = preferences;
+  const block = row.slice(start, start + size);
+
+  if (block.length < size || !block.every(seat => isPickable(seat, wheelchairUsers > 0))) {
+    return null;
+  }
+
+  // Wheelchair users need their spaces inside the block, next to their companions
+  const wheelchairSeats = block.filter(seat => seat.seatType === 'WHEELCHAIR').length;
+  if (wheelchairUsers > 0 && wheelchairSeats < Math.min(wheelchairUsers, size)) {
+    return null;
+  }
+
+  let score = block.reduce((sum, seat) => sum + scoreSeat(seat, rowCount, row.length, preferences), 0) / size;
+
+  if (leavesSingleGap(row, start, -1)) score -= SINGLE_GAP_PENALTY;
+  if (leavesSingleGap(row, start + size - 1, 1)) score -= SINGLE_GAP_PENALTY;
+
+  // Keep seats next to wheelchair spaces free for companions when not needed
+  if (wheelchairUsers === 0) {
+    const companionSeats = block.filter(seat => (
+      row[seat.number - 2]?.seatType === 'WHEELCHAIR' || row[seat.number]?.seatType === 'WHEELCHAIR'
+    )).length;
+    score -= companionSeats * COMPANION_SEAT_PENALTY;
+  }
+
+  return { seats: block.map(seat => seat.id), score, rows: [block[0].row] };
+};
+
+/**
+ * Find every allowed contiguous block of a given size, best first
+ */
+const findBlocks = (grid, size, preferences, rowCount = grid.length) => {
+  const blocks = [];
+
+  grid.forEach(row => {
+    for (let start = 0; start + size <= row.length; start++) {
+      const block = scoreBlock(row, start, size, rowCount, preferences);
+      if (block) blocks.push(block);
+    }
+  });
+
+  return blocks.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Split a party across two neighbouring rows, as close to one above the other as possible
+ */
+const findSplitAcrossRows = (grid, partySize, preferences) => {
+  const frontSize = Math.ceil(partySize / 2);
+  const backSize = partySize - frontSize;
+  const options = [];
+
+  for (let rowIndex = 0; rowIndex < grid.length - 1; rowIndex++) {
+    // Wheelchair spaces only need to be in one half of the party
+    const front = findBlocks([grid[rowIndex]], frontSize, preferences, grid.length);
+    const back = findBlocks([grid[rowIndex + 1]], backSize, { ...preferences, wheelchairUsers: 0 }, grid.length);
+
+    if (front.length > 0 && back.length > 0) {
+      options.push({
+        seats: [...front[0].seats, ...back[0].seats],
+        score: (front[0].score + back[0].score) / 2 - SPLIT_PENALTY,
+        rows: [...front[0].rows, ...back[0].rows]
+      });
+    }
+  }
+
+  return options.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Pick the best individual seats when no grouped option exists
+ */
+const findScatteredSeats = (grid, partySize, preferences) => {
+  const seats = grid
+    .flatMap(row => row
+      .filter(seat => isPickable(seat, false))
+      .map(seat => ({ seat, score: scoreSeat(seat, grid.length, row.length, preferences) })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, partySize);
+
+  if (seats.length < partySize) return null;
+
+  return {
+    seats: seats.map(({ seat }) => seat.id),
+    score: seats.reduce((sum, { score }) => sum + score, 0) / partySize - SPLIT_PENALTY * 2,
+    rows: [...new Set(seats.map(({ seat }) => seat.row))]
+  };
+};
+
+/**
+ * Find the best available seats for a party
+ * @param {Object} layout - Normalized seating layout
+ * @param {Array<string>} unavailableSeats - Booked or held seat IDs
+ * @param {number} partySize - Number of seats wanted
+ * @param {Object} [preferences] - Picking preferences
+ * @param {string} [preferences.rowPreference='ANY'] - ANY, FRONT, MIDDLE or BACK
+ * @param {string} [preferences.seatType='ANY'] - ANY, STANDARD, PREMIUM or VIP
+ * @param {number} [preferences.wheelchairUsers=0] - Party members needing a wheelchair space
+ * @returns {Object} { best, alternatives, contiguous } where each option is { seats, score, rows }
+ */
+export const findBestSeats = (layout, unavailableSeats, partySize, preferences = {}) => {
+  const grid = buildSeatGrid(layout, unavailableSeats);
+  const blocks = findBlocks(grid, partySize, preferences);
+
+  if (blocks.length > 0) {
+    // Offer the best block of each other row as alternatives
+    const alternatives = blocks
+      .slice(1)
+      .filter((block, index, self) => (
+        block.rows[0] !== blocks[0].rows[0] &&
+        self.findIndex(other => other.rows[0] === block.rows[0]) === index
+      ))
+      .slice(0, 3);
+
+    return { best: blocks[0], alternatives, contiguous: true };
+  }
+
+  // No contiguous block - fall back to splitting the party
+  const splits = partySize > 1 ? findSplitAcrossRows(grid, partySize, preferences) : [];
+  const scattered = preferences.wheelchairUsers > 0 ? null : findScatteredSeats(grid, partySize, preferences);
+  const alternatives = [...splits.slice(0, 3), ...(scattered ? [scattered] : [])];
+
+  return { best: null, alternatives, contiguous: false };
+};
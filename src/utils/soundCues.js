@@ -0,0 +1,65 @@
+// src/utils/soundCues.js - Short audio cues generated with the Web Audio API
+let audioContext = null;
+
+// Browsers only allow audio after a user gesture, so the context is created lazily
+const getAudioContext = () => {
+  if (!audioContext) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return null;
+    audioContext = new AudioContext();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+  return audioContext;
+};
+
+/**
+ * Play a sequence of tones
+ * @param {Array<Object>} tones - [{ frequency, duration, type }] played back to back
+ */
+const playTones = (tones) => {
+  const context = getAudioContext();
+  if (!context) return;
+
+  let startAt = context.currentTime;
+  tones.forEach(({ frequency, duration, type = 'sine' }) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, startAt);
+    gain.gain.exponentialRampToValueAtTime(0.001, startAt + duration);
+
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(startAt);
+    oscillator.stop(startAt + duration);
+
+    startAt += duration;
+  });
+};
+
+/**
+ * Two rising tones for an admitted ticket
+ */
+export const playAdmitSound = () => playTones([
+  { frequency: 880, duration: 0.12 },
+  { frequency: 1320, duration: 0.18 }
+]);
+
+/**
+ * A low buzz for a rejected ticket
+ */
+export const playRejectSound = () => playTones([
+  { frequency: 220, duration: 0.2, type: 'square' },
+  { frequency: 180, duration: 0.3, type: 'square' }
+]);
+
+/**
+ * Prepare audio during a user gesture so later cues are not blocked
+ */
+export const unlockSoundCues = () => {
+  getAudioContext();
+};
@@ -0,0 +1,108 @@
+// src/utils/ticketCategories.js - Ticket categories and category pricing
+/**
+ * Ticket categories with their default discount (percent off the seat price)
+ */
+export const TicketCategories = {
+  ADULT: { label: 'Adult', defaultDiscount: 0 },
+  CHILD: { label: 'Child', defaultDiscount: 40 },
+  SENIOR: { label: 'Senior', defaultDiscount: 30 },
+  STUDENT: { label: 'Student', defaultDiscount: 20 }
+};
+
+export const DEFAULT_TICKET_CATEGORY = 'ADULT';
+
+/**
+ * Get the category discounts for a screening, falling back to the defaults
+ * @param {Object} [screening] - Screening with optional categoryDiscounts
+ * @returns {Object} Discount percent by category
+ */
+export const getCategoryDiscounts = (screening) => {
+  return Object.fromEntries(
+    Object.entries(TicketCategories).map(([category, { defaultDiscount }]) => {
+      const value = screening?.categoryDiscounts?.[category];
+      const discount = value === '' || value === null || value === undefined ? NaN : Number(value);
+      return [category, isNaN(discount) ? defaultDiscount : Math.min(Math.max(discount, 0), 100)];
+    })
+  );
+};
+
+/**
+ * Price seats by ticket category
+ * @param {Object} seatPrices - Full price by seat ID
+ * @param {Object} seatCategories - Ticket category by seat ID
+ * @param {Object} discounts - Discount percent by category
+ * @returns {Object} { subtotal, discountTotal, totalPrice, breakdown }
+ */
+export const calculateCategoryBreakdown = (seatPrices, seatCategories = {}, discounts = {}) => {
+  const lines = {};
+  let subtotal = 0;
+  let totalPrice = 0;
+
+  Object.entries(seatPrices).forEach(([seat, price]) => {
+    const category = seatCategories[seat] || DEFAULT_TICKET_CATEGORY;
+    const discount = discounts[category] || 0;
+    const amount = Math.round(price * (100 - discount)) / 100;
+
+    if (!lines[category]) {
+      lines[category] = {
+        category,
+        label: TicketCategories[category]?.label || category,
+        discount,
+        count: 0,
+        seats: [],
+        amount: 0
+      };
+    }
+
+    lines[category].count += 1;
+    lines[category].seats.push(seat);
+    lines[category].amount += amount;
+    subtotal += price;
+    totalPrice += amount;
+  });
+
+  return {
+    subtotal,
+    discountTotal: subtotal - totalPrice,
+    totalPrice,
+    breakdown: Object.keys(TicketCategories)
+      .filter(category => lines[category])
+      .map(category => lines[category])
+  };
+};
+
+/**
+ * Age rating warnings for child tickets
+ * @param {string} rating - Movie rating (G, PG, PG-13, R, NC-17, NR)
+ * @param {Object} seatCategories - Ticket category by seat ID
+ * @returns {Object|null} { level: 'info' | 'warning' | 'blocked', message } or null
+ */
+export const getChildTicketWarning = (rating, seatCategories = {}) => {
+  const categories = Object.values(seatCategories);
+  if (!categories.includes('CHILD')) return null;
+
+  switch (rating) {
+    case 'NC-17':
+      return {
+        level: 'blocked',
+        message: 'This movie is rated NC-17. No one 17 or under will be admitted, so child tickets cannot be booked.'
+      };
+    case 'R':
+      return categories.some(category => category !== 'CHILD')
+        ? {
+          level: 'warning',
+          message: 'This movie is rated R. Children under 17 must be accompanied by a parent or adult guardian, and ID may be checked at the door.'
+        }
+        : {
+          level: 'blocked',
+          message: 'This movie is rated R. Children under 17 must be accompanied by an adult, so please add an adult ticket.'
+        };
+    case 'PG-13':
+      return {
+        level: 'info',
+        message: 'This movie is rated PG-13. Some material may be inappropriate for children under 13.'
+      };
+    default:
+      return null;
+  }
+};
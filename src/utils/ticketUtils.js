@@ -0,0 +1,99 @@
+// src/utils/ticketUtils.js - E-ticket helpers
+import { jwtDecode } from 'jwt-decode';
+
+// E-tickets stay on the device so they can be shown at the door without signal
+const OFFLINE_TICKETS_KEY = 'offline_tickets';
+
+// Keep tickets around for a day after the screening in case of late scans
+const OFFLINE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the payload of a signed ticket code without verifying it.
+ * Only the server can verify the signature; this is for display and pre-checks.
+ * @param {string} code - Signed ticket code (a JWT issued by the API)
+ * @returns {Object|null} { bookingId, bookingNumber, screeningId, seat, exp } or null if malformed
+ */
+export const decodeTicketCode = (code) => {
+  if (!code || typeof code !== 'string') return null;
+
+  try {
+    const payload = jwtDecode(code.trim());
+    return {
+      bookingId: payload.bookingId ?? payload.bid,
+      bookingNumber: payload.bookingNumber ?? payload.bno,
+      screeningId: payload.screeningId ?? payload.sid,
+      seat: payload.seat ?? null,
+      exp: payload.exp
+    };
+  } catch {
+    return null;
+  }
+};
+
+const readOfflineTickets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OFFLINE_TICKETS_KEY) || '{}');
+  } catch (error) {
+    console.error('Error reading offline tickets:', error);
+    return {};
+  }
+};
+
+/**
+ * Save a booking's e-tickets for offline use, dropping tickets for past screenings
+ * @param {number|string} bookingId - Booking ID
+ * @param {Object} entry - { booking, tickets } where booking holds the details shown with the ticket
+ */
+export const saveOfflineTickets = (bookingId, entry) => {
+  const now = Date.now();
+  const stored = readOfflineTickets();
+
+  Object.keys(stored).forEach((id) => {
+    const screeningTime = new Date(stored[id].booking?.screeningTime).getTime();
+    if (!screeningTime || screeningTime + OFFLINE_RETENTION_MS < now) {
+      delete stored[id];
+    }
+  });
+
+  stored[bookingId] = { ...entry, savedAt: new Date(now).toISOString() };
+
+  try {
+    localStorage.setItem(OFFLINE_TICKETS_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.error('Error saving offline tickets:', error);
+  }
+};
+
+/**
+ * Get a booking's e-tickets saved for offline use
+ * @param {number|string} bookingId - Booking ID
+ * @returns {Object|null} { booking, tickets, savedAt } or null
+ */
+export const getOfflineTickets = (bookingId) => readOfflineTickets()[bookingId] || null;
+
+/**
+ * Remove a booking's offline e-tickets, e.g. after it is cancelled
+ * @param {number|string} bookingId - Booking ID
+ */
+export const removeOfflineTickets = (bookingId) => {
+  const stored = readOfflineTickets();
+  if (!stored[bookingId]) return;
+
+  delete stored[bookingId];
+  try {
+    localStorage.setItem(OFFLINE_TICKETS_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.error('Error removing offline tickets:', error);
+  }
+};
+
+/**
+ * Remove all offline e-tickets, so the next person on a shared device cannot see them
+ */
+export const clearOfflineTickets = () => {
+  try {
+    localStorage.removeItem(OFFLINE_TICKETS_KEY);
+  } catch (error) {
+    console.error('Error clearing offline tickets:', error);
+  }
+};
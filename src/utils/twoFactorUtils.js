@@ -0,0 +1,80 @@
+// src/utils/twoFactorUtils.js - Second factor helpers
+
+/**
+ * Second factors a user can sign in with
+ */
+export const TwoFactorMethods = {
+  EMAIL: {
+    label: 'Email code',
+    description: 'We email you a 6-digit code each time you sign in.'
+  },
+  TOTP: {
+    label: 'Authenticator app',
+    description: 'Use the 6-digit code shown in your authenticator app.'
+  },
+  BACKUP_CODE: {
+    label: 'Backup code',
+    description: 'Use one of the one-time codes you saved when you set up your authenticator.'
+  }
+};
+
+/**
+ * Check a code typed for a factor.
+ * Authenticator and emailed codes are 6 digits; backup codes are longer and may contain letters.
+ * @param {string} method - Factor key from TwoFactorMethods
+ * @param {string} code - Code as typed
+ * @returns {boolean} True when the code has the right shape
+ */
+export const isValidCodeFormat = (method, code) => {
+  const trimmed = (code || '').replace(/[\s-]/g, '');
+  return method === 'BACKUP_CODE'
+    ? /^[A-Za-z0-9]{8,12}$/.test(trimmed)
+    : /^\d{6}$/.test(trimmed);
+};
+
+/**
+ * Pull the account name and issuer out of an otpauth:// provisioning URI
+ * @param {string} provisioningUri - URI from the enrollment response
+ * @returns {Object} { issuer, account }
+ */
+export const parseProvisioningUri = (provisioningUri) => {
+  try {
+    const url = new URL(provisioningUri);
+    const label = decodeURIComponent(url.pathname.replace(/^\/+/, ''));
+    const [labelIssuer, account] = label.includes(':') ? label.split(':') : [null, label];
+    return {
+      issuer: url.searchParams.get('issuer') || labelIssuer,
+      account: account?.trim() || null
+    };
+  } catch {
+    return { issuer: null, account: null };
+  }
+};
+
+/**
+ * Save backup codes as a text file
+ * @param {Array<string>} codes - Backup codes
+ * @param {string} [username] - Account the codes belong to
+ */
+export const downloadBackupCodes = (codes, username) => {
+  const lines = [
+    'Backup codes',
+    username ? `Account: ${username}` : null,
+    `Generated: ${new Date().toLocaleString()}`,
+    '',
+    'Each code can be used once to sign in when you cannot get a code any other way.',
+    'Keep them somewhere safe.',
+    '',
+    ...codes
+  ].filter(line => line !== null);
+
+  const blob = new Blob([lines.join('\n')], { type: 'text/plain;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'backup-codes.txt';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -92,6 +92,16 @@ export default {
           900: '#1E3A8A',
         }
       },
+      keyframes: {
+        'seat-taken': {
+          '0%': { transform: 'scale(1)', backgroundColor: '#FCA5A5' },
+          '50%': { transform: 'scale(1.25)', backgroundColor: '#EF4444' },
+          '100%': { transform: 'scale(1)', backgroundColor: '#9CA3AF' }
+        }
+      },
+      animation: {
+        'seat-taken': 'seat-taken 0.8s ease-in-out 2'
+      },
     },
   },
   plugins: [